@@ -5,7 +5,6 @@ import AuthPage from "./pages/AuthPage";
 import SimulationDashboard from "./components/SimulationDashboard";
 import ControlTower from "./components/ControlTower";
 import axios from "axios";
-import Papa from "papaparse";
 import { jwtDecode } from "jwt-decode";
 import Reports from "./Reports";
 import UpgradeModal from "./UpgradeModal.jsx";
@@ -16,6 +15,27 @@ import AdminPanel from "./components/ControlTowerEhancements/AdminPanel.jsx";
 
 // ✅ API base normalization (single source of truth)
 import { getApiBase } from "./config/apiBase";
+import { normalizeKpis } from "./utils/kpiEngine";
+import { getWorkspaceSettings, subscribeWorkspaceSettings } from "./lib/workspaceSettings";
+import {
+  buildRunChartSeries,
+  computeKpisInWindow,
+  computeRunKpis,
+  distinctCsvValues,
+  loadCsvRows,
+  loadSkuFamilies,
+  setActiveRunUrls,
+} from "./lib/kpiWorkerClient";
+import { touchCachedRun, trimOutputCache } from "./lib/runOutputCache";
+import { getRun, getRuns, subscribeRuns, updateRun, upsertRun } from "./lib/runStore";
+import { syncRunHistory } from "./lib/runSync";
+import {
+  getOfficialBaselines,
+  resolveOfficialBaseline,
+  subscribeOfficialBaselines,
+} from "./lib/officialBaselines";
+import { captureRunInputs, diffRunInputs } from "./utils/runInputs";
+import { pruneRunInputSnapshots, saveRunInputSnapshot } from "./lib/runInputSnapshots";
 
 const API_BASE = getApiBase();
 
@@ -44,38 +64,6 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// -------------------------------
-// Local run history (fallback)
-// -------------------------------
-const LOCAL_RUNS_KEY = "forc_local_runs_v1";
-
-function loadLocalRunsSafe() {
-  try {
-    const raw = localStorage.getItem(LOCAL_RUNS_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
-  }
-}
-
-function saveLocalRunsSafe(runs) {
-  try {
-    localStorage.setItem(LOCAL_RUNS_KEY, JSON.stringify(runs || []));
-  } catch {
-    // ignore
-  }
-}
-
-function upsertLocalRun(entry) {
-  const runs = loadLocalRunsSafe();
-  const id = entry?.run_id || entry?.id || entry?.timestamp || `${Date.now()}`;
-  const normalized = { ...entry, id };
-  const next = [normalized, ...runs.filter((r) => (r?.id || r?.run_id) !== id)].slice(0, 50);
-  saveLocalRunsSafe(next);
-  return next;
-}
-
 // Auto-build Executive Report after each simulation run
 async function buildExecutiveReportAfterSim(payload = {}) {
   try {
@@ -150,13 +138,57 @@ const getDemoSkus = (skus) => {
   return (fg.length ? fg : cleaned);
 };
 
+// Upper bound for one replication set (each replication is a full backend run)
+const MAX_REPLICATIONS = 20;
+
+// /api/run payload → canonical *_output_file_url map
+function normalizeRunUrls(payload = {}) {
+  // unwrap urls
+  let raw = payload.output_urls || payload.urls || payload.outputUrls || payload;
+  if (
+    raw &&
+    typeof raw === "object" &&
+    raw.urls &&
+    typeof raw.urls === "object" &&
+    !raw.inventory_output_file_url &&
+    !raw.flow_output_file_url
+  ) {
+    raw = raw.urls;
+  }
+
+  return {
+    ...raw,
+
+    inventory_output_file_url: raw.inventory_output_file_url || raw.inventory_output || raw.inventory,
+    flow_output_file_url: raw.flow_output_file_url || raw.flow_output || raw.flow,
+    production_output_file_url: raw.production_output_file_url || raw.production_output || raw.production,
+    occurrence_output_file_url: raw.occurrence_output_file_url || raw.occurrence_output || raw.occurrence,
+
+    disruption_impact_output_file_url:
+      raw.disruption_impact_output_file_url || raw.disruption_impact_output || raw.disruption_impact,
+    projected_impact_output_file_url:
+      raw.projected_impact_output_file_url || raw.projected_impact_output || raw.projected_impact,
+
+    runout_risk_output_file_url:
+      raw.runout_risk_output_file_url ||
+      raw.sku_runout_risk_output_file_url ||
+      raw.sku_runout_risk_output ||
+      raw.runout_risk ||
+      raw.sku_runout_risk,
+
+    countermeasures_output_file_url:
+      raw.countermeasures_output_file_url || raw.countermeasures_output || raw.countermeasures,
+
+    locations_output_file_url:
+      raw.locations_output_file_url || raw.locations_output || raw.locations_url || raw.locations,
+  };
+}
+
 // Generic CSV loader for disruption / panel data
 async function loadCsvToJson(url, setter) {
   if (!url) return;
   try {
-    const res = await fetch(url);
-    const text = await res.text();
-    const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const data = await loadCsvRows(url);
     setter(data);
     console.log(`✅ Parsed ${url.split("/").pop()}:`, data.length, "rows");
   } catch (err) {
@@ -164,195 +196,10 @@ async function loadCsvToJson(url, setter) {
   }
 }
 
-// CSV helpers
-function toNum(v) {
-  const n = parseFloat(v);
-  return Number.isFinite(n) ? n : 0;
-}
-function str(v) {
-  return (v ?? "").toString();
-}
-function upper(v) {
-  return str(v).trim().toUpperCase();
-}
-function lower(v) {
-  return str(v).trim().toLowerCase();
-}
-
-function pickFirstKey(obj, candidates) {
-  const keys = Object.keys(obj || {});
-  for (const c of candidates) {
-    const found = keys.find((k) => k.toLowerCase() === c.toLowerCase());
-    if (found) return found;
-  }
-  return null;
-}
-
-
-const SKU_VALUE_MAP = {
-  FG1: 120,
-  C1: 40,
-};
-
-const DEFAULT_SKU_VALUE = 75;
-
-function buildScenarioImpactSummary(flowRows = [], occurrenceRows = [], productionRows = [], executiveKpis = {}) {
-  const custRows = (flowRows || []).filter((r) => {
-    const ft = String(r.flow_type || r.FlowType || r.type || "").trim().toLowerCase();
-    return ft === "customer_ship" || ft === "customer ship" || ft === "customership";
-  });
-
-  const demand = custRows.reduce((sum, r) => {
-    const v = Number(r.demand ?? r.Demand ?? 0);
-    return sum + (Number.isFinite(v) ? v : 0);
-  }, 0);
-
-  const shipped = custRows.reduce((sum, r) => {
-    const v = Number(r.flow ?? r.Flow ?? 0);
-    return sum + (Number.isFinite(v) ? v : 0);
-  }, 0);
-
-  const byReason = (occurrenceRows || []).reduce((acc, r) => {
-    const reason = String(r.reason || r.Reason || "UNKNOWN").trim();
-    const qty = Number(r.unfulfilled ?? r.Unfulfilled ?? 0);
-    acc[reason] = (acc[reason] || 0) + (Number.isFinite(qty) ? qty : 0);
-    return acc;
-  }, {});
-
-  const missingComponents = byReason["MISSING_COMPONENTS"] || 0;
-
-  const serviceLevel = Number(
-    executiveKpis?.onTimeFulfillment ??
-    executiveKpis?.serviceLevelPct ??
-    0
-  );
-
-  const lateDemand = Number(
-    executiveKpis?.lateFulfilledUnits ??
-    executiveKpis?.demandAtRiskUnits ??
-    0
-  );
-
-  const peakBacklog = Number(
-    executiveKpis?.peakBacklogUnits ??
-    executiveKpis?.unfulfilledDemandUnits ??
-    0
-  );
-
-  const missedServiceDays = Number(
-    executiveKpis?.missedServiceDays ??
-    0
-  );
-
-  const ttrDays = Number(
-    executiveKpis?.timeToRecoverDays ??
-    0
-  );
-
-  const totalProduction = (productionRows || []).reduce((sum, r) => {
-    const v = Number(r.produced ?? r.Produced ?? 0);
-    return sum + (Number.isFinite(v) ? v : 0);
-  }, 0);
-
-  let headline = "Simulation completed.";
-  let narrative = "Review KPI and chart outputs for scenario impact.";
-  let countermeasures = [];
-
-  const impactedFacilities = new Set(
-    (occurrenceRows || [])
-      .map((r) => upper(r.facility || r.Facility || r.location || r.Location || ""))
-      .filter(Boolean)
-  ).size;
-
-  if (serviceLevel >= 99 && lateDemand === 0) {
-    headline =
-      missingComponents > 0
-        ? "Supply chain remained stable despite upstream material constraints."
-        : "Supply chain remained stable under current conditions.";
-    narrative =
-      missingComponents > 0
-        ? `The network fulfilled ${shipped.toLocaleString()} units against ${demand.toLocaleString()} units of demand with no meaningful service degradation. Although ${missingComponents.toLocaleString()} missing component events were recorded across ${impactedFacilities || 0} impacted facilities, mitigation actions were sufficient to preserve downstream service and maintain production continuity.`
-        : `The network fulfilled ${shipped.toLocaleString()} units against ${demand.toLocaleString()} units of demand with no meaningful service degradation. Production flow remained stable, backlog did not accumulate materially, and no major component constraints were detected across the selected scope.`;
-    countermeasures = missingComponents > 0
-      ? [
-          "Maintain current mitigation measures that are preserving service performance.",
-          "Continue monitoring constrained materials for any further escalation in supply risk.",
-          "Review whether targeted safety stock increases could reduce future exposure to the same component constraint.",
-        ]
-      : [
-          "Maintain current sourcing and replenishment policies.",
-          "Monitor live incident feeds for early-warning changes in supply conditions.",
-          "Preserve baseline safety stock settings and continue routine network surveillance.",
-        ];
-  } else if (lateDemand > 0 || serviceLevel < 95) {
-    headline = missingComponents > 0
-      ? "Component shortages constrained production and reduced service."
-      : "Customer service degradation increased backlog across the network.";
-    narrative =
-      missingComponents > 0
-        ? `Upstream material shortages prevented full production execution, contributing to ${missingComponents.toLocaleString()} missing component events and ${lateDemand.toLocaleString()} units of late demand. As the disruption propagated across ${impactedFacilities || 0} impacted facilities, service level fell to ${serviceLevel.toFixed(1)}%, indicating that mitigation actions were not sufficient to fully protect downstream service.`
-        : `The model indicates that shipment performance fell below demand requirements, with ${lateDemand.toLocaleString()} units pushed late and on-time service level reduced to ${serviceLevel.toFixed(1)}%. While production continued, the network was unable to fully convert available supply into on-time fulfillment, signaling downstream service pressure and recovery risk.`;
-    countermeasures = missingComponents > 0
-      ? [
-          "Expedite constrained components from alternate or backup suppliers.",
-          "Temporarily prioritize high-value or customer-critical demand to protect service levels.",
-          "Increase safety stock buffers for the affected material at impacted facilities.",
-          "Evaluate production reallocation across available plants to reduce downstream backlog.",
-        ]
-      : [
-          "Re-prioritize customer allocation to stabilize on-time delivery performance.",
-          "Increase short-term replenishment frequency for constrained downstream nodes.",
-          "Review fulfillment sequencing rules to reduce avoidable backlog accumulation.",
-        ];
-  } else {
-    headline = "Network performance weakened but remained partially resilient.";
-    narrative =
-      `Demand was not fully met at target service levels, but the network maintained partial continuity through available production and shipment flows. Performance degradation was measurable, though not severe enough to represent a full operational breakdown in the selected scenario.`;
-    countermeasures = [
-      "Tighten monitoring on the affected lanes and facilities.",
-      "Review inventory positioning to improve resilience against additional variability.",
-      "Prepare targeted mitigation actions in case service conditions deteriorate further.",
-    ];
-  }
-
-  let networkHealth = "healthy";
-  let networkHealthLabel = "🟢 Healthy Network";
-
-  if (serviceLevel >= 99 && lateDemand === 0) {
-    networkHealth = "healthy";
-    networkHealthLabel = "🟢 Healthy Network";
-  } else if (serviceLevel < 90) {
-    networkHealth = "critical";
-    networkHealthLabel = "🔴 Critical Supply Disruption";
-  } else {
-    networkHealth = "stress";
-    networkHealthLabel = "🟠 Network Under Stress";
-  }
-
-  return {
-    demand,
-    shipped,
-    serviceLevel,
-    lateDemand,
-    peakBacklog,
-    missedServiceDays,
-    ttrDays,
-    missingComponents,
-    totalProduction,
-    headline,
-    narrative,
-    networkHealth,
-    networkHealthLabel,
-    countermeasures,
-  };
-}
-
+// Downloaded + parsed once per run inside the KPI worker, then served from its cache
 async function fetchCsvRows(url) {
   if (!url) return [];
-  const response = await axios.get(url, { responseType: "text" });
-  const parsed = Papa.parse(response.data, { header: true, skipEmptyLines: true });
-  const rows = Array.isArray(parsed.data) ? parsed.data : [];
-  return rows.filter((r) => r && typeof r === "object");
+  return loadCsvRows(url);
 }
 
 export default function App() {
@@ -379,40 +226,98 @@ export default function App() {
   // Facility selected on the map
   const [selectedFacility, setSelectedFacility] = useState(null);
 
-  const [simulationHistory, setSimulationHistory] = useState([]);
+  // Run history lives in lib/runStore; this mirrors it
+  const [simulationHistory, setSimulationHistory] = useState(() => getRuns());
+  useEffect(() => subscribeRuns(setSimulationHistory), []);
+  // { done, total } while a replication set is running
+  const [replicationProgress, setReplicationProgress] = useState(null);
+  // Run whose outputs are on screen (latest submit or a reloaded history entry)
+  const [activeRunId, setActiveRunId] = useState(null);
   const [selectedBaselineRunId, setSelectedBaselineRunId] = useState("");
+  const [officialBaselines, setOfficialBaselines] = useState(() => getOfficialBaselines());
+  useEffect(() => subscribeOfficialBaselines(setOfficialBaselines), []);
+  // { SKU: family } from a family column in the uploaded sku_values / demand
+  const [skuFamilyMap, setSkuFamilyMap] = useState({});
   const [summaryStats, setSummaryStats] = useState({});
   const [kpis, setKpis] = useState({});
+  // Worker inputs (urls, uploads, scope, options) behind the current kpis, for
+  // drill-downs and the SKU × facility breakdown (null for backend KPIs)
+  const [kpiInputs, setKpiInputs] = useState(null);
+
+  // Reporting currency + FX table (workspace-level, persisted in localStorage)
+  const [workspaceSettings, setWorkspaceSettings] = useState(() => getWorkspaceSettings());
+  useEffect(() => subscribeWorkspaceSettings(setWorkspaceSettings), []);
 
   // ===============================
   // BASELINE KPI SELECTION LOGIC
   // ===============================
+  const currentRun = useMemo(() => {
+    if (!Array.isArray(simulationHistory) || !simulationHistory.length) return null;
+    return simulationHistory.find((r) => r.id === activeRunId) || simulationHistory[0];
+  }, [simulationHistory, activeRunId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSkuFamilies({
+      demand: files?.demand || files?.demand_file || files?.demandCsv || null,
+      skuValues: files?.skuValues || files?.sku_values || null,
+    })
+      .then((map) => !cancelled && setSkuFamilyMap(map || {}))
+      .catch((e) => console.warn("⚠️ [Baseline] Could not read SKU families:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [files]);
+
+  // Pinned baseline for the SKUs on screen (family pin, else workspace pin).
+  // A pin whose run left history comes back with entry: null and missing: true
+  const officialBaseline = useMemo(() => {
+    const pin = resolveOfficialBaseline(officialBaselines, selectedSku, skuFamilyMap);
+    if (!pin) return null;
+    const entry = simulationHistory.find((r) => r.id === pin.runId) || null;
+    return { ...pin, entry, missing: !entry };
+  }, [officialBaselines, selectedSku, skuFamilyMap, simulationHistory]);
+
   const baselineOptions = useMemo(() => {
     if (!Array.isArray(simulationHistory) || simulationHistory.length < 2) return [];
 
-    return simulationHistory.slice(1).map((run, index) => {
+    return simulationHistory.flatMap((run, index) => {
+      if (run === currentRun) return [];
+
       const id = String(
         run?.run_id ||
         run?.id ||
         run?.createdAt ||
         run?.created_at ||
         run?.timestamp ||
-        `baseline_${index + 1}`
+        `baseline_${index}`
       );
 
       const labelBase =
         run?.createdAt ||
         run?.created_at ||
         run?.timestamp ||
-        `Run ${index + 2}`;
+        `Run ${index + 1}`;
 
-      return {
-        id,
-        label: `Run ${index + 2} • ${labelBase}`,
-        entry: run,
-      };
+      const official = officialBaseline?.entry === run;
+
+      return [
+        {
+          id,
+          label: official ? `★ ${officialBaseline.name} • ${labelBase}` : `Run ${index + 1} • ${labelBase}`,
+          entry: run,
+          official,
+        },
+      ];
     });
-  }, [simulationHistory]);
+  }, [simulationHistory, currentRun, officialBaseline]);
+
+  const officialBaselineOptionId = baselineOptions.find((o) => o.official)?.id || "";
+
+  // Comparisons start from the official baseline whenever one applies
+  useEffect(() => {
+    if (officialBaselineOptionId) setSelectedBaselineRunId(officialBaselineOptionId);
+  }, [officialBaselineOptionId]);
 
   useEffect(() => {
     if (!baselineOptions.length) {
@@ -421,8 +326,8 @@ export default function App() {
     }
 
     const exists = baselineOptions.some((o) => o.id === selectedBaselineRunId);
-    if (!exists) setSelectedBaselineRunId(baselineOptions[0].id);
-  }, [baselineOptions, selectedBaselineRunId]);
+    if (!exists) setSelectedBaselineRunId(officialBaselineOptionId || baselineOptions[0].id);
+  }, [baselineOptions, selectedBaselineRunId, officialBaselineOptionId]);
 
   const selectedBaselineEntry = useMemo(() => {
     if (!baselineOptions.length) return null;
@@ -433,19 +338,42 @@ export default function App() {
     );
   }, [baselineOptions, selectedBaselineRunId]);
 
-  const baselineKpis = useMemo(() => {
+  const storedBaselineKpis = useMemo(() => {
     const run = selectedBaselineEntry;
     if (!run) return null;
 
-    return (
+    const source =
       run?.report?.metrics?.kpis ||
       run?.executiveReport?.metrics?.kpis ||
       run?.raw?.kpis ||
       run?.kpis ||
-      null
-    );
+      null;
+
+    return source ? normalizeKpis(source) : null;
   }, [selectedBaselineEntry]);
 
+  // Deltas only mean something over the same period: a baseline stored under
+  // another analysis window is recomputed under the current one
+  const [windowedBaseline, setWindowedBaseline] = useState(null); // { id, kpis }
+  const baselineEntryId = selectedBaselineEntry?.id || null;
+  useEffect(() => {
+    if (!storedBaselineKpis || !kpiInputs) return undefined;
+    let cancelled = false;
+    computeKpisInWindow(storedBaselineKpis, selectedBaselineEntry, kpiInputs)
+      .then((next) => {
+        if (cancelled) return;
+        setWindowedBaseline(next === storedBaselineKpis ? null : { id: baselineEntryId, kpis: normalizeKpis(next) });
+      })
+      .catch((e) => console.warn("⚠️ [KPI] Baseline recompute for the analysis window failed:", e));
+    return () => {
+      cancelled = true;
+    };
+    // Keyed on the baseline id: history writes re-create the entry object
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [baselineEntryId, kpiInputs]);
+  const baselineKpis =
+    windowedBaseline && windowedBaseline.id === baselineEntryId ? windowedBaseline.kpis : storedBaselineKpis;
+
   const baselineLabel = useMemo(() => {
     if (!baselineOptions.length) return "No baseline selected";
 
@@ -456,6 +384,12 @@ export default function App() {
     );
   }, [baselineOptions, selectedBaselineRunId]);
 
+  // null = unknown (a run predates input tracking), [] = same inputs
+  const baselineInputDiff = useMemo(
+    () => diffRunInputs(currentRun?.inputs, selectedBaselineEntry?.inputs),
+    [currentRun, selectedBaselineEntry]
+  );
+
   const [scenarioImpactSummary, setScenarioImpactSummary] = useState(null);
 
   const [disruptionImpactData, setDisruptionImpactData] = useState([]);
@@ -475,7 +409,6 @@ export default function App() {
 
   // Tracks whether backend supplied KPIs for the CURRENT run
   const backendKpisRef = useRef(false);
-  const latestRunIdRef = useRef(null);
 
   const [userRole, setUserRole] = useState("");
   const [userPlan, setUserPlan] = useState("");
@@ -483,42 +416,7 @@ export default function App() {
   const persistRunKpis = (targetRunId, finalKpis) => {
     if (!targetRunId || !finalKpis || typeof finalKpis !== "object") return;
 
-    setSimulationHistory((prevHistory) => {
-      const nextHistory = (Array.isArray(prevHistory) ? prevHistory : []).map((run) => {
-        const runId =
-          run?.run_id ??
-          run?.runId ??
-          run?.id ??
-          run?.timestamp ??
-          run?.created_at ??
-          null;
-
-        if (String(runId) !== String(targetRunId)) return run;
-
-        return {
-          ...run,
-          kpis: {
-            ...(run?.kpis || {}),
-            ...finalKpis,
-          },
-          raw: {
-            ...(run?.raw || {}),
-            kpis: {
-              ...(run?.raw?.kpis || {}),
-              ...finalKpis,
-            },
-          },
-        };
-      });
-
-      try {
-        localStorage.setItem("forc_local_runs_v1", JSON.stringify(nextHistory));
-      } catch (err) {
-        console.warn("❌ [persistRunKpis] Failed to persist KPI payload", err);
-      }
-
-      return nextHistory;
-    });
+    updateRun(targetRunId, { kpis: finalKpis });
   };
 
   // Keep scenario ref + localStorage sync
@@ -558,12 +456,6 @@ export default function App() {
     const token = localStorage.getItem("token") || localStorage.getItem("access_token");
     setIsAuthenticated(!!token);
 
-    // Always seed local history first (so you NEVER see an empty history panel)
-    const localRuns = loadLocalRunsSafe();
-    if (localRuns.length > 0) {
-      setSimulationHistory(localRuns);
-    }
-
     if (!token) return;
 
     const boot = async () => {
@@ -642,49 +534,36 @@ export default function App() {
     setSelectedFacility(facilityName);
   };
 
-  // Remote history (Pro+) — merge with local
+  // Remote history (Pro+) — two-way sync with the local run store
   const fetchSimulationHistory = async () => {
     try {
-      const res = await apiClient.get("/api/simulations");
-      const remote = Array.isArray(res.data) ? res.data : [];
-      const local = loadLocalRunsSafe();
-
-      // merge (prefer remote)
-      const merged = [
-
-        ...remote.map((r) => ({ ...r, _source: "remote" })),
-        ...local
-          .filter((lr) => {
-            const lid = lr?.id || lr?.run_id;
-            return !remote.some((rr) => (rr?.id || rr?.run_id) === lid);
-          })
-          .map((r) => ({ ...r, _source: "local" })),
-      ];
-
-      setSimulationHistory(merged);
+      const summary = await syncRunHistory();
+      console.log("🔁 [RunSync] History synced:", summary);
     } catch (err) {
       const status = err?.response?.status;
       if (status === 401 || status === 403) {
         console.log("🔒 /api/simulations blocked (plan gating). Using local history.");
-        setSimulationHistory(loadLocalRunsSafe());
         return;
       }
       console.error("❌ Error fetching simulation history:", err);
-      setSimulationHistory(loadLocalRunsSafe());
     }
   };
 
+  // Sync as soon as the plan allows it (covers mid-session upgrades) and
+  // again whenever the connection comes back
+  useEffect(() => {
+    if (!isProPlusPlan(userPlan)) return undefined;
+    fetchSimulationHistory();
+    const onOnline = () => fetchSimulationHistory();
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [userPlan]);
+
   // Robust chart data loader — single source of truth
   const loadFilteredChart = async (urls, outputType, skuFilterRaw) => {
     try {
       console.log("📥 [Chart] Loading", outputType, "for", skuFilterRaw);
 
-      const skuFilter = Array.isArray(skuFilterRaw)
-        ? skuFilterRaw.filter(Boolean).map((s) => lower(s))
-        : skuFilterRaw
-        ? [lower(skuFilterRaw)]
-        : [];
-
       const url =
         urls?.[`${outputType}_output_file_url`] ||
         urls?.[`${outputType}.csv`] ||
@@ -703,133 +582,25 @@ export default function App() {
         return;
       }
 
-      const results = await fetchCsvRows(url);
+      const series = await buildRunChartSeries(url, outputType, {
+        skus: skuFilterRaw,
+        facility: selectedFacility || null,
+      });
 
-      console.log("📊 [Chart] csv rows loaded", {
+      console.log("📊 [Chart] series built", {
         outputType,
-        rowCount: results.length,
-        sample: results[0],
+        ...series.debug,
+        labelsCount: series.labels.length,
+        datasetCount: series.datasets.length,
       });
 
-      if (!results.length) {
+      if (!series.debug.rowCount) {
         console.warn("⚠️ [Chart] CSV empty:", url);
         return;
       }
 
-      const sample = results[0] || {};
-
-      const dateKey =
-        pickFirstKey(sample, ["date", "day", "period", "time", "timestamp", "period_start", "period_end"]) ||
-        Object.keys(sample)[0];
-
-      const skuKey =
-        pickFirstKey(sample, ["sku", "item", "part", "product", "id"]) ||
-        Object.keys(sample)[1];
-
-      let desiredValueKey =
-        outputType === "inventory"
-          ? ["ending_inventory", "inventory", "on_hand", "level", "initial_inventory"]
-          : outputType === "production"
-          ? ["produced", "production", "qty"]
-          : outputType === "flow"
-          ? ["flow"]
-          : ["unfulfilled", "event", "value", "amount"];
-
-      const valueKey = pickFirstKey(sample, desiredValueKey) || Object.keys(sample)[2];
-
-      const filtered = results.filter((row) => {
-        const skuVal = lower(row[skuKey]);
-        const facilityVal =
-          row.facility ||
-          row.Facility ||
-          row.facility_id ||
-          row.Location ||
-          row.location ||
-          row.from ||
-          row.from_facility ||
-          "";
-
-        const skuMatch = skuFilter.length === 0 || skuFilter.includes(skuVal);
-        const facilityMatch =
-          !selectedFacility || upper(facilityVal) === upper(selectedFacility);
-
-        if (outputType === "flow") {
-          const ft = lower(row.flow_type || row.type || "");
-          const isCustomerShip =
-            ft === "customer_ship" || ft === "customer ship" || ft === "customership";
-          return skuMatch && facilityMatch && isCustomerShip;
-        }
-
-        return skuMatch && facilityMatch;
-      });
-
-      console.log("📊 [Chart] filtered rows", {
-        outputType,
-        filteredCount: filtered.length,
-        skuFilter,
-        selectedFacility,
-        dateKey,
-        skuKey,
-        valueKey,
-        sampleFiltered: filtered[0],
-      });
-
-      const dateSet = [...new Set(filtered.map((r) => r[dateKey]))].filter(Boolean).sort();
-
-      const skuGroups = {};
-      filtered.forEach((row) => {
-        const skuVal = str(row[skuKey] || "Unknown").trim();
-        const dateVal = row[dateKey];
-        const numVal = toNum(row[valueKey]);
-        if (!skuGroups[skuVal]) skuGroups[skuVal] = {};
-        // sum if multiple rows collide on same date
-        skuGroups[skuVal][dateVal] = (skuGroups[skuVal][dateVal] || 0) + numVal;
-      });
-
-      const datasets = Object.entries(skuGroups).map(([skuName, dateMap]) => ({
-        label: skuName,
-        data: dateSet.map((d) => (dateMap[d] ?? null)),
-        fill: false,
-        borderWidth: 2,
-        tension: 0.25,
-      }));
-
-      console.log("📊 [Chart] final datasets", {
-        outputType,
-        labelsCount: dateSet.length,
-        datasetCount: datasets.length,
-        firstDataset: datasets[0],
-      });
-
-      if (outputType === "inventory") {
-        console.log(
-          "🧪 [Inventory Debug JSON]",
-          JSON.stringify(
-            {
-              dateKey,
-              skuKey,
-              valueKey,
-              sampleRow: results[0],
-              firstFilteredRow: filtered[0],
-              firstDatasetLabel: datasets[0]?.label,
-              firstDatasetData: datasets[0]?.data?.slice(0, 10),
-            },
-            null,
-            2
-          )
-        );
-      }
-
-      setChartData({ labels: dateSet, datasets });
-
-      const total = filtered.reduce((sum, r) => sum + toNum(r[valueKey]), 0);
-      const avg = (total / Math.max(filtered.length || 1, 1)).toFixed(2);
-      const uniqueDates = [...new Set(filtered.map((r) => r[dateKey]))].length;
-      const uniqueFacilities = new Set(
-        filtered.map((r) => r.facility || r.Facility || r.Location || r.location).map((x) => upper(x))
-      ).size;
-
-      setSummaryStats({ total, avg, uniqueDates, uniqueFacilities });
+      setChartData({ labels: series.labels, datasets: series.datasets });
+      setSummaryStats(series.summaryStats);
     } catch (err) {
       console.error("❌ [Chart] Failed to load chart data:", err);
     }
@@ -855,741 +626,64 @@ export default function App() {
     }
   };
 
-  // ✅ KPI aggregation — FIXED source of truth for service KPIs
-  const runAllKpiUpdates = async (urlsOverride, skuOverride) => {
-    const urls = urlsOverride || outputUrls;
-    if (!urls) return;
-
+  // ✅ KPI aggregation — fetching, parsing and all math run in the KPI worker
+  // (lib/kpiWorkerClient); output files are parsed once per run and reused
+  // Worker inputs for the current scope, uploads and workspace settings
+  const buildKpiInputs = (urls, skuOverride) => {
     const effectiveSkusLocal = getEffectiveSkus((skuOverride ?? selectedSku), skuOptions);
-    const demoSkusLocal = getDemoSkus(effectiveSkusLocal);
-    const skuFilter = demoSkusLocal
-      .filter(Boolean)
-      .map(normalizeSku);
-
-    const facilityFilter = selectedFacility ? upper(selectedFacility) : null;
+    const scope = {
+      skus: getDemoSkus(effectiveSkusLocal),
+      facility: selectedFacility || null,
+      window: workspaceSettings.analysisWindow,
+    };
+    const uploads = {
+      demand: files?.demand || files?.demand_file || files?.demandCsv || null,
+      skuValues: files?.skuValues || files?.sku_values || null,
+      locationMaterials: files?.locationMaterials || files?.location_materials || null,
+    };
+    const kpiOptions = {
+      reportingCurrency: workspaceSettings.reportingCurrency,
+      sourceCurrency: workspaceSettings.sourceCurrency,
+      fxRates: workspaceSettings.fxRates,
+      trendGranularity: workspaceSettings.trendGranularity,
+    };
+    return { urls, uploads, scope, options: kpiOptions };
+  };
 
-    const allKpis = {};
+  // Uploads the KPIs read but /api/run doesn't get, kept in the input snapshot
+  const kpiSnapshotFiles = () => ({ sku_values: files?.skuValues || files?.sku_values || null });
 
+  const runAllKpiUpdates = async (urlsOverride, skuOverride) => {
+    const urls = urlsOverride || outputUrls;
+    if (!urls) return;
 
-    let avgInventoryNum = 0;
+    const inputs = buildKpiInputs(urls, skuOverride);
+    // KPIs (and the window they used) belong to the run these outputs came from
+    const targetRunId = activeRunId;
 
-    let invUniqueDays = 0;
     try {
-      // ----- INVENTORY KPIs -----
-      if (urls.inventory_output_file_url) {
-        const invRows = await fetchCsvRows(urls.inventory_output_file_url);
-
-        const sample = invRows[0] || {};
-        const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
-        const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
-        const invKey =
-          pickFirstKey(sample, ["ending_inventory", "inventory", "on_hand", "level", "initial_inventory"]) ||
-          "ending_inventory";
-
-        const invFiltered = invRows.filter((r) => {
-          const sku = normalizeSku(r[skuKey] || r.sku || r.SKU);
-          const fac = upper(r[facKey] || r.facility || r.facility_id || r.Location || r.location);
-          const skuMatch = skuFilter.length === 0 || skuFilter.includes(sku);
-          const facMatch = !facilityFilter || fac === facilityFilter;
-          return skuMatch && facMatch;
-        });
-
-        const invValues = invFiltered.map((r) => toNum(r[invKey])).filter((n) => Number.isFinite(n));
-        const avgInventory = invValues.length ? invValues.reduce((a, b) => a + b, 0) / invValues.length : 0;
-
-        allKpis.avgInventory = avgInventory.toFixed(1);
+      const t0 = performance.now();
+      const { kpis: finalKpis, scenarioImpactSummary, hasDemand } = await computeRunKpis(inputs);
 
-        avgInventoryNum = avgInventory;
-
-        try {
-
-          const invDates = (invFiltered || []).map((r) => r.date || r.Date || r.day || r.Day).filter(Boolean);
-
-          invUniqueDays = new Set(invDates).size;
-
-        } catch { invUniqueDays = 0; }
-      }
-
-      // ----- PRODUCTION KPIs -----
-      if (urls.production_output_file_url) {
-        const prodRows = await fetchCsvRows(urls.production_output_file_url);
-        const sample = prodRows[0] || {};
-        const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
-        const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
-        const prodKey = pickFirstKey(sample, ["produced", "production", "qty"]) || "produced";
-        const recKey = pickFirstKey(sample, ["recovery_days", "ttr", "recovery"]) || "recovery_days";
-
-        let totalProduction = 0;
-        const facilityRecovery = {};
-
-        prodRows.forEach((row) => {
-          const sku = normalizeSku(row[skuKey] || row.sku);
-          const fac = upper(row[facKey] || row.facility || row.facility_id || "");
-          if (skuFilter.length && !skuFilter.includes(sku)) return;
-          if (facilityFilter && fac !== facilityFilter) return;
-
-          const produced = toNum(row[prodKey]);
-          totalProduction += produced;
-
-          const recovery = parseInt(row[recKey] || 0, 10) || 0;
-          if (produced > 0 && fac) {
-            facilityRecovery[fac] = Math.max(facilityRecovery[fac] || 0, recovery);
-          }
-        });
-
-        const impactedFacilities = Object.keys(facilityRecovery).length;
-        const avgTimeToRecovery =
-          impactedFacilities > 0
-            ? Math.round(Object.values(facilityRecovery).reduce((a, b) => a + b, 0) / impactedFacilities)
-            : 0;
-
-        allKpis.totalProduction = totalProduction.toFixed(0);
-        allKpis.impactedFacilities = impactedFacilities;
-        allKpis.avgTimeToRecovery = avgTimeToRecovery;
-      }
-
-      // ----- SERVICE KPIs (SOURCE OF TRUTH = demand.csv + CUSTOMER_SHIP rows) -----
-      // Truth definition for demo:
-      // - Demand = total qty in demand.csv for selected SKU/facility scope
-      // - Fulfillment = CUSTOMER_SHIP flow rows
-      // - BackorderVolume = latest backlog_out from CUSTOMER_SHIP rows
-      // - OnTimeFulfillment = fulfilled / demand
-      //
-      // Important:
-      // - shipped_downstream is not customer fulfillment
-      // - inbound replenishment into OEM is not customer fulfillment
-      // - only CUSTOMER_SHIP rows count as service fulfillment
-      if (urls.flow_output_file_url) {
-        const flowRows = await fetchCsvRows(urls.flow_output_file_url);
-
-        // 1) Load demand truth from uploaded demand file
-        let demandRows = [];
-        try {
-          const demandFile = files?.demand || files?.demand_file || files?.demandCsv;
-          if (demandFile) {
-            const demandText = await demandFile.text();
-            const parsed = Papa.parse(demandText, { header: true, skipEmptyLines: true });
-            demandRows = Array.isArray(parsed.data) ? parsed.data : [];
-          } else {
-            console.warn("⚠️ [KPI] No uploaded demand file found; service KPI demand truth unavailable.");
-          }
-        } catch (e) {
-          console.warn("⚠️ [KPI] Failed to parse uploaded demand file:", e);
-        }
-
-        const demandSample = demandRows[0] || {};
-        const flowSample = flowRows[0] || {};
-
-        const demandSkuKey = pickFirstKey(demandSample, ["sku"]) || "sku";
-        const demandFacilityKey =
-          pickFirstKey(demandSample, ["facility", "facility_id", "location"]) || "facility";
-        const demandQtyKey = pickFirstKey(demandSample, ["demand", "qty", "quantity"]) || "demand";
-
-        const flowSkuKey = pickFirstKey(flowSample, ["sku"]) || "sku";
-        const flowFromKey =
-          pickFirstKey(flowSample, ["from", "from_facility", "facility", "facility_id", "location"]) || "from";
-        const flowQtyKey = pickFirstKey(flowSample, ["flow", "quantity", "shipped"]) || "flow";
-        const flowTypeKey = pickFirstKey(flowSample, ["flow_type", "type"]) || "flow_type";
-        const backlogOutKey = pickFirstKey(flowSample, ["backlog_out", "backorder", "unfulfilled"]) || "backlog_out";
-        const dateKey = pickFirstKey(flowSample, ["date", "day", "timestamp", "time"]) || "date";
-
-        // Scope demand rows
-        const scopedDemandRows = demandRows.filter((r) => {
-          const sku = normalizeSku(r[demandSkuKey] || r.sku);
-          const fac = upper(
-            r[demandFacilityKey] || r.facility || r.facility_id || r.location || r.Location || ""
-          );
-
-          const skuMatch = skuFilter.length === 0 || skuFilter.includes(sku);
-          const facMatch = !facilityFilter || fac === facilityFilter;
-          return skuMatch && facMatch;
-        });
-
-        const demandBySku = scopedDemandRows.reduce((acc, r) => {
-          const sku = normalizeSku(r[demandSkuKey] || r.sku || r.SKU);
-          const qty = toNum(r[demandQtyKey]);
-          if (!sku) return acc;
-          acc[sku] = (acc[sku] || 0) + qty;
-          return acc;
-        }, {});
-
-        
-
-        const demandFacilities = new Set(
-          scopedDemandRows
-            .map((r) =>
-              upper(
-                r[demandFacilityKey] || r.facility || r.facility_id || r.location || r.Location || ""
-              )
-            )
-            .filter(Boolean)
-        );
-
-        // Only CUSTOMER_SHIP rows count as customer fulfillment
-        const customerShipRows = flowRows
-          .filter((r) => {
-            const sku = normalizeSku(r[flowSkuKey] || r.sku);
-            const skuMatch = skuFilter.length === 0 || skuFilter.includes(sku);
-            if (!skuMatch) return false;
-
-            const ft = lower(r[flowTypeKey] || r.flow_type || r.type);
-            const isCustomerShip =
-              ft === "customer_ship" || ft === "customer ship" || ft === "customership";
-            if (!isCustomerShip) return false;
-
-            const fromFacility = upper(
-              r[flowFromKey] ||
-                r.from ||
-                r.from_facility ||
-                r.facility ||
-                r.facility_id ||
-                r.location ||
-                ""
-            );
-
-            const facMatch =
-              !facilityFilter || fromFacility === facilityFilter || demandFacilities.has(fromFacility);
-
-            return facMatch;
-          })
-          .map((r) => ({
-            date: r[dateKey],
-            flow: toNum(r[flowQtyKey]),
-            backlogOut: toNum(r[backlogOutKey]),
-          }))
-          .sort((a, b) => new Date(a.date) - new Date(b.date));
-          
-        // Filter demand to analysis window only (exclude warmup period)
-        const analysisStartDate = customerShipRows.length > 0
-          ? customerShipRows[0].date
-          : null;
-
-        const filteredDemandRows = analysisStartDate
-          ? scopedDemandRows.filter((r) => {
-              const d = String(r.date || r.Date || r.day || "").slice(0, 10);
-              return d >= analysisStartDate;
-            })
-          : scopedDemandRows;
-
-        const totalDemand = filteredDemandRows.reduce((sum, r) => sum + toNum(r[demandQtyKey]), 0);
-
-        const demandMixBySku = Object.fromEntries(
-          Object.entries(demandBySku).map(([sku, qty]) => [
-            sku,
-            totalDemand > 0 ? qty / totalDemand : 0,
-          ])
-        );
-
-        const fulfilledCustomerShip = customerShipRows.reduce((sum, r) => sum + toNum(r.flow), 0);
-        const latestBacklogOut =
-          customerShipRows.length > 0
-            ? toNum(customerShipRows[customerShipRows.length - 1].backlogOut)
-            : Math.max(0, totalDemand - fulfilledCustomerShip);
-
-        const fulfillmentFracRaw = totalDemand > 0 ? fulfilledCustomerShip / totalDemand : 0;
-        const fulfillmentFrac = Math.max(0, Math.min(1, fulfillmentFracRaw));
-        const backorderVolume = Math.max(0, latestBacklogOut);
-        const backorderRateFrac = totalDemand > 0 ? backorderVolume / totalDemand : 0;
-        const missedDemandQty = Math.max(0, totalDemand - fulfilledCustomerShip);
-
-        allKpis.demandFulfillment = `${(100 * fulfillmentFrac).toFixed(1)}%`;
-        allKpis.endingBacklogRate = `${(100 * backorderRateFrac).toFixed(1)}%`;
-        allKpis.backorderVolume = `${Math.round(backorderVolume)}`;
-
-        // Canonical decision-engine KPI fields (numeric where possible)
-        allKpis.onTimeFill = Number((100 * fulfillmentFrac).toFixed(2));
-        allKpis.peakBacklog = Math.round(backorderVolume);
-        allKpis.unitsAtRisk = Math.round(backorderVolume);
-
-        const MS_PER_DAY = 1000 * 60 * 60 * 24;
-
-        const datedCustomerShipRows = customerShipRows.filter((r) => {
-          const dt = new Date(r.date);
-          return r.date && !Number.isNaN(dt.getTime());
-        });
-
-        const impactedRows = datedCustomerShipRows.filter((r) => toNum(r.backlogOut) > 0);
-
-        const firstObservedDate =
-          datedCustomerShipRows.length > 0
-            ? new Date(datedCustomerShipRows[0].date)
-            : null;
-
-        const lastObservedDate =
-          datedCustomerShipRows.length > 0
-            ? new Date(datedCustomerShipRows[datedCustomerShipRows.length - 1].date)
-            : null;
-
-        const firstImpactDate =
-          impactedRows.length > 0
-            ? new Date(impactedRows[0].date)
-            : null;
-
-        const recoveryRow =
-          firstImpactDate
-            ? datedCustomerShipRows.find((r) => {
-                const dt = new Date(r.date);
-                return dt >= firstImpactDate && toNum(r.backlogOut) <= 0;
-              })
-            : null;
-
-        const recoveryDate =
-          recoveryRow?.date
-            ? new Date(recoveryRow.date)
-            : lastObservedDate;
-
-        const missedServiceDays = impactedRows.length;
-
-        const ttsDays =
-          firstObservedDate && firstImpactDate
-            ? Math.max(0, Math.round((firstImpactDate - firstObservedDate) / MS_PER_DAY))
-            : 0;
-
-        const ttrDays =
-          firstImpactDate && recoveryDate
-            ? Math.max(0, Math.round((recoveryDate - firstImpactDate) / MS_PER_DAY))
-            : 0;
-
-        allKpis.missedServiceDays = missedServiceDays;
-        allKpis.ttsDays = ttsDays;
-        allKpis.ttrDays = ttrDays;
-
-        // Backward-compatible aliases for existing UI
-        allKpis.onTimeFulfillment = allKpis.demandFulfillment;
-        allKpis.backorderRate = allKpis.endingBacklogRate;
-
-        const estimatedRevenueExposure = missedDemandQty > 0
-          ? Object.entries(demandMixBySku).reduce((sum, [sku, share]) => {
-              const unitValue = SKU_VALUE_MAP[sku] || DEFAULT_SKU_VALUE;
-              return sum + missedDemandQty * share * unitValue;
-            }, 0)
-          : 0;
-
-        const endingBacklogExposure = backorderVolume > 0
-          ? Object.entries(demandMixBySku).reduce((sum, [sku, share]) => {
-              const unitValue = SKU_VALUE_MAP[sku] || DEFAULT_SKU_VALUE;
-              return sum + backorderVolume * share * unitValue;
-            }, 0)
-          : 0;
-
-        allKpis.estimatedRevenueExposure = estimatedRevenueExposure;
-        allKpis.endingBacklogExposure = endingBacklogExposure;
-        allKpis.revenueExposure = allKpis.estimatedRevenueExposure;
-
-        if (avgInventoryNum > 0 && invUniqueDays > 0) {
-          const annualFactor = 365 / Math.max(invUniqueDays, 1);
-          const annualizedThroughput = fulfilledCustomerShip * annualFactor;
-          const turns = annualizedThroughput / avgInventoryNum;
-          allKpis.estimatedInventoryTurns = `${turns.toFixed(1)}x`;
-          allKpis.inventoryTurns = allKpis.estimatedInventoryTurns;
-        } else {
-          allKpis.estimatedInventoryTurns = "N/A";
-          allKpis.inventoryTurns = allKpis.estimatedInventoryTurns;
-        }
-
-        // ----- INVENTORY BUFFER INDEX (days of demand coverage) -----
-        try {
-          const avgDailyDemand = invUniqueDays > 0 ? totalDemand / Math.max(invUniqueDays, 1) : 0;
-          if (avgInventoryNum > 0 && avgDailyDemand > 0) {
-            const ibiDays = avgInventoryNum / avgDailyDemand;
-            allKpis.estimatedDaysCoverage = `${ibiDays.toFixed(1)} days`;
-            allKpis.inventoryBuffer = allKpis.estimatedDaysCoverage;
-          } else {
-            allKpis.estimatedDaysCoverage = "N/A";
-            allKpis.inventoryBuffer = allKpis.estimatedDaysCoverage;
-          }
-        } catch (e) {
-          console.warn("⚠️ [KPI] inventoryBuffer calc failed:", e);
-          allKpis.estimatedDaysCoverage = "N/A";
-          allKpis.inventoryBuffer = allKpis.estimatedDaysCoverage;
-        }
-
-        
-        // 🔥 CORRECTED SERVICE TRUTH (date-aware)
-        let onTimeFulfilled = 0;
-        let lateFulfilled = 0;
-        let runningBacklog = 0;
-        let peakBacklog = 0;
-        let missedDays = 0;
-
-        const demandByDate = {};
-        const shipByDate = {};
-
-        // Build demand from the demand CSV (source of truth) not flow rows
-        filteredDemandRows.forEach((r) => {
-          const dateVal = String(r.date || r.Date || r.day || "").slice(0, 10);
-          const qty = toNum(r[demandQtyKey]);
-          if (dateVal) demandByDate[dateVal] = (demandByDate[dateVal] || 0) + qty;
-        });
-
-        // Build shipments from customer ship flow rows
-        customerShipRows.forEach((r) => {
-          const d = String(r.date || "").slice(0, 10);
-          if (d) shipByDate[d] = (shipByDate[d] || 0) + toNum(r.flow);
-        });
-
-        const orderedDates = Object.keys(demandByDate).sort();
-
-        orderedDates.forEach((d) => {
-          const demand = demandByDate[d] || 0;
-          const shipped = shipByDate[d] || 0;
-
-          const onTime = Math.min(shipped, demand);
-          const late = Math.max(0, shipped - demand);
-
-          onTimeFulfilled += onTime;
-          lateFulfilled += late;
-
-          runningBacklog += demand - onTime;
-
-          if (runningBacklog > peakBacklog) peakBacklog = runningBacklog;
-          if (demand > onTime) missedDays += 1;
-
-          if (late > 0) {
-            runningBacklog = Math.max(0, runningBacklog - late);
-          }
-        });
-
-        const correctedOnTimePct =
-          totalDemand > 0 ? (onTimeFulfilled / totalDemand) * 100 : 0;
-
-        // 🔥 OVERRIDE KPIs WITH CORRECT VALUES
-        allKpis.onTimeFulfillment = correctedOnTimePct;
-        allKpis.lateFulfilledUnits = lateFulfilled;
-        allKpis.peakBacklogUnits = peakBacklog;
-        allKpis.missedServiceDays = missedDays;
-// 🔥 OVERRIDE serviceTruth WITH CORRECT VALUES
-      const serviceTruth = {
-        totalDemand,
-        onTimeFillRatePct: correctedOnTimePct,
-        lateFulfilledUnits: Math.max(
-          0,
-          Number(fulfilledCustomerShip || 0) - Number(onTimeFulfilled || 0)
-        ),
-        peakBacklogUnits: peakBacklog,
-        daysWithMissedService: missedDays,
-      };
-
-      allKpis.serviceTruth = serviceTruth;
-        allKpis.onTimeFulfillment = Number(serviceTruth?.onTimeFillRatePct || 0);
-        allKpis.lateFulfilledUnits = Number(serviceTruth?.lateFulfilledUnits || 0);
-        allKpis.unitsAtRisk = Number(serviceTruth?.lateFulfilledUnits || 0);
-        allKpis.peakBacklogUnits = Number(serviceTruth?.peakBacklogUnits || 0);
-        allKpis.peakBacklog = Number(serviceTruth?.peakBacklogUnits || 0);
-        allKpis.missedServiceDays = Number(serviceTruth?.daysWithMissedService || 0);
-console.log("📦 [KPI] Service truth JSON:", JSON.stringify(serviceTruth, null, 2));
-
-      // OLD LOG BELOW (for reference)
-      console.log("📦 [KPI] Service truth (legacy):", {
-          totalDemand,
-          fulfilledCustomerShip,
-          missedDemandQty,
-          backorderVolume,
-          estimatedRevenueExposure,
-          endingBacklogExposure,
-          fulfillmentPercentRaw: (100 * fulfillmentFracRaw).toFixed(1),
-          fulfillmentPercentClamped: (100 * fulfillmentFrac).toFixed(1),
-          customerShipRowCount: customerShipRows.length,
-          demandFacilities: Array.from(demandFacilities),
-        });
+      if (!hasDemand) {
+        console.warn("⚠️ [KPI] No uploaded demand file found; service KPI demand truth unavailable.");
       }
-      // ----- COST TO SERVE + EXPEDITE RATIO (flow output, all flow types) -----
-      if (urls.flow_output_file_url) {
-        const flowRows = await fetchCsvRows(urls.flow_output_file_url);
-        const sample = flowRows[0] || {};
-        const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
-        const facKey = pickFirstKey(sample, ["facility", "facility_id", "to", "from", "location"]) || "facility";
-        const qtyKey = pickFirstKey(sample, ["quantity", "flow", "shipped"]) || "quantity";
-        const cpuKey = pickFirstKey(sample, ["cost_per_unit", "cpu", "unit_cost"]) || "cost_per_unit";
-        const expKey = pickFirstKey(sample, ["expedited", "expedite", "is_expedited"]) || "expedited";
-
-        const filtered = flowRows.filter((r) => {
-          const sku = normalizeSku(r[skuKey] || r.sku);
-          const fac = upper(r[facKey] || r.facility || r.facility_id || r.to || r.from || "");
-          const skuMatch = skuFilter.length === 0 || skuFilter.includes(sku);
-          const facMatch = !facilityFilter || fac === facilityFilter;
-          return skuMatch && facMatch;
-        });
 
-        const totalCost = filtered.reduce((sum, r) => {
-          const quantity = toNum(r[qtyKey]);
-          const cpu = toNum(r[cpuKey] ?? 10);
-          return sum + quantity * cpu;
-        }, 0);
+      setScenarioImpactSummary(scenarioImpactSummary);
 
-        const customerShipRowsForCost = filtered.filter((r) => {
-          const ft = lower(r.flow_type || r.FlowType || r.type || "");
-          return ft === "customer_ship" || ft === "customer ship" || ft === "customership";
-        });
-
-        const shippedUnits = customerShipRowsForCost.reduce((sum, r) => {
-          const quantity = toNum(r[qtyKey] ?? r.flow ?? r.Flow ?? r.quantity ?? r.Quantity ?? r.shipped ?? r.Shipped);
-          return sum + quantity;
-        }, 0);
-
-        const expediteCount = filtered.filter((r) => {
-          const v = lower(r[expKey]);
-          return v === "true" || v === "1" || v === "yes";
-        }).length;
-
-        const expediteRatio = filtered.length ? (100 * expediteCount) / filtered.length : 0;
-
-        allKpis.costToServe = shippedUnits > 0
-          ? new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'USD',
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2,
-            }).format(totalCost / shippedUnits)
-          : "--";
-        allKpis.expediteRatio = `${expediteRatio.toFixed(1)}%`;
-      }
-
-      // ----- OCCURRENCE COUNT (sanity metric) -----
-      if (urls.occurrence_output_file_url) {
-        const occRows = await fetchCsvRows(urls.occurrence_output_file_url);
-        const sample = occRows[0] || {};
-        const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
-        const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
-        const dateKey = pickFirstKey(sample, ["date", "Date", "day", "Day"]) || "date";
-
-        const filtered = occRows.filter((r) => {
-          const sku = normalizeSku(r[skuKey] || r.sku);
-          const fac = upper(r[facKey] || r.facility || r.facility_id || "");
-          const skuMatch = skuFilter.length === 0 || skuFilter.includes(sku);
-          const facMatch = !facilityFilter || fac === facilityFilter;
-          return skuMatch && facMatch;
-        });
-
-        allKpis.occurrenceCount = `${filtered.length}`;
-
-        // ----- TIME TO RECOVERY (occurrence-span based) -----
-        try {
-          const occDates = filtered
-            .map((r) => r[dateKey] || r.date || r.Date || r.day || r.Day)
-            .filter(Boolean)
-            .map((d) => new Date(d))
-            .filter((d) => !Number.isNaN(d.getTime()));
-
-          if (occDates.length > 0) {
-            const first = new Date(Math.min(...occDates.map((d) => d.getTime())));
-            const last = new Date(Math.max(...occDates.map((d) => d.getTime())));
-            const diffDays = Math.round((last - first) / (1000 * 60 * 60 * 24));
-            allKpis.timeToRecovery = `${diffDays} days`;
-            allKpis.ttrDays = diffDays;
-            allKpis.timeToRecoverDays = diffDays;
-          } else {
-            allKpis.timeToRecovery = "N/A";
-          }
-        } catch (e) {
-          console.warn("⚠️ [KPI] timeToRecovery calc failed:", e);
-          allKpis.timeToRecovery = "N/A";
-        }
-      }
-
-      
-      const toNumber = (v) => {
-        if (v == null || v === "") return 0;
-        if (typeof v === "number") return v;
-        if (typeof v === "string") {
-          const cleaned = v.replace(/[$,%]/g, "");
-          const n = parseFloat(cleaned);
-          return Number.isFinite(n) ? n : 0;
-        }
-        return 0;
-      };
-
-console.log("KPI_DEBUG_DUMP", allKpis);
-
-      const serviceTruth =
-        allKpis?.serviceTruth ??
-        allKpis?.service_truth ??
-        {};
-
-      const normalizedServiceKpis = {
-          serviceLevelPct: Number(
-            serviceTruth?.onTimeFillRatePct ??
-            serviceTruth?.onTimeFillPct ??
-            toNumber(allKpis?.onTimeFulfillment) ??
-            0
-          ),
-        onTimeFulfillment: Number(
-          serviceTruth?.onTimeFillRatePct ??
-          serviceTruth?.onTimeFillPct ??
-          toNumber(allKpis?.onTimeFulfillment) ??
-          toNumber(allKpis?.onTimeFill) ??
-          toNumber(allKpis?.demandFulfillment) ??
-          0
-        ),
-        lateFulfilledUnits: Number(
-          serviceTruth?.lateFulfilledUnits ?? 0
-        ),
-        peakBacklogUnits: Number(
-          serviceTruth?.peakBacklogUnits ??
-          serviceTruth?.peakBacklog ??
-          serviceTruth?.backorderVolume ??
-          allKpis?.peakBacklogUnits ??
-          allKpis?.peakBacklog ??
-          0
-        ),
-        missedServiceDays: Number(
-          serviceTruth?.daysWithMissedService ??
-          serviceTruth?.missedServiceDays ??
-          allKpis?.missedServiceDays ??
-          0
-        ),
-        timeToRecoverDays: Number(
-          serviceTruth?.timeToRecoverDays ??
-          serviceTruth?.avgTimeToRecovery ??
-          allKpis?.timeToRecoverDays ??
-          allKpis?.ttrDays ??
-          allKpis?.avgTimeToRecovery ??
-          0
-        ),
-        timeToSurviveDays: Number(
-          serviceTruth?.timeToSurviveDays ??
-          serviceTruth?.ttsDays ??
-          allKpis?.timeToSurviveDays ??
-          allKpis?.ttsDays ??
-          0
-        ),
-        unitsAtRisk: Number(
-          allKpis?.lateFulfilledUnits ?? 0
-        ),
-        peakBacklog: Number(
-          serviceTruth?.peakBacklogUnits ??
-          serviceTruth?.peakBacklog ??
-          serviceTruth?.backorderVolume ??
-          allKpis?.peakBacklog ??
-          0
-        ),
-        ttrDays: Number(
-          serviceTruth?.timeToRecoverDays ??
-          serviceTruth?.avgTimeToRecovery ??
-          allKpis?.ttrDays ??
-          allKpis?.avgTimeToRecovery ??
-          0
-        ),
-        ttsDays: Number(
-          serviceTruth?.timeToSurviveDays ??
-          serviceTruth?.ttsDays ??
-          allKpis?.ttsDays ??
-          0
-        ),
-      };
-      const sumRevenueFromImpactRows = (rows) => {
-        if (!Array.isArray(rows) || rows.length === 0) return 0;
-
-        return rows.reduce((sum, row) => {
-          const value = Number(
-            row?.revenue_at_risk ??
-            row?.revenueAtRisk ??
-            row?.estimated_revenue_exposure ??
-            row?.estimatedRevenueExposure ??
-            row?.revenue_exposure ??
-            row?.revenueExposure ??
-            row?.financial_impact ??
-            row?.financialImpact ??
-            row?.estimated_loss ??
-            row?.estimatedLoss ??
-            row?.revenue_at_risk_usd ??
-            row?.revenueAtRiskUsd ??
-            row?.value_at_risk ??
-            row?.valueAtRisk ??
-            0
-          );
-          return sum + (Number.isFinite(value) ? value : 0);
-        }, 0);
-      };
-
-      const projectedImpactRowsForRevenue =
-        urls?.projected_impact_output_file_url
-          ? await fetchCsvRows(urls.projected_impact_output_file_url)
-          : [];
-      const disruptionImpactRowsForRevenue =
-        urls?.disruption_impact_output_file_url
-          ? await fetchCsvRows(urls.disruption_impact_output_file_url)
-          : [];
-
-      const rowLevelRevenueExposure =
-        sumRevenueFromImpactRows(projectedImpactRowsForRevenue) ||
-        sumRevenueFromImpactRows(disruptionImpactRowsForRevenue) ||
-        0;
-
-      console.log("[Revenue Debug] projectedImpactRowsForRevenue sample:", projectedImpactRowsForRevenue?.[0]);
-      console.log("[Revenue Debug] disruptionImpactRowsForRevenue sample:", disruptionImpactRowsForRevenue?.[0]);
-      console.log("[KPI Revenue] rowLevelRevenueExposure:", rowLevelRevenueExposure);
-
-
-
-
-
-      const finalKpis = {
-        ...allKpis,
-        ...normalizedServiceKpis,
-        estimatedRevenueExposure: rowLevelRevenueExposure || (serviceTruth?.lateFulfilledUnits || 0) * 100,
-        revenueExposure: rowLevelRevenueExposure || (serviceTruth?.lateFulfilledUnits || 0) * 100,
-      };
-
-      const executiveKpis = {
-  serviceLevelPct: Number(allKpis?.onTimeFulfillment ?? 0),
-  demandAtRiskUnits: Number(allKpis?.peakBacklogUnits ?? allKpis?.lateFulfilledUnits ?? 0),
-  unfulfilledDemandUnits: Number(allKpis?.peakBacklogUnits ?? 0),
-  missedServiceDays: Number(allKpis?.missedServiceDays ?? 0),
-  timeToRecoverDays: Number(allKpis?.ttrDays ?? allKpis?.timeToRecoverDays ?? 0),
-  timeToSurviveDays: Number(allKpis?.ttsDays ?? allKpis?.timeToSurviveDays ?? 0),
-  revenueExposure: Number(allKpis?.estimatedRevenueExposure ?? 0),
-  onTimeFulfillment: Number(allKpis?.onTimeFulfillment ?? 0),
-  lateFulfilledUnits: Number(allKpis?.lateFulfilledUnits ?? 0),
-  peakBacklogUnits: Number(allKpis?.peakBacklogUnits ?? 0),
-};
-
-      // ----- SCENARIO IMPACT SUMMARY -----
-      try {
-        const flowRowsForSummary = urls.flow_output_file_url
-          ? await fetchCsvRows(urls.flow_output_file_url)
-          : [];
-
-        const occurrenceRowsForSummary = urls.occurrence_output_file_url
-          ? await fetchCsvRows(urls.occurrence_output_file_url)
-          : [];
-
-        const productionRowsForSummary = urls.production_output_file_url
-          ? await fetchCsvRows(urls.production_output_file_url)
-          : [];
-
-        const summary = buildScenarioImpactSummary(
-          flowRowsForSummary,
-          occurrenceRowsForSummary,
-          productionRowsForSummary,
-          executiveKpis
-        );
-
-        setScenarioImpactSummary(summary);
-      } catch (e) {
-        console.warn("⚠️ Failed to build scenario impact summary:", e);
-        setScenarioImpactSummary(null);
-      }
-
-      
-      // 🔥 FINAL OVERRIDE — force correct service KPIs
-      kpis.lateFulfilledUnits = Number(serviceTruth?.lateFulfilledUnits || 0);
-      kpis.unitsAtRisk = Number(serviceTruth?.lateFulfilledUnits || 0);
-      kpis.peakBacklog = Number(serviceTruth?.peakBacklogUnits || 0);
-      kpis.peakBacklogUnits = Number(serviceTruth?.peakBacklogUnits || 0);
-      kpis.missedServiceDays = Number(serviceTruth?.daysWithMissedService || 0);
-
-      
-console.log("KPI_FINAL_UI_PAYLOAD_JSON", JSON.stringify(finalKpis, null, 2));
-      persistRunKpis(latestRunIdRef.current, finalKpis);
+      console.log(`📦 [KPI] Canonical KPIs (${Math.round(performance.now() - t0)}ms):`, finalKpis);
+      persistRunKpis(targetRunId, finalKpis);
+      if (targetRunId) trimOutputCache(targetRunId).catch((e) => console.warn("⚠️ [OutputCache] Trim failed:", e));
       setKpis(finalKpis);
+      setKpiInputs(inputs);
     } catch (err) {
       console.error("❌ [KPI] Failed KPI pipeline:", err);
     }
   };
 
-  // Submit simulation (FormData)
-  const handleSubmit = async (maybeFormData) => {
+  // Submit simulation (FormData). runContext.scenario = scenario object the
+  // dashboard built the transformed uploads from (kept with the input snapshot)
+  const handleSubmit = async (maybeFormData, runContext = {}) => {
     if (simulationStatus === "running") return;
 
     setSimulationStatus("running");
@@ -1646,51 +740,31 @@ console.log("KPI_FINAL_UI_PAYLOAD_JSON", JSON.stringify(finalKpis, null, 2));
         })();
 
       const runNameFromForm = maybeFormData instanceof FormData ? (maybeFormData.get("run_name") || "") : "";
+      // Scenario used for this run, for search in the history list
+      const scenarioSource =
+        maybeFormData instanceof FormData
+          ? { id: maybeFormData.get("scenario_id"), name: maybeFormData.get("scenario_name") }
+          : scenarioRef.current || {};
+      const runScenario =
+        scenarioSource.id || scenarioSource.name
+          ? { id: scenarioSource.id ?? null, name: scenarioSource.name || null }
+          : null;
+      // Fingerprint + snapshot the exact uploads while the request is in flight
+      const inputCapture = captureRunInputs(
+        formData,
+        runContext.scenario ?? (maybeFormData ? null : scenarioRef.current),
+        kpiSnapshotFiles()
+      ).catch((e) => {
+        console.warn("⚠️ [App] Input capture failed:", e);
+        return { inputs: {}, files: {}, scenario: null };
+      });
       console.log("▶️ [App] Starting simulation run...");
       console.log("📡 [App] POST", `${API_ROOT}/api/run`);
 
       const res = await apiClient.post("/api/run", formData);
       const payload = res.data || {};
 
-      // unwrap urls
-      let raw = payload.output_urls || payload.urls || payload.outputUrls || payload;
-      if (
-        raw &&
-        typeof raw === "object" &&
-        raw.urls &&
-        typeof raw.urls === "object" &&
-        !raw.inventory_output_file_url &&
-        !raw.flow_output_file_url
-      ) {
-        raw = raw.urls;
-      }
-
-      const normalizedUrls = {
-        ...raw,
-
-        inventory_output_file_url: raw.inventory_output_file_url || raw.inventory_output || raw.inventory,
-        flow_output_file_url: raw.flow_output_file_url || raw.flow_output || raw.flow,
-        production_output_file_url: raw.production_output_file_url || raw.production_output || raw.production,
-        occurrence_output_file_url: raw.occurrence_output_file_url || raw.occurrence_output || raw.occurrence,
-
-        disruption_impact_output_file_url:
-          raw.disruption_impact_output_file_url || raw.disruption_impact_output || raw.disruption_impact,
-        projected_impact_output_file_url:
-          raw.projected_impact_output_file_url || raw.projected_impact_output || raw.projected_impact,
-
-        runout_risk_output_file_url:
-          raw.runout_risk_output_file_url ||
-          raw.sku_runout_risk_output_file_url ||
-          raw.sku_runout_risk_output ||
-          raw.runout_risk ||
-          raw.sku_runout_risk,
-
-        countermeasures_output_file_url:
-          raw.countermeasures_output_file_url || raw.countermeasures_output || raw.countermeasures,
-
-        locations_output_file_url:
-          raw.locations_output_file_url || raw.locations_output || raw.locations_url || raw.locations,
-      };
+      const normalizedUrls = normalizeRunUrls(payload);
 
       console.log("✅ [App] Simulation complete (normalized):", {
         keys: Object.keys(normalizedUrls || {}),
@@ -1715,16 +789,23 @@ console.log("KPI_FINAL_UI_PAYLOAD_JSON", JSON.stringify(finalKpis, null, 2));
       }
 
       // Commit urls to state
+      const entryId = payload.run_id || payload.id || payload.timestamp || `${Date.now()}`;
       setPostRunPhase("seeding");
       console.log("🧪 [setOutputUrls normalizedUrls]", normalizedUrls);
       setOutputUrls(normalizedUrls);
+      setActiveRunId(String(entryId));
+      // Before anything loads the outputs: the worker downloads each file once
+      // and keeps a local copy so this run still opens once the links expire
+      setActiveRunUrls(normalizedUrls, entryId).catch((e) =>
+        console.warn("⚠️ [KPI Worker] Failed to update active run:", e)
+      );
 
       // Save run locally immediately (so history is never empty)
       const entry = {
   ...(normalizedUrls || {}),
   // 🔥 report will be injected after build
 
-        id: payload.run_id || payload.id || payload.timestamp || `${Date.now()}`,
+        id: entryId,
         run_id: payload.run_id,
         created_at: payload.timestamp || new Date().toISOString(),
         output_urls: normalizedUrls,
@@ -1738,17 +819,17 @@ console.log("KPI_FINAL_UI_PAYLOAD_JSON", JSON.stringify(finalKpis, null, 2));
         },
         _source: "local",
         name: runNameFromForm || null,
+        scenario: runScenario,
       };
-      latestRunIdRef.current = entry.run_id || entry.id || entry.created_at || null;
-      const nextLocal = upsertLocalRun(entry);
-
-// 🔥 FORCE latest run globally visible immediately
-try {
-  localStorage.setItem("forc_latest_run", JSON.stringify(entry));
-} catch (e) {
-  console.warn("Failed to persist latest run", e);
-}
-      // 🔥 Build report BEFORE inserting run
+      const capturedInputs = await inputCapture;
+      entry.inputs = capturedInputs.inputs;
+      upsertRun(entry);
+
+      saveRunInputSnapshot(entry.id, capturedInputs)
+        .then(() => pruneRunInputSnapshots(getRuns().map((r) => r.id)))
+        .catch((e) => console.warn("⚠️ [InputSnapshots] Failed to store run inputs:", e));
+
+      // 🔥 Build report, then attach it to the stored run
       const reportResult = await buildExecutiveReportAfterSim({
         run_id: normalizedUrls?.run_id || normalizedUrls?.id || normalizedUrls?.timestamp,
         timestamp: normalizedUrls?.run_id || normalizedUrls?.id || normalizedUrls?.timestamp,
@@ -1761,56 +842,12 @@ try {
         reportResult?.executive_report ||
         null;
 
-      // 🔥 FORCE inject into nextLocal BEFORE merge
-      if (builtReport && Array.isArray(nextLocal) && nextLocal.length > 0) {
-        nextLocal[0] = {
-          ...nextLocal[0],
-          report: builtReport,
-          executiveReport: builtReport,
-        };
+      if (builtReport) {
+        updateRun(entry.id, { report: builtReport });
       }
 
-      // 🔥 FORCE inject into nextLocal BEFORE merge
-      if (builtReport && Array.isArray(nextLocal) && nextLocal.length > 0) {
-        nextLocal[0] = {
-          ...nextLocal[0],
-          report: builtReport,
-          executiveReport: builtReport,
-        };
-      }
-
-setSimulationHistory((prev) => {
-        const prevArr = Array.isArray(prev) ? prev : [];
-        // merge: prefer remote entries if present
-        const merged = [
-          ...prevArr.filter((r) => r?._source === "remote"),
-          ...(nextLocal.length > 0
-            ? [
-                {
-                  ...nextLocal[0],
-                  kpis: {
-                    ...(nextLocal[0]?.kpis || {}),
-                  },
-                  raw: {
-                    ...(nextLocal[0]?.raw || {}),
-                    kpis: {
-                      ...(nextLocal[0]?.raw?.kpis || {}),
-                    },
-                  },
-                  ...(builtReport
-                    ? { report: builtReport, executiveReport: builtReport }
-                    : {}),
-                },
-              ]
-            : []),
-          ...nextLocal.slice(1),
-        ];
-        return merged;
-      });
-
-      
-
-      
+      // Upload the new run for teammates (no-op on Free; synced after upgrade)
+      if (isProPlusPlan(userPlan)) fetchSimulationHistory();
 
       // Reset facility selection
       setSelectedFacility(null);
@@ -1846,7 +883,8 @@ setSimulationHistory((prev) => {
       // Prefer backend KPIs if present
       if (payload.kpis && Object.keys(payload.kpis || {}).length > 0) {
         backendKpisRef.current = true;
-        setKpis(payload.kpis);
+        setKpis(normalizeKpis(payload.kpis));
+        setKpiInputs(null);
       } else {
         backendKpisRef.current = false;
       }
@@ -1890,9 +928,9 @@ setSimulationHistory((prev) => {
   const extractAndSetSkuOptions = async (url) => {
     if (!url) return;
     try {
-      const rows = await fetchCsvRows(url);
+      const values = await distinctCsvValues(url, ["sku", "SKU"]);
 
-      const skus = [...new Set(rows.map((r) => normalizeSku(r.sku || r.SKU)).filter(Boolean))];
+      const skus = [...new Set(values.map(normalizeSku).filter(Boolean))];
       const options = skus.map((sku) => ({ label: sku, value: sku }));
 
       if (options.length === 0) {
@@ -1969,12 +1007,115 @@ setSimulationHistory((prev) => {
     loadFilteredChart(urls, selectedOutputType || "inventory", demoSkus);
 
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [outputUrls, selectedSku, selectedOutputType, selectedFacility, postRunPhase]);
+  }, [outputUrls, selectedSku, selectedOutputType, selectedFacility, postRunPhase, workspaceSettings]);
+
+  // N replications of one scenario, each with its own seed, stored as one
+  // replication set. KPIs are computed per replication here (only the run on
+  // screen goes through the interactive pipeline); the last one is shown.
+  const handleSubmitReplications = async (formData, { count = 2, scenario = null } = {}) => {
+    if (simulationStatus === "running") return;
+    const total = Math.max(2, Math.min(MAX_REPLICATIONS, Math.round(Number(count) || 2)));
+
+    setSimulationStatus("running");
+    setReplicationProgress({ done: 0, total });
+
+    const setId = `rep_${Date.now()}`;
+    const baseSeed = Number(formData.get("seed")) || Math.floor(Math.random() * 1_000_000);
+    const runName = formData.get("run_name") || "";
+    const runScenario =
+      formData.get("scenario_id") || formData.get("scenario_name")
+        ? { id: formData.get("scenario_id") || null, name: formData.get("scenario_name") || null }
+        : null;
+    const captured = await captureRunInputs(formData, scenario, kpiSnapshotFiles()).catch(() => ({ inputs: {}, files: {}, scenario: null }));
+
+    let lastEntry = null;
+    try {
+      for (let i = 0; i < total; i++) {
+        const seed = baseSeed + i;
+        const fd = new FormData();
+        for (const [k, v] of formData.entries()) fd.append(k, v);
+        fd.set("seed", String(seed));
+        fd.set("replication_set_id", setId);
+        fd.set("replication_index", String(i + 1));
+        fd.set("replication_count", String(total));
+        if (runName) fd.set("run_name", `${runName} #${i + 1}`);
+
+        console.log(`🎲 [App] Replication ${i + 1}/${total} (seed ${seed})`);
+        const res = await apiClient.post("/api/run", fd);
+        const payload = res.data || {};
+        const urls = normalizeRunUrls(payload);
+
+        const entry = {
+          ...urls,
+          id: payload.run_id || payload.id || payload.timestamp || `${setId}_${i + 1}`,
+          run_id: payload.run_id,
+          created_at: payload.timestamp || new Date().toISOString(),
+          outputUrls: urls,
+          raw: { ...payload, kpis: { ...(payload?.kpis || {}) } },
+          _source: "local",
+          name: runName ? `${runName} #${i + 1}` : null,
+          scenario: runScenario,
+          inputs: captured.inputs,
+          replication: { setId, index: i + 1, count: total, seed },
+        };
+        upsertRun(entry);
+        saveRunInputSnapshot(entry.id, captured).catch(() => {});
+
+        try {
+          // Drop the previous replication's parsed outputs before loading this one
+          await setActiveRunUrls(urls, entry.id);
+          const { kpis: repKpis } = await computeRunKpis(buildKpiInputs(urls));
+          updateRun(entry.id, { kpis: repKpis });
+          trimOutputCache(entry.id).catch((e) => console.warn("⚠️ [OutputCache] Trim failed:", e));
+        } catch (e) {
+          // Kept in the set, but left out of its KPI statistics
+          console.warn(`⚠️ [KPI] Replication ${i + 1} KPIs failed:`, e);
+          updateRun(entry.id, { replication: { ...entry.replication, kpisMissing: true } });
+        }
+
+        lastEntry = entry;
+        setReplicationProgress({ done: i + 1, total });
+      }
+
+      pruneRunInputSnapshots(getRuns().map((r) => r.id)).catch(() => {});
+      if (isProPlusPlan(userPlan)) fetchSimulationHistory();
+      if (lastEntry) await onReloadRun(getRun(lastEntry.id) || lastEntry);
+      console.log("✅ [App] Replication set finished:", setId);
+    } catch (error) {
+      // Finished replications stay in history, flagged as a partial set
+      const done = lastEntry?.replication?.index || 0;
+      if (done < total) {
+        getRuns()
+          .filter((r) => r.replication?.setId === setId)
+          .forEach((r) => updateRun(r.id, { replication: { ...r.replication, stoppedAfter: done } }));
+      }
+
+      const data = error?.response?.data;
+      if (error?.response?.status === 402) {
+        setUpgradeGate({ open: true, required: data?.required || ["pro"], plan: data?.plan || "free" });
+        setSimulationStatus("idle");
+        return;
+      }
+      console.error("❌ [App] Replication set failed:", error);
+      setSimulationStatus("error");
+      setTimeout(() => setSimulationStatus("idle"), 3000);
+    } finally {
+      setReplicationProgress(null);
+    }
+  };
 
   const onReloadRun = async (entry) => {
     const urls = entry.output_urls || entry.outputUrls || entry.urls || {};
     setChartData(null);
 
+    const entryId = entry.id || entry.run_id;
+    setActiveRunId(entryId ? String(entryId) : null);
+    if (entryId) touchCachedRun(entryId).catch(() => {});
+    // Worker keeps parsed CSVs for the run on screen only, caching any it downloads
+    setActiveRunUrls(urls, entryId).catch((e) =>
+      console.warn("⚠️ [KPI Worker] Failed to update active run:", e)
+    );
+
     setPostRunPhase("seeding");
     setOutputUrls(urls);
     setSimulationStatus("done");
@@ -2015,9 +1156,6 @@ setSimulationHistory((prev) => {
     setView("control");
     window.history.replaceState(null, "", "/control-tower");
 
-    // Always show local history immediately
-    setSimulationHistory(loadLocalRunsSafe());
-
     const token =
       localStorage.getItem("token") ||
       localStorage.getItem("access_token") ||
@@ -2051,15 +1189,18 @@ setSimulationHistory((prev) => {
         <SimulationDashboard
           executiveKpis={{
             serviceLevelPct: Number(kpis?.onTimeFulfillment ?? 0),
-            demandAtRiskUnits: Number(kpis?.peakBacklogUnits ?? kpis?.lateFulfilledUnits ?? 0),
-            unfulfilledDemandUnits: Number(kpis?.peakBacklogUnits ?? 0),
+            demandAtRiskUnits: Number(kpis?.demandAtRisk ?? 0),
+            unfulfilledDemandUnits: Number(kpis?.peakBacklog ?? 0),
             missedServiceDays: Number(kpis?.missedServiceDays ?? 0),
-            timeToRecoverDays: Number(kpis?.ttrDays ?? kpis?.timeToRecoverDays ?? 0),
-            timeToSurviveDays: Number(kpis?.ttsDays ?? kpis?.timeToSurviveDays ?? 0),
-            revenueExposure: Number(kpis?.revenueExposure ?? kpis?.estimatedRevenueExposure ?? 0),
+            timeToRecoverDays: Number(kpis?.timeToRecoverDays ?? 0),
+            timeToSurviveDays: Number(kpis?.timeToSurviveDays ?? 0),
+            revenueExposure: Number(kpis?.estimatedRevenueExposure ?? 0),
+            currency: kpis?.currency || workspaceSettings.reportingCurrency,
           }}
           handleFileChange={handleFileChange}
           handleSubmit={handleSubmit}
+          handleSubmitReplications={handleSubmitReplications}
+          replicationProgress={replicationProgress}
           simulationStatus={simulationStatus}
           outputUrls={outputUrls}
           skuOptions={skuOptions || []}
@@ -2073,11 +1214,18 @@ setSimulationHistory((prev) => {
           simulationHistory={simulationHistory || []}
           files={files}
           kpis={kpis}
+          kpiInputs={kpiInputs}
+          onSyncHistory={isProPlusPlan(userPlan) ? fetchSimulationHistory : null}
           baselineKpis={baselineKpis}
           baselineOptions={baselineOptions}
           selectedBaselineRunId={selectedBaselineRunId}
           setSelectedBaselineRunId={setSelectedBaselineRunId}
           baselineLabel={baselineLabel}
+          officialBaseline={officialBaseline}
+          officialBaselines={officialBaselines}
+          skuFamilyMap={skuFamilyMap}
+          baselineInputDiff={baselineInputDiff}
+          currentRunId={currentRun?.id || null}
           onLogout={handleLogout}
           switchView={setView}
           onReloadRun={onReloadRun}
@@ -2109,7 +1257,7 @@ setSimulationHistory((prev) => {
       ) : view === "about" ? (
         <AboutUs switchView={setView} />
       ) : view === "reports" ? (
-        <Reports simulationHistory={simulationHistory} switchView={setView} />
+        <Reports switchView={setView} />
       ) : (
         <ControlTower
           onLogout={handleLogout}
@@ -1,4 +1,8 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { findTrendLow, normalizeKpis } from "./utils/kpiEngine";
+import { formatMoney } from "./utils/currency";
+import { formatMetric, getKpiMeta } from "./utils/decisionEngine";
+import { getRuns, subscribeRuns } from "./lib/runStore";
 
 function formatDateTime(value) {
   if (!value) return "—";
@@ -29,14 +33,10 @@ function formatPercent(value, digits = 1) {
   return `${n.toFixed(digits)}%`;
 }
 
-function formatCurrency(value) {
+function formatCurrency(value, currency = "USD") {
   const n = Number(value);
   if (!Number.isFinite(n)) return "—";
-  return n.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
+  return formatMoney(n, currency);
 }
 
 function getRunId(run) {
@@ -248,25 +248,13 @@ function getKpiValueClass(kind, value) {
 
 
 function computeFrontendBbi(selectedRun) {
-  const kpis = selectedRun?.raw?.kpis || {};
-
-  const onTimePct = Number(kpis?.onTimeFulfillment || 0);
-  const totalDemand = Number(kpis?.serviceTruth?.totalDemand || 0);
-  const peakBacklogUnits = Number(
-    kpis?.peakBacklogUnits ??
-    kpis?.peakBacklog ??
-    0
-  );
-  const missedServiceDays = Number(
-    kpis?.missedServiceDays ??
-    kpis?.serviceTruth?.daysWithMissedService ??
-    0
-  );
-  const ttrDays = Number(
-    kpis?.ttrDays ??
-    kpis?.timeToRecoverDays ??
-    0
-  );
+  const kpis = normalizeKpis(selectedRun?.raw?.kpis);
+
+  const onTimePct = Number(kpis.onTimeFulfillment || 0);
+  const totalDemand = Number(kpis.totalDemand || 0);
+  const peakBacklogUnits = Number(kpis.peakBacklog || 0);
+  const missedServiceDays = Number(kpis.missedServiceDays || 0);
+  const ttrDays = Number(kpis.timeToRecoverDays || 0);
 
   const backlogRatePct =
     totalDemand > 0 ? (peakBacklogUnits / totalDemand) * 100 : 0;
@@ -286,37 +274,17 @@ function computeFrontendBbi(selectedRun) {
 
 
 function normalizeRunKpis(selectedRun) {
-  const source = selectedRun?.raw?.kpis || {};
-
-  console.log("RUN KPI SOURCE OF TRUTH", source);
+  const source = normalizeKpis(selectedRun?.raw?.kpis);
 
   return {
-    serviceLevel: pickValue(
-      Number(source.onTimeFulfillment || 0),
-      source.onTimeFill,
-      
-      
-    ),
-    demandAtRisk: pickValue(
-      source.unitsAtRisk,
-      source.lateFulfilledUnits,
-      source.occurrenceUnfulfilledUnits
-    ),
-    unfulfilledDemand: pickValue(
-      source.peakBacklog,
-      source.peakBacklogUnits,
-      source.backorderVolume,
-      source.endingBacklogExposure
-    ),
-    ttrDays: pickValue(
-      source.ttrDays,
-      source.timeToRecoverDays,
-      source.timeToRecovery
-    ),
-    revenueExposure: pickValue(
-      source.revenueExposure,
-      source.estimatedRevenueExposure
-    ),
+    serviceLevel: pickValue(source.onTimeFulfillment),
+    demandAtRisk: pickValue(source.demandAtRisk),
+    unfulfilledDemand: pickValue(source.peakBacklog, source.endingBacklog),
+    ttrDays: pickValue(source.timeToRecoverDays),
+    revenueExposure: pickValue(source.estimatedRevenueExposure),
+    currency: source.currency || "USD",
+    custom: source.custom || {},
+    trend: source.trend || null,
   };
 }
 
@@ -341,10 +309,10 @@ function MetricCard({ label, value }) {
 }
 
 export default function Reports(props) {
-  const {
-    simulationHistory = [],
-    switchView,
-  } = props || {};
+  const { switchView } = props || {};
+
+  const [simulationHistory, setSimulationHistory] = useState(() => getRuns());
+  useEffect(() => subscribeRuns(setSimulationHistory), []);
 
   const runs = useMemo(() => normalizeRuns(simulationHistory), [simulationHistory]);
 
@@ -370,27 +338,15 @@ export default function Reports(props) {
     if (!selectedRun) return null;
 
     const base = normalizeExecutiveReport(selectedRun.report, selectedRun);
-    const kpis = selectedRun?.raw?.kpis || {};
+    const kpis = normalizeKpis(selectedRun?.raw?.kpis);
 
     if (!base) return null;
 
-    const onTimePct = Number(kpis?.onTimeFulfillment || 0);
-    const totalDemand = Number(kpis?.serviceTruth?.totalDemand || 0);
-    const peakBacklogUnits = Number(
-      kpis?.peakBacklogUnits ??
-      kpis?.peakBacklog ??
-      0
-    );
-    const missedServiceDays = Number(
-      kpis?.missedServiceDays ??
-      kpis?.serviceTruth?.daysWithMissedService ??
-      0
-    );
-    const ttrDays = Number(
-      kpis?.ttrDays ??
-      kpis?.timeToRecoverDays ??
-      0
-    );
+    const onTimePct = Number(kpis.onTimeFulfillment || 0);
+    const totalDemand = Number(kpis.totalDemand || 0);
+    const peakBacklogUnits = Number(kpis.peakBacklog || 0);
+    const missedServiceDays = Number(kpis.missedServiceDays || 0);
+    const ttrDays = Number(kpis.timeToRecoverDays || 0);
 
     const backlogRatePct =
       totalDemand > 0 ? (peakBacklogUnits / totalDemand) * 100 : 0;
@@ -462,6 +418,15 @@ export default function Reports(props) {
     return normalizeRunKpis(selectedRun);
   }, [selectedRun]);
 
+  const customRunKpis = useMemo(() => {
+    if (!selectedRunKpis) return [];
+    return Object.values(getKpiMeta())
+      .filter((meta) => meta.custom)
+      .map((meta) => ({ meta, value: selectedRunKpis.custom?.[meta.id] ?? null }));
+  }, [selectedRunKpis]);
+
+  const trendLow = useMemo(() => findTrendLow(selectedRunKpis?.trend), [selectedRunKpis]);
+
   const selectedRunBbi = useMemo(() => {
     if (!selectedRun) return null;
     return computeFrontendBbi(selectedRun);
@@ -762,11 +727,70 @@ export default function Reports(props) {
                       />
                       <MetricCard
                         label="Revenue Exposure"
-                        value={formatCurrency(selectedRunKpis?.revenueExposure)}
+                        value={formatCurrency(selectedRunKpis?.revenueExposure, selectedRunKpis?.currency)}
                         valueClassName={getKpiValueClass("revenueExposure", selectedRunKpis?.revenueExposure)}
                       />
                     </div>
 
+                    {trendLow && (
+                      <div
+                        className="rounded-2xl border p-5"
+                        style={{
+                          borderColor: "rgba(148,163,184,0.14)",
+                          background: "linear-gradient(145deg, rgba(17,24,39,0.94), rgba(30,41,59,0.88))",
+                        }}
+                      >
+                        <h4 className="text-lg font-semibold text-white mb-1">Service Trend</h4>
+                        <p className="text-sm text-slate-300 mb-3">
+                          Service bottomed out at{" "}
+                          <span className="font-semibold text-rose-300">{formatPercent(trendLow.serviceLevel)}</span>{" "}
+                          in {trendLow.label} ({trendLow.start} → {trendLow.end}), against{" "}
+                          {formatPercent(selectedRunKpis?.serviceLevel)} for the whole horizon.
+                        </p>
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-xs">
+                            <thead>
+                              <tr className="text-left text-[11px] text-slate-400">
+                                <th className="py-1 font-normal">
+                                  {selectedRunKpis.trend.granularity === "daily" ? "Day" : selectedRunKpis.trend.granularity === "monthly" ? "Month" : "Week"}
+                                </th>
+                                <th className="py-1 font-normal">Service Level</th>
+                                <th className="py-1 font-normal">Demand at Risk</th>
+                                <th className="py-1 font-normal">Backlog (end)</th>
+                                <th className="py-1 font-normal">Revenue Exposure</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {selectedRunKpis.trend.buckets.map((b) => (
+                                <tr
+                                  key={`${b.label}-${b.start}`}
+                                  className={`border-t border-slate-800 ${b === trendLow ? "text-rose-200" : "text-slate-200"}`}
+                                >
+                                  <td className="py-1">{b.label}</td>
+                                  <td className="py-1">{b.serviceLevel === null ? "—" : formatPercent(b.serviceLevel)}</td>
+                                  <td className="py-1">{formatNumber(b.demandAtRisk)}</td>
+                                  <td className="py-1">{formatNumber(b.endingBacklog)}</td>
+                                  <td className="py-1">{formatCurrency(b.revenueExposure, selectedRunKpis.currency)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+
+                    {customRunKpis.length > 0 && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-3">
+                        {customRunKpis.map(({ meta, value }) => (
+                          <MetricCard
+                            key={meta.id}
+                            label={meta.label}
+                            value={value != null ? formatMetric(value, meta.format, selectedRunKpis?.currency) : "—"}
+                          />
+                        ))}
+                      </div>
+                    )}
+
                     {selectedRunReport.sections?.length ? (
                       <div className="space-y-4">
                         {selectedRunReport.sections.map((section) => (
@@ -0,0 +1,19 @@
+import { api } from "../apiClient";
+
+// Run history on the backend (Pro+). Same axios instance as the rest of the
+// app so plan gating (402 → upgrade modal) behaves identically.
+
+// One page of run history. `page` is what the previous response pointed to:
+// { url } for a next-page link, { params } for a cursor or page number.
+export function listSimulations(page = {}) {
+  return page.url ? api.get(page.url) : api.get("/api/simulations", page.params ? { params: page.params } : undefined);
+}
+
+// Upload a run recorded in the browser; returns the stored record
+export function createSimulation(payload) {
+  return api.post("/api/simulations", payload);
+}
+
+export function updateSimulation(id, patch) {
+  return api.patch(`/api/simulations/${encodeURIComponent(id)}`, patch);
+}
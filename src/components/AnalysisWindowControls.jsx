@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from "react";
+import {
+  getWorkspaceSettings,
+  subscribeWorkspaceSettings,
+  updateWorkspaceSettings,
+} from "../lib/workspaceSettings";
+import { normalizeAnalysisWindow } from "../utils/kpiEngine";
+
+/**
+ * Start / end / warmup controls for the KPI analysis window. The window is a
+ * workspace setting so every recompute (and every reloaded run) uses it;
+ * `appliedWindow` is kpis.analysisWindow from the last computation.
+ */
+export default function AnalysisWindowControls({ appliedWindow = null }) {
+  const [settings, setSettings] = useState(() => getWorkspaceSettings());
+
+  useEffect(() => subscribeWorkspaceSettings(setSettings), []);
+
+  const analysisWindow = normalizeAnalysisWindow(settings.analysisWindow);
+  const isDefault = !analysisWindow.start && !analysisWindow.end && !analysisWindow.warmupDays;
+
+  const update = (patch) => {
+    updateWorkspaceSettings({
+      analysisWindow: normalizeAnalysisWindow({ ...analysisWindow, ...patch }),
+    });
+  };
+
+  const inputClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-700/70 bg-slate-900/40 p-3 text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-[11px] uppercase tracking-wide text-slate-400">🗓 Analysis Window</p>
+        {!isDefault && (
+          <button
+            type="button"
+            onClick={() => update({ start: null, end: null, warmupDays: 0 })}
+            className="text-[11px] text-slate-400 hover:text-slate-200"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <label className="flex flex-col gap-1">
+          <span className="text-[11px] text-slate-400">Start</span>
+          <input
+            type="date"
+            className={inputClass}
+            value={analysisWindow.start || ""}
+            max={analysisWindow.end || undefined}
+            onChange={(e) => update({ start: e.target.value || null })}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-[11px] text-slate-400">End</span>
+          <input
+            type="date"
+            className={inputClass}
+            value={analysisWindow.end || ""}
+            min={analysisWindow.start || undefined}
+            onChange={(e) => update({ end: e.target.value || null })}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-[11px] text-slate-400">Warmup days</span>
+          <input
+            type="number"
+            min="0"
+            className={inputClass}
+            value={analysisWindow.warmupDays}
+            onChange={(e) => update({ warmupDays: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <p className="text-[11px] text-slate-500 mt-2">
+        {analysisWindow.start ? "" : "No start date — the window opens at the first customer shipment. "}
+        Applies to service, backlog, TTR, inventory turns and coverage.
+      </p>
+
+      {appliedWindow?.appliedStart && (
+        <p className="text-[11px] mt-1" style={{ color: "#9CF700" }}>
+          ✓ Last run measured {appliedWindow.appliedStart} → {appliedWindow.appliedEnd || "end of run"}
+        </p>
+      )}
+    </div>
+  );
+}
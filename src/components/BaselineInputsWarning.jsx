@@ -0,0 +1,31 @@
+import React from "react";
+
+const CHANGE_LABELS = { changed: "changed", added: "not in baseline", removed: "missing from this run" };
+
+function describe(d) {
+  const file = d.current?.name || d.baseline?.name || d.key;
+  return `${d.key} (${file}, ${CHANGE_LABELS[d.change] || d.change})`;
+}
+
+/**
+ * Amber notice when the run on screen was made from different input files
+ * than its baseline. `diff` comes from utils/runInputs.diffRunInputs; null
+ * means one side predates input tracking.
+ */
+export default function BaselineInputsWarning({ diff, className = "" }) {
+  if (diff === null || diff === undefined) {
+    return (
+      <div className={`rounded-lg border border-slate-600/60 bg-slate-800/50 px-3 py-2 text-[11px] text-slate-400 ${className}`}>
+        Input files for this comparison are unknown — one of the runs predates input tracking.
+      </div>
+    );
+  }
+  if (!diff.length) return null;
+
+  return (
+    <div className={`rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-200 ${className}`}>
+      ⚠ This run used different inputs than the baseline: {diff.map(describe).join(", ")}. Deltas mix
+      input changes with scenario effects.
+    </div>
+  );
+}
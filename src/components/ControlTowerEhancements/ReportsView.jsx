@@ -1,4 +1,5 @@
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { getRuns, subscribeRuns } from "../../lib/runStore";
 
 /**
  * ReportsView – Enhanced Premium UI (Revenue-ready)
@@ -6,9 +7,13 @@ import React, { useMemo } from "react";
  * - Tile buttons for downloads (Core vs Insights)
  * - Supports sim.output_urls OR sim.outputUrls
  * - Optional bundle + locations support
+ * - Reads run history straight from lib/runStore
  */
 
-export default function ReportsView({ simulationHistory }) {
+export default function ReportsView() {
+  const [simulationHistory, setSimulationHistory] = useState(() => getRuns());
+  useEffect(() => subscribeRuns(setSimulationHistory), []);
+
   const hasReports = Array.isArray(simulationHistory) && simulationHistory.length > 0;
 
   const getOutputs = (sim) => sim?.output_urls || sim?.outputUrls || {};
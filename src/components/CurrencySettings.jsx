@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import Papa from "papaparse";
+import {
+  getWorkspaceSettings,
+  subscribeWorkspaceSettings,
+  updateWorkspaceSettings,
+} from "../lib/workspaceSettings";
+import { SUPPORTED_CURRENCIES, parseFxRows } from "../utils/currency";
+
+/**
+ * Workspace reporting currency + FX table.
+ * Every money KPI is converted into `reportingCurrency`; rows without a
+ * currency column are assumed to be in `sourceCurrency`.
+ */
+export default function CurrencySettings({ unconvertedCurrencies = [] }) {
+  const [settings, setSettings] = useState(() => getWorkspaceSettings());
+  const [fxError, setFxError] = useState("");
+
+  useEffect(() => subscribeWorkspaceSettings(setSettings), []);
+
+  const handleFxUpload = (file) => {
+    if (!file) return;
+    setFxError("");
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (res) => {
+        const fxRates = parseFxRows(res.data);
+        if (fxRates.length === 0) {
+          setFxError("No rates found. Expected from,to,rate or currency,rate[,base] columns.");
+          return;
+        }
+        updateWorkspaceSettings({ fxRates, fxFileName: file.name });
+      },
+      error: (err) => setFxError(err?.message || "Failed to read FX file."),
+    });
+  };
+
+  const selectClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-700/70 bg-slate-900/40 p-3 text-xs">
+      <p className="text-[11px] uppercase tracking-wide text-slate-400 mb-2">💱 Reporting Currency</p>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex flex-col gap-1">
+          <span className="text-[11px] text-slate-400">Report in</span>
+          <select
+            className={selectClass}
+            value={settings.reportingCurrency}
+            onChange={(e) => updateWorkspaceSettings({ reportingCurrency: e.target.value })}
+          >
+            {SUPPORTED_CURRENCIES.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-[11px] text-slate-400">Rows without currency</span>
+          <select
+            className={selectClass}
+            value={settings.sourceCurrency}
+            onChange={(e) => updateWorkspaceSettings({ sourceCurrency: e.target.value })}
+          >
+            {SUPPORTED_CURRENCIES.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between mt-3">
+        <span className="text-[11px]" style={{ color: settings.fxRates?.length ? "#9CF700" : "#94a3b8" }}>
+          {settings.fxRates?.length
+            ? `✓ ${settings.fxFileName || "FX table"} (${settings.fxRates.length} rates)`
+            : "No FX table — only same-currency amounts are counted"}
+        </span>
+
+        <div className="flex items-center gap-1">
+          <input
+            id="upload-fxRates"
+            type="file"
+            accept=".csv"
+            className="hidden"
+            onChange={(e) => {
+              handleFxUpload(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+          <label
+            htmlFor="upload-fxRates"
+            className="cursor-pointer px-3 py-1 rounded-md text-[11px] border text-slate-200 hover:bg-slate-800/70 transition"
+            style={{ borderColor: "#355e52", backgroundColor: "rgba(2,6,23,0.55)" }}
+          >
+            Upload FX
+          </label>
+          {settings.fxRates?.length ? (
+            <button
+              type="button"
+              onClick={() => updateWorkspaceSettings({ fxRates: [], fxFileName: null })}
+              className="h-7 w-7 rounded-md text-[12px] font-bold border transition"
+              style={{
+                borderColor: "rgba(248, 113, 113, 0.45)",
+                color: "#fca5a5",
+                backgroundColor: "rgba(127, 29, 29, 0.18)",
+              }}
+              title="Clear FX table"
+            >
+              ×
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {fxError && <p className="text-[11px] text-red-300 mt-2">{fxError}</p>}
+
+      {unconvertedCurrencies.length > 0 && (
+        <p className="text-[11px] text-amber-300 mt-2">
+          ⚠ No FX rate to {settings.reportingCurrency} for {unconvertedCurrencies.join(", ")} — those amounts are excluded.
+        </p>
+      )}
+    </div>
+  );
+}
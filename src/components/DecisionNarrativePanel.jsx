@@ -4,6 +4,9 @@ import {
   buildDecisionNarrative,
   getSeverityClasses,
 } from "../utils/decisionEngine";
+import { normalizeKpis } from "../utils/kpiEngine";
+import { getWorkspaceSettings } from "../lib/workspaceSettings";
+import BaselineInputsWarning from "./BaselineInputsWarning";
 
 function ComparisonCard({ card }) {
   const tone = getSeverityClasses(card.severity.tone);
@@ -53,50 +56,38 @@ export default function DecisionNarrativePanel({
   selectedBaselineRunId = "",
   setSelectedBaselineRunId = () => {},
   baselineLabel = "Previous Run",
+  officialBaseline = null,
+  inputDiff = null,
   materialRiskData = [],
+  thresholdProfile = null,
 }) {
-  const normalizeDecisionKpis = (source = {}) => {
-    const demandAtRisk = Number(
-      source?.demandAtRisk ??
-      source?.lateFulfilledUnits ??
-      source?.unitsAtRisk ??
-      0
-    );
-
-    const revenueExposure = Number(
-      source?.revenueExposure ??
-      source?.estimatedRevenueExposure ??
-      source?.endingBacklogExposure ??
-      0
-    );
-
-    return {
-      ...source,
-      demandAtRisk,
-      revenueExposure,
-      estimatedRevenueExposure: revenueExposure,
-    };
-  };
+  const comparingOfficial = baselineOptions.some(
+    (option) => option.official && option.id === selectedBaselineRunId
+  );
 
-  const effectiveKpis = useMemo(() => normalizeDecisionKpis(kpis), [kpis]);
+  const effectiveKpis = useMemo(() => normalizeKpis(kpis), [kpis]);
   const effectiveBaselineKpis = useMemo(
-    () => normalizeDecisionKpis(baselineKpis || {}),
+    () => normalizeKpis(baselineKpis || {}),
     [baselineKpis]
   );
 
   const comparison = useMemo(
-    () => buildBaselineComparison(effectiveKpis, effectiveBaselineKpis),
-    [effectiveKpis, effectiveBaselineKpis]
+    () =>
+      buildBaselineComparison(effectiveKpis, effectiveBaselineKpis, {
+        fxRates: getWorkspaceSettings().fxRates,
+        thresholds: thresholdProfile || getWorkspaceSettings().thresholdProfile,
+      }),
+    [effectiveKpis, effectiveBaselineKpis, thresholdProfile]
   );
 
   const narrative = useMemo(
     () =>
       buildDecisionNarrative({
         currentKpis: effectiveKpis,
-        baselineKpis,
+        baselineKpis: baselineKpis ? effectiveBaselineKpis : null,
         materialRiskData,
       }),
-    [effectiveKpis, effectiveBaselineKpis, materialRiskData]
+    [effectiveKpis, effectiveBaselineKpis, baselineKpis, materialRiskData]
   );
 
   return (
@@ -114,7 +105,23 @@ export default function DecisionNarrativePanel({
           </p>
           <p className="mt-1 text-xs text-slate-400">
             Comparing vs {baselineLabel}
+            {comparingOfficial && (
+              <span className="ml-2 rounded-full border border-amber-400/40 bg-amber-400/10 px-2 py-0.5 text-[10px] text-amber-200">
+                ★ Official baseline{officialBaseline?.scope && officialBaseline.scope !== "*" ? ` · ${officialBaseline.scope}` : ""}
+              </span>
+            )}
           </p>
+          {officialBaseline?.missing && (
+            <p className="mt-1 text-[11px] text-amber-300">
+              ⚠ Pinned baseline “{officialBaseline.name}” is no longer in run history — pin another run from
+              Simulation History.
+            </p>
+          )}
+          {!officialBaseline && baselineOptions.length > 0 && (
+            <p className="mt-1 text-[11px] text-slate-500">
+              No official baseline pinned — pin one from Simulation History.
+            </p>
+          )}
         </div>
 
         <div className="flex flex-col items-start gap-2 md:items-end">
@@ -143,6 +150,15 @@ export default function DecisionNarrativePanel({
         </div>
       </div>
 
+      {comparison.windowMismatch && (
+        <div className="mt-4 rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-200">
+          ⚠ Window not applied — the baseline run has no saved input snapshot, so its KPIs still use the
+          analysis window they were calculated with. Re-run it before reading these deltas.
+        </div>
+      )}
+
+      {baselineKpis && <BaselineInputsWarning diff={inputDiff} className="mt-4" />}
+
       <div className="mt-5 grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-5">
         {comparison.cards.map((card) => (
           <ComparisonCard key={card.metricId} card={card} />
@@ -0,0 +1,236 @@
+import React, { useState } from "react";
+import { applyDemandShocks, createDemandShock, DEMAND_SHOCK_SHAPES, shockMultiplierAt } from "../utils/demandShocks";
+import { addDays, daysBetween } from "../utils/scenarioEvents";
+
+const inputClass =
+  "w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100 placeholder:text-slate-500";
+
+// Multiplier per day from start through the promo dip, as a bar strip
+function ShockCurve({ shock }) {
+  const len = daysBetween(shock.startDate, shock.endDate);
+  if (!shock.startDate || len === null || len < 1) return null;
+  const days = len + (shock.shape === "promo" ? Number(shock.dipDays) || 0 : 0);
+  const values = Array.from({ length: days }, (_, d) => shockMultiplierAt(shock, addDays(shock.startDate, d)));
+  const positive = Number(shock.value) >= 0;
+
+  return (
+    <svg viewBox={`0 0 ${days} 100`} preserveAspectRatio="none" className="w-full h-10 rounded bg-slate-950/70">
+      <line x1="0" x2={days} y1="60" y2="60" stroke="#334155" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+      {values.map((m, d) => {
+        const up = (m >= 0) === positive;
+        const h = Math.abs(m) * (up ? 55 : 35);
+        return (
+          <rect
+            key={d}
+            x={d + 0.1}
+            width={0.8}
+            y={up ? 60 - h : 60}
+            height={h}
+            fill={up ? "rgba(252, 211, 77, 0.7)" : "rgba(148, 163, 184, 0.6)"}
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Scenario demand shocks: each one targets SKUs / facilities / customer
+ * regions over a date window with a step, spike or promo shape.
+ */
+export default function DemandShockEditor({ shocks = [], onChange, demandFile, locationsFile }) {
+  const [impact, setImpact] = useState(null);
+
+  const update = (id, patch) => {
+    setImpact(null);
+    onChange?.(shocks.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  };
+  const remove = (id) => {
+    setImpact(null);
+    onChange?.(shocks.filter((s) => s.id !== id));
+  };
+  const add = () => onChange?.([...shocks, createDemandShock()]);
+
+  const previewImpact = async () => {
+    try {
+      const [demandText, locationsText] = await Promise.all([demandFile?.text() ?? "", locationsFile?.text() ?? ""]);
+      setImpact(applyDemandShocks(demandText, shocks, { locationsText }));
+    } catch (e) {
+      console.error("❌ [ScenarioBuilder] Demand shock preview failed:", e);
+      setImpact({ summary: [], notes: ["Couldn't read demand.csv."] });
+    }
+  };
+  const impactFor = (id) => impact?.summary.find((s) => s.id === id);
+
+  return (
+    <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60 text-xs space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs font-semibold" style={{ color: "#E8FFE8" }}>
+          Demand Shocks
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={previewImpact}
+            disabled={!demandFile || !shocks.length}
+            className="text-[10px] px-2 py-0.5 rounded border border-slate-600 text-slate-300 hover:border-emerald-500 hover:text-emerald-300 disabled:opacity-40"
+            title={demandFile ? "Count the demand.csv rows each shock changes" : "Upload demand.csv first"}
+          >
+            🔍 Preview impact
+          </button>
+          <button
+            type="button"
+            onClick={add}
+            className="text-[10px] px-2 py-0.5 rounded border border-slate-600 text-slate-300 hover:border-emerald-500 hover:text-emerald-300"
+          >
+            + Add demand shock
+          </button>
+        </div>
+      </div>
+
+      {!shocks.length && <p className="text-[11px] text-slate-400">No demand changes — demand.csv is used as uploaded.</p>}
+
+      {shocks.map((shock) => {
+        const result = impactFor(shock.id);
+        return (
+          <div key={shock.id} className="rounded-lg border border-slate-700/80 bg-slate-950/40 p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={shock.name}
+                onChange={(e) => update(shock.id, { name: e.target.value })}
+                placeholder="e.g. Back-to-school promo"
+                className={inputClass}
+              />
+              <select
+                className={`${inputClass} w-36`}
+                value={shock.shape}
+                onChange={(e) => update(shock.id, { shape: e.target.value })}
+                title={DEMAND_SHOCK_SHAPES.find((o) => o.value === shock.shape)?.description}
+              >
+                {DEMAND_SHOCK_SHAPES.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => remove(shock.id)}
+                className="text-[11px] text-slate-500 hover:text-rose-300"
+                title="Remove demand shock"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              {[
+                ["skus", "SKUs (comma-separated, blank = all)"],
+                ["facilities", "Facilities (blank = all)"],
+                ["regions", "Customer regions (blank = all)"],
+              ].map(([key, label]) => (
+                <div key={key}>
+                  <label className="text-[10px] text-slate-300">{label}</label>
+                  <input
+                    type="text"
+                    value={shock[key]}
+                    onChange={(e) => update(shock.id, { [key]: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              <div>
+                <label className="text-[10px] text-slate-300">Start (blank = every date)</label>
+                <input
+                  type="date"
+                  value={shock.startDate}
+                  onChange={(e) => update(shock.id, { startDate: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-[10px] text-slate-300">End (exclusive)</label>
+                <input
+                  type="date"
+                  value={shock.endDate}
+                  min={shock.startDate ? addDays(shock.startDate, 1) : undefined}
+                  disabled={!shock.startDate}
+                  onChange={(e) => update(shock.id, { endDate: e.target.value })}
+                  className={`${inputClass} disabled:opacity-40`}
+                />
+              </div>
+              <div>
+                <label className="text-[10px] text-slate-300">Change</label>
+                <select
+                  className={inputClass}
+                  value={shock.changeType}
+                  onChange={(e) => update(shock.id, { changeType: e.target.value })}
+                >
+                  <option value="percent">% of demand</option>
+                  <option value="absolute">Units per row</option>
+                </select>
+              </div>
+              <div>
+                <label className="text-[10px] text-slate-300">{shock.changeType === "percent" ? "Change (%)" : "Change (units)"}</label>
+                <input
+                  type="number"
+                  value={shock.value}
+                  onChange={(e) => update(shock.id, { value: Number(e.target.value) || 0 })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {shock.shape === "promo" && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="text-[10px] text-slate-300">Post-promo dip (% of lift)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={shock.dipPct}
+                    onChange={(e) => update(shock.id, { dipPct: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="text-[10px] text-slate-300">Dip length (days)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={shock.dipDays}
+                    onChange={(e) => update(shock.id, { dipDays: Math.max(0, Number(e.target.value) || 0) })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            )}
+
+            <ShockCurve shock={shock} />
+            {shock.startDate && !shock.endDate && (
+              <p className="text-[11px] text-slate-400">No end date — applies from {shock.startDate} onwards.</p>
+            )}
+            {result && (
+              <p className="text-[11px] text-slate-300">
+                {result.rows
+                  ? `${result.rows} demand row${result.rows === 1 ? "" : "s"} changed · net ${result.delta >= 0 ? "+" : ""}${result.delta.toLocaleString()} units`
+                  : "Matches no demand rows."}
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      {impact?.notes?.map((note) => (
+        <p key={note} className="text-[11px] text-amber-200">
+          ⚠ {note}
+        </p>
+      ))}
+    </div>
+  );
+}
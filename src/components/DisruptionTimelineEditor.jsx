@@ -0,0 +1,175 @@
+import React, { useMemo } from "react";
+import { buildEventGantt, eventEndDate, eventFacilities, findEventOverlaps, sortEvents } from "../utils/scenarioEvents";
+import { IMPACT_PROFILES, impactCurve } from "../utils/impactProfiles";
+
+const TYPE_COLORS = {
+  natural_disaster: "#fb7185",
+  logistics: "#38bdf8",
+  geopolitical: "#fbbf24",
+  factory: "#a78bfa",
+};
+
+function eventSite(event, regionFacilities) {
+  if (!event.regionMode) return event.facility || "—";
+  const n = eventFacilities(event, regionFacilities).length;
+  return event.region ? `${event.region} (${n})` : "No region";
+}
+
+// Peak impact × profile over the event's window, filling its Gantt bar
+function ImpactSparkline({ event, color }) {
+  const days = Math.max(1, Math.round(Number(event.duration) || 0));
+  const peak = Math.max(event.productionImpact, event.shippingImpact);
+  const points = impactCurve(event.profile, days)
+    .flatMap((m, d) => [`${d},${100 - m * peak}`, `${d + 1},${100 - m * peak}`])
+    .join(" ");
+  return (
+    <svg viewBox={`0 0 ${days} 100`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+      <polygon points={`0,100 ${points} ${days},100`} fill={color} />
+    </svg>
+  );
+}
+
+/**
+ * Ordered list + Gantt of a scenario's disruption events. The selected event
+ * is the one ScenarioBuilder's type / facility / window / impact controls edit.
+ */
+export default function DisruptionTimelineEditor({
+  events = [],
+  activeEventId,
+  onSelect,
+  onAdd,
+  onRemove,
+  onRename,
+  typeOptions = [],
+  regionFacilities = {},
+}) {
+  const ordered = useMemo(() => sortEvents(events), [events]);
+  const gantt = useMemo(() => buildEventGantt(events), [events]);
+  const overlaps = useMemo(() => findEventOverlaps(events, regionFacilities), [events, regionFacilities]);
+
+  const indexOf = new Map(ordered.map((e, i) => [e.id, i + 1]));
+  const typeLabel = (t) => typeOptions.find((o) => o.value === t)?.label || t;
+  const typeIcon = (t) => typeOptions.find((o) => o.value === t)?.icon || "⚠️";
+  const colorFor = (event) => TYPE_COLORS[event.types?.[0]] || "#94a3b8";
+
+  return (
+    <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60 text-xs space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold" style={{ color: "#E8FFE8" }}>
+          Disruption Timeline
+        </p>
+        <button
+          type="button"
+          onClick={onAdd}
+          className="text-[10px] px-2 py-0.5 rounded border border-slate-600 text-slate-300 hover:border-emerald-500 hover:text-emerald-300"
+        >
+          + Add follow-on event
+        </button>
+      </div>
+
+      <ul className="space-y-1">
+        {ordered.map((event) => {
+          const active = event.id === activeEventId;
+          return (
+            <li
+              key={event.id}
+              className={`flex items-center gap-2 rounded-lg border px-2 py-1 ${
+                active ? "border-emerald-400/80 bg-emerald-500/10" : "border-slate-700/80 bg-slate-900/50"
+              }`}
+            >
+              <button type="button" onClick={() => onSelect?.(event.id)} className="flex-1 flex items-center gap-2 text-left">
+                <span className="text-[10px] text-slate-500 w-4">{indexOf.get(event.id)}.</span>
+                <span>{typeIcon(event.types?.[0])}</span>
+                <span className="text-[11px] text-slate-200">
+                  {event.name || (event.types || []).map(typeLabel).join(", ") || "Untyped event"}
+                </span>
+                <span className="text-[11px] text-slate-400">
+                  · {eventSite(event, regionFacilities)} · {event.startDate || "—"} → {eventEndDate(event) || "—"} ·{" "}
+                  <span className="text-rose-300">{event.productionImpact}%</span>
+                  {event.shippingImpact > 0 && <span className="text-blue-300"> / {event.shippingImpact}% ship</span>}
+                </span>
+              </button>
+              {active && (
+                <input
+                  type="text"
+                  value={event.name}
+                  onChange={(e) => onRename?.(event.id, e.target.value)}
+                  placeholder="Event name"
+                  className="w-32 rounded-md bg-slate-950/80 border border-slate-700 px-2 py-0.5 text-[11px] text-slate-100 placeholder:text-slate-500"
+                />
+              )}
+              <button
+                type="button"
+                onClick={() => onRemove?.(event.id)}
+                disabled={events.length <= 1}
+                className="text-[11px] text-slate-500 hover:text-rose-300 disabled:opacity-30 disabled:hover:text-slate-500"
+                title={events.length <= 1 ? "A scenario needs at least one event" : "Remove event"}
+              >
+                ✕
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {gantt.bars.length > 0 && (
+        <div className="space-y-1">
+          {gantt.bars.map(({ event, leftPct, widthPct }) => (
+            <div key={event.id} className="flex items-center gap-2">
+              <span className="w-28 truncate text-[10px] text-slate-400">
+                {indexOf.get(event.id)}. {eventSite(event, regionFacilities)}
+              </span>
+              <div className="relative flex-1 h-4 rounded bg-slate-950/70">
+                <button
+                  type="button"
+                  onClick={() => onSelect?.(event.id)}
+                  className={`absolute top-0 h-4 rounded overflow-hidden ${event.id === activeEventId ? "ring-1 ring-emerald-300" : ""}`}
+                  style={{
+                    left: `${leftPct}%`,
+                    width: `${widthPct}%`,
+                    backgroundColor: `${colorFor(event)}33`,
+                  }}
+                  title={`${event.startDate} → ${eventEndDate(event)} · production ${event.productionImpact}% · shipping ${event.shippingImpact}% · ${
+                    IMPACT_PROFILES.find((o) => o.value === (event.profile?.type || "step"))?.label
+                  }`}
+                >
+                  <ImpactSparkline event={event} color={colorFor(event)} />
+                </button>
+              </div>
+            </div>
+          ))}
+          <div className="flex items-center gap-2">
+            <span className="w-28" />
+            <div className="relative flex-1 h-4">
+              {gantt.ticks.map((t) => (
+                <span
+                  key={t.date}
+                  className="absolute text-[9px] text-slate-500 -translate-x-1/2"
+                  style={{ left: `${t.leftPct}%` }}
+                >
+                  {t.date.slice(5)}
+                </span>
+              ))}
+            </div>
+          </div>
+          <p className="text-[10px] text-slate-500">
+            {gantt.start} → {gantt.end} (end exclusive) · {gantt.totalDays} days · bar height = impact
+          </p>
+        </div>
+      )}
+
+      {overlaps.length > 0 && (
+        <div className="rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-[11px] text-amber-200">
+          ⚠ Overlapping events on the same facility — both rows are sent to the simulator:
+          <ul className="mt-1">
+            {overlaps.slice(0, 5).map((o) => (
+              <li key={`${o.a}-${o.b}-${o.facility}`}>
+                {o.facility}: events {indexOf.get(o.a)} and {indexOf.get(o.b)} from {o.from} to {o.to}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React from "react";
+import { DEFAULT_IMPACT_PROFILE, IMPACT_PROFILES, impactCurve } from "../utils/impactProfiles";
+
+const inputClass =
+  "w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100";
+
+function NumberField({ label, value, onChange }) {
+  return (
+    <div className="flex-1">
+      <label className="text-[10px] text-slate-300">{label}</label>
+      <input
+        type="number"
+        min={0}
+        max={365}
+        className={inputClass}
+        value={value}
+        onChange={(e) => onChange(Math.max(0, Number(e.target.value) || 0))}
+      />
+    </div>
+  );
+}
+
+/**
+ * Impact shape for the selected disruption event, with a per-day preview of
+ * production impact across its window.
+ */
+export default function ImpactProfileEditor({ profile, onChange, durationDays = 0, peakImpact = 100 }) {
+  const p = { ...DEFAULT_IMPACT_PROFILE, ...(profile || {}) };
+  const set = (patch) => onChange?.({ ...p, ...patch });
+  const days = Math.max(0, Math.round(Number(durationDays) || 0));
+
+  const points = impactCurve(p, days)
+    .flatMap((m, d) => [`${d},${100 - m * peakImpact}`, `${d + 1},${100 - m * peakImpact}`])
+    .join(" ");
+
+  return (
+    <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60 text-xs">
+      <p className="text-[11px] font-semibold mb-1" style={{ color: "#E8FFE8" }}>
+        Impact Profile
+      </p>
+      <select className={inputClass} value={p.type} onChange={(e) => set({ type: e.target.value })}>
+        {IMPACT_PROFILES.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      <p className="text-[11px] text-slate-400 mt-1">{IMPACT_PROFILES.find((o) => o.value === p.type)?.description}</p>
+
+      {p.type === "linear" && (
+        <div className="flex gap-2 mt-2">
+          <NumberField label="Ramp-down days" value={p.rampDownDays} onChange={(v) => set({ rampDownDays: v })} />
+          <NumberField label="Recovery days" value={p.rampUpDays} onChange={(v) => set({ rampUpDays: v })} />
+        </div>
+      )}
+      {p.type === "exponential" && (
+        <div className="flex gap-2 mt-2">
+          <NumberField label="Days at peak" value={p.holdDays} onChange={(v) => set({ holdDays: v })} />
+          <NumberField label="Half-life (days)" value={p.halfLifeDays} onChange={(v) => set({ halfLifeDays: v })} />
+        </div>
+      )}
+      {p.type === "piecewise" && (
+        <div className="mt-2">
+          <label className="text-[10px] text-slate-300">Points (day:% of peak)</label>
+          <input type="text" className={inputClass} value={p.points} onChange={(e) => set({ points: e.target.value })} />
+        </div>
+      )}
+
+      {days > 0 && (
+        <svg viewBox={`0 0 ${days} 100`} preserveAspectRatio="none" className="mt-2 w-full h-12 rounded bg-slate-950/70">
+          <polygon points={`0,100 ${points} ${days},100`} fill="rgba(251, 113, 133, 0.35)" />
+        </svg>
+      )}
+      {days > 0 && (
+        <p className="text-[10px] text-slate-500 mt-1">
+          Production impact per day over {days} days (peak {peakImpact}%)
+          {p.type !== "step" && " · sent as day-level disruption rows"}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { computeRunBreakdown } from "../lib/kpiWorkerClient";
+import { formatMoney } from "../utils/currency";
+import { downloadCSV } from "../utils/downloadCSV";
+
+const COLUMNS = [
+  { key: "sku", label: "SKU", text: true },
+  { key: "facility", label: "Facility", text: true },
+  { key: "onTimeFulfillment", label: "Service %", format: "percent" },
+  { key: "totalDemand", label: "Demand" },
+  { key: "demandAtRisk", label: "At Risk" },
+  { key: "peakBacklog", label: "Peak Backlog" },
+  { key: "missedServiceDays", label: "Missed Days" },
+  { key: "timeToRecoverDays", label: "TTR (d)" },
+  { key: "estimatedRevenueExposure", label: "Revenue Exp.", format: "currency" },
+  { key: "inventoryTurns", label: "Turns" },
+  { key: "daysOfCoverage", label: "Coverage (d)" },
+];
+
+function cell(value, format, currency) {
+  if (value === null || value === undefined) return "—";
+  if (format === "percent") return `${Number(value).toFixed(1)}%`;
+  if (format === "currency") return formatMoney(value, currency, { compact: true });
+  if (typeof value === "number") return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+  return value;
+}
+
+/**
+ * Canonical KPIs for every SKU × facility pair in the last run, computed from
+ * the same rows as the headline KPIs (kpiInputs from App). Clicking a row
+ * narrows the dashboard to that pair.
+ */
+export default function KpiBreakdownTable({ kpiInputs, selectedSku = [], selectedFacility, onSelect }) {
+  const [sort, setSort] = useState({ key: "demandAtRisk", dir: "desc" });
+  const [filter, setFilter] = useState("");
+
+  const [breakdown, setBreakdown] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!kpiInputs) {
+      setBreakdown([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const t0 = performance.now();
+    setLoading(true);
+    computeRunBreakdown(kpiInputs)
+      .then((result) => {
+        if (cancelled) return;
+        console.log(`🧮 [Breakdown] ${result.length} SKU × facility pairs in ${Math.round(performance.now() - t0)}ms`);
+        setBreakdown(result.map(({ sku, facility, kpis }) => ({ ...kpis, sku, facility })));
+      })
+      .catch((err) => {
+        console.error("❌ [Breakdown] Failed to compute SKU × facility KPIs:", err);
+        if (!cancelled) setBreakdown([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [kpiInputs]);
+
+  const currency = breakdown[0]?.currency || kpiInputs?.options?.reportingCurrency || "USD";
+
+  const rows = useMemo(() => {
+    const q = filter.trim().toUpperCase();
+    const filtered = q
+      ? breakdown.filter((r) => r.sku.includes(q) || r.facility.includes(q))
+      : breakdown;
+    const col = COLUMNS.find((c) => c.key === sort.key);
+    const dir = sort.dir === "asc" ? 1 : -1;
+    return [...filtered].sort((a, b) => {
+      const av = a[sort.key];
+      const bv = b[sort.key];
+      if (col?.text) return String(av).localeCompare(String(bv)) * dir;
+      // Missing values always sink to the bottom
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      return (av - bv) * dir;
+    });
+  }, [breakdown, filter, sort]);
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key ? { key, dir: prev.dir === "asc" ? "desc" : "asc" } : { key, dir: "desc" }
+    );
+  };
+
+  const exportCsv = () => {
+    downloadCSV(
+      rows.map((r) => Object.fromEntries(COLUMNS.map((c) => [c.key, r[c.key] ?? ""]))),
+      "kpi_breakdown_sku_facility.csv"
+    );
+  };
+
+  const selectedSkus = (Array.isArray(selectedSku) ? selectedSku : [selectedSku])
+    .filter(Boolean)
+    .map((s) => String(s).toUpperCase());
+  const isSelected = (r) =>
+    selectedSkus.length === 1 &&
+    selectedSkus[0] === r.sku &&
+    String(selectedFacility || "").toUpperCase() === r.facility;
+
+  if (!kpiInputs) {
+    return (
+      <p className="text-slate-500 text-xs py-6 text-center">
+        Breakdown needs the run's output rows — run a simulation or reload a run first.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter SKU or facility…"
+          className="text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 w-56 focus:outline-none focus:border-emerald-500"
+        />
+        <div className="flex items-center gap-2">
+          <span className="text-[11px] text-slate-400">
+            {loading
+              ? "Computing…"
+              : `${rows.length.toLocaleString()} of ${breakdown.length.toLocaleString()} pairs`}
+          </span>
+          <button
+            type="button"
+            onClick={exportCsv}
+            disabled={rows.length === 0}
+            className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-200 hover:bg-slate-800/70 disabled:opacity-40"
+          >
+            ⬇ Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-[360px] overflow-auto rounded-lg border border-slate-800">
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-slate-900">
+            <tr>
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  className={`px-2 py-1 font-normal text-[11px] text-slate-400 cursor-pointer select-none whitespace-nowrap ${
+                    c.text ? "text-left" : "text-right"
+                  }`}
+                >
+                  {c.label}
+                  {sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr
+                key={`${r.sku}|${r.facility}`}
+                onClick={() => onSelect?.(r.sku, r.facility)}
+                title="Filter the dashboard to this SKU and facility"
+                className={`border-t border-slate-800 cursor-pointer hover:bg-slate-800/60 ${
+                  isSelected(r) ? "bg-emerald-500/10" : ""
+                }`}
+              >
+                {COLUMNS.map((c) => (
+                  <td
+                    key={c.key}
+                    className={`px-2 py-1 whitespace-nowrap ${c.text ? "text-left text-slate-100" : "text-right text-slate-200"}`}
+                  >
+                    {cell(r[c.key], c.format, currency)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && rows.length === 0 && (
+          <p className="px-2 py-3 text-[11px] text-slate-500">No SKU × facility pairs found in this run.</p>
+        )}
+      </div>
+    </div>
+  );
+}
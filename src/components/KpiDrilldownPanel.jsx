@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from "react";
+import { KPI_FORMULAS } from "../utils/kpiEngine";
+import { explainRunKpis } from "../lib/kpiWorkerClient";
+import { downloadCSV } from "../utils/downloadCSV";
+
+const ROW_LIMIT = 200;
+
+const TABS = [
+  ["ledger", "Daily Ledger"],
+  ["demand", "Demand Rows"],
+  ["ship", "Customer Shipments"],
+];
+
+function fmt(n) {
+  return Number(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function RowTable({ columns, rows }) {
+  const shown = rows.slice(0, ROW_LIMIT);
+  return (
+    <div className="max-h-[320px] overflow-auto rounded-lg border border-slate-800">
+      <table className="w-full text-xs">
+        <thead className="sticky top-0 bg-slate-900">
+          <tr>
+            {columns.map(([key, label]) => (
+              <th key={key} className="px-2 py-1 text-left font-normal text-[11px] text-slate-400">
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((row, i) => (
+            <tr key={i} className="border-t border-slate-800">
+              {columns.map(([key]) => (
+                <td key={key} className="px-2 py-1 text-slate-200">
+                  {typeof row[key] === "number" ? fmt(row[key]) : row[key] || "—"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > ROW_LIMIT && (
+        <p className="px-2 py-1 text-[11px] text-slate-500">
+          Showing first {ROW_LIMIT} of {rows.length.toLocaleString()} rows.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows how a KPI card's number was derived: formula, the demand / flow rows
+ * that survived SKU, facility and warmup filtering, and the daily
+ * demand-vs-ship ledger behind the service KPIs.
+ *
+ * kpiInputs = { urls, uploads, scope, options } as handed to the KPI worker;
+ * the rows come from its per-run cache. null when the KPIs came from the
+ * backend and no row-level trail exists.
+ */
+export default function KpiDrilldownPanel({ metricKey, label, value, kpiInputs, onClose }) {
+  const [tab, setTab] = useState("ledger");
+
+  const [explain, setExplain] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!kpiInputs) {
+      setExplain(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    explainRunKpis(kpiInputs)
+      .then((result) => {
+        if (!cancelled) setExplain(result);
+      })
+      .catch((err) => {
+        console.error("❌ [Drilldown] Failed to explain KPIs:", err);
+        if (!cancelled) setExplain(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [kpiInputs]);
+
+  const formula = KPI_FORMULAS[metricKey];
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="kpi-drilldown-title"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose?.();
+      }}
+    >
+      <div className="w-full max-w-3xl rounded-2xl border border-slate-800 bg-slate-950 shadow-[0_12px_50px_rgba(0,0,0,0.55)]">
+        <div className="p-5 border-b border-slate-800 flex items-start justify-between gap-4">
+          <div>
+            <p className="text-[11px] uppercase tracking-[0.18em] text-emerald-300">KPI Drill-down</p>
+            <h4 id="kpi-drilldown-title" className="text-lg font-semibold text-slate-100">
+              {label}: <span className="text-emerald-300">{value}</span>
+            </h4>
+            <p className="mt-1 text-xs text-slate-400 font-mono">
+              {formula || "Derived directly from the run output rows."}
+            </p>
+          </div>
+          <button className="text-slate-400 hover:text-slate-100" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-5 text-sm text-slate-400">Loading run rows…</div>
+        ) : !explain ? (
+          <div className="p-5 text-sm text-slate-300">
+            These KPIs came from the backend, so no row-level trail is available. Re-run the KPI
+            update from the output files to inspect the rows.
+          </div>
+        ) : (
+          <div className="p-5 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+              <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
+                <p className="text-[11px] text-slate-400">SKU filter</p>
+                <p className="text-slate-200 truncate" title={explain.scope.skus.join(", ")}>
+                  {explain.scope.skus.length ? explain.scope.skus.join(", ") : "All SKUs"}
+                </p>
+              </div>
+              <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
+                <p className="text-[11px] text-slate-400">Facility filter</p>
+                <p className="text-slate-200">{explain.scope.facility || "All facilities"}</p>
+              </div>
+              <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
+                <p className="text-[11px] text-slate-400">Demand rows used</p>
+                <p className="text-slate-200">
+                  {explain.demandRows.length.toLocaleString()} of{" "}
+                  {explain.filters.demandRowsTotal.toLocaleString()}
+                </p>
+              </div>
+              <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
+                <p className="text-[11px] text-slate-400">Warmup trimmed</p>
+                <p className="text-slate-200">
+                  {explain.filters.warmupRows.toLocaleString()} rows ({fmt(explain.filters.warmupUnits)} units)
+                  {explain.analysisStartDate ? ` before ${explain.analysisStartDate}` : ""}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div className="flex gap-1">
+                {TABS.map(([id, tabLabel]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => setTab(id)}
+                    className={`px-3 py-1 rounded-md text-[11px] border ${
+                      tab === id
+                        ? "border-emerald-500 text-emerald-200 bg-emerald-500/10"
+                        : "border-slate-700 text-slate-300 hover:bg-slate-800/70"
+                    }`}
+                  >
+                    {tabLabel}
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                disabled={explain.ledger.length === 0}
+                onClick={() => downloadCSV(explain.ledger, `kpi_ledger_${metricKey || "service"}.csv`)}
+                className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-200 hover:bg-slate-800/70 disabled:opacity-40"
+              >
+                ⬇ Export ledger CSV
+              </button>
+            </div>
+
+            {tab === "ledger" && (
+              <RowTable
+                columns={[
+                  ["date", "Date"],
+                  ["demand", "Demand"],
+                  ["shipped", "Shipped"],
+                  ["onTime", "On-time"],
+                  ["late", "Late"],
+                  ["backlog", "Backlog"],
+                ]}
+                rows={explain.ledger}
+              />
+            )}
+            {tab === "demand" && (
+              <RowTable
+                columns={[
+                  ["date", "Date"],
+                  ["sku", "SKU"],
+                  ["facility", "Facility"],
+                  ["qty", "Qty"],
+                ]}
+                rows={explain.demandRows}
+              />
+            )}
+            {tab === "ship" && (
+              <RowTable
+                columns={[
+                  ["date", "Date"],
+                  ["sku", "SKU"],
+                  ["facility", "From"],
+                  ["flow", "Shipped"],
+                  ["backlogOut", "Backlog out"],
+                ]}
+                rows={explain.shipRows}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
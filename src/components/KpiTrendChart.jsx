@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import { TREND_GRANULARITIES, findTrendLow } from "../utils/kpiEngine";
+import { formatMoney } from "../utils/currency";
+import {
+  getWorkspaceSettings,
+  subscribeWorkspaceSettings,
+  updateWorkspaceSettings,
+} from "../lib/workspaceSettings";
+
+const METRICS = {
+  serviceLevel: { label: "Service Level %", color: "#9CF700" },
+  endingBacklog: { label: "Backlog (end of bucket)", color: "#fb923c" },
+  revenueExposure: { label: "Revenue Exposure", color: "#f43f5e" },
+};
+
+/**
+ * Service level / backlog / revenue exposure per time bucket, from
+ * kpis.trend. Changing the granularity is a workspace setting, so the KPIs
+ * are recomputed and every stored run uses the same buckets going forward —
+ * except daily, which is only kept on screen; run history stores it weekly.
+ */
+export default function KpiTrendChart({ trend, currency = "USD" }) {
+  const [settings, setSettings] = useState(() => getWorkspaceSettings());
+  const [metric, setMetric] = useState("serviceLevel");
+
+  useEffect(() => subscribeWorkspaceSettings(setSettings), []);
+
+  const buckets = useMemo(() => trend?.buckets || [], [trend]);
+  const low = useMemo(() => findTrendLow(trend), [trend]);
+
+  const data = useMemo(
+    () => ({
+      labels: buckets.map((b) => b.label),
+      datasets: [
+        {
+          label: METRICS[metric].label,
+          data: buckets.map((b) => b[metric]),
+          borderColor: METRICS[metric].color,
+          backgroundColor: METRICS[metric].color,
+          tension: 0.25,
+          pointRadius: 3,
+        },
+      ],
+    }),
+    [buckets, metric]
+  );
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => {
+              const b = buckets[items[0]?.dataIndex];
+              return b ? `${b.label} (${b.start} → ${b.end})` : "";
+            },
+            label: (context) => {
+              const v = context.parsed.y ?? 0;
+              if (metric === "serviceLevel") return `${v.toFixed(1)}%`;
+              if (metric === "revenueExposure") return formatMoney(v, currency);
+              return v.toLocaleString();
+            },
+          },
+        },
+      },
+      scales: {
+        x: { ticks: { color: "#9CA3AF" }, grid: { color: "rgba(148, 163, 184, 0.18)" } },
+        y: {
+          ticks: { color: "#9CA3AF" },
+          grid: { color: "rgba(148, 163, 184, 0.18)" },
+          ...(metric === "serviceLevel" ? { min: 0, max: 100 } : { beginAtZero: true }),
+        },
+      },
+    }),
+    [buckets, metric, currency]
+  );
+
+  const selectClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  return (
+    <div className="mt-4 bg-slate-950/60 border border-slate-800 rounded-xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div>
+          <p className="text-[11px] uppercase tracking-wide text-slate-400">KPI Trend</p>
+          {low && (
+            <p className="text-xs text-slate-300">
+              Service bottomed out at{" "}
+              <span className="font-semibold text-rose-300">{low.serviceLevel.toFixed(1)}%</span> in{" "}
+              {low.label}
+            </p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <select className={selectClass} value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {Object.entries(METRICS).map(([id, m]) => (
+              <option key={id} value={id}>{m.label}</option>
+            ))}
+          </select>
+          <select
+            className={selectClass}
+            value={settings.trendGranularity || "weekly"}
+            onChange={(e) => updateWorkspaceSettings({ trendGranularity: e.target.value })}
+          >
+            {TREND_GRANULARITIES.map((g) => (
+              <option key={g} value={g}>{g[0].toUpperCase() + g.slice(1)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="relative h-56">
+        {buckets.length > 0 ? (
+          <Line data={data} options={options} />
+        ) : (
+          <p className="text-slate-500 text-xs py-10 text-center">
+            Run a simulation with a demand file to see KPI trends.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
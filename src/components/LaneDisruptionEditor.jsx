@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import { createLaneEvent, describeLaneEvent, readLaneEndpoints } from "../utils/laneEvents";
+import { addDays } from "../utils/scenarioEvents";
+
+const inputClass =
+  "w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100 placeholder:text-slate-500";
+
+/**
+ * Lane-level events (port closure, canal blockage, carrier failure) for the
+ * scenario, matched against the lanes.csv upload by origin / destination.
+ */
+export default function LaneDisruptionEditor({ events = [], onChange, lanesFile }) {
+  const [endpoints, setEndpoints] = useState({ origins: [], destinations: [] });
+
+  useEffect(() => {
+    if (!lanesFile) {
+      setEndpoints({ origins: [], destinations: [] });
+      return undefined;
+    }
+    let cancelled = false;
+    lanesFile
+      .text()
+      .then((text) => {
+        if (!cancelled) setEndpoints(readLaneEndpoints(text));
+      })
+      .catch((e) => console.warn("Could not read lanes file for lane pickers:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [lanesFile]);
+
+  const update = (id, patch) => onChange?.(events.map((e) => (e.id === id ? { ...e, ...patch } : e)));
+  const remove = (id) => onChange?.(events.filter((e) => e.id !== id));
+  const add = () => onChange?.([...events, createLaneEvent()]);
+
+  return (
+    <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60 text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold" style={{ color: "#E8FFE8" }}>
+          Lane &amp; Transport Disruptions
+        </p>
+        <button
+          type="button"
+          onClick={add}
+          className="text-[10px] px-2 py-0.5 rounded border border-slate-600 text-slate-300 hover:border-emerald-500 hover:text-emerald-300"
+        >
+          + Add lane event
+        </button>
+      </div>
+
+      {!lanesFile && (
+        <p className="text-[11px] text-slate-400">Upload lanes.csv (optional input) for lane events to take effect.</p>
+      )}
+      {lanesFile && events.length > 0 && (
+        <p className="text-[11px] text-slate-500">
+          With start/end date columns in lanes.csv, only the event window is changed. End dates are read as exclusive
+          (the next period starts on them) unless back-to-back periods in the file start the day after.
+        </p>
+      )}
+
+      <datalist id="lane-origins">
+        {endpoints.origins.map((o) => (
+          <option key={o} value={o} />
+        ))}
+      </datalist>
+      <datalist id="lane-destinations">
+        {endpoints.destinations.map((d) => (
+          <option key={d} value={d} />
+        ))}
+      </datalist>
+
+      {events.map((event) => (
+        <div key={event.id} className="rounded-lg border border-slate-700/80 bg-slate-950/40 p-2 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={event.name}
+              onChange={(e) => update(event.id, { name: e.target.value })}
+              placeholder="e.g. Suez blockage"
+              className={inputClass}
+            />
+            <span className="text-[11px] text-slate-400 whitespace-nowrap">{describeLaneEvent(event)}</span>
+            <button
+              type="button"
+              onClick={() => remove(event.id)}
+              className="text-[11px] text-slate-500 hover:text-rose-300"
+              title="Remove lane event"
+            >
+              ✕
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <div>
+              <label className="text-[10px] text-slate-300">Origin (blank = any)</label>
+              <input
+                type="text"
+                list="lane-origins"
+                value={event.origin}
+                onChange={(e) => update(event.id, { origin: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-[10px] text-slate-300">Destination (blank = any)</label>
+              <input
+                type="text"
+                list="lane-destinations"
+                value={event.destination}
+                onChange={(e) => update(event.id, { destination: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-[10px] text-slate-300">Start (blank = whole run)</label>
+              <input
+                type="date"
+                value={event.startDate}
+                onChange={(e) => update(event.id, { startDate: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="text-[10px] text-slate-300">Duration (days)</label>
+              <input
+                type="number"
+                min={1}
+                max={365}
+                value={event.duration}
+                disabled={!event.startDate}
+                onChange={(e) => update(event.id, { duration: e.target.value || 0 })}
+                className={`${inputClass} disabled:opacity-40`}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+            <label className="flex items-center gap-2 text-[11px] text-slate-300">
+              <input
+                type="checkbox"
+                checked={event.closed}
+                onChange={(e) => update(event.id, { closed: e.target.checked })}
+                className="accent-rose-400"
+              />
+              Full closure
+            </label>
+            <div>
+              <label className="text-[10px] text-slate-300">Added transit days</label>
+              <input
+                type="number"
+                min={0}
+                value={event.addedTransitDays}
+                disabled={event.closed}
+                onChange={(e) => update(event.id, { addedTransitDays: Math.max(0, Number(e.target.value) || 0) })}
+                className={`${inputClass} disabled:opacity-40`}
+              />
+            </div>
+            <div>
+              <label className="text-[10px] text-slate-300">Capacity cut (%)</label>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={event.capacityCutPct}
+                disabled={event.closed}
+                onChange={(e) =>
+                  update(event.id, { capacityCutPct: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })
+                }
+                className={`${inputClass} disabled:opacity-40`}
+              />
+            </div>
+            <div>
+              <label className="text-[10px] text-slate-300">Cost multiplier (×)</label>
+              <input
+                type="number"
+                min={0}
+                step={0.1}
+                value={event.costMultiplier}
+                disabled={event.closed}
+                onChange={(e) => update(event.id, { costMultiplier: Math.max(0, Number(e.target.value) || 0) })}
+                className={`${inputClass} disabled:opacity-40`}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-[11px] text-slate-400">
+            <input
+              type="checkbox"
+              checked={event.bothDirections}
+              onChange={(e) => update(event.id, { bothDirections: e.target.checked })}
+            />
+            Both directions
+            {event.startDate && Number(event.duration) > 0 && (
+              <span className="ml-auto text-slate-500">
+                {event.startDate} → {addDays(event.startDate, Number(event.duration))} (end exclusive)
+              </span>
+            )}
+          </label>
+          {!event.origin && !event.destination && (
+            <p className="text-[11px] text-amber-200">Set an origin or destination — a lane event can't target every lane.</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
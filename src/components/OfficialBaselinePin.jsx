@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import {
+  WORKSPACE_SCOPE,
+  pinOfficialBaseline,
+  pinnedScopesForRun,
+  unpinOfficialBaseline,
+} from "../lib/officialBaselines";
+
+function scopeLabel(scope) {
+  return scope === WORKSPACE_SCOPE ? "workspace" : `${scope} family`;
+}
+
+/**
+ * Pin / unpin one history run as the official baseline, for the whole
+ * workspace or for one SKU family. `baselines` is lib/officialBaselines state.
+ */
+export default function OfficialBaselinePin({ run, baselines = {}, skuFamilies = [] }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState("");
+  const [scope, setScope] = useState(WORKSPACE_SCOPE);
+
+  const pinnedScopes = pinnedScopesForRun(baselines, run?.id);
+
+  const startEditing = () => {
+    setName(run?.name || "");
+    setScope(WORKSPACE_SCOPE);
+    setEditing(true);
+  };
+
+  const save = () => {
+    pinOfficialBaseline(run.id, { name, scope });
+    console.log("📌 [Baseline] Pinned official baseline:", run.id, scope);
+    setEditing(false);
+  };
+
+  const inputClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-amber-400";
+
+  if (editing) {
+    const replacing = baselines[scope];
+    return (
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-[11px]">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Baseline name (e.g. FY26 plan of record)"
+          className={`${inputClass} flex-1 min-w-[200px]`}
+        />
+        <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClass}>
+          <option value={WORKSPACE_SCOPE}>Whole workspace</option>
+          {skuFamilies.map((family) => (
+            <option key={family} value={family}>SKU family: {family}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={save}
+          className="px-3 py-1 rounded-md border border-amber-400/60 text-amber-200 hover:bg-amber-400/10"
+        >
+          Pin
+        </button>
+        <button
+          type="button"
+          onClick={() => setEditing(false)}
+          className="px-3 py-1 rounded-md border border-slate-600 text-slate-300 hover:bg-slate-800/70"
+        >
+          Cancel
+        </button>
+        {!skuFamilies.length && (
+          <span className="w-full text-slate-500">
+            Add a family column to sku_values.csv or demand.csv to pin per SKU family.
+          </span>
+        )}
+        {replacing && replacing.runId !== run.id && (
+          <span className="w-full text-slate-400">Replaces “{replacing.name}” as the {scopeLabel(scope)} baseline.</span>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-[11px]">
+      {pinnedScopes.map((s) => (
+        <span
+          key={s}
+          className="inline-flex items-center gap-1 rounded-full border border-amber-400/40 bg-amber-400/10 px-2 py-0.5 text-[10px] text-amber-200"
+        >
+          ★ {baselines[s].name} · {scopeLabel(s)}
+          <button
+            type="button"
+            onClick={() => unpinOfficialBaseline(s)}
+            className="text-amber-300/80 hover:text-amber-100"
+            title="Unpin"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <button type="button" onClick={startEditing} className="text-slate-400 hover:text-amber-200">
+        📌 {pinnedScopes.length ? "Pin for another scope" : "Set as official baseline"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  clearOutputCache,
+  evictCachedRun,
+  getOutputCacheLimitMb,
+  listCachedRuns,
+  setOutputCacheLimitMb,
+  subscribeOutputCache,
+} from "../lib/runOutputCache";
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Runs whose output CSVs are stored in the browser (lib/runOutputCache), with
+ * per-run eviction and the total size limit. Cached runs reload without the
+ * network even after their S3 links expire.
+ */
+export default function OutputCachePanel() {
+  const [runs, setRuns] = useState([]);
+  const [limitMb, setLimitMb] = useState(() => getOutputCacheLimitMb());
+
+  const refresh = useCallback(() => {
+    listCachedRuns().then(setRuns);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return subscribeOutputCache(refresh);
+  }, [refresh]);
+
+  const usedBytes = runs.reduce((sum, r) => sum + r.bytes, 0);
+  const limitBytes = limitMb * 1024 * 1024;
+  const pct = Math.min(100, (usedBytes / limitBytes) * 100);
+
+  const applyLimit = (value) => {
+    setOutputCacheLimitMb(value).then((n) => {
+      setLimitMb(n);
+      refresh();
+    });
+  };
+
+  return (
+    <div className="mt-6 rounded-xl border border-slate-700/70 bg-slate-900/40 p-3 text-xs">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <p className="text-[11px] uppercase tracking-wide text-slate-400">💾 Offline Output Cache</p>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1 text-[11px] text-slate-400">
+            Limit
+            <input
+              type="number"
+              min={1}
+              defaultValue={limitMb}
+              key={limitMb}
+              onBlur={(e) => applyLimit(e.target.value)}
+              className="w-20 text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500"
+            />
+            MB
+          </label>
+          <button
+            type="button"
+            onClick={() => clearOutputCache()}
+            disabled={runs.length === 0}
+            className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-200 hover:bg-slate-800/70 disabled:opacity-40"
+          >
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      <div className="h-1.5 rounded bg-slate-800 overflow-hidden mb-1">
+        <div
+          className={`h-full ${pct > 90 ? "bg-amber-400" : "bg-emerald-500"}`}
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+      <p className="text-[11px] text-slate-400 mb-2">
+        {formatBytes(usedBytes)} of {limitMb} MB · {runs.length} run{runs.length === 1 ? "" : "s"} ·
+        least recently used runs are evicted first
+      </p>
+
+      {runs.length === 0 ? (
+        <p className="text-[11px] text-slate-500">
+          No outputs cached yet — they are stored automatically after each run.
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-800">
+          {runs.map((r) => (
+            <li key={r.runId} className="flex items-center justify-between gap-2 py-1.5">
+              <div className="min-w-0">
+                <p className="text-slate-200 truncate" title={r.runId}>{r.runId}</p>
+                <p className="text-[11px] text-slate-500">
+                  {r.files.length} file{r.files.length === 1 ? "" : "s"} · {formatBytes(r.bytes)} · last
+                  used {new Date(r.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => evictCachedRun(r.runId)}
+                className="text-[11px] text-rose-300 hover:underline shrink-0"
+              >
+                Evict
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
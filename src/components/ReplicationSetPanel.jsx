@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import { formatMetric } from "../utils/decisionEngine";
+import { buildReplicationBands, summarizeReplicationKpis } from "../utils/replicationStats";
+import { buildRunChartSeries } from "../lib/kpiWorkerClient";
+
+const fmt = (v, format, currency) => (v === null || v === undefined ? "—" : formatMetric(v, format, currency));
+
+/**
+ * One replication set in run history: the member runs (one per seed), KPI
+ * mean / P10–P90 / 95% CI across them, and the chart series as a mean line
+ * with P10–P90 and CI bands for the current output type and SKU scope.
+ */
+export default function ReplicationSetPanel({
+  runs = [],
+  onReloadRun,
+  outputType = "inventory",
+  skus = [],
+  facility = null,
+  currency = "USD",
+  labelForRun = (r) => r.name || new Date(r.created_at).toLocaleString(),
+}) {
+  const [showStats, setShowStats] = useState(false);
+  const [showRuns, setShowRuns] = useState(false);
+  const [bands, setBands] = useState(null);
+  const [bandsError, setBandsError] = useState(null);
+
+  const first = runs[0];
+  const seeds = runs.map((r) => r.replication?.seed).filter((s) => s !== null && s !== undefined);
+  const title = first?.scenario?.name || (first?.name || "").replace(/\s#\d+$/, "") || "Replication set";
+  const expected = first?.replication?.count || runs.length;
+  const stoppedAfter = first?.replication?.stoppedAfter ?? null;
+  const missing = expected - runs.length;
+
+  const kpiStats = useMemo(() => summarizeReplicationKpis(runs), [runs]);
+  const unscored = runs.filter((r) => r.replication?.kpisMissing).map((r) => `#${r.replication.index}`);
+  const zeroSpread = kpiStats.some((s) => s.n > 1) && kpiStats.every((s) => s.n < 2 || s.sd === 0);
+
+  useEffect(() => {
+    if (!showStats) return undefined;
+    let cancelled = false;
+    setBands(null);
+    setBandsError(null);
+
+    const urls = runs.map((r) => r.outputUrls?.[`${outputType}_output_file_url`]).filter(Boolean);
+    if (!urls.length) {
+      setBandsError(`No ${outputType} output for these runs.`);
+      return undefined;
+    }
+
+    Promise.all(urls.map((url) => buildRunChartSeries(url, outputType, { skus, facility })))
+      .then((seriesList) => {
+        if (!cancelled) setBands(buildReplicationBands(seriesList));
+      })
+      .catch((e) => {
+        console.error("❌ [Replications] Band build failed:", e);
+        if (!cancelled) setBandsError("Failed to load replication outputs.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showStats, runs, outputType, skus, facility]);
+
+  const chartData = useMemo(() => {
+    if (!bands?.labels.length) return null;
+    const band = (label, data, fill, color) => ({
+      label,
+      data,
+      borderColor: "transparent",
+      backgroundColor: color,
+      pointRadius: 0,
+      fill,
+    });
+    return {
+      labels: bands.labels,
+      datasets: [
+        band("P90", bands.p90, "+1", "rgba(96, 165, 250, 0.15)"),
+        band("P10", bands.p10, false, "transparent"),
+        band("95% CI high", bands.ciHigh, "+1", "rgba(156, 247, 0, 0.22)"),
+        band("95% CI low", bands.ciLow, false, "transparent"),
+        {
+          label: `Mean (${runs.length} runs)`,
+          data: bands.mean,
+          borderColor: "#9CF700",
+          backgroundColor: "transparent",
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.25,
+        },
+      ],
+    };
+  }, [bands, runs.length]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: "index", intersect: false },
+    plugins: {
+      legend: {
+        position: "bottom",
+        labels: { color: "#E8FFE8", filter: (item) => !item.text.endsWith("low") && item.text !== "P10" },
+      },
+    },
+    scales: {
+      x: { ticks: { color: "#9CA3AF", maxTicksLimit: 10 }, grid: { color: "rgba(148, 163, 184, 0.18)" } },
+      y: { ticks: { color: "#9CA3AF" }, grid: { color: "rgba(148, 163, 184, 0.18)" } },
+    },
+  };
+
+  const thClass = "px-2 py-1 font-normal text-right";
+  const tdClass = "px-2 py-1 text-right text-slate-200";
+
+  return (
+    <div className="bg-slate-900/60 border border-violet-500/30 rounded-xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <p className="text-xs text-slate-200">
+            🎲 {title} · {runs.length} replication{runs.length === 1 ? "" : "s"}
+          </p>
+          <p className="text-[11px] text-slate-500">
+            {seeds.length ? `Seeds ${Math.min(...seeds)}–${Math.max(...seeds)}` : "No seeds recorded"}
+            {stoppedAfter === null && missing > 0 && ` · ${missing} replication${missing === 1 ? "" : "s"} missing from history`}
+          </p>
+          {stoppedAfter !== null && (
+            <p className="text-[11px] text-amber-300">
+              ⚠ Incomplete set: stopped after {stoppedAfter} of {expected} replications — statistics cover the finished runs only.
+            </p>
+          )}
+        </div>
+        <div className="flex gap-3 text-xs">
+          <button type="button" onClick={() => setShowStats((v) => !v)} className="text-violet-300 hover:underline">
+            📊 {showStats ? "Hide statistics" : "Statistics"}
+          </button>
+          <button type="button" onClick={() => setShowRuns((v) => !v)} className="text-slate-300 hover:underline">
+            {showRuns ? "Hide runs" : "Show runs"}
+          </button>
+        </div>
+      </div>
+
+      {showRuns && (
+        <ul className="mt-3 space-y-1 text-[11px]">
+          {runs.map((run) => (
+            <li key={run.id} className="flex items-center justify-between gap-2">
+              <span className="text-slate-300">
+                #{run.replication?.index} · {labelForRun(run)}
+                {run.replication?.seed !== null && run.replication?.seed !== undefined && <span className="text-slate-500"> · seed {run.replication.seed}</span>}
+              </span>
+              <button
+                type="button"
+                onClick={() => onReloadRun?.(run)}
+                className="font-semibold hover:underline"
+                style={{ color: "#9CF700" }}
+              >
+                🔄 Reload
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showStats && (
+        <div className="mt-3 space-y-3">
+          {zeroSpread && (
+            <div className="rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-[11px] text-amber-200">
+              ⚠ Every replication returned identical KPIs — the backend may be ignoring the seed.
+            </div>
+          )}
+
+          {unscored.length > 0 && (
+            <div className="rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-[11px] text-amber-200">
+              ⚠ KPIs couldn't be computed for replication{unscored.length === 1 ? "" : "s"} {unscored.join(", ")} — they're left
+              out of the statistics below; see n per KPI.
+            </div>
+          )}
+
+          <div className="overflow-x-auto rounded-lg border border-slate-800">
+            <table className="w-full text-[11px]">
+              <thead>
+                <tr className="text-slate-400">
+                  <th className="px-2 py-1 font-normal text-left">KPI</th>
+                  <th className={thClass}>Mean</th>
+                  <th className={thClass}>P10</th>
+                  <th className={thClass}>P50</th>
+                  <th className={thClass}>P90</th>
+                  <th className={thClass}>95% CI (mean)</th>
+                  <th className={thClass}>n</th>
+                </tr>
+              </thead>
+              <tbody>
+                {kpiStats.map((s) => (
+                  <tr key={s.metricId} className="border-t border-slate-800">
+                    <td className="px-2 py-1 text-slate-300">{s.label}</td>
+                    <td className={tdClass}>{fmt(s.mean, s.format, currency)}</td>
+                    <td className={tdClass}>{fmt(s.p10, s.format, currency)}</td>
+                    <td className={tdClass}>{fmt(s.p50, s.format, currency)}</td>
+                    <td className={tdClass}>{fmt(s.p90, s.format, currency)}</td>
+                    <td className={`${tdClass} text-slate-400`}>
+                      {s.n > 1 ? `${fmt(s.ciLow, s.format, currency)} – ${fmt(s.ciHigh, s.format, currency)}` : "—"}
+                    </td>
+                    <td className={`${tdClass} ${s.n < s.of ? "text-amber-300" : "text-slate-500"}`}>
+                      {s.n}/{s.of}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="relative h-64 bg-slate-950/60 border border-slate-800 rounded-xl p-3">
+            {bandsError ? (
+              <p className="text-xs text-red-400">{bandsError}</p>
+            ) : chartData ? (
+              <Line data={chartData} options={chartOptions} />
+            ) : (
+              <p className="text-xs text-slate-400">Building {outputType} bands…</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
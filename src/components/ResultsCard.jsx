@@ -1,68 +1,119 @@
 import React, { useMemo } from "react";
+import { getKpiMeta } from "../utils/decisionEngine";
+import { buildRunComparison } from "../utils/runComparison";
 
 /**
  * ResultsCard
- * - Accepts 1..N runs and renders a KPI comparison table.
- * - Each run is { id, name, timestamp, kpis = {}, scenario?: {name, id} }.
+ * - Accepts 1..N runs (StoredRun views) and renders a KPI matrix, one column
+ *   per run, with deltas against the reference run.
+ * - `rankBy` (a KPI metric id) orders the columns best-first and shows ranks.
+ * - `referenceId` / `rankBy` are controlled; the callbacks are optional.
  */
-export default function ResultsCard({ runs = [], title = "Results", subtitle, highlightBaselineId }) {
-  const cols = runs.slice(0, 4); // keep UI tidy; expand later if needed
-
-  // Build KPI row set (union of keys across runs)
-  const kpiKeys = useMemo(() => {
-    const set = new Set();
-    cols.forEach(r => Object.keys(r.kpis || {}).forEach(k => set.add(k)));
-    // a gentle preferred order if present
-    const order = [
-      "onTimeFulfillment","inventoryTurns","avgInventory",
-      "costToServe","expediteRatio","backorderVolume",
-      "totalProduction","impactedFacilities","avgTimeToRecovery"
-    ];
-    const withOrder = [
-      ...order.filter(k => set.has(k)),
-      ...Array.from(set).filter(k => !order.includes(k)),
-    ];
-    return withOrder;
-  }, [cols]);
+export default function ResultsCard({
+  runs = [],
+  title = "Results",
+  subtitle,
+  referenceId,
+  highlightBaselineId,
+  onReferenceChange,
+  rankBy = "",
+  onRankByChange,
+  labelForRun = (r) => r.name || r.id || "Run",
+  fxRates,
+  thresholds,
+}) {
+  const comparison = useMemo(
+    () =>
+      buildRunComparison(runs, {
+        referenceId: referenceId ?? highlightBaselineId,
+        rankBy,
+        fxRates,
+        thresholds,
+      }),
+    [runs, referenceId, highlightBaselineId, rankBy, fxRates, thresholds]
+  );
+  const kpiMeta = getKpiMeta();
 
-  if (cols.length === 0) {
+  if (comparison.columns.length === 0) {
     return (
-      <div className="p-4 rounded-2xl border bg-white text-gray-600">
+      <div className="p-4 rounded-xl border border-slate-700/80 bg-slate-900/50 text-xs text-slate-400">
         No runs selected yet.
       </div>
     );
   }
 
-  const headerCell = (r) => (
-    <div className="flex flex-col">
-      <div className="font-semibold text-gray-900">{r.name || "Run"}</div>
-      <div className="text-xs text-gray-500">{r.scenario?.name ? `Scenario: ${r.scenario.name}` : "Unassigned"}</div>
-      <div className="text-[11px] text-gray-400">{r.timestamp}</div>
-    </div>
-  );
-
-  const tdClass = "px-3 py-2 text-sm align-top border-t border-gray-100";
-  const thClass = "px-3 py-2 text-xs text-gray-500 align-top border-t border-gray-100";
+  const thClass = "px-3 py-2 text-[11px] text-slate-400 text-left align-top border-b border-slate-700/80";
+  const tdClass = "px-3 py-2 text-xs align-top border-b border-slate-800";
+  const windowMismatch = comparison.columns.some((c) => c.windowMismatch);
 
   return (
-    <div className="p-4 rounded-2xl border bg-white shadow-sm">
-      <div className="mb-3">
-        <div className="text-lg font-semibold text-[#1D625B]">{title}</div>
-        {subtitle && <div className="text-xs text-gray-500">{subtitle}</div>}
+    <div className="p-4 rounded-xl border border-slate-700/80 bg-slate-900/50">
+      <div className="mb-3 flex flex-wrap items-end justify-between gap-2">
+        <div>
+          <div className="text-xs font-semibold text-slate-200">{title}</div>
+          {subtitle && <div className="text-[11px] text-slate-400">{subtitle}</div>}
+        </div>
+        {onRankByChange && (
+          <label className="flex items-center gap-2 text-[11px] text-slate-400">
+            Rank by
+            <select
+              value={rankBy}
+              onChange={(e) => onRankByChange(e.target.value)}
+              className="text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500"
+            >
+              <option value="">— none —</option>
+              {Object.entries(kpiMeta).map(([id, meta]) => (
+                <option key={id} value={id}>
+                  {meta.label} ({meta.higherIsBetter ? "higher" : "lower"} is better)
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
       </div>
 
-      {/* table */}
+      {windowMismatch && (
+        <div className="mb-3 rounded-lg border border-amber-500/30 bg-amber-500/10 px-3 py-2 text-[11px] text-amber-200">
+          ⚠ Window not applied to some runs: they have no saved input snapshot and keep the analysis window they
+          were calculated with.
+        </div>
+      )}
+
       <div className="overflow-x-auto">
-        <table className="min-w-[640px] w-full">
+        <table className="w-full min-w-[480px]">
           <thead>
             <tr>
-              <th className={`${thClass} w-48`}>KPI</th>
-              {cols.map((r) => (
-                <th key={`h-${r.id}`} className={`${thClass}`}>
-                  <div className={`rounded-lg p-2 ${highlightBaselineId === r.id ? "bg-emerald-50 border border-emerald-200" : ""}`}>
-                    {headerCell(r)}
-                    {highlightBaselineId === r.id && (
-                      <div className="mt-1 text-[11px] text-emerald-700 font-medium">Baseline</div>
+              <th className={`${thClass} w-40`}>KPI</th>
+              {comparison.columns.map(({ run, rank, isReference }) => (
+                <th key={`h-${run.id}`} className={thClass}>
+                  <div
+                    className={`rounded-lg p-2 min-w-[140px] ${
+                      isReference ? "bg-emerald-500/10 border border-emerald-500/40" : "border border-transparent"
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      {rank !== null && (
+                        <span className="rounded-full bg-slate-700 px-1.5 text-[10px] text-slate-100">#{rank}</span>
+                      )}
+                      <span className="font-semibold text-slate-100 truncate" title={labelForRun(run)}>
+                        {labelForRun(run)}
+                      </span>
+                    </div>
+                    <div className="text-[10px] text-slate-500">
+                      {run.scenario?.name ? `Scenario: ${run.scenario.name}` : "No scenario"}
+                    </div>
+                    {isReference ? (
+                      <div className="mt-1 text-[10px] font-medium text-emerald-300">Reference</div>
+                    ) : (
+                      onReferenceChange && (
+                        <button
+                          type="button"
+                          onClick={() => onReferenceChange(run.id)}
+                          className="mt-1 text-[10px] text-slate-400 hover:text-emerald-300"
+                        >
+                          Use as reference
+                        </button>
+                      )
                     )}
                   </div>
                 </th>
@@ -70,32 +121,32 @@ export default function ResultsCard({ runs = [], title = "Results", subtitle, hi
             </tr>
           </thead>
           <tbody>
-            {kpiKeys.map((k) => (
-              <tr key={k}>
-                <td className={`${tdClass} font-medium text-gray-700`}>{k.replace(/_/g," ")}</td>
-                {cols.map((r) => (
-                  <td key={`${r.id}-${k}`} className={tdClass}>
-                    {r.kpis?.[k] ?? "—"}
-                  </td>
-                ))}
+            {comparison.rows.map((row) => (
+              <tr key={row.metricId} className={row.metricId === rankBy ? "bg-slate-800/40" : ""}>
+                <td className={`${tdClass} font-medium text-slate-300`}>{row.label}</td>
+                {comparison.columns.map(({ run, cells }) => {
+                  const cell = cells[row.metricId];
+                  return (
+                    <td key={`${run.id}-${row.metricId}`} className={tdClass}>
+                      <div className="text-slate-100">{cell.missing ? "—" : cell.currentDisplay}</div>
+                      {cell.deltaKnown && (
+                        <div
+                          className={`text-[10px] ${
+                            cell.isWorse ? "text-red-300" : cell.isBetter ? "text-emerald-300" : "text-slate-500"
+                          }`}
+                          title={cell.severity.label}
+                        >
+                          {cell.deltaArrow} {cell.deltaDisplay}
+                        </div>
+                      )}
+                    </td>
+                  );
+                })}
               </tr>
             ))}
           </tbody>
         </table>
       </div>
-
-      {/* mini legend */}
-      <div className="mt-3 flex flex-wrap gap-3">
-        {cols.map((r) => (
-          <span
-            key={`legend-${r.id}`}
-            className={`text-[11px] px-2 py-0.5 rounded-full border ${highlightBaselineId === r.id ? "bg-emerald-50 border-emerald-200 text-emerald-700" : "bg-gray-50 border-gray-200 text-gray-600"}`}
-            title={r.timestamp}
-          >
-            {r.name || "Run"} {r.scenario?.name ? `• ${r.scenario.name}` : ""}
-          </span>
-        ))}
-      </div>
     </div>
   );
 }
@@ -1,15 +1,25 @@
 import React, { useEffect, useState } from "react";
+import { getWorkspaceSettings, subscribeWorkspaceSettings } from "../lib/workspaceSettings";
+import { fetchOutputText } from "../lib/runOutputCache";
+import { convertAmount, formatMoney } from "../utils/currency";
 
 /**
- * RevenueSummary with delta vs baseline
+ * RevenueSummary with delta vs baseline.
+ * Amounts are converted into the workspace reporting currency; the source
+ * currencies seen in each run's rows are listed next to the run name.
  */
 export default function RevenueSummary({ runs = [], highlightBaselineId }) {
   const [rows, setRows] = useState([]);
+  const [settings, setSettings] = useState(() => getWorkspaceSettings());
+
+  useEffect(() => subscribeWorkspaceSettings(setSettings), []);
 
   // Common field keys
   const QUANTITY_KEYS = ["quantity", "qty", "amount"];
   const PRICE_KEYS = ["sell_price", "price", "unit_price"];
   const COST_KEYS = ["cost_per_unit", "cost", "unit_cost"];
+  const CURRENCY_KEYS = ["currency", "ccy", "currency_code"];
+  const reportingCurrency = settings.reportingCurrency;
 
   function parseCSV(text) {
     const lines = text.trim().split(/\r?\n/);
@@ -27,7 +37,21 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
   function computeMetrics(data) {
     let revenue = 0,
       cost = 0;
+    const sourceCurrencies = new Set();
+    const unconverted = new Set();
+    const toReporting = (amount, ccy) => {
+      const converted = convertAmount(amount, ccy, reportingCurrency, settings.fxRates);
+      if (converted === null) {
+        unconverted.add(ccy);
+        return 0;
+      }
+      return converted;
+    };
     data.forEach((row) => {
+      const ccy = (
+        CURRENCY_KEYS.map((k) => row[k]).find((v) => v) || settings.sourceCurrency
+      ).toUpperCase();
+      sourceCurrencies.add(ccy);
       const q = parseFloat(
         QUANTITY_KEYS.map((k) => row[k]).find((v) => v !== undefined) || 0
       );
@@ -38,20 +62,25 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
         COST_KEYS.map((k) => row[k]).find((v) => v !== undefined) || 0
       );
       if (!isNaN(q)) {
-        if (!isNaN(p)) revenue += q * p;
-        if (!isNaN(c)) cost += q * c;
+        if (!isNaN(p)) revenue += toReporting(q * p, ccy);
+        if (!isNaN(c)) cost += toReporting(q * c, ccy);
       }
     });
     const margin = revenue - cost;
     const marginPct = revenue > 0 ? (margin / revenue) * 100 : 0;
-    return { revenue, cost, margin, marginPct };
+    return {
+      revenue,
+      cost,
+      margin,
+      marginPct,
+      sourceCurrencies: [...sourceCurrencies],
+      unconverted: [...unconverted],
+    };
   }
 
   async function fetchText(url) {
     if (!url) return null;
-    const res = await fetch(url, { credentials: "omit" });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return res.text();
+    return fetchOutputText(url, (u) => fetch(u, { credentials: "omit" }));
   }
 
   useEffect(() => {
@@ -81,7 +110,8 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
     return () => {
       alive = false;
     };
-  }, [runs]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [runs, settings]);
 
   if (!runs || runs.length === 0) return null;
 
@@ -99,7 +129,7 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
           positive ? "text-green-600" : "text-red-600"
         } text-xs`}
       >
-        {positive ? "▲" : "▼"} {diff.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+        {positive ? "▲" : "▼"} {formatMoney(Math.abs(diff), reportingCurrency)}
       </span>
     );
   }
@@ -107,7 +137,7 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
   return (
     <div className="rounded-2xl p-4 border bg-white/80 mt-4">
       <div className="text-sm font-semibold text-[#1D625B] mb-3">
-        💰 Revenue & Cost Summary
+        💰 Revenue & Cost Summary ({reportingCurrency})
       </div>
       <table className="w-full text-sm">
         <thead>
@@ -129,21 +159,27 @@ export default function RevenueSummary({ runs = [], highlightBaselineId }) {
               <tr key={row.id} className="border-b last:border-0">
                 <td className={`py-1 ${cls}`}>
                   {row.name} {isBaseline && "✓ Baseline"}
+                  {row.sourceCurrencies.length > 0 && (
+                    <span className="block text-[11px] text-gray-500 font-normal">
+                      Source: {row.sourceCurrencies.join(", ")}
+                      {row.unconverted.length > 0 && ` · no FX rate for ${row.unconverted.join(", ")}`}
+                    </span>
+                  )}
                 </td>
                 <td className="py-1">
-                  ${row.revenue.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                  {formatMoney(row.revenue, reportingCurrency)}
                   {baseline &&
                     !isBaseline &&
                     deltaDisplay(row.revenue, baseline.revenue, true)}
                 </td>
                 <td className="py-1">
-                  ${row.cost.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                  {formatMoney(row.cost, reportingCurrency)}
                   {baseline &&
                     !isBaseline &&
                     deltaDisplay(row.cost, baseline.cost, false)}
                 </td>
                 <td className="py-1">
-                  ${row.margin.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                  {formatMoney(row.margin, reportingCurrency)}
                   {baseline &&
                     !isBaseline &&
                     deltaDisplay(row.margin, baseline.margin, true)}
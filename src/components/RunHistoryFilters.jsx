@@ -0,0 +1,140 @@
+import React, { useMemo } from "react";
+import { getKpiMeta } from "../utils/decisionEngine";
+import {
+  EMPTY_RUN_FILTER,
+  KPI_FILTER_OPS,
+  collectRunFacets,
+  isRunFilterActive,
+} from "../utils/runSearch";
+
+/**
+ * Search / filter bar over the run store: free text (name, notes, tags,
+ * scenario), tag chips, scenario, created-at range and one KPI threshold.
+ * Controlled — the parent owns `filter` and applies utils/runSearch.filterRuns.
+ */
+export default function RunHistoryFilters({ runs = [], filter = EMPTY_RUN_FILTER, onChange, matchCount }) {
+  const facets = useMemo(() => collectRunFacets(runs), [runs]);
+  const kpiMeta = getKpiMeta();
+  const active = isRunFilterActive(filter);
+
+  const update = (patch) => onChange?.({ ...filter, ...patch });
+  const updateKpi = (patch) => update({ kpi: { ...filter.kpi, ...patch } });
+  const toggleTag = (tag) => {
+    const on = filter.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+    update({ tags: on ? filter.tags.filter((t) => t.toLowerCase() !== tag.toLowerCase()) : [...filter.tags, tag] });
+  };
+
+  const inputClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  return (
+    <div className="mb-4 rounded-xl border border-slate-700/70 bg-slate-900/40 p-3 text-xs space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={filter.text}
+          onChange={(e) => update({ text: e.target.value })}
+          placeholder="Search name, notes, tags, scenario…"
+          className={`${inputClass} flex-1 min-w-[200px]`}
+        />
+        <select
+          className={inputClass}
+          value={filter.scenario}
+          onChange={(e) => update({ scenario: e.target.value })}
+        >
+          <option value="">All scenarios</option>
+          {facets.scenarios.map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-[11px] text-slate-400">
+          From
+          <input
+            type="date"
+            className={inputClass}
+            value={filter.from}
+            max={filter.to || undefined}
+            onChange={(e) => update({ from: e.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-1 text-[11px] text-slate-400">
+          To
+          <input
+            type="date"
+            className={inputClass}
+            value={filter.to}
+            min={filter.from || undefined}
+            onChange={(e) => update({ to: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-[11px] text-slate-400">KPI</span>
+        <select
+          className={inputClass}
+          value={filter.kpi.metricId}
+          onChange={(e) => updateKpi({ metricId: e.target.value })}
+        >
+          <option value="">Any</option>
+          {Object.entries(kpiMeta).map(([id, meta]) => (
+            <option key={id} value={id}>{meta.label}</option>
+          ))}
+        </select>
+        <select
+          className={inputClass}
+          value={filter.kpi.op}
+          onChange={(e) => updateKpi({ op: e.target.value })}
+          disabled={!filter.kpi.metricId}
+        >
+          {KPI_FILTER_OPS.map((op) => (
+            <option key={op} value={op}>{op}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          className={`${inputClass} w-24`}
+          value={filter.kpi.value}
+          onChange={(e) => updateKpi({ value: e.target.value })}
+          disabled={!filter.kpi.metricId}
+          placeholder={kpiMeta[filter.kpi.metricId]?.format === "percent" ? "90" : "value"}
+        />
+
+        <div className="ml-auto flex items-center gap-2">
+          <span className="text-[11px] text-slate-400">
+            {matchCount ?? runs.length} of {runs.length} runs
+          </span>
+          {active && (
+            <button
+              type="button"
+              onClick={() => onChange?.(EMPTY_RUN_FILTER)}
+              className="text-[11px] text-slate-400 hover:text-slate-200"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {facets.tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {facets.tags.map((tag) => {
+            const on = filter.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+            return (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => toggleTag(tag)}
+                className={`rounded-full border px-2 py-0.5 text-[10px] ${
+                  on ? "border-emerald-500 bg-emerald-500/15 text-emerald-200" : "border-slate-600 text-slate-300 hover:bg-slate-800/70"
+                }`}
+              >
+                #{tag}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { getRunInputSnapshot } from "../lib/runInputSnapshots";
+import { diffRunInputs, RUN_INPUT_KEYS } from "../utils/runInputs";
+import { diffCsvText, diffScenario, ROW_DIFF_INPUTS } from "../utils/inputDiff";
+
+const TAB_LABELS = {
+  demand: "Demand",
+  disruptions: "Disruptions",
+  location_materials: "Location materials",
+  scenario: "Scenario",
+};
+
+const MAX_ROWS_SHOWN = 100;
+
+function short(value) {
+  if (value === undefined || value === null || value === "") return "∅";
+  const s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return s.length > 80 ? `${s.slice(0, 77)}…` : s;
+}
+
+function rowSummary(row) {
+  return Object.entries(row || {})
+    .map(([k, v]) => `${k}=${v}`)
+    .join(", ");
+}
+
+/**
+ * Side-by-side view of what went into two runs: fingerprint status for every
+ * input, row-level diffs for demand / disruptions / location_materials, and a
+ * field-level diff of the scenario JSON. Texts come from lib/runInputSnapshots.
+ */
+export default function RunInputDiffViewer({
+  runs = [],
+  defaultBaseId = null,
+  defaultCompareId = null,
+  labelForRun = (r) => r.name || r.id,
+}) {
+  const [compareId, setCompareId] = useState(() => defaultCompareId || runs[0]?.id || "");
+  const [baseId, setBaseId] = useState(
+    () => defaultBaseId || runs.find((r) => r.id !== (defaultCompareId || runs[0]?.id))?.id || ""
+  );
+  const [tab, setTab] = useState("demand");
+  const [snapshots, setSnapshots] = useState({ base: null, compare: null, loading: false });
+
+  const baseRun = runs.find((r) => r.id === baseId) || null;
+  const compareRun = runs.find((r) => r.id === compareId) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setSnapshots({ base: null, compare: null, loading: true });
+    Promise.all([getRunInputSnapshot(baseId), getRunInputSnapshot(compareId)]).then(([base, compare]) => {
+      if (!cancelled) setSnapshots({ base, compare, loading: false });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [baseId, compareId]);
+
+  const fingerprintDiff = useMemo(
+    () => diffRunInputs(compareRun?.inputs, baseRun?.inputs),
+    [compareRun, baseRun]
+  );
+
+  const rowDiff = useMemo(() => {
+    if (tab === "scenario") return null;
+    const before = snapshots.base?.files?.[tab];
+    const after = snapshots.compare?.files?.[tab];
+    if (before === undefined || after === undefined) return null;
+    return diffCsvText(before, after, tab);
+  }, [tab, snapshots]);
+
+  const scenarioDiff = useMemo(
+    () => (tab === "scenario" && snapshots.base && snapshots.compare
+      ? diffScenario(snapshots.base.scenario, snapshots.compare.scenario)
+      : null),
+    [tab, snapshots]
+  );
+
+  const selectClass =
+    "text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  const statusFor = (key) => {
+    if (!fingerprintDiff) return { label: "unknown", tone: "text-slate-500" };
+    const d = fingerprintDiff.find((x) => x.key === key);
+    if (!d) {
+      return compareRun?.inputs?.[key] ? { label: "same", tone: "text-emerald-300" } : null;
+    }
+    return { label: d.change, tone: d.change === "changed" ? "text-amber-300" : "text-sky-300" };
+  };
+
+  const missingSnapshot = !snapshots.loading && (!snapshots.base || !snapshots.compare);
+
+  const rowEntries = rowDiff
+    ? [
+        ...rowDiff.changed.map((d) => ({ type: "~", key: d.key, detail: d.fields.map((f) => `${f.column}: ${short(f.before)} → ${short(f.after)}`).join("; ") })),
+        ...rowDiff.added.map((d) => ({ type: "+", key: d.key, detail: rowSummary(d.row) })),
+        ...rowDiff.removed.map((d) => ({ type: "−", key: d.key, detail: rowSummary(d.row) })),
+      ]
+    : [];
+
+  return (
+    <div className="rounded-xl border border-slate-700/80 bg-slate-900/50 p-4 text-xs space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-[11px] text-slate-400">Baseline</span>
+        <select className={selectClass} value={baseId} onChange={(e) => setBaseId(e.target.value)}>
+          {runs.map((r) => (
+            <option key={r.id} value={r.id}>{labelForRun(r)}</option>
+          ))}
+        </select>
+        <span className="text-[11px] text-slate-400">vs</span>
+        <select className={selectClass} value={compareId} onChange={(e) => setCompareId(e.target.value)}>
+          {runs.map((r) => (
+            <option key={r.id} value={r.id}>{labelForRun(r)}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Fingerprints */}
+      <div className="flex flex-wrap gap-2">
+        {[...RUN_INPUT_KEYS, "scenario"].map((key) => {
+          const status = statusFor(key);
+          if (!status) return null;
+          const info = compareRun?.inputs?.[key] || baseRun?.inputs?.[key];
+          return (
+            <span
+              key={key}
+              className="rounded-full border border-slate-600 px-2 py-0.5 text-[10px] text-slate-300"
+              title={info?.hash ? `fingerprint ${info.hash}` : undefined}
+            >
+              {key} · <span className={status.tone}>{status.label}</span>
+            </span>
+          );
+        })}
+      </div>
+      {!fingerprintDiff && (
+        <p className="text-[11px] text-slate-500">
+          One of these runs has no input fingerprints (made before they were recorded).
+        </p>
+      )}
+
+      <div className="flex gap-1 border-b border-slate-700/80">
+        {[...ROW_DIFF_INPUTS, "scenario"].map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setTab(key)}
+            className={`px-3 py-1 text-[11px] rounded-t-md ${
+              tab === key ? "bg-slate-800 text-emerald-200" : "text-slate-400 hover:text-slate-200"
+            }`}
+          >
+            {TAB_LABELS[key]}
+          </button>
+        ))}
+      </div>
+
+      {snapshots.loading ? (
+        <p className="text-slate-400">Loading input snapshots…</p>
+      ) : missingSnapshot ? (
+        <p className="text-slate-400">
+          No input snapshot on this device for {!snapshots.base ? "the baseline run" : "the compared run"} — row-level
+          diffs are only available for runs made here since snapshots were introduced.
+        </p>
+      ) : tab === "scenario" ? (
+        !scenarioDiff?.length ? (
+          <p className="text-slate-400">Scenarios are identical.</p>
+        ) : (
+          <ul className="space-y-1 font-mono text-[11px]">
+            {scenarioDiff.map((d) => (
+              <li key={d.path} className={d.change === "added" ? "text-emerald-300" : d.change === "removed" ? "text-red-300" : "text-amber-200"}>
+                {d.change === "added" ? "+" : d.change === "removed" ? "−" : "~"} {d.path}: {short(d.before)} → {short(d.after)}
+              </li>
+            ))}
+          </ul>
+        )
+      ) : !rowDiff ? (
+        <p className="text-slate-400">
+          {TAB_LABELS[tab]} wasn&apos;t captured for one of these runs
+          {(snapshots.base?.skipped || []).concat(snapshots.compare?.skipped || []).includes(tab) ? " (file too large to snapshot)" : ""}.
+        </p>
+      ) : (
+        <>
+          <p className="text-slate-300">
+            <span className="text-emerald-300">+{rowDiff.added.length} added</span>
+            {" · "}
+            <span className="text-red-300">−{rowDiff.removed.length} removed</span>
+            {" · "}
+            <span className="text-amber-200">~{rowDiff.changed.length} changed</span>
+            {" · "}
+            <span className="text-slate-400">{rowDiff.unchanged} unchanged</span>
+            <span className="ml-2 text-[11px] text-slate-500">
+              {rowDiff.keyColumns.length ? `matched on ${rowDiff.keyColumns.join(", ")}` : "matched on whole rows"}
+            </span>
+          </p>
+          {rowEntries.length > 0 && (
+            <div className="max-h-72 overflow-auto rounded-lg border border-slate-800">
+              <table className="w-full">
+                <tbody>
+                  {rowEntries.slice(0, MAX_ROWS_SHOWN).map((e) => (
+                    <tr key={`${e.type}-${e.key}`} className="border-b border-slate-800 align-top">
+                      <td className={`px-2 py-1 w-6 ${e.type === "+" ? "text-emerald-300" : e.type === "−" ? "text-red-300" : "text-amber-200"}`}>
+                        {e.type}
+                      </td>
+                      <td className="px-2 py-1 text-slate-200 whitespace-nowrap">{e.key}</td>
+                      <td className="px-2 py-1 text-slate-400">{e.detail}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {rowEntries.length > MAX_ROWS_SHOWN && (
+            <p className="text-[11px] text-slate-500">
+              Showing {MAX_ROWS_SHOWN} of {rowEntries.length} differences.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { normalizeTags, updateRun } from "../lib/runStore";
+
+/**
+ * Scenario, tags and notes of one history entry, with an inline editor.
+ * Saves straight to lib/runStore (which also marks the run for sync).
+ */
+export default function RunMetaEditor({ run }) {
+  const [editing, setEditing] = useState(false);
+  const [tagsText, setTagsText] = useState("");
+  const [notes, setNotes] = useState("");
+
+  const tags = run?.tags || [];
+  const scenario = run?.scenario;
+
+  const startEditing = () => {
+    setTagsText(tags.join(", "));
+    setNotes(run?.notes || "");
+    setEditing(true);
+  };
+
+  const save = () => {
+    updateRun(run.id, { tags: normalizeTags(tagsText), notes: notes.trim() });
+    setEditing(false);
+  };
+
+  const inputClass =
+    "w-full text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  if (editing) {
+    return (
+      <div className="mt-3 space-y-2">
+        <input
+          type="text"
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          placeholder="Tags, comma separated (e.g. typhoon, vietnam, baseline)"
+          className={inputClass}
+        />
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Notes"
+          className={inputClass}
+        />
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={save}
+            className="px-3 py-1 rounded-md text-[11px] border border-emerald-500/60 text-emerald-200 hover:bg-emerald-500/10"
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditing(false)}
+            className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-300 hover:bg-slate-800/70"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1 text-[11px]">
+      {scenario && (
+        <span className="text-slate-400 mr-1" title={scenario.id ? `Scenario id ${scenario.id}` : undefined}>
+          🧪 {scenario.name || scenario.id}
+        </span>
+      )}
+      {tags.map((tag) => (
+        <span key={tag} className="rounded-full border border-slate-600 px-2 py-0.5 text-[10px] text-slate-300">
+          #{tag}
+        </span>
+      ))}
+      {run?.notes && (
+        <span className="text-slate-400 italic truncate max-w-[320px]" title={run.notes}>
+          “{run.notes}”
+        </span>
+      )}
+      <button type="button" onClick={startEditing} className="text-slate-400 hover:text-slate-200 ml-1">
+        ✎ {tags.length || run?.notes ? "Edit" : "Add tags / notes"}
+      </button>
+    </div>
+  );
+}
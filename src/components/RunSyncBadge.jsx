@@ -0,0 +1,38 @@
+import React from "react";
+
+const BADGES = {
+  local: { label: "Local only", className: "border-slate-600 text-slate-300" },
+  pending: { label: "Pending upload", className: "border-sky-500/60 text-sky-300" },
+  synced: { label: "Synced", className: "border-emerald-500/60 text-emerald-300" },
+  conflict: { label: "Conflict resolved", className: "border-amber-500/60 text-amber-300" },
+  error: { label: "Sync failed", className: "border-rose-500/60 text-rose-300" },
+  removed: { label: "Removed remotely", className: "border-slate-600 text-slate-400" },
+};
+
+function describe(sync) {
+  if (!sync) return "";
+  if (sync.status === "conflict" && sync.conflict) {
+    const { field, local, remote, kept } = sync.conflict;
+    return `Both copies changed the ${field}: "${local}" here vs "${remote}" remotely — kept the ${kept} one (most recent edit).`;
+  }
+  if (sync.status === "error") return sync.error || "The last sync attempt failed; it will be retried.";
+  if (sync.status === "local") return "Stored in this browser only. Uploaded automatically on a Pro plan.";
+  if (sync.status === "pending") return "Edited locally since the last sync.";
+  if (sync.status === "removed") return "Deleted from the shared history; kept in this browser.";
+  return sync.syncedAt ? `Last synced ${new Date(sync.syncedAt).toLocaleString()}` : "";
+}
+
+/**
+ * Per-run sync state from lib/runSync, shown next to each history entry.
+ */
+export default function RunSyncBadge({ sync }) {
+  const badge = BADGES[sync?.status] || BADGES.local;
+  return (
+    <span
+      title={describe(sync)}
+      className={`inline-flex items-center rounded-full border px-2 py-0.5 text-[10px] font-medium ${badge.className}`}
+    >
+      {badge.label}
+    </span>
+  );
+}
@@ -1,5 +1,19 @@
 import React, { useMemo, useState, useEffect } from "react";
 import Papa from "papaparse";
+import DisruptionTimelineEditor from "./DisruptionTimelineEditor";
+import ImpactProfileEditor from "./ImpactProfileEditor";
+import ScenarioLeverPreview from "./ScenarioLeverPreview";
+import LaneDisruptionEditor from "./LaneDisruptionEditor";
+import DemandShockEditor from "./DemandShockEditor";
+import { createDemandShock, parseTargetList } from "../utils/demandShocks";
+import { SOURCING_STRATEGIES } from "../utils/scenarioLevers";
+import {
+  createDisruptionEvent,
+  createFollowOnEvent,
+  eventEndDate,
+  eventsToDisruptionScenarios,
+  sortEvents,
+} from "../utils/scenarioEvents";
 
 function getAuthToken() {
   const t =
@@ -15,23 +29,20 @@ function getAuthToken() {
 export default function ScenarioBuilder({
   locationsFile,
   onRun,
+  scenarioData,
   setScenarioData,
   onClear,
   apiBase = "https://supply-chain-simulator.onrender.com",
   token, // optional prop from parent
   onSaved, // optional callback({id,name,created_at})
+  inputFiles = {}, // { demand, processes, location_materials, lanes, locations } for the input previews
 }) {
   // UI state
   const [open, setOpen] = useState(true);
-  const [selectedTypes, setSelectedTypes] = useState(["natural_disaster"]);
-  const [facility, setFacility] = useState("VN-Facility-1");
-  const [startDate, setStartDate] = useState("2025-08-01");
-  const [duration, setDuration] = useState(14); // days
+  const [events, setEvents] = useState(() => [createDisruptionEvent()]);
+  const [activeEventId, setActiveEventId] = useState(null);
+  const [laneEvents, setLaneEvents] = useState([]);
   const [severity, setSeverity] = useState(70); // 0-100
-  const [productionImpact, setProductionImpact] = useState(100);
-  const [shippingImpact, setShippingImpact] = useState(0);
-  const [regionMode, setRegionMode] = useState(false);
-  const [selectedRegion, setSelectedRegion] = useState("");
   const [regionFacilities, setRegionFacilities] = useState([]);
   const [availableRegions, setAvailableRegions] = useState([]);
   // Parse locations file to extract countries/regions
@@ -67,8 +78,9 @@ export default function ScenarioBuilder({
     reader.readAsText(locationsFile);
   }, [locationsFile]);
 
-  const [demandSpikePct, setDemandSpikePct] = useState(25); // % demand change
-  const [supplyCapPct, setSupplyCapPct] = useState(80); // capacity % of normal
+  const [demandShocks, setDemandShocks] = useState(() => [createDemandShock({ value: 25 })]);
+  const [supplyCapPct, setSupplyCapPct] = useState(100); // capacity % of normal
+  const [capacityTarget, setCapacityTarget] = useState("disrupted"); // "disrupted" | "all"
   const [sourcing, setSourcing] = useState("none");
   const [notes, setNotes] = useState("");
 
@@ -99,32 +111,58 @@ export default function ScenarioBuilder({
     },
   ];
 
-  // Derived end date
-  const endDate = useMemo(() => {
-    if (!startDate || !duration) return "";
-    const d = new Date(startDate);
-    if (Number.isNaN(d.getTime())) return "";
-    const copy = new Date(d);
-    copy.setDate(copy.getDate() + Number(duration));
-    return copy.toISOString().slice(0, 10);
-  }, [startDate, duration]);
+  // The type / facility / window / impact controls edit the selected event
+  const activeEvent = events.find((e) => e.id === activeEventId) || events[0];
+  const {
+    types: selectedTypes,
+    facility,
+    startDate,
+    duration,
+    productionImpact,
+    shippingImpact,
+    regionMode,
+    region: selectedRegion,
+  } = activeEvent;
+
+  const updateEvent = (id, patch) =>
+    setEvents((prev) => prev.map((e) => (e.id === id ? { ...e, ...patch } : e)));
+  const updateActiveEvent = (patch) => updateEvent(activeEvent.id, patch);
+
+  const endDate = useMemo(() => eventEndDate(activeEvent), [activeEvent]);
+
+  const orderedEvents = useMemo(() => sortEvents(events), [events]);
+  const firstEvent = orderedEvents[0];
+  const previewSite = firstEvent.regionMode ? firstEvent.region || "—" : firstEvent.facility;
+  const timelineEnd = events.map(eventEndDate).filter(Boolean).sort().at(-1) || "";
 
   const handleToggleType = (value) => {
-    setSelectedTypes((prev) =>
-      prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]
-    );
+    updateActiveEvent({
+      types: selectedTypes.includes(value)
+        ? selectedTypes.filter((v) => v !== value)
+        : [...selectedTypes, value],
+    });
+  };
+
+  const addFollowOnEvent = () => {
+    const next = createFollowOnEvent(orderedEvents.at(-1));
+    setEvents((prev) => [...prev, next]);
+    setActiveEventId(next.id);
+  };
+
+  const removeEvent = (id) => {
+    if (events.length <= 1) return;
+    setEvents((prev) => prev.filter((e) => e.id !== id));
+    if (id === activeEvent.id) setActiveEventId(null);
   };
 
   const resetScenario = () => {
-    setSelectedTypes(["natural_disaster"]);
-    setFacility("VN-Facility-1");
-    setStartDate("2025-08-01");
-    setDuration(14);
+    setEvents([createDisruptionEvent()]);
+    setActiveEventId(null);
+    setLaneEvents([]);
     setSeverity(70);
-    setProductionImpact(100);
-    setShippingImpact(0);
-    setDemandSpikePct(0);
+    setDemandShocks([]);
     setSupplyCapPct(100);
+    setCapacityTarget("disrupted");
     setSourcing("none");
     setNotes("");
     setScenarioData?.(null);
@@ -137,52 +175,42 @@ export default function ScenarioBuilder({
 
   // ✅ Canonical scenario object (used by Apply AND Save)
   const buildScenarioObject = () => {
-    const scenarioName = `Scenario: ${selectedTypes
+    const ordered = orderedEvents;
+    const allTypes = [...new Set(ordered.flatMap((e) => e.types || []))];
+    const firstSite = ordered[0]?.regionMode ? ordered[0]?.region : ordered[0]?.facility;
+    const scenarioName = `Scenario: ${allTypes
       .map((t) => disruptionOptions.find((o) => o.value === t)?.label || t)
-      .join(", ")} @ ${facility}`;
-
-    const facilitiesToDisrupt = regionMode && selectedRegion && regionFacilities[selectedRegion]
-      ? regionFacilities[selectedRegion]
-      : [facility];
-    // One row per facility regardless of how many types are selected.
-    // Multiple types share the same impact sliders — writing one row per type
-    // would double-count the disruption signal in the simulator.
-    const primaryType = selectedTypes[0] || "natural_disaster";
-    const disruptionScenarios = facilitiesToDisrupt.map((fac) => ({
-      type: primaryType,
-      combined_types: selectedTypes,
-      facility: fac,
-      startDate,
-      endDate,
-      severity: productionImpact / 100,
-      production_impact: productionImpact / 100,
-      shipping_impact: shippingImpact / 100,
-    }));
-
-    const demandAdjustments =
-      Number(demandSpikePct) !== 0
-        ? [
-            {
-              sku: "",
-              facility: "",
-              changeType: "percent",
-              value: Number(demandSpikePct),
-            },
-          ]
-        : [];
+      .join(", ")} @ ${firstSite}${ordered.length > 1 ? ` (+${ordered.length - 1} events)` : ""}`;
+
+    const disruptionScenarios = eventsToDisruptionScenarios(events, regionFacilities);
+    const laneDisruptions = laneEvents.filter((e) => e.origin || e.destination);
+
+    const demandAdjustments = demandShocks
+      .filter((s) => Number(s.value) !== 0)
+      .map((s) => ({
+        ...s,
+        skus: parseTargetList(s.skus),
+        facilities: parseTargetList(s.facilities),
+        regions: parseTargetList(s.regions),
+        value: Number(s.value),
+      }));
 
     const inventoryPolicies = [];
 
     return {
       name: scenarioName,
       disruptionScenarios,
+      laneDisruptions,
       demandAdjustments,
       inventoryPolicies,
       meta: {
         supplyCapPct: Number(supplyCapPct),
+        capacityTarget,
         sourcing,
         notes,
       },
+      // Tolerances edited in the Before vs After panel travel with the scenario
+      ...(scenarioData?.thresholdProfile ? { thresholdProfile: scenarioData.thresholdProfile } : {}),
     };
   };
 
@@ -207,16 +235,11 @@ export default function ScenarioBuilder({
 
     console.log("🧪 [ScenarioBuilder] buildScenarioObject output:", JSON.stringify(scenario, null, 2));
     console.log("🧪 [ScenarioBuilder] current raw state:", {
-      selectedTypes,
-      facility,
-      startDate,
-      endDate,
-      duration,
-      severity: productionImpact / 100,
-      production_impact: productionImpact / 100,
-      shipping_impact: shippingImpact / 100,
-      demandSpikePct,
+      events,
+      laneEvents,
+      demandShocks,
       supplyCapPct,
+      capacityTarget,
       sourcing,
       notes,
     });
@@ -317,7 +340,18 @@ export default function ScenarioBuilder({
             then apply this configuration to the next simulation run.
           </p>
 
-          {/* Disruption types */}
+          <DisruptionTimelineEditor
+            events={events}
+            activeEventId={activeEvent.id}
+            onSelect={setActiveEventId}
+            onAdd={addFollowOnEvent}
+            onRemove={removeEvent}
+            onRename={(id, name) => updateEvent(id, { name })}
+            typeOptions={disruptionOptions}
+            regionFacilities={regionFacilities}
+          />
+
+          {/* Disruption types (selected event) */}
           <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60">
             <p className="text-xs font-semibold mb-2" style={{ color: "#E8FFE8" }}>
               Disruption Types
@@ -361,7 +395,7 @@ export default function ScenarioBuilder({
                 </p>
                 <button
                   type="button"
-                  onClick={() => { setRegionMode(r => !r); setSelectedRegion(""); }}
+                  onClick={() => updateActiveEvent({ regionMode: !regionMode, region: "" })}
                   className="text-[10px] px-2 py-0.5 rounded border border-slate-600 text-slate-300 hover:border-emerald-500 hover:text-emerald-300"
                 >
                   {regionMode ? "Single Facility" : "By Region"}
@@ -371,7 +405,7 @@ export default function ScenarioBuilder({
                 <select
                   className="w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100"
                   value={selectedRegion}
-                  onChange={(e) => setSelectedRegion(e.target.value)}
+                  onChange={(e) => updateActiveEvent({ region: e.target.value })}
                 >
                   <option value="">Select a country/region...</option>
                   {availableRegions.map(r => (
@@ -383,7 +417,7 @@ export default function ScenarioBuilder({
                   type="text"
                   className="w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100 placeholder:text-slate-500"
                   value={facility}
-                  onChange={(e) => setFacility(e.target.value)}
+                  onChange={(e) => updateActiveEvent({ facility: e.target.value })}
                 />
               )}
               <p className="text-[11px] text-slate-300 mt-1">
@@ -406,7 +440,7 @@ export default function ScenarioBuilder({
                     type="date"
                     className="w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100"
                     value={startDate}
-                    onChange={(e) => setStartDate(e.target.value)}
+                    onChange={(e) => updateActiveEvent({ startDate: e.target.value })}
                   />
                 </div>
                 <div className="flex-1">
@@ -417,18 +451,25 @@ export default function ScenarioBuilder({
                     max={365}
                     className="w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100"
                     value={duration}
-                    onChange={(e) => setDuration(e.target.value || 0)}
+                    onChange={(e) => updateActiveEvent({ duration: e.target.value || 0 })}
                   />
                 </div>
               </div>
               <p className="text-[11px] text-slate-300">
-                End Date: <span className="text-slate-100">{endDate || "—"}</span>
+                End Date (exclusive): <span className="text-slate-100">{endDate || "—"}</span>
               </p>
             </div>
           </div>
 
+          <ImpactProfileEditor
+            profile={activeEvent.profile}
+            onChange={(profile) => updateActiveEvent({ profile })}
+            durationDays={duration}
+            peakImpact={productionImpact}
+          />
+
           {/* Sliders */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 text-xs">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-xs">
             <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60">
               <p className="text-[11px] font-semibold mb-1" style={{ color: "#E8FFE8" }}>
                 Production Impact
@@ -438,7 +479,7 @@ export default function ScenarioBuilder({
                 min="0"
                 max="100"
                 value={productionImpact}
-                onChange={(e) => setProductionImpact(Number(e.target.value) || 0)}
+                onChange={(e) => updateActiveEvent({ productionImpact: Number(e.target.value) || 0 })}
                 className="w-full accent-rose-400"
               />
               <p className="text-[11px] text-slate-300 mt-1">
@@ -454,7 +495,7 @@ export default function ScenarioBuilder({
                 min="0"
                 max="100"
                 value={shippingImpact}
-                onChange={(e) => setShippingImpact(Number(e.target.value) || 0)}
+                onChange={(e) => updateActiveEvent({ shippingImpact: Number(e.target.value) || 0 })}
                 className="w-full accent-blue-400"
               />
               <p className="text-[11px] text-slate-300 mt-1">
@@ -462,24 +503,6 @@ export default function ScenarioBuilder({
               </p>
             </div>
 
-            <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60">
-              <p className="text-[11px] font-semibold mb-1" style={{ color: "#E8FFE8" }}>
-                Demand Spike
-              </p>
-              <input
-                type="range"
-                min="-50"
-                max="200"
-                value={demandSpikePct}
-                onChange={(e) => setDemandSpikePct(Number(e.target.value) || 0)}
-                className="w-full accent-amber-300"
-              />
-              <p className="text-[11px] text-slate-300 mt-1">
-                Demand change:{" "}
-                <span className="text-amber-300 font-semibold">{demandSpikePct}%</span>
-              </p>
-            </div>
-
             <div className="border border-slate-700/80 rounded-xl p-3 bg-slate-900/60">
               <p className="text-[11px] font-semibold mb-1" style={{ color: "#E8FFE8" }}>
                 Available Capacity
@@ -495,8 +518,22 @@ export default function ScenarioBuilder({
               <p className="text-[11px] text-slate-300 mt-1">
                 Capacity set to{" "}
                 <span className="text-emerald-300 font-semibold">{supplyCapPct}%</span>{" "}
-                of normal.
+                of normal at
               </p>
+              <select
+                className="mt-1 w-full rounded-md bg-slate-950/80 border border-slate-700 px-2 py-1 text-[11px] text-slate-100"
+                value={capacityTarget}
+                onChange={(e) => setCapacityTarget(e.target.value)}
+              >
+                <option value="disrupted">disrupted facilities</option>
+                <option value="all">all facilities</option>
+              </select>
+              {Number(supplyCapPct) !== 100 && (
+                <p className="text-[11px] text-amber-200 mt-1">
+                  Scales capacity in processes.csv for the whole run, not just the disruption window, on top of
+                  the events' production impact.
+                </p>
+              )}
             </div>
           </div>
 
@@ -511,13 +548,12 @@ export default function ScenarioBuilder({
                 value={sourcing}
                 onChange={(e) => setSourcing(e.target.value)}
               >
-                <option value="none">No change (baseline sourcing)</option>
-                <option value="alternate">Shift volume to alternate sources</option>
-                <option value="localize">Localize to NA / regional plants</option>
-                <option value="dual_source">Dual-source key SKUs</option>
+                {Object.entries(SOURCING_STRATEGIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
               </select>
               <p className="text-[11px] text-slate-300 mt-1">
-                Sourcing is passed as metadata for downstream analysis.
+                Activates alternate sources in location_materials / lanes for the next run.
               </p>
             </div>
 
@@ -535,6 +571,17 @@ export default function ScenarioBuilder({
             </div>
           </div>
 
+          <LaneDisruptionEditor events={laneEvents} onChange={setLaneEvents} lanesFile={inputFiles.lanes} />
+
+          <DemandShockEditor
+            shocks={demandShocks}
+            onChange={setDemandShocks}
+            demandFile={inputFiles.demand}
+            locationsFile={inputFiles.locations}
+          />
+
+          <ScenarioLeverPreview getScenario={buildScenarioObject} inputFiles={inputFiles} />
+
           {/* Preview + actions */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-xs">
             <div className="md:col-span-2 border border-slate-700/80 rounded-xl p-3 bg-slate-900/60">
@@ -542,17 +589,22 @@ export default function ScenarioBuilder({
                 Preview
               </p>
               <p className="text-[11px] text-slate-300">
+                {events.length > 1 && (
+                  <span className="text-slate-100 font-semibold">{events.length} events, starting with </span>
+                )}
                 <span className="text-slate-100 font-semibold">
-                  {selectedTypes
+                  {firstEvent.types
                     .map((t) => disruptionOptions.find((o) => o.value === t)?.label || t)
                     .join(", ") || "No type selected"}
                 </span>{" "}
                 impacting{" "}
-                <span className="text-slate-100 font-semibold">{facility}</span> from{" "}
-                <span className="text-slate-100 font-semibold">{startDate || "—"}</span>{" "}
-                to <span className="text-slate-100 font-semibold">{endDate || "—"}</span>, with{" "}
+                <span className="text-slate-100 font-semibold">{previewSite}</span> from{" "}
+                <span className="text-slate-100 font-semibold">{firstEvent.startDate || "—"}</span>{" "}
+                to <span className="text-slate-100 font-semibold">{timelineEnd || "—"}</span>, with{" "}
                 <span className="text-rose-300 font-semibold">{severity}% severity</span>,{" "}
-                <span className="text-amber-300 font-semibold">{demandSpikePct}% demand change</span>,{" "}
+                <span className="text-amber-300 font-semibold">
+                  {demandShocks.length ? `${demandShocks.length} demand shock${demandShocks.length === 1 ? "" : "s"}` : "no demand change"}
+                </span>,{" "}
                 and <span className="text-emerald-300 font-semibold">capacity at {supplyCapPct}%</span>.
               </p>
               {notes && (
@@ -5,6 +5,36 @@ import { Line } from "react-chartjs-2";
 import Select from "react-select";
 import Papa from "papaparse";
 import DecisionNarrativePanel from "./DecisionNarrativePanel";
+import { normalizeKpis } from "../utils/kpiEngine";
+import { formatMoney } from "../utils/currency";
+import { describeUnitValues } from "../utils/skuValues";
+import CurrencySettings from "./CurrencySettings";
+import AnalysisWindowControls from "./AnalysisWindowControls";
+import ThresholdProfileEditor from "./ThresholdProfileEditor";
+import KpiDrilldownPanel from "./KpiDrilldownPanel";
+import KpiTrendChart from "./KpiTrendChart";
+import KpiBreakdownTable from "./KpiBreakdownTable";
+import OutputCachePanel from "./OutputCachePanel";
+import RunSyncBadge from "./RunSyncBadge";
+import RunHistoryFilters from "./RunHistoryFilters";
+import RunMetaEditor from "./RunMetaEditor";
+import ResultsCard from "./ResultsCard";
+import RunInputDiffViewer from "./RunInputDiffViewer";
+import ReplicationSetPanel from "./ReplicationSetPanel";
+import OfficialBaselinePin from "./OfficialBaselinePin";
+import BaselineInputsWarning from "./BaselineInputsWarning";
+import { diffRunInputs } from "../utils/runInputs";
+import { getRunInputSnapshot } from "../lib/runInputSnapshots";
+import { expandBomChain, parseBomEdges } from "../utils/bomChain";
+import { buildDeltaSeries, DELTA_WORSE_WHEN } from "../utils/overlayDelta";
+import { groupReplicationRuns } from "../utils/replicationStats";
+import { expandDisruptionRow } from "../utils/impactProfiles";
+import { applyScenarioLevers } from "../utils/scenarioLevers";
+import { applyDemandShocks } from "../utils/demandShocks";
+import { EMPTY_RUN_FILTER, filterRuns } from "../utils/runSearch";
+import { buildBaselineComparison, resolveThresholdProfile } from "../utils/decisionEngine";
+import { getWorkspaceSettings, subscribeWorkspaceSettings } from "../lib/workspaceSettings";
+import { buildOverlayRunSeries, computeKpisInWindow } from "../lib/kpiWorkerClient";
 import {
   Chart as ChartJS,
   LineElement,
@@ -14,6 +44,7 @@ import {
   Tooltip,
   Legend,
   TimeScale,
+  Filler,
 } from "chart.js";
 import "chartjs-adapter-date-fns";
 // 🔐 Scenario APIs
@@ -32,7 +63,8 @@ ChartJS.register(
   PointElement,
   Tooltip,
   Legend,
-  TimeScale
+  TimeScale,
+  Filler
 );
 // ===============================
 // ✅ KPI display helpers (demo-safe)
@@ -95,10 +127,7 @@ function formatCurrency(v, opts) {
   if (!Number.isFinite(n)) return "--";
   if (zeroIsDash && n === 0) return "--";
 
-  return "$" + n.toLocaleString(undefined, {
-    minimumFractionDigits: digits,
-    maximumFractionDigits: digits,
-  });
+  return formatMoney(n, o.currency || "USD", { digits });
 }
 
 function formatCurrencyCompact(v, opts) {
@@ -109,11 +138,7 @@ function formatCurrencyCompact(v, opts) {
   if (!Number.isFinite(n)) return "--";
   if (zeroIsDash && n === 0) return "--";
 
-  const abs = Math.abs(n);
-
-  if (abs >= 1_000_000) return `$${(n / 1_000_000).toFixed(1)}M`;
-  if (abs >= 1_000) return `$${(n / 1_000).toFixed(1)}K`;
-  return `$${n.toFixed(0)}`;
+  return formatMoney(n, o.currency || "USD", { compact: true });
 }
 
 // Small helper for fallbacks so panels don't explode on "missing" data
@@ -143,15 +168,6 @@ function pickOutputUrlForType(sim, outputType) {
   return null;
 }
 
-function normalizeDate(val) {
-  if (!val) return null;
-  const s = String(val).trim();
-  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
-  const d = new Date(s);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toISOString().slice(0, 10);
-}
-
 function formatRunLabel(sim, idx) {
   if (sim?.name) return `${idx + 1}. ${sim.name}`;
   const raw =
@@ -193,105 +209,26 @@ function formatRunLabel(sim, idx) {
   return `${idx + 1}. Run ${idx + 1}`;
 }
 
-// Build chart datasets from CSV text for a given output type.
-// We use flexible column detection to survive schema drift.
-function buildOverlaySeriesFromCsvText(
-  csvText,
-  { outputType, selectedSkus, selectedFacility, runLabelPrefix, style = {} }
-) {
-  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-  const rows = parsed.data || [];
-
-  const getSku = (r) => r.sku ?? r.SKU ?? r.Sku ?? r.part ?? r.Part ?? r.item ?? r.Item;
-  const getFacility = (r) =>
-    r.facility ?? r.Facility ?? r.plant ?? r.Plant ?? r.site ?? r.Site;
-
-  const getDate = (r) =>
-    normalizeDate(r.date ?? r.Date ?? r.day ?? r.Day ?? r.timestamp ?? r.Timestamp);
-
-  const getY = (r) => {
-    const candidates = [
-      r.value, r.Value,
-      r.qty, r.Qty,
-      r.quantity, r.Quantity,
-      r.amount, r.Amount,
-      r.inventory, r.Inventory,
-      r.production, r.Production,
-      r.flow, r.Flow,
-      r.occurrence, r.Occurrence,
-      r.on_hand, r.onHand,
-      r["initial inventory"], r["Initial Inventory"],
-    ];
-
-    for (const c of candidates) {
-      if (c === undefined || c === null || c === "") continue;
-      const n = typeof c === "string" ? Number(c.replace(/,/g, "")) : Number(c);
-      if (Number.isFinite(n)) return n;
-    }
-
-    for (const k of Object.keys(r)) {
-      const v = r[k];
-      if (v === undefined || v === null || v === "") continue;
-      const n = typeof v === "string" ? Number(v.replace(/,/g, "")) : Number(v);
-      if (Number.isFinite(n)) return n;
-    }
-
-    return 0;
-  };
-
-  const skuSet =
-    !selectedSkus || selectedSkus === "ALL"
-      ? null
-      : new Set(Array.isArray(selectedSkus) ? selectedSkus : [selectedSkus]);
-
-  const facilityFilter =
-    selectedFacility && selectedFacility !== "All / None Selected"
-      ? String(selectedFacility).trim()
-      : null;
-
-  const map = new Map();
-
-  for (const r of rows) {
-    const sku = getSku(r);
-    const fac = getFacility(r);
-    const date = getDate(r);
-    if (!sku || !date) continue;
-
-    if (skuSet && !skuSet.has(String(sku).trim())) continue;
-    if (facilityFilter && String(fac || "").trim() !== facilityFilter) continue;
-
-    // For flow output, only count CUSTOMER_SHIP rows
-    if (outputType === "flow") {
-      const ft = String(r.flow_type || r.FlowType || r.type || "").trim().toLowerCase();
-      const isCustomerShip = ft === "customer_ship" || ft === "customer ship" || ft === "customership";
-      if (!isCustomerShip) continue;
-    }
-
-    const y = getY(r);
-    const key = String(sku).trim();
-    if (!map.has(key)) map.set(key, new Map());
-    map.get(key).set(date, (map.get(key).get(date) || 0) + y);
-  }
-
-  const dateSet = new Set();
-  for (const skuMap of map.values()) {
-    for (const d of skuMap.keys()) dateSet.add(d);
-  }
-  const labels = Array.from(dateSet).sort();
+// 🎨 Overlay palette (high contrast on dark background)
+const OVERLAY_COLORS = [
+  "#9CF700", // lime
+  "#60A5FA", // blue
+  "#F59E0B", // amber
+  "#F472B6", // pink
+  "#A78BFA", // purple
+  "#34D399", // green
+  "#FB7185", // rose
+  "#22D3EE", // cyan
+];
 
-  const datasets = [];
-  for (const [sku, skuMap] of map.entries()) {
-    datasets.push({
-      label: `${sku} — ${runLabelPrefix}`,
-      data: labels.map((d) => skuMap.get(d) ?? 0),
-      borderWidth: 2,
-      pointRadius: 0,
-      tension: 0.25,
-      ...style,
-    });
-  }
+const OVERLAY_RUN_DASHES = [[], [6, 4], [2, 3], [12, 4, 2, 4], [1, 5], [10, 8]];
 
-  return { labels, datasets };
+// Deterministic sku -> color mapping
+function colorForOverlaySku(sku) {
+  const s = String(sku || "").trim();
+  let hash = 0;
+  for (let i = 0; i < s.length; i++) hash = (hash * 31 + s.charCodeAt(i)) >>> 0;
+  return OVERLAY_COLORS[hash % OVERLAY_COLORS.length];
 }
 
 // ======================================================================
@@ -310,6 +247,7 @@ function DisruptionPanels({
 
   const exec = executiveKpis || {};
   const execOnTimePct = Number(exec.serviceLevelPct || 0);
+  const execCurrency = exec.currency || "USD";
 
   const execLateUnits = Number(exec.demandAtRiskUnits || 0);
   const execPeakBacklog = Number(exec.unfulfilledDemandUnits || 0);
@@ -334,9 +272,10 @@ function DisruptionPanels({
 
     if (directRevenue > 0) return directRevenue;
 
-    const unitsAtRisk = Number(exec?.demandAtRiskUnits ?? 0);
-    return unitsAtRisk * 100;
+    // Units at risk but nothing to price them with: no value rather than a guess
+    return Number(exec?.unpricedAtRiskUnits ?? 0) > 0 ? null : 0;
   })();
+  const unitValueNote = describeUnitValues(exec);
 
   // Take the worst-case row per SKU/facility combo (lowest days_until_runout = highest risk)
   const uniqueRunoutRows = Array.from(
@@ -477,8 +416,15 @@ function DisruptionPanels({
           <div className="bg-slate-900/50 border border-slate-600 hover:border-emerald-400/70 hover:bg-slate-800/60 transition rounded-xl p-3">
             <p className="text-[10px] uppercase tracking-widest text-slate-400">Estimated Revenue Exposure</p>
             <p className="text-3xl font-bold tracking-tight text-white font-bold" style={{ color: "#9CF700" }}>
-              {formatCurrencyCompact(revenueExposureDisplayValue, { zeroIsDash: false })}
+              {revenueExposureDisplayValue === null
+                ? "—"
+                : formatCurrencyCompact(revenueExposureDisplayValue, { zeroIsDash: false, currency: execCurrency })}
             </p>
+            {revenueExposureDisplayValue === null ? (
+              <p className="text-[10px] text-slate-400 mt-1">No unit value for the at-risk SKUs</p>
+            ) : (
+              unitValueNote && <p className="text-[10px] text-slate-400 mt-1">{unitValueNote}</p>
+            )}
           </div>
           <div className="bg-slate-900/50 border border-slate-600 hover:border-emerald-400/70 hover:bg-slate-800/60 transition rounded-xl p-3">
             <p className="text-[10px] uppercase tracking-widest text-slate-400">High-Risk SKUs</p>
@@ -798,6 +744,8 @@ function formatDecisionKpiValue(key, value) {
 export default function SimulationDashboard({
   handleFileChange,
   handleSubmit,
+  handleSubmitReplications,
+  replicationProgress,
   simulationStatus,
   outputUrls,
   skuOptions,
@@ -811,6 +759,18 @@ export default function SimulationDashboard({
   simulationHistory,
   files,
   kpis,
+  kpiInputs,
+  onSyncHistory,
+  baselineKpis,
+  baselineOptions,
+  selectedBaselineRunId,
+  setSelectedBaselineRunId,
+  baselineLabel,
+  officialBaseline,
+  officialBaselines,
+  skuFamilyMap = {},
+  baselineInputDiff,
+  currentRunId,
   executiveKpis,
   onLogout,
   switchView,
@@ -833,10 +793,115 @@ export default function SimulationDashboard({
   const [presentationMode, setPresentationMode] = useState(false);
   const [projectedSlider, setProjectedSlider] = useState(0);
   const [historyPage, setHistoryPage] = useState(1);
+  const [historySyncing, setHistorySyncing] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState(EMPTY_RUN_FILTER);
+
+  const filteredHistory = useMemo(
+    () => filterRuns(simulationHistory, historyFilter),
+    [simulationHistory, historyFilter]
+  );
+
+  const handleHistoryFilterChange = (next) => {
+    setHistoryFilter(next);
+    setHistoryPage(1);
+  };
+
+  const handleSyncHistory = async () => {
+    setHistorySyncing(true);
+    try {
+      await onSyncHistory?.();
+    } finally {
+      setHistorySyncing(false);
+    }
+  };
   const [scenarioJustRan, setScenarioJustRan] = useState(false);
   const [baselineRunIndex, setBaselineRunIndex] = useState(null);
-  const [compareRunIndex, setCompareRunIndex] = useState(null);
+  // Before/After falls back to the pinned official baseline until a run is picked
+  const beforeAfterBaselineIndex = useMemo(() => {
+    if (baselineRunIndex !== null) return baselineRunIndex;
+    const officialId = officialBaseline?.entry?.id;
+    if (!officialId || officialId === currentRunId || !Array.isArray(simulationHistory)) return null;
+    const idx = simulationHistory.findIndex((r) => r.id === officialId);
+    return idx >= 0 ? idx : null;
+  }, [baselineRunIndex, officialBaseline, currentRunId, simulationHistory]);
+  const [showThresholdEditor, setShowThresholdEditor] = useState(false);
+  const [drilldown, setDrilldown] = useState(null);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [showInputDiff, setShowInputDiff] = useState(false);
+
+  const [workspaceSettings, setWorkspaceSettings] = useState(() => getWorkspaceSettings());
+  useEffect(() => subscribeWorkspaceSettings(setWorkspaceSettings), []);
+
+  // Scenario tolerances override the workspace profile
+  const activeThresholdProfile = useMemo(
+    () => resolveThresholdProfile(workspaceSettings.thresholdProfile, scenarioData?.thresholdProfile),
+    [workspaceSettings, scenarioData]
+  );
+  // N-run comparison: selected run ids, the reference they're compared to, and the ranking KPI
+  const [comparisonRunIds, setComparisonRunIds] = useState([]);
+  const [comparisonReferenceId, setComparisonReferenceId] = useState(null);
+  const [comparisonRankBy, setComparisonRankBy] = useState("");
+  const comparisonRuns = useMemo(
+    () =>
+      comparisonRunIds
+        .map((id) => (Array.isArray(simulationHistory) ? simulationHistory : []).find((r) => r.id === id))
+        .filter(Boolean),
+    [comparisonRunIds, simulationHistory]
+  );
+  const comparisonReference =
+    comparisonRuns.find((r) => r.id === comparisonReferenceId) || comparisonRuns[0] || null;
+
+  // Runs compared with the one on screen, re-scored under its analysis window
+  // (one at a time, so only one other run's outputs are parsed at once)
+  const [windowedKpisByRun, setWindowedKpisByRun] = useState({});
+  const windowComparedRuns = useMemo(() => {
+    const beforeAfterRun =
+      beforeAfterBaselineIndex !== null ? simulationHistory?.[beforeAfterBaselineIndex] : null;
+    return [beforeAfterRun, ...comparisonRuns].filter(
+      (run, i, list) => run && list.findIndex((r) => r?.id === run.id) === i
+    );
+  }, [beforeAfterBaselineIndex, simulationHistory, comparisonRuns]);
+  const windowComparedKey = windowComparedRuns.map((r) => r.id).join("|");
+  useEffect(() => {
+    if (!kpiInputs || !windowComparedRuns.length) return undefined;
+    let cancelled = false;
+    (async () => {
+      for (const run of windowComparedRuns) {
+        const stored = normalizeKpis(run.kpis || run.raw?.kpis || {});
+        try {
+          const next = await computeKpisInWindow(stored, run, kpiInputs);
+          if (cancelled) return;
+          setWindowedKpisByRun((prev) => {
+            const { [run.id]: _previous, ...rest } = prev;
+            return next === stored ? rest : { ...rest, [run.id]: next };
+          });
+        } catch (e) {
+          console.warn(`⚠️ [KPI] Could not recompute run ${run.id} for the analysis window:`, e);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // Keyed on run ids: history writes re-create the run objects
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [windowComparedKey, kpiInputs]);
+  const windowedComparisonRuns = useMemo(
+    () => comparisonRuns.map((r) => (windowedKpisByRun[r.id] ? { ...r, kpis: windowedKpisByRun[r.id] } : r)),
+    [comparisonRuns, windowedKpisByRun]
+  );
+  const comparisonRunOptions = useMemo(
+    () =>
+      (Array.isArray(simulationHistory) ? simulationHistory : []).map((s, idx) => ({
+        value: s.id,
+        label: formatRunLabel(s, idx),
+      })),
+    [simulationHistory]
+  );
   const [runName, setRunName] = useState("");
+  const [replications, setReplications] = useState(1);
+  // What the last scenario run's transforms couldn't apply: [{ source, note }]
+  const [scenarioRunNotes, setScenarioRunNotes] = useState([]);
   
   
   const runsPerPage = 5;
@@ -850,6 +915,7 @@ export default function SimulationDashboard({
   const execTtrDays = Number(exec.timeToRecoverDays || 0);
   const execTtsDays = Number(exec.timeToSurviveDays || 0);
   const execRevenueExposure = Number(exec.revenueExposure || 0);
+  const reportingCurrency = kpis?.currency || exec.currency || "USD";
 
   const hasNarrativeRun =
     execOnTimePct > 0 ||
@@ -898,6 +964,42 @@ export default function SimulationDashboard({
   const [overlayChartData, setOverlayChartData] = useState(null);
   const [overlayLoading, setOverlayLoading] = useState(false);
   const [overlayError, setOverlayError] = useState(null);
+  // Overlay SKUs: the SKU selection as-is, or the BOM chain below the selected finished goods
+  const [overlaySkuMode, setOverlaySkuMode] = useState("selected");
+  const [overlayMatches, setOverlayMatches] = useState([]);
+  // "lines" = runs on top of each other; "deltaAbs" / "deltaPct" = each run minus the reference
+  const [overlayView, setOverlayView] = useState("lines");
+  const [overlayRuns, setOverlayRuns] = useState(null);
+  const [bomText, setBomText] = useState("");
+
+  // BOM from this session's upload, else the one stored with the run on screen
+  useEffect(() => {
+    let cancelled = false;
+    const load = files?.bom
+      ? files.bom.text()
+      : getRunInputSnapshot(currentRunId).then((snap) => snap?.files?.bom || "");
+    load
+      .then((text) => {
+        if (!cancelled) setBomText(text || "");
+      })
+      .catch((e) => console.warn("⚠️ [Overlay] Failed to read BOM:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [files?.bom, currentRunId]);
+
+  const bom = useMemo(() => parseBomEdges(bomText), [bomText]);
+
+  const selectedSkuList = useMemo(() => {
+    if (!selectedSku || selectedSku === "ALL") return [];
+    return (Array.isArray(selectedSku) ? selectedSku : [selectedSku]).map(String);
+  }, [selectedSku]);
+
+  // null = every SKU in the file
+  const overlaySkus = useMemo(() => {
+    if (overlaySkuMode === "bomChain") return expandBomChain(bom, selectedSkuList);
+    return selectedSkuList.length ? selectedSkuList : null;
+  }, [overlaySkuMode, bom, selectedSkuList]);
 
   // 🧪 Ensure scenarioJson is initialized for saving/loading
   useEffect(() => {
@@ -946,25 +1048,21 @@ export default function SimulationDashboard({
   const liveUnfulfilledDemand = Number(
     exec?.unfulfilledDemandUnits ??
     kpis?.peakBacklog ??
-    kpis?.serviceTruth?.peakBacklogUnits ??
     0
   );
 
   const liveMissedServiceDays = Number(
     kpis?.missedServiceDays ??
-    kpis?.serviceTruth?.daysWithMissedService ??
     0
   );
 
   const liveTtrDays = Number(
-    kpis?.ttrDays ??
     kpis?.timeToRecoverDays ??
     0
   );
 
   const liveRevenueExposure = Number(
     kpis?.estimatedRevenueExposure ??
-    kpis?.revenueExposure ??
     0
   );
 
@@ -995,7 +1093,9 @@ export default function SimulationDashboard({
     simulationStatus === "idle"
       ? "Run Simulation"
       : simulationStatus === "running"
-      ? "Running..."
+      ? replicationProgress
+        ? `Replication ${Math.min(replicationProgress.done + 1, replicationProgress.total)}/${replicationProgress.total}...`
+        : "Running..."
       : simulationStatus === "done"
       ? "Run Again"
       : "Error — Retry";
@@ -1038,6 +1138,8 @@ export default function SimulationDashboard({
     });
   }, [skuOptions]);
 
+  const skuFamilies = useMemo(() => [...new Set(Object.values(skuFamilyMap))].sort(), [skuFamilyMap]);
+
   // --- SKU SELECT FIX ---
   const handleSkuChange = (options) => {
     if (!options || options.length === 0) {
@@ -1053,37 +1155,21 @@ export default function SimulationDashboard({
 const recoveryGap =
   Number(
     (typeof execTtrDays !== "undefined" && execTtrDays) ||
-    kpis?.ttrDays ||
-    kpis?.ttr ||
+    kpis?.timeToRecoverDays ||
     0
   ) -
   Number(
     (typeof execTtsDays !== "undefined" && execTtsDays) ||
-    kpis?.ttsDays ||
-    kpis?.tts ||
+    kpis?.timeToSurviveDays ||
     0
   );
 
-const demandAtRiskUnits = Number(
-  kpis?.peakBacklogUnits ||
-  (typeof execDemandAtRisk !== "undefined" && execDemandAtRisk) ||
-  (typeof execUnitsAtRisk !== "undefined" && execUnitsAtRisk) ||
-  kpis?.demandAtRisk ||
-  kpis?.unitsAtRisk ||
-  0
-);
-
-const revenueAtRisk =
-  demandAtRiskUnits * 100; // placeholder multiplier until unit-value mapping is wired
+// Priced per SKU/facility by the KPI engine (sku_values.csv or price columns)
+const revenueAtRisk = Number(kpis?.estimatedRevenueExposure ?? execRevenueExposure ?? 0);
 
 const avgInventoryForBuffer = Number(kpis?.avgInventory || 0);
 
-  const revenueExposureDisplayValue = Number(
-    revenueAtRisk ??
-    kpis?.estimatedRevenueExposure ??
-    kpis?.revenueExposure ??
-    0
-  );
+  const revenueExposureDisplayValue = revenueAtRisk;
 const annualDemandForBuffer = Number(kpis?.totalDemand || 0);
 const dailyDemandForBuffer =
   annualDemandForBuffer > 0 ? annualDemandForBuffer / 365 : 0;
@@ -1193,6 +1279,13 @@ const decisionKpis = [
     },
   ];
 
+  // Breakdown rows carry normalized (upper-case) SKUs; map back to the option value
+  const handleBreakdownSelect = (sku, facility) => {
+    const option = multiSkuOptions.find((opt) => String(opt.value).toUpperCase() === sku);
+    setSelectedSku([option ? option.value : sku]);
+    handleFacilityClick?.(facility);
+  };
+
   const selectedSkuValue = useMemo(() => {
     if (!selectedSku || selectedSku === "ALL") return [];
     const values = Array.isArray(selectedSku) ? selectedSku : [selectedSku];
@@ -1266,6 +1359,70 @@ const decisionKpis = [
     []
   );
 
+  const overlayDelta = useMemo(() => {
+    if (overlayView === "lines" || !overlayRuns) return null;
+    const percent = overlayView === "deltaPct";
+    const { series, summary } = buildDeltaSeries(overlayRuns.runs, overlayRuns.labels, {
+      mode: percent ? "percent" : "absolute",
+      outputType: selectedOutputType,
+    });
+    const skuCount = new Set(series.map((s) => s.sku)).size;
+    const runIds = [...new Set(series.map((s) => s.runId))];
+    const worseFill = "rgba(248, 113, 113, 0.22)";
+    const higherIsWorse = DELTA_WORSE_WHEN[selectedOutputType] === "higher";
+
+    return {
+      summary,
+      chartData: {
+        labels: overlayRuns.labels,
+        datasets: series.map((s) => ({
+          label: `${s.sku} — ${s.runLabel} ${percent ? "Δ%" : "Δ"}`,
+          data: s.data,
+          borderColor:
+            skuCount > 1 ? colorForOverlaySku(s.sku) : OVERLAY_COLORS[(runIds.indexOf(s.runId) + 1) % OVERLAY_COLORS.length],
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.25,
+          spanGaps: false,
+          // Shade the side of zero where the compared run is worse than the reference
+          fill: {
+            target: "origin",
+            above: higherIsWorse ? worseFill : "transparent",
+            below: higherIsWorse ? "transparent" : worseFill,
+          },
+        })),
+      },
+      options: {
+        ...chartOptions,
+        plugins: {
+          ...chartOptions.plugins,
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const value = context.parsed.y;
+                if (value === null || value === undefined) {
+                  return `${context.dataset.label}: n/a (${percent ? "no data that day, or reference is 0" : "no data that day"})`;
+                }
+                const sign = value > 0 ? "+" : "";
+                return `${context.dataset.label}: ${sign}${percent ? `${value.toFixed(1)}%` : value.toLocaleString()}`;
+              },
+            },
+          },
+        },
+        scales: {
+          ...chartOptions.scales,
+          y: {
+            ...chartOptions.scales.y,
+            ticks: {
+              ...chartOptions.scales.y.ticks,
+              callback: (v) => (percent ? `${v}%` : Number(v).toLocaleString()),
+            },
+          },
+        },
+      },
+    };
+  }, [overlayView, overlayRuns, selectedOutputType, chartOptions]);
+
   const isInventoryFlatline = useMemo(() => {
     if (selectedOutputType !== "inventory") return false;
 
@@ -1304,49 +1461,58 @@ const decisionKpis = [
     return { labels, datasets };
   }, [chartData]);
 
-    // 🔀 Build overlay chart when two historical runs are selected
+  // 🔀 Build overlay chart when two or more historical runs are selected
   useEffect(() => {
-    const baselineIdx = baselineRunIndex;
-    const compareIdx = compareRunIndex;
-
-    // Reset overlay when not active
-    if (
-      baselineIdx === null ||
-      baselineIdx === undefined ||
-      compareIdx === null ||
-      compareIdx === undefined ||
-      baselineIdx === compareIdx ||
-      !Array.isArray(simulationHistory) ||
-      simulationHistory.length === 0
-    ) {
+    if (comparisonRuns.length < 2) {
       setOverlayChartData(null);
       setOverlayError(null);
       setOverlayLoading(false);
+      setOverlayMatches([]);
       return;
     }
 
-    const baselineSim = simulationHistory[baselineIdx];
-    const compareSim = simulationHistory[compareIdx];
+    if (overlaySkuMode === "bomChain" && (!bom || !selectedSkuList.length)) {
+      setOverlayChartData(null);
+      setOverlayMatches([]);
+      setOverlayError(
+        !bom
+          ? "BOM chain needs a bom file with parent and component columns — upload one or reload a run made with it."
+          : "Select a finished good to trace its BOM chain."
+      );
+      setOverlayLoading(false);
+      return;
+    }
 
-    const baselineUrl = pickOutputUrlForType(baselineSim, selectedOutputType);
-    const compareUrl = pickOutputUrlForType(compareSim, selectedOutputType);
+    const selected = comparisonRuns.map((sim) => ({
+      sim,
+      idx: simulationHistory.indexOf(sim),
+      url: pickOutputUrlForType(sim, selectedOutputType),
+    }));
 
     console.log("🔀 Overlay debug:", {
-  baselineIdx,
-  compareIdx,
-  selectedOutputType,
-  baselineUrl,
-  compareUrl,
-  sameUrl: baselineUrl === compareUrl,
-});
+      runs: selected.map((s) => s.sim.id),
+      selectedOutputType,
+      urls: selected.map((s) => s.url),
+    });
 
-    if (!baselineUrl || !compareUrl) {
+    if (selected.some((s) => !s.url)) {
       setOverlayChartData(null);
       setOverlayError("Missing output URL(s) for selected run(s).");
       setOverlayLoading(false);
       return;
     }
 
+    // ✅ Two runs pointing at the same file is the #1 reason runs look identical
+    const urls = selected.map((s) => s.url);
+    if (new Set(urls).size < urls.length) {
+      setOverlayChartData(null);
+      setOverlayError(
+        "Two of the selected runs point to the same output file URL (identical data). Pick different runs."
+      );
+      setOverlayLoading(false);
+      return;
+    }
+
     let cancelled = false;
 
     async function buildOverlay() {
@@ -1354,104 +1520,65 @@ const decisionKpis = [
         setOverlayLoading(true);
         setOverlayError(null);
 
-        const [baselineText, compareText] = await Promise.all([
-  fetch(baselineUrl).then((r) => r.text()),
-  fetch(compareUrl).then((r) => r.text()),
-]);
-
-if (cancelled) return;
-
-// ✅ If user accidentally selected two runs that point to the same file,
-// warn immediately (this is the #1 reason baseline/compare look identical)
-if (baselineUrl === compareUrl) {
-  setOverlayChartData(null);
-  setOverlayError(
-    "Baseline + Compare point to the same output file URL (identical data). Pick two different runs."
-  );
-  setOverlayLoading(false);
-  return;
-}
-
-// 🎨 SKU color palette (high contrast on dark background)
-const SKU_COLORS = [
-  "#9CF700", // lime
-  "#60A5FA", // blue
-  "#F59E0B", // amber
-  "#F472B6", // pink
-  "#A78BFA", // purple
-  "#34D399", // green
-  "#FB7185", // rose
-  "#22D3EE", // cyan
-];
-
-// Deterministic sku -> color mapping
-function colorForSku(sku) {
-  const s = String(sku || "").trim();
-  let hash = 0;
-  for (let i = 0; i < s.length; i++) hash = (hash * 31 + s.charCodeAt(i)) >>> 0;
-  return SKU_COLORS[hash % SKU_COLORS.length];
-}
-
-const chainSkus = ["WIDGET_A", "CHIP", "WAFER"];
-
-const base = buildOverlaySeriesFromCsvText(baselineText, {
-  outputType: selectedOutputType,
-  selectedSkus: chainSkus,
-  selectedFacility,
-  runLabelPrefix: formatRunLabel(baselineSim, baselineIdx),
-});
-
-const comp = buildOverlaySeriesFromCsvText(compareText, {
-  outputType: selectedOutputType,
-  selectedSkus: chainSkus,
-  selectedFacility,
-  runLabelPrefix: formatRunLabel(compareSim, compareIdx),
-});
-
-// Merge labels across both runs
-const allLabels = Array.from(
-  new Set([...(base.labels || []), ...(comp.labels || [])])
-).sort();
-
-// Re-align datasets to merged label axis + enforce color/dash rules:
-// ✅ Run 1 (baseline) = solid
-// ✅ Run 2 (compare) = dashed
-const realignAndStyle = (series, mode) => {
-  const labels = series.labels || [];
-  return (series.datasets || []).map((ds) => {
-    // label format: `${sku} — Run 1`
-    const sku = String(ds.label || "").split("—")[0].trim();
-    const col = colorForSku(sku);
-
-    const map = new Map(labels.map((l, i) => [l, ds.data?.[i] ?? 0]));
-
-    return {
-      ...ds,
-      data: allLabels.map((l) => map.get(l) ?? 0),
-
-      // Force visible styling
-      borderColor: col,
-      backgroundColor: "transparent",
-      borderWidth: 2,
-      pointRadius: 0,
-      tension: 0.25,
-
-      // Run styling
-      borderDash: mode === "compare" ? [6, 4] : [],
-    };
-  });
-};
-
-const overlay = {
-  labels: allLabels,
-  datasets: [
-    ...realignAndStyle(base, "baseline"), // solid
-    ...realignAndStyle(comp, "compare"),  // dashed
-  ],
-};
+        // Parsed in the KPI worker; SKUs come back upper-cased
+        const built = await Promise.all(
+          selected.map((s) =>
+            buildOverlayRunSeries(s.url, selectedOutputType, { skus: overlaySkus, facility: selectedFacility })
+          )
+        );
+        if (cancelled) return;
+
+        const series = selected.map((s, i) => ({
+          ...s,
+          label: formatRunLabel(s.sim, s.idx),
+          dates: new Set(built[i].dates),
+          bySku: built[i].bySku,
+        }));
+
+        setOverlayMatches(
+          series.map((s) => ({
+            runId: s.sim.id,
+            label: s.label,
+            matched: [...s.bySku.keys()],
+            missing: (overlaySkus || []).filter((k) => !s.bySku.has(String(k).trim().toUpperCase())),
+          }))
+        );
 
-setOverlayChartData(overlay);
+        // Merge labels across all runs
+        const allLabels = Array.from(new Set(series.flatMap((s) => [...s.dates]))).sort();
+
+        // One SKU per run → colour by run; several → colour by SKU and tell runs apart by dash
+        const skuCount = new Set(series.flatMap((s) => [...s.bySku.keys()])).size;
+
+        const others = series.filter((s) => s.sim !== comparisonReference);
+        const datasets = series.flatMap((s, runPos) => {
+          const isReference = s.sim === comparisonReference;
+          const dash = isReference ? [] : OVERLAY_RUN_DASHES[1 + (others.indexOf(s) % (OVERLAY_RUN_DASHES.length - 1))];
+          return [...s.bySku].map(([sku, values]) => ({
+            label: `${sku} — ${s.label}`,
+            // Days outside this run's output are gaps, not zeros
+            data: allLabels.map((l) => (s.dates.has(l) ? values.get(l) ?? 0 : null)),
+            borderColor: skuCount > 1 ? colorForOverlaySku(sku) : OVERLAY_COLORS[runPos % OVERLAY_COLORS.length],
+            backgroundColor: "transparent",
+            borderWidth: isReference ? 3 : 2,
+            pointRadius: 0,
+            tension: 0.25,
+            // Reference run = solid; others cycle through dash patterns
+            borderDash: dash,
+          }));
+        });
 
+        setOverlayChartData({ labels: allLabels, datasets });
+        setOverlayRuns({
+          labels: allLabels,
+          runs: series.map((s) => ({
+            id: s.sim.id,
+            label: s.label,
+            isReference: s.sim === comparisonReference,
+            dates: s.dates,
+            bySku: s.bySku,
+          })),
+        });
       } catch (e) {
         console.error("❌ Overlay build failed:", e);
         setOverlayChartData(null);
@@ -1467,11 +1594,14 @@ setOverlayChartData(overlay);
       cancelled = true;
     };
   }, [
-    baselineRunIndex,
-    compareRunIndex,
+    comparisonRuns,
+    comparisonReference,
     simulationHistory,
     selectedOutputType,
-    selectedSku,
+    selectedSkuList,
+    overlaySkus,
+    overlaySkuMode,
+    bom,
     selectedFacility,
   ]);
 
@@ -1530,6 +1660,7 @@ setOverlayChartData(overlay);
   const handleRunSimulationWithScenario = async (scenarioOverride, runLabel) => {
   try {
     console.log("🧪 Applying scenario transforms before run...");
+    setScenarioRunNotes([]);
 
     // ✅ Always use authoritative scenario from props first,
     // then fall back to localStorage (legacy), then baseline {}
@@ -1686,33 +1817,20 @@ setOverlayChartData(overlay);
     // -----------------------------
     // 3) Apply scenario transforms
     // -----------------------------
-    if (isValidCsvText(originalDemandText) && scenarioData?.demandAdjustments?.length) {
-      const parsed = Papa.parse(originalDemandText, { header: true, skipEmptyLines: true });
-      const rows = parsed.data || [];
+    const originalLocationsText = await readFileAsText(files.locations);
+    const runNotes = [];
 
-      scenarioData.demandAdjustments.forEach((adj) => {
-        rows.forEach((row) => {
-          const sku = row.sku || row.SKU;
-          const facility = row.facility || row.Facility || row.plant || row.Plant;
-
-          const matchesSku = !adj.sku || sku?.toString().trim() === adj.sku.trim();
-          const matchesFacility =
-            !adj.facility || facility?.toString().trim() === adj.facility.trim();
-
-          if (matchesSku && matchesFacility) {
-            const original = Number(row.demand || row.Demand || 0) || 0;
-            const delta =
-              adj.changeType === "absolute"
-                ? Number(adj.value || 0)
-                : (Number(adj.value || 0) / 100) * original;
-
-            row.demand = original + delta;
-          }
-        });
+    if (isValidCsvText(originalDemandText) && scenarioData?.demandAdjustments?.length) {
+      // Targeted, dated demand shocks (legacy undated adjustments apply to every date)
+      const shockResult = applyDemandShocks(originalDemandText, scenarioData.demandAdjustments, {
+        locationsText: originalLocationsText,
       });
-
-      transformedDemand = Papa.unparse(rows);
-      console.log("✅ demand.csv transformed");
+      shockResult.notes.forEach((note) => console.warn("⚠️ [DemandShocks]", note));
+      runNotes.push(...shockResult.notes.map((note) => ({ source: "Demand shocks", note })));
+      if (shockResult.text) {
+        transformedDemand = shockResult.text;
+        console.log("✅ demand.csv transformed", shockResult.summary);
+      }
     }
 
     if (!scenarioData?.disruptionScenarios?.length) {
@@ -1732,17 +1850,23 @@ if (!scenarioData?.disruptionScenarios?.length) {
     }
 
     if (scenarioData?.disruptionScenarios?.length) {
-      const scenarioRows = scenarioData.disruptionScenarios.map((scenario) => ({
-        start_date: scenario.startDate || scenario.start_date || "2025-01-01",
-        end_date: scenario.endDate || scenario.end_date || "2025-01-10",
-        facility: scenario.facility || "ScenarioFacility",
-        severity:
-          scenario.severity !== undefined && scenario.severity !== null && scenario.severity !== ""
-            ? scenario.severity
-            : 1.0,
-        production_impact: scenario.production_impact !== undefined ? scenario.production_impact : scenario.severity,
-        shipping_impact: scenario.shipping_impact !== undefined ? scenario.shipping_impact : 0.0,
-      }));
+      // Ramp / recovery profiles become day-level rows
+      const scenarioRows = scenarioData.disruptionScenarios.flatMap((scenario) =>
+        expandDisruptionRow(
+          {
+            start_date: scenario.startDate || scenario.start_date || "2025-01-01",
+            end_date: scenario.endDate || scenario.end_date || "2025-01-10",
+            facility: scenario.facility || "ScenarioFacility",
+            severity:
+              scenario.severity !== undefined && scenario.severity !== null && scenario.severity !== ""
+                ? scenario.severity
+                : 1.0,
+            production_impact: scenario.production_impact !== undefined ? scenario.production_impact : scenario.severity,
+            shipping_impact: scenario.shipping_impact !== undefined ? scenario.shipping_impact : 0.0,
+          },
+          scenario.profile
+        )
+      );
 
       transformedDisruptions = Papa.unparse(scenarioRows, {
         columns: ["start_date", "end_date", "facility", "severity", "production_impact", "shipping_impact"],
@@ -1787,6 +1911,21 @@ if (!scenarioData?.disruptionScenarios?.length) {
       console.log("✅ location_materials.csv transformed");
     }
 
+    // Capacity cap, sourcing strategy and lane disruptions → processes / location_materials / lanes
+    const leverResult = applyScenarioLevers(scenarioData, {
+      processes: await readFileAsText(files.processes),
+      location_materials: transformedLocMaterials,
+      lanes: await readFileAsText(files.lanes),
+      locations: originalLocationsText,
+    });
+    leverResult.notes.forEach((note) => console.warn("⚠️ [Levers]", note));
+    runNotes.push(...leverResult.notes.map((note) => ({ source: "Levers", note })));
+    setScenarioRunNotes(runNotes);
+    if (leverResult.texts.location_materials) transformedLocMaterials = leverResult.texts.location_materials;
+    if (leverResult.changes.length) {
+      console.log(`✅ Capacity/sourcing levers changed ${leverResult.changes.length} cell(s)`, leverResult.changes);
+    }
+
     // -----------------------------
     // 4) Overwrite ONLY if transform produced a valid CSV
     // -----------------------------
@@ -1821,6 +1960,12 @@ if (!scenarioData?.disruptionScenarios?.length) {
     overwriteCsvIfValid("demand", transformedDemand, files.demand?.name || "demand.csv");
     overwriteCsvIfValid("disruptions", transformedDisruptions, files.disruptions?.name || "disruptions.csv");
     overwriteCsvIfValid("location_materials", transformedLocMaterials, files.locationMaterials?.name || "location_materials.csv");
+    if (leverResult.texts.processes) {
+      overwriteCsvIfValid("processes", leverResult.texts.processes, files.processes?.name || "processes.csv");
+    }
+    if (files.lanes && leverResult.texts.lanes) {
+      overwriteCsvIfValid("lanes", leverResult.texts.lanes, files.lanes?.name || "lanes.csv");
+    }
 
     // Debug: final keys
     console.log(
@@ -1829,7 +1974,13 @@ if (!scenarioData?.disruptionScenarios?.length) {
     );
 
     if (runLabel) formData.append("run_name", runLabel);
-    await handleSubmit(formData);
+    if (activeScenario?.name) formData.append("scenario_name", activeScenario.name);
+    if (activeScenario?.id) formData.append("scenario_id", String(activeScenario.id));
+    if (replications > 1 && handleSubmitReplications) {
+      await handleSubmitReplications(formData, { scenario: activeScenario, count: replications });
+    } else {
+      await handleSubmit(formData, { scenario: activeScenario });
+    }
 
     console.log("🎯 Scenario-applied run submitted.");}
   } catch (err) {
@@ -1840,12 +1991,15 @@ if (!scenarioData?.disruptionScenarios?.length) {
 
   const latestSimulation = simulationHistory?.[0];
 
+  // A replication set takes one history slot
+  const historyItems = useMemo(() => groupReplicationRuns(filteredHistory), [filteredHistory]);
+
   const totalHistoryPages = Math.max(
     1,
-    Math.ceil((Array.isArray(simulationHistory) ? simulationHistory.length : 0) / runsPerPage)
+    Math.ceil(historyItems.length / runsPerPage)
   );
 
-  const pagedSimulationHistory = (Array.isArray(simulationHistory) ? simulationHistory : []).slice(
+  const pagedHistoryItems = historyItems.slice(
     (historyPage - 1) * runsPerPage,
     historyPage * runsPerPage
   );
@@ -1968,7 +2122,7 @@ if (!scenarioData?.disruptionScenarios?.length) {
     <button
       type="button"
       onClick={() => {
-        ["demand", "disruptions", "locations", "processes", "bom", "locationMaterials"].forEach((key) =>
+        ["demand", "disruptions", "locations", "processes", "bom", "locationMaterials", "skuValues"].forEach((key) =>
           handleFileChange(key, null)
         );
       }}
@@ -1992,7 +2146,8 @@ if (!scenarioData?.disruptionScenarios?.length) {
       ["Processes", "processes"],
       ["BOM", "bom"],
       ["Location Materials", "locationMaterials"],
-      ["Lanes (Optional)", "lanes"]
+      ["Lanes (Optional)", "lanes"],
+      ["SKU Values (Optional)", "skuValues"]
     ].map(([label, key]) => (
       <div key={key} className="flex items-center justify-between py-2">
 
@@ -2059,6 +2214,19 @@ if (!scenarioData?.disruptionScenarios?.length) {
     placeholder="Name this run (e.g. Taiwan Blockade July)"
     className="mt-3 w-full px-3 py-2 rounded-lg text-sm bg-slate-800 border border-slate-600 text-slate-200 placeholder-slate-500 focus:outline-none focus:border-emerald-500"
   />
+  <label className="mt-2 flex items-center justify-between gap-2 text-[11px] text-slate-400">
+    <span title="Each replication is submitted with its own seed and grouped as a set in run history">
+      🎲 Replications (different seeds)
+    </span>
+    <input
+      type="number"
+      min={1}
+      max={20}
+      value={replications}
+      onChange={(e) => setReplications(Math.max(1, Math.min(20, Math.round(Number(e.target.value) || 1))))}
+      className="w-16 px-2 py-1 rounded bg-slate-800 border border-slate-600 text-slate-200 text-right focus:outline-none focus:border-emerald-500"
+    />
+  </label>
   <button
     onClick={() => {
       const activeScenario =
@@ -2091,6 +2259,19 @@ if (!scenarioData?.disruptionScenarios?.length) {
     </p>
   )}
 
+  {scenarioRunNotes.length > 0 && (
+    <div className="mt-2 space-y-1">
+      {scenarioRunNotes.map(({ source, note }) => (
+        <p key={`${source}:${note}`} className="text-[11px] text-amber-200">
+          ⚠ {source}: {note}
+        </p>
+      ))}
+    </div>
+  )}
+
+  <CurrencySettings unconvertedCurrencies={kpis?.unconvertedCurrencies || []} />
+  <AnalysisWindowControls appliedWindow={kpis?.analysisWindow || null} />
+
 </div>
 )}
 
@@ -2114,7 +2295,14 @@ if (!scenarioData?.disruptionScenarios?.length) {
             <div className="space-y-4 text-xs">
       <DecisionNarrativePanel
         kpis={kpis}
-        baselineKpis={typeof baselineKpis !== "undefined" ? baselineKpis : null}
+        baselineKpis={baselineKpis || null}
+        baselineOptions={baselineOptions || []}
+        selectedBaselineRunId={selectedBaselineRunId || ""}
+        setSelectedBaselineRunId={setSelectedBaselineRunId}
+        baselineLabel={baselineLabel}
+        officialBaseline={officialBaseline}
+        inputDiff={baselineInputDiff}
+        thresholdProfile={activeThresholdProfile}
         materialRiskData={typeof materialRiskData !== "undefined" ? materialRiskData : []}
       />
 
@@ -2193,12 +2381,15 @@ if (!scenarioData?.disruptionScenarios?.length) {
                       <p className="text-3xl font-bold tracking-tight text-white font-semibold text-rose-300">
                         {formatCurrency(
                           revenueExposureDisplayValue,
-                          { zeroIsDash: true, digits: 0 }
+                          { zeroIsDash: true, digits: 0, currency: reportingCurrency }
                         )}
                       </p>
                       <p className="text-[10px] text-slate-400 mt-1">
                         Estimated exposure tied to missed or delayed fulfillment.
                       </p>
+                      {kpis?.unitValueSource && (
+                        <p className="text-[10px] text-slate-500 mt-1">{describeUnitValues(kpis)}</p>
+                      )}
                     </div>
 
                     <div className="rounded-xl border border-slate-700/70 bg-slate-900/50 p-3">
@@ -2462,9 +2653,7 @@ if (!scenarioData?.disruptionScenarios?.length) {
                               {item.key === "recoveryGap"
         ? `${item.value > 0 ? "+" : ""}${item.value} day${Math.abs(item.value) === 1 ? "" : "s"}`
         : item.key === "revenueAtRisk"
-        ? `$${Number(item.value) >= 1000
-            ? (Number(item.value)/1000).toFixed(0) + "K"
-            : Number(item.value)}`
+        ? formatCurrencyCompact(item.value, { currency: reportingCurrency })
         : item.key === "bufferRisk"
         ? `${bufferCoverageDays.toFixed(1)} days buffer`
         : formatDecisionKpiValue(item.key, item.value)}
@@ -2505,7 +2694,7 @@ if (!scenarioData?.disruptionScenarios?.length) {
                   <div className="bg-slate-900/50 border border-slate-600 hover:border-emerald-400/70 hover:bg-slate-800/60 transition rounded-xl p-3">
                     <p className="text-slate-300 mb-1">Inventory Turns</p>
                     <p className="text-3xl font-bold tracking-tight text-white font-semibold text-sky-400">
-                      {String(kpis?.inventoryTurns || "--x")}
+                      {Number.isFinite(kpis?.inventoryTurns) ? `${kpis.inventoryTurns.toFixed(1)}x` : "--x"}
                     </p>
                     <p className="text-[10px] text-slate-300 mt-1">
                       Annualized throughput relative to average inventory.
@@ -2515,7 +2704,7 @@ if (!scenarioData?.disruptionScenarios?.length) {
                   <div className="bg-slate-900/50 border border-slate-600 hover:border-emerald-400/70 hover:bg-slate-800/60 transition rounded-xl p-3">
                     <p className="text-slate-300 mb-1">Inventory Buffer</p>
                     <p className="text-3xl font-bold tracking-tight text-white font-semibold text-emerald-300">
-                      {String(kpis?.inventoryBuffer || "--")}
+                      {Number.isFinite(kpis?.daysOfCoverage) ? `${kpis.daysOfCoverage.toFixed(1)} days` : "--"}
                     </p>
                     <p className="text-[10px] text-slate-300 mt-1">
                       Days of demand coverage from average inventory.
@@ -2535,7 +2724,7 @@ if (!scenarioData?.disruptionScenarios?.length) {
                   <div className="bg-slate-900/50 border border-slate-600 hover:border-emerald-400/70 hover:bg-slate-800/60 transition rounded-xl p-3">
                     <p className="text-slate-300 mb-1">Cost per Unit Shipped</p>
                     <p className="text-3xl font-bold tracking-tight text-white font-semibold text-amber-400">
-                      {String(kpis?.costToServe || "--")}
+                      {Number.isFinite(kpis?.costToServe) ? formatCurrency(kpis.costToServe, { digits: 2, currency: reportingCurrency }) : "--"}
                     </p>
                     <p className="text-[10px] text-slate-300 mt-1">
                       Estimated logistics and service cost across flow rows.
@@ -2629,13 +2818,15 @@ if (!scenarioData?.disruptionScenarios?.length) {
 
     <div className="grid grid-cols-2 xl:grid-cols-4 gap-3 mb-6">
       <div
+        onClick={() => hasNarrativeRun && setDrilldown({ metricKey: "onTimeFulfillment", label: "Service Level", value: `${execOnTimePct.toFixed(1)}%` })}
+        title="Click to see how this was calculated"
         className={
           isHealthy
-            ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3"
+            ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3 cursor-pointer"
             : hasNarrativeRun && execOnTimePct >= 80
-            ? "rounded-xl border border-amber-900/40 bg-black/20 p-3"
+            ? "rounded-xl border border-amber-900/40 bg-black/20 p-3 cursor-pointer"
             : hasNarrativeRun
-            ? "rounded-xl border border-red-900/40 bg-black/20 p-3"
+            ? "rounded-xl border border-red-900/40 bg-black/20 p-3 cursor-pointer"
             : "rounded-xl border border-slate-700/50 bg-black/20 p-3"
         }
       >
@@ -2666,21 +2857,37 @@ if (!scenarioData?.disruptionScenarios?.length) {
         </p>
       </div>
 
-      <div className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3" : hasNarrativeRun ? "rounded-xl border border-orange-900/40 bg-black/20 p-3" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}>
+      <div
+        onClick={() => hasNarrativeRun && setDrilldown({ metricKey: "demandAtRisk", label: "Demand at Risk", value: execLateUnits.toLocaleString() })}
+        title="Click to see how this was calculated"
+        className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3 cursor-pointer" : hasNarrativeRun ? "rounded-xl border border-orange-900/40 bg-black/20 p-3 cursor-pointer" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}
+      >
         <p className="text-[11px] uppercase tracking-wide text-slate-400">Demand at Risk</p>
         <p className={`text-3xl font-bold tracking-tight font-semibold ${isHealthy ? "text-emerald-300" : hasNarrativeRun ? "text-orange-300" : "text-slate-200"}`}>{!hasNarrativeRun ? <span className="opacity-40">—</span> : execLateUnits.toLocaleString()}</p>
       </div>
 
-      <div className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3" : hasNarrativeRun ? "rounded-xl border border-amber-900/40 bg-black/20 p-3" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}>
+      <div
+        onClick={() => hasNarrativeRun && setDrilldown({ metricKey: "peakBacklog", label: "Peak Backlog", value: execPeakBacklog.toLocaleString() })}
+        title="Click to see how this was calculated"
+        className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3 cursor-pointer" : hasNarrativeRun ? "rounded-xl border border-amber-900/40 bg-black/20 p-3 cursor-pointer" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}
+      >
         <p className="text-[11px] uppercase tracking-wide text-slate-400">Peak Backlog</p>
         <p className={`text-3xl font-bold tracking-tight font-semibold ${isHealthy ? "text-emerald-300" : hasNarrativeRun ? "text-amber-300" : "text-slate-200"}`}>{!hasNarrativeRun ? <span className="opacity-40">—</span> : execPeakBacklog.toLocaleString()}</p>
       </div>
 
-      <div className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3" : hasNarrativeRun ? "rounded-xl border border-rose-900/40 bg-black/20 p-3" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}>
+      <div
+        onClick={() => hasNarrativeRun && setDrilldown({ metricKey: "timeToRecoverDays", label: "Time to Recover", value: `${execTtrDays} days` })}
+        title="Click to see how this was calculated"
+        className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3 cursor-pointer" : hasNarrativeRun ? "rounded-xl border border-rose-900/40 bg-black/20 p-3 cursor-pointer" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}
+      >
         <p className="text-[11px] uppercase tracking-wide text-slate-400">Time to Recover</p>
         <p className={`text-3xl font-bold tracking-tight font-semibold ${isHealthy ? "text-emerald-300" : hasNarrativeRun ? "text-rose-300" : "text-slate-200"}`}>{!hasNarrativeRun ? <span className="opacity-40">—</span> : execTtrDays + " days"}</p>
       </div>
-      <div className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3" : hasNarrativeRun ? "rounded-xl border border-purple-900/40 bg-black/20 p-3" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}>
+      <div
+        onClick={() => hasNarrativeRun && setDrilldown({ metricKey: "timeToSurviveDays", label: "Time to Survive", value: `${execTtsDays} days` })}
+        title="Click to see how this was calculated"
+        className={isHealthy ? "rounded-xl border border-emerald-900/40 bg-black/20 p-3 cursor-pointer" : hasNarrativeRun ? "rounded-xl border border-purple-900/40 bg-black/20 p-3 cursor-pointer" : "rounded-xl border border-slate-700/50 bg-black/20 p-3"}
+      >
         <p className="text-[11px] uppercase tracking-wide text-slate-400">Time to Survive</p>
         <p className={`text-3xl font-bold tracking-tight font-semibold ${isHealthy ? "text-emerald-300" : hasNarrativeRun ? "text-purple-300" : "text-slate-200"}`}>{!hasNarrativeRun ? <span className="opacity-40">—</span> : execTtsDays + " days"}</p>
       </div>
@@ -2783,43 +2990,70 @@ if (!scenarioData?.disruptionScenarios?.length) {
   {/* REMOVED SNAPSHOT */}
   <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-5">
 
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "onTimeFulfillment", label: "Service Level", value: typeof kpis?.onTimeFulfillment === 'number' ? `${kpis.onTimeFulfillment.toFixed(1)}%` : '-' })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">Service Level</p>
       <p className="text-sm font-semibold text-green-400">
         {typeof kpis?.onTimeFulfillment === 'number' ? `${kpis.onTimeFulfillment.toFixed(1)}%` : '-'}
       </p>
     </div>
 
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "demandAtRisk", label: "Demand at Risk", value: kpis?.demandAtRisk ?? '-' })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">Demand at Risk</p>
       <p className="text-sm font-semibold text-yellow-400">
-        {kpis?.peakBacklogUnits ?? kpis?.unitsAtRisk ?? '-'}
+        {kpis?.demandAtRisk ?? '-'}
       </p>
     </div>
 
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "estimatedRevenueExposure", label: "Revenue Exposure", value: formatCurrencyCompact(kpis?.estimatedRevenueExposure ?? 0, { currency: reportingCurrency }) })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">Revenue Exposure</p>
       <p className="text-sm font-semibold text-red-400">
-        {formatCurrencyCompact(kpis?.revenueExposure ?? 0)}
+        {formatCurrencyCompact(kpis?.estimatedRevenueExposure ?? 0, { currency: reportingCurrency })}
       </p>
+      {Number(kpis?.unpricedAtRiskUnits) > 0 && (
+        <p className="text-[10px] text-amber-300">{describeUnitValues(kpis)}</p>
+      )}
     </div>
 
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "peakBacklog", label: "Peak Backlog", value: kpis?.peakBacklog ?? '-' })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">Peak Backlog</p>
       <p className="text-sm font-semibold text-orange-400">
         {kpis?.peakBacklog ?? '-'}
       </p>
     </div>
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "timeToRecoverDays", label: "TTR", value: `${kpis?.timeToRecoverDays ?? '-'}d` })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">TTR</p>
       <p className="text-sm font-semibold text-blue-400">
         {kpis?.timeToRecoverDays ?? '-'}d
       </p>
     </div>
-    <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
+    <div
+      className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center cursor-pointer hover:border-emerald-500/60"
+      onClick={() => setDrilldown({ metricKey: "timeToSurviveDays", label: "TTS", value: `${kpis?.timeToSurviveDays ?? '-'}d` })}
+      title="Click to see how this was calculated"
+    >
       <p className="text-xs text-slate-400">TTS</p>
       <p className="text-sm font-semibold text-purple-400">
-        {kpis?.timeToSurviveDays ?? kpis?.ttsDays ?? '-'}d
+        {kpis?.timeToSurviveDays ?? '-'}d
       </p>
     </div>
     <div className="bg-slate-800/70 border border-slate-700 rounded-lg p-3 text-center">
@@ -2834,45 +3068,76 @@ if (!scenarioData?.disruptionScenarios?.length) {
   <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-6">
     <div className="flex items-center justify-between mb-3">
       <p className="text-xs text-slate-400">Before vs After (Scenario Impact)</p>
+      <div className="flex items-center gap-2">
+      <button
+        type="button"
+        onClick={() => setShowThresholdEditor((v) => !v)}
+        className="text-xs bg-slate-700 border border-slate-600 text-slate-200 rounded px-2 py-1 hover:border-emerald-500"
+        title="Edit Watch / Critical tolerances"
+      >
+        ⚙ Tolerances
+      </button>
       <select
         className="text-xs bg-slate-700 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500"
         onChange={(e) => setBaselineRunIndex(e.target.value !== "" ? Number(e.target.value) : null)}
-        defaultValue=""
+        value={beforeAfterBaselineIndex ?? ""}
       >
         <option value="">Select baseline run...</option>
         {(Array.isArray(simulationHistory) ? simulationHistory : []).map((s, idx) => (
           <option key={idx} value={idx}>{formatRunLabel(s, idx)}</option>
         ))}
       </select>
+      </div>
     </div>
+    {showThresholdEditor && (
+      <ThresholdProfileEditor
+        scenarioData={scenarioData}
+        setScenarioData={setScenarioData}
+        onClose={() => setShowThresholdEditor(false)}
+      />
+    )}
+    {beforeAfterBaselineIndex !== null && (
+      <BaselineInputsWarning
+        className="mb-3"
+        diff={diffRunInputs(
+          simulationHistory?.find((r) => r.id === currentRunId)?.inputs,
+          simulationHistory?.[beforeAfterBaselineIndex]?.inputs
+        )}
+      />
+    )}
     {(() => {
-      const baselineIdx = baselineRunIndex;
+      const baselineIdx = beforeAfterBaselineIndex;
       const baselineRun = (baselineIdx !== null && baselineIdx !== undefined) ? simulationHistory?.[baselineIdx] : null;
-      const baseKpis = baselineRun?.kpis || baselineRun?.raw?.kpis || {};
+      const baseKpis = normalizeKpis(
+        windowedKpisByRun[baselineRun?.id] || baselineRun?.kpis || baselineRun?.raw?.kpis || {}
+      );
       const hasBaseline = Object.keys(baseKpis).length > 0;
-      const baseSvc = (() => {
-        const raw = baseKpis?.onTimeFulfillment ?? baseKpis?.serviceLevelPct ?? baseKpis?.onTimeFill ?? 0;
-        const n = typeof raw === "string" ? parseFloat(raw.replace(/[^0-9.]/g, "")) : Number(raw);
-        return Number.isFinite(n) ? n : 0;
-      })();
+      const baseSvc = Number(baseKpis?.onTimeFulfillment ?? 0);
       const curSvc = Number(kpis?.onTimeFulfillment ?? 0);
       const svcDelta = curSvc - baseSvc;
-      const baseRev = Number(baseKpis?.revenueExposure ?? baseKpis?.estimatedRevenueExposure ?? 0);
-      const curRev = Number(kpis?.revenueExposure ?? 0);
+      const baseRev = Number(baseKpis?.estimatedRevenueExposure ?? 0);
+      const curRev = Number(kpis?.estimatedRevenueExposure ?? 0);
       const revDelta = curRev - baseRev;
-      const baseTtr = Number(baseKpis?.ttrDays ?? baseKpis?.timeToRecoverDays ?? 0);
-      const curTtr = Number(kpis?.ttrDays ?? kpis?.timeToRecoverDays ?? 0);
+      const baseTtr = Number(baseKpis?.timeToRecoverDays ?? 0);
+      const curTtr = Number(kpis?.timeToRecoverDays ?? 0);
       const ttrDelta = curTtr - baseTtr;
-      const curBacklog = Number(kpis?.peakBacklogUnits ?? kpis?.peakBacklog ?? 0);
-      const baseBacklog = Number(baseKpis?.peakBacklogUnits ?? baseKpis?.peakBacklog ?? 0);
+      const curBacklog = Number(kpis?.peakBacklog ?? 0);
+      const baseBacklog = Number(baseKpis?.peakBacklog ?? 0);
       const backlogDelta = curBacklog - baseBacklog;
-      const curRisk = Number(kpis?.peakBacklogUnits ?? 0);
-      const baseRisk = Number(baseKpis?.peakBacklogUnits ?? 0);
+      const curRisk = Number(kpis?.demandAtRisk ?? 0);
+      const baseRisk = Number(baseKpis?.demandAtRisk ?? 0);
       const riskDelta = curRisk - baseRisk;
       const deltaColor = (val, lowerIsBetter = false) => { if (val === 0) return "text-slate-400"; return (lowerIsBetter ? val > 0 : val < 0) ? "text-red-400" : "text-emerald-400"; };
       const deltaSign = (val) => Number(val) > 0 ? `+${val}` : `${val}`;
-      const impactLabel = !hasBaseline ? "Select baseline" : svcDelta < -10 ? "High Impact" : svcDelta < -3 ? "Moderate Impact" : svcDelta < 0 ? "Low Impact" : "No Impact";
-      const impactColor = !hasBaseline ? "text-yellow-400" : svcDelta < -10 ? "text-red-400" : svcDelta < -3 ? "text-amber-400" : svcDelta < 0 ? "text-yellow-400" : "text-emerald-400";
+      const comparison = hasBaseline
+        ? buildBaselineComparison(kpis, baseKpis, {
+            fxRates: workspaceSettings.fxRates,
+            thresholds: activeThresholdProfile,
+          })
+        : null;
+      const worstLevel = comparison?.worstCard?.severity?.level ?? null;
+      const impactLabel = !hasBaseline ? "Select baseline" : worstLevel === "critical" ? "High Impact" : worstLevel === "warning" ? "Moderate Impact" : worstLevel === "mild" ? "Low Impact" : "No Impact";
+      const impactColor = !hasBaseline ? "text-yellow-400" : worstLevel === "critical" ? "text-red-400" : worstLevel === "warning" ? "text-amber-400" : worstLevel === "mild" ? "text-yellow-400" : "text-emerald-400";
       return (
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 text-center">
           <div>
@@ -2887,8 +3152,8 @@ if (!scenarioData?.disruptionScenarios?.length) {
           </div>
           <div>
             <p className="text-[10px] text-slate-400">Revenue</p>
-            <p className="text-sm font-semibold text-slate-200">{formatCurrencyCompact(curRev)}</p>
-            <p className={`text-xs font-semibold ${hasBaseline ? deltaColor(revDelta, true) : "text-slate-500"}`}>{hasBaseline ? (revDelta >= 0 ? `+${formatCurrencyCompact(revDelta)}` : formatCurrencyCompact(revDelta)) : "→ Select baseline"}</p>
+            <p className="text-sm font-semibold text-slate-200">{formatCurrencyCompact(curRev, { currency: reportingCurrency })}</p>
+            <p className={`text-xs font-semibold ${hasBaseline ? deltaColor(revDelta, true) : "text-slate-500"}`}>{hasBaseline ? (revDelta >= 0 ? `+${formatCurrencyCompact(revDelta, { currency: reportingCurrency })}` : formatCurrencyCompact(revDelta, { currency: reportingCurrency })) : "→ Select baseline"}</p>
           </div>
           <div>
             <p className="text-[10px] text-slate-400">Backlog</p>
@@ -2903,6 +3168,11 @@ if (!scenarioData?.disruptionScenarios?.length) {
           <div>
             <p className="text-[10px] text-slate-400">Impact</p>
             <p className={`text-sm font-semibold ${impactColor}`}>{impactLabel}</p>
+            {comparison?.windowMismatch && (
+              <p className="text-[10px] text-amber-300" title="No input snapshot for the baseline run, so it keeps the analysis window it was calculated with">
+                ⚠ Window not applied
+              </p>
+            )}
           </div>
         </div>
       );
@@ -2914,6 +3184,13 @@ if (!scenarioData?.disruptionScenarios?.length) {
     setScenarioData={setScenarioData}
     onRun={() => handleRunSimulationWithScenario(null, runName)}
     locationsFile={files.locations}
+    inputFiles={{
+      demand: files.demand,
+      processes: files.processes,
+      location_materials: files.locationMaterials,
+      lanes: files.lanes,
+      locations: files.locations,
+    }}
   />
 </div>
 
@@ -3073,14 +3350,17 @@ if (!scenarioData?.disruptionScenarios?.length) {
             hasNarrativeRun={hasNarrativeRun}
           countermeasuresData={countermeasuresData}
           executiveKpis={{
-            serviceLevelPct: Number(kpis?.serviceLevelPct ?? kpis?.onTimeFulfillment ?? 0),
-            demandAtRiskUnits: Number(kpis?.peakBacklogUnits ?? kpis?.lateFulfilledUnits ?? kpis?.unitsAtRisk ?? 0),
-            unfulfilledDemandUnits: Number(kpis?.peakBacklogUnits ?? kpis?.peakBacklog ?? 0),
+            serviceLevelPct: Number(kpis?.onTimeFulfillment ?? 0),
+            demandAtRiskUnits: Number(kpis?.demandAtRisk ?? 0),
+            unfulfilledDemandUnits: Number(kpis?.peakBacklog ?? 0),
             missedServiceDays: Number(kpis?.missedServiceDays ?? 0),
-            timeToRecoverDays: Number(kpis?.timeToRecoverDays ?? kpis?.ttrDays ?? 0),
-            timeToSurviveDays: Number(kpis?.timeToSurviveDays ?? kpis?.ttsDays ?? 0),
-            revenueExposure: Number(kpis?.revenueExposure ?? 0),
+            timeToRecoverDays: Number(kpis?.timeToRecoverDays ?? 0),
+            timeToSurviveDays: Number(kpis?.timeToSurviveDays ?? 0),
+            revenueExposure: Number(kpis?.estimatedRevenueExposure ?? 0),
             estimatedRevenueExposure: Number(kpis?.estimatedRevenueExposure ?? 0),
+            unpricedAtRiskUnits: Number(kpis?.unpricedAtRiskUnits ?? 0),
+            unitValueSource: kpis?.unitValueSource || null,
+            currency: reportingCurrency,
           }}
         />{/* ===== Filters + Chart ======================================== */}
         <section
@@ -3235,52 +3515,113 @@ if (!scenarioData?.disruptionScenarios?.length) {
                     🔀 Compare Simulation Runs
                   </h3>
 
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                    {/* Baseline run */}
+                  <div className="grid grid-cols-1 md:grid-cols-[1fr_220px] gap-3">
                     <div>
                       <p className="text-[11px] text-slate-300 mb-1">
-                        Baseline Run (Left)
+                        Runs to compare
                       </p>
                       <Select
-                        options={(Array.isArray(simulationHistory) ? simulationHistory : []).map((s, idx) => ({
-                          value: idx,
-                          label: formatRunLabel(s, idx),
-                        }))}
-                        onChange={(opt) =>
-                          setBaselineRunIndex(opt?.value ?? null)
-                        }
+                        isMulti
+                        options={comparisonRunOptions}
+                        value={comparisonRunOptions.filter((o) => comparisonRunIds.includes(o.value))}
+                        onChange={(opts) => setComparisonRunIds((opts || []).map((o) => o.value))}
                         className="text-sm select"
                         classNamePrefix="select"
                         styles={selectStyles}
                       />
                     </div>
 
-                    {/* Comparison run */}
                     <div>
                       <p className="text-[11px] text-slate-300 mb-1">
-                        Comparison Run (Right)
+                        Reference (solid line)
                       </p>
-                      <Select
-                        options={(Array.isArray(simulationHistory) ? simulationHistory : []).map((s, idx) => ({
-                          value: idx,
-                          label: formatRunLabel(s, idx),
-                        }))}
-                        onChange={(opt) => setCompareRunIndex(opt?.value ?? null)}
-                        className="text-sm select"
-                        classNamePrefix="select"
-                        styles={selectStyles}
-                      />
+                      <select
+                        className="w-full text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-2 focus:outline-none focus:border-emerald-500 disabled:opacity-40"
+                        value={comparisonReference?.id || ""}
+                        onChange={(e) => setComparisonReferenceId(e.target.value)}
+                        disabled={comparisonRuns.length < 2}
+                      >
+                        {comparisonRuns.map((r) => (
+                          <option key={r.id} value={r.id}>
+                            {formatRunLabel(r, simulationHistory.indexOf(r))}
+                          </option>
+                        ))}
+                      </select>
                     </div>
                   </div>
 
-                  {!overlayChartData && (
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-[11px] text-slate-300">
+                    <span className="text-slate-400">Overlay SKUs</span>
+                    {[
+                      { value: "selected", label: selectedSkuList.length ? "Selected SKUs" : "All SKUs" },
+                      { value: "bomChain", label: "BOM chain of selected finished good" },
+                    ].map((opt) => (
+                      <button
+                        key={opt.value}
+                        type="button"
+                        onClick={() => setOverlaySkuMode(opt.value)}
+                        className={`rounded-full border px-2 py-0.5 ${
+                          overlaySkuMode === opt.value
+                            ? "border-emerald-500 bg-emerald-500/15 text-emerald-200"
+                            : "border-slate-600 text-slate-300 hover:bg-slate-800/70"
+                        }`}
+                      >
+                        {opt.label}
+                      </button>
+                    ))}
+                    {comparisonRuns.length >= 2 && (
+                      <>
+                        <span className="ml-3 text-slate-400">Chart</span>
+                        {[
+                          { value: "lines", label: "Overlay" },
+                          { value: "deltaAbs", label: "Δ vs reference (units)" },
+                          { value: "deltaPct", label: "Δ vs reference (%)" },
+                        ].map((opt) => (
+                          <button
+                            key={opt.value}
+                            type="button"
+                            onClick={() => setOverlayView(opt.value)}
+                            className={`rounded-full border px-2 py-0.5 ${
+                              overlayView === opt.value
+                                ? "border-emerald-500 bg-emerald-500/15 text-emerald-200"
+                                : "border-slate-600 text-slate-300 hover:bg-slate-800/70"
+                            }`}
+                          >
+                            {opt.label}
+                          </button>
+                        ))}
+                      </>
+                    )}
+                    {overlaySkuMode === "bomChain" && overlaySkus?.length > 0 && (
+                      <span className="text-slate-500" title={bom ? `BOM columns: ${bom.parentColumn} → ${bom.childColumn}` : undefined}>
+                        Chain: {overlaySkus.join(" → ")}
+                      </span>
+                    )}
+                  </div>
+
+                  {comparisonRuns.length < 2 ? (
                   <div className="mt-3 flex items-start gap-2 bg-slate-800/50 border border-slate-700/50 rounded-lg px-3 py-2">
                     <span className="text-lg">💡</span>
                     <p className="text-[11px] text-slate-400 leading-relaxed">
-                      Select any two simulation runs above to generate a side-by-side overlay comparison.
+                      Select two or more simulation runs above to overlay their series and compare KPIs side by side.
                     </p>
                   </div>
-                )}
+                  ) : (
+                    <div className="mt-3">
+                      <ResultsCard
+                        runs={windowedComparisonRuns}
+                        title="KPI matrix"
+                        subtitle={`Deltas vs ${formatRunLabel(comparisonReference, simulationHistory.indexOf(comparisonReference))}`}
+                        referenceId={comparisonReference?.id}
+                        onReferenceChange={setComparisonReferenceId}
+                        rankBy={comparisonRankBy}
+                        onRankByChange={setComparisonRankBy}
+                        labelForRun={(r) => formatRunLabel(r, simulationHistory.findIndex((s) => s.id === r.id))}
+                        fxRates={workspaceSettings.fxRates}
+                        thresholds={activeThresholdProfile}
+                      />
+                    </div>
+                  )}
                 </div>
 
                 {/* CHART */}
@@ -3319,7 +3660,13 @@ if (!scenarioData?.disruptionScenarios?.length) {
   )}
 
   {/* 📈 Chart */}
-  {(overlayChartData?.datasets?.length > 0 || derivedChartData?.datasets?.length > 0) ? (
+  {overlayChartData && overlayDelta ? (
+    overlayDelta.chartData.datasets.length > 0 ? (
+      <Line data={overlayDelta.chartData} options={overlayDelta.options} />
+    ) : (
+      <div className="flex flex-col items-center justify-center py-10 gap-2"><span className="text-3xl">Δ</span><p className="text-slate-400 text-sm font-semibold">No SKUs in common with the reference run</p><p className="text-slate-500 text-xs">Deltas need the same SKU in both runs.</p></div>
+    )
+  ) : (overlayChartData?.datasets?.length > 0 || derivedChartData?.datasets?.length > 0) ? (
     <Line
       data={overlayChartData?.datasets?.length ? overlayChartData : derivedChartData}
       options={chartOptions}
@@ -3328,6 +3675,79 @@ if (!scenarioData?.disruptionScenarios?.length) {
     <div className="flex flex-col items-center justify-center py-10 gap-2"><span className="text-3xl">📊</span><p className="text-slate-400 text-sm font-semibold">No data to display</p><p className="text-slate-500 text-xs">Select a product and facility, then run a simulation to populate this chart.</p></div>
   )}
 </div>
+
+{overlayChartData && overlayDelta?.summary.length > 0 && (
+  <div className="mt-3 overflow-x-auto rounded-lg border border-slate-800">
+    <table className="w-full text-[11px]">
+      <thead>
+        <tr className="text-slate-400 text-left">
+          <th className="px-2 py-1 font-normal">SKU</th>
+          <th className="px-2 py-1 font-normal">Run vs reference</th>
+          <th className="px-2 py-1 font-normal text-right">Cumulative Δ units</th>
+          <th className="px-2 py-1 font-normal text-right">Δ % of reference</th>
+          <th className="px-2 py-1 font-normal text-right">Worse days</th>
+        </tr>
+      </thead>
+      <tbody>
+        {overlayDelta.summary.map((row) => {
+          const worse =
+            DELTA_WORSE_WHEN[selectedOutputType] === "higher" ? row.cumulativeDelta > 0 : row.cumulativeDelta < 0;
+          return (
+            <tr key={`${row.runId}-${row.sku}`} className="border-t border-slate-800">
+              <td className="px-2 py-1 text-slate-200">{row.sku}</td>
+              <td className="px-2 py-1 text-slate-400">{row.runLabel}</td>
+              <td className={`px-2 py-1 text-right ${row.cumulativeDelta === 0 ? "text-slate-400" : worse ? "text-red-300" : "text-emerald-300"}`}>
+                {row.cumulativeDelta > 0 ? "+" : ""}
+                {Math.round(row.cumulativeDelta).toLocaleString()}
+              </td>
+              <td className="px-2 py-1 text-right text-slate-400">
+                {row.referenceTotal ? `${((row.cumulativeDelta / Math.abs(row.referenceTotal)) * 100).toFixed(1)}%` : "—"}
+              </td>
+              <td className="px-2 py-1 text-right text-slate-400">{row.worseDays}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+)}
+
+{overlayChartData && overlayMatches.length > 0 && (
+  <div className="mt-2 space-y-0.5 text-[11px]">
+    {overlayMatches.map((m) => (
+      <p key={m.runId} className="text-slate-400">
+        <span className="text-slate-300">{m.label}:</span>{" "}
+        {m.matched.length ? `matched ${m.matched.join(", ")}` : "no matching SKUs"}
+        {m.missing.length > 0 && <span className="text-amber-300"> · not found: {m.missing.join(", ")}</span>}
+      </p>
+    ))}
+  </div>
+)}
+
+<KpiTrendChart trend={kpis?.trend} currency={reportingCurrency} />
+
+<div className="mt-4 bg-slate-950/60 border border-slate-800 rounded-xl p-4">
+  <div className="flex items-center justify-between">
+    <p className="text-[11px] uppercase tracking-wide text-slate-400">🧮 SKU × Facility Breakdown</p>
+    <button
+      type="button"
+      onClick={() => setShowBreakdown((v) => !v)}
+      className="text-xs bg-slate-700 border border-slate-600 text-slate-200 rounded px-2 py-1 hover:border-emerald-500"
+    >
+      {showBreakdown ? "Hide" : "Show"}
+    </button>
+  </div>
+  {showBreakdown && (
+    <div className="mt-3">
+      <KpiBreakdownTable
+        kpiInputs={kpiInputs}
+        selectedSku={selectedSku}
+        selectedFacility={selectedFacility}
+        onSelect={handleBreakdownSelect}
+      />
+    </div>
+  )}
+</div>
 </>
 );
 })()}
@@ -3389,29 +3809,72 @@ if (!scenarioData?.disruptionScenarios?.length) {
             borderColor: "#123528",
           }}
         >
-          <h2 className="text-sm font-semibold text-slate-50 mb-3">
-            🗂 Simulation History
-          </h2>
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-sm font-semibold text-slate-50">
+              🗂 Simulation History
+            </h2>
+            {onSyncHistory && (
+              <button
+                type="button"
+                onClick={handleSyncHistory}
+                disabled={historySyncing}
+                className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-200 hover:bg-slate-800/70 disabled:opacity-40"
+              >
+                {historySyncing ? "Syncing…" : "⟳ Sync now"}
+              </button>
+            )}
+          </div>
           <p className="text-xs text-slate-300 mb-6">
             Reload previous simulation output files and compare
             scenarios.
           </p>
 
+          {Array.isArray(simulationHistory) && simulationHistory.length > 0 && (
+            <RunHistoryFilters
+              runs={simulationHistory}
+              filter={historyFilter}
+              onChange={handleHistoryFilterChange}
+              matchCount={filteredHistory.length}
+            />
+          )}
+
           {(!Array.isArray(simulationHistory) || simulationHistory.length === 0) ? (
             <p className="text-xs text-slate-300">
               No past simulations yet.
             </p>
+          ) : filteredHistory.length === 0 ? (
+            <p className="text-xs text-slate-300">
+              No runs match these filters.
+            </p>
           ) : (
             <div className="space-y-4">
-              {pagedSimulationHistory.map((sim, idx) => (
+              {pagedHistoryItems.map((item, idx) => {
+                if (item.type === "set") {
+                  return (
+                    <ReplicationSetPanel
+                      key={item.setId}
+                      runs={item.runs}
+                      onReloadRun={onReloadRun}
+                      outputType={selectedOutputType}
+                      skus={selectedSkuList}
+                      facility={selectedFacility}
+                      currency={reportingCurrency}
+                    />
+                  );
+                }
+                const sim = item.run;
+                return (
                 <div
-                  key={idx}
+                  key={sim.id || idx}
                   className="bg-slate-900/60 border border-slate-700/80 rounded-xl p-4"
                 >
                   <div className="flex items-center justify-between">
-                    <p className="text-xs text-slate-300">
-                      {formatRunLabel(sim, idx)}
-                    </p>
+                    <div className="flex items-center gap-2">
+                      <p className="text-xs text-slate-300">
+                        {formatRunLabel(sim, idx)}
+                      </p>
+                      <RunSyncBadge sync={sim.sync} />
+                    </div>
                     <button
                       onClick={() => onReloadRun(sim)}
                       className="text-xs font-semibold hover:underline"
@@ -3421,6 +3884,9 @@ if (!scenarioData?.disruptionScenarios?.length) {
                     </button>
                   </div>
 
+                  <RunMetaEditor run={sim} />
+                  <OfficialBaselinePin run={sim} baselines={officialBaselines} skuFamilies={skuFamilies} />
+
                   {/* DOWNLOAD GRID */}
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-3 text-[11px]">
                     <a
@@ -3507,7 +3973,8 @@ if (!scenarioData?.disruptionScenarios?.length) {
                     </a>
                   </div>
                 </div>
-              ))}
+                );
+              })}
 
               <div className="flex items-center justify-between pt-2">
                 <button
@@ -3546,8 +4013,43 @@ if (!scenarioData?.disruptionScenarios?.length) {
               </div>
             </div>
           )}
+
+          {Array.isArray(simulationHistory) && simulationHistory.length > 1 && (
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-[11px] uppercase tracking-wide text-slate-400">🧾 Run Input Diff</p>
+                <button
+                  type="button"
+                  onClick={() => setShowInputDiff((v) => !v)}
+                  className="text-xs bg-slate-700 border border-slate-600 text-slate-200 rounded px-2 py-1 hover:border-emerald-500"
+                >
+                  {showInputDiff ? "Hide" : "Show"}
+                </button>
+              </div>
+              {showInputDiff && (
+                <RunInputDiffViewer
+                  runs={simulationHistory}
+                  defaultCompareId={currentRunId}
+                  defaultBaseId={officialBaseline?.entry?.id !== currentRunId ? officialBaseline?.entry?.id : null}
+                  labelForRun={(r) => formatRunLabel(r, simulationHistory.indexOf(r))}
+                />
+              )}
+            </div>
+          )}
+
+          <OutputCachePanel />
         </section>
       </main>
+
+      {drilldown && (
+        <KpiDrilldownPanel
+          metricKey={drilldown.metricKey}
+          label={drilldown.label}
+          value={drilldown.value}
+          kpiInputs={kpiInputs}
+          onClose={() => setDrilldown(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import {
+  THRESHOLD_MODES,
+  getKpiMeta,
+  resolveThresholdProfile,
+} from "../utils/decisionEngine";
+import {
+  getWorkspaceSettings,
+  subscribeWorkspaceSettings,
+  updateWorkspaceSettings,
+} from "../lib/workspaceSettings";
+
+const MODE_LABELS = {
+  absolute: "Absolute",
+  percent: "% of baseline",
+};
+
+/**
+ * Edits the Watch/Critical cutoffs used for baseline comparison badges.
+ * Saved either as the workspace default or on the active scenario
+ * (scenario.thresholdProfile), which takes precedence when present.
+ */
+export default function ThresholdProfileEditor({ scenarioData, setScenarioData, onClose }) {
+  const [settings, setSettings] = useState(() => getWorkspaceSettings());
+  const scenarioProfile = scenarioData?.thresholdProfile || null;
+  const [target, setTarget] = useState(scenarioProfile ? "scenario" : "workspace");
+  const [draft, setDraft] = useState(() =>
+    resolveThresholdProfile(settings.thresholdProfile, scenarioProfile)
+  );
+
+  useEffect(() => subscribeWorkspaceSettings(setSettings), []);
+
+  const updateDraft = (metricId, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      [metricId]: { ...prev[metricId], [field]: field === "mode" ? value : Number(value) },
+    }));
+  };
+
+  const save = () => {
+    if (target === "scenario") {
+      setScenarioData?.({ ...(scenarioData || {}), thresholdProfile: draft });
+    } else {
+      updateWorkspaceSettings({ thresholdProfile: draft });
+    }
+    onClose?.();
+  };
+
+  const reset = () => {
+    if (target === "scenario") {
+      const { thresholdProfile: _dropped, ...rest } = scenarioData || {};
+      setScenarioData?.(rest);
+      setDraft(resolveThresholdProfile(settings.thresholdProfile));
+    } else {
+      updateWorkspaceSettings({ thresholdProfile: null });
+      setDraft(resolveThresholdProfile(null, scenarioProfile));
+    }
+  };
+
+  const inputClass =
+    "w-20 text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1 focus:outline-none focus:border-emerald-500";
+
+  return (
+    <div className="rounded-xl border border-slate-700/70 bg-slate-900/60 p-3 mb-3 text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-[11px] uppercase tracking-wide text-slate-400">Severity Tolerances</p>
+        <select
+          className="text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-2 py-1"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+        >
+          <option value="workspace">Workspace default</option>
+          <option value="scenario" disabled={!scenarioData?.name}>
+            This scenario{scenarioData?.name ? ` (${scenarioData.name})` : ""}
+          </option>
+        </select>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-[11px] text-slate-400">
+            <th className="py-1 font-normal">KPI</th>
+            <th className="py-1 font-normal">Mode</th>
+            <th className="py-1 font-normal">🟠 Watch ≥</th>
+            <th className="py-1 font-normal">🔴 Critical ≥</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(getKpiMeta()).map(([metricId, meta]) => (
+            <tr key={metricId} className="border-t border-slate-800">
+              <td className="py-1 text-slate-200">{meta.label}</td>
+              <td className="py-1">
+                <select
+                  className="text-xs bg-slate-800 border border-slate-600 text-slate-200 rounded px-1 py-1"
+                  value={draft[metricId]?.mode}
+                  onChange={(e) => updateDraft(metricId, "mode", e.target.value)}
+                >
+                  {THRESHOLD_MODES.map((m) => (
+                    <option key={m} value={m}>{MODE_LABELS[m]}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1">
+                <input
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  value={draft[metricId]?.warning ?? ""}
+                  onChange={(e) => updateDraft(metricId, "warning", e.target.value)}
+                />
+              </td>
+              <td className="py-1">
+                <input
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  value={draft[metricId]?.critical ?? ""}
+                  onChange={(e) => updateDraft(metricId, "critical", e.target.value)}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="text-[10px] text-slate-500 mt-2">
+        Absolute values are in the KPI's own unit (pts, units, days, {settings.reportingCurrency}).
+        Deltas below Watch show as 🟡 Shift.
+      </p>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          type="button"
+          onClick={reset}
+          className="px-3 py-1 rounded-md text-[11px] border border-slate-600 text-slate-300 hover:bg-slate-800/70"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={save}
+          className="px-3 py-1 rounded-md text-[11px] font-semibold"
+          style={{ background: "linear-gradient(90deg,#9CF700,#22c55e)", color: "#020617" }}
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+// src/config/customKpis.js
+//
+// Workspace-specific KPIs. Register them here (or import your own module from
+// here) — see src/utils/kpiRegistry.js for the definition shape. main.jsx
+// imports this file once so registrations exist before the first run.
+//
+// import { registerKpi } from "../utils/kpiRegistry";
+//
+// registerKpi({
+//   id: "customerShipDays",
+//   label: "Customer Ship Days",
+//   format: "days",
+//   higherIsBetter: true,
+//   thresholds: { mode: "absolute", warning: 1, critical: 3 },
+//   formula: ({ ledger }) => ledger.filter((day) => day.shipped > 0).length,
+// });
+
+export {};
@@ -0,0 +1,58 @@
+// lib/indexedDb.js
+//
+// Promise wrapper around IndexedDB shared by lib/runOutputCache and
+// lib/runInputSnapshots. Safe to import from the KPI worker. When the
+// database can't be opened (no IndexedDB, private mode) open() resolves to
+// null and transactions return null without running.
+
+/**
+ * upgrade(db, oldVersion, tx) runs in the versionchange transaction;
+ * `label` prefixes the warning logged when the database is unavailable.
+ * Returns { open, transaction }.
+ */
+export function createDatabase({ name, version, upgrade, label }) {
+  let dbPromise = null;
+
+  function open() {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const req = indexedDB.open(name, version);
+        req.onupgradeneeded = (event) => upgrade(req.result, event.oldVersion, req.transaction);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn(`⚠️ [${label}] IndexedDB unavailable:`, req.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  // fn(store) for one store name, fn({ [name]: store }) for a list; resolves
+  // with fn's result once the transaction has committed
+  async function transaction(storeNames, mode, fn) {
+    const db = await open();
+    if (!db) return null;
+    const tx = db.transaction(storeNames, mode);
+    const stores = Array.isArray(storeNames)
+      ? Object.fromEntries(storeNames.map((n) => [n, tx.objectStore(n)]))
+      : tx.objectStore(storeNames);
+    const result = await fn(stores);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  return { open, transaction };
+}
+
+export function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,116 @@
+// lib/kpiWorkerClient.js
+//
+// Promise API over the KPI worker. One worker per tab; if it can't start
+// (no Worker support, CSP, ...) the same core runs inline on the main thread.
+import { createKpiWorkerCore } from "../workers/kpiWorkerCore";
+import { sameAnalysisWindow } from "../utils/kpiEngine";
+import { getRunInputSnapshot } from "./runInputSnapshots";
+
+let worker = null;
+let inlineCore = null;
+let nextId = 1;
+const pending = new Map();
+
+function startWorker() {
+  if (worker || inlineCore) return;
+  try {
+    if (typeof Worker === "undefined") throw new Error("Web Workers unavailable");
+    worker = new Worker(new URL("../workers/kpiWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (event) => {
+      const { id, ok, result, error } = event.data || {};
+      const entry = pending.get(id);
+      if (!entry) return;
+      pending.delete(id);
+      if (ok) entry.resolve(result);
+      else entry.reject(new Error(error));
+    };
+    worker.onerror = (event) => {
+      console.error("❌ [KPI Worker] Crashed, falling back to main thread:", event?.message || event);
+      const inflight = [...pending.values()];
+      pending.clear();
+      worker.terminate();
+      worker = null;
+      inlineCore = createKpiWorkerCore();
+      inflight.forEach(({ type, payload, resolve, reject }) =>
+        inlineCore.handle(type, payload).then(resolve, reject)
+      );
+    };
+  } catch (e) {
+    console.warn("⚠️ [KPI Worker] Running KPI pipeline on the main thread:", e?.message || e);
+    worker = null;
+    inlineCore = createKpiWorkerCore();
+  }
+}
+
+function request(type, payload) {
+  startWorker();
+  if (inlineCore) return inlineCore.handle(type, payload);
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { type, payload, resolve, reject });
+    worker.postMessage({ id, type, payload });
+  });
+}
+
+// Evicts cached output files from any other run; with `runId`, the run's
+// outputs are written to the IndexedDB output cache as they download
+export function setActiveRunUrls(urls, runId = null) {
+  return request("setActiveRun", { urls: urls || {}, runId });
+}
+
+export function clearKpiWorkerCache() {
+  return request("clearCache");
+}
+
+export function loadCsvRows(url) {
+  return request("loadRows", { url });
+}
+
+// { urls, uploads, scope, options } → { kpis, scenarioImpactSummary, hasDemand }
+export function computeRunKpis(inputs) {
+  return request("computeRun", inputs);
+}
+
+// Another run's KPIs under the window of `inputs` (the worker inputs of the
+// run on screen), recomputed from its outputs and its own input snapshot.
+// Returns the stored KPIs when they already used that window, or when the run
+// has no snapshot to recompute from (their analysisWindow then still differs).
+export async function computeKpisInWindow(storedKpis, run, inputs) {
+  if (!inputs || sameAnalysisWindow(storedKpis?.analysisWindow, inputs.scope?.window)) return storedKpis;
+  const urls = run?.outputUrls;
+  if (!urls || !Object.values(urls).some(Boolean)) return storedKpis;
+  const snapshot = await getRunInputSnapshot(run.id);
+  if (!snapshot?.files?.demand) return storedKpis;
+  const uploads = {
+    demand: snapshot.files.demand,
+    skuValues: snapshot.files.sku_values || null,
+    locationMaterials: snapshot.files.location_materials || null,
+  };
+  return request("computeDetached", { ...inputs, urls, uploads });
+}
+
+export function explainRunKpis(inputs) {
+  return request("explain", inputs);
+}
+
+export function computeRunBreakdown(inputs) {
+  return request("breakdown", inputs);
+}
+
+// { SKU: family } from a family column in the uploaded sku_values / demand
+export function loadSkuFamilies(uploads) {
+  return request("skuFamilies", { uploads });
+}
+
+export function buildRunChartSeries(url, outputType, filter) {
+  return request("chartSeries", { url, outputType, filter });
+}
+
+// { dates, bySku: Map<SKU, Map<date, value>> } for one run of the overlay
+export function buildOverlayRunSeries(url, outputType, filter) {
+  return request("overlaySeries", { url, outputType, filter });
+}
+
+export function distinctCsvValues(url, keys) {
+  return request("distinctValues", { url, keys });
+}
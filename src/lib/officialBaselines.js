@@ -0,0 +1,85 @@
+// lib/officialBaselines.js
+//
+// Runs pinned as the workspace's official baseline. One workspace-wide pin
+// ("*") plus optional pins per SKU family; comparisons default to the most
+// specific pin that matches the SKUs on screen. Families come from a family
+// column in the uploads (utils/skuValues.readSkuFamilies): { SKU: family }.
+// Pinned runs are exempt from run history trimming (lib/runStore).
+const KEY = "forc_official_baselines_v1";
+export const OFFICIAL_BASELINES_EVENT = "forc:official_baselines_updated";
+export const WORKSPACE_SCOPE = "*";
+
+export function skuFamily(sku, families = {}) {
+  return families?.[String(sku ?? "").trim().toUpperCase()] || "";
+}
+
+// scope → { runId, name, pinnedAt }
+export function getOfficialBaselines() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(KEY) || "{}");
+    return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+function save(next) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("⚠️ [officialBaselines] Failed to persist baselines:", e);
+  }
+  window.dispatchEvent(new CustomEvent(OFFICIAL_BASELINES_EVENT, { detail: next }));
+  return next;
+}
+
+export function pinOfficialBaseline(runId, { name = "", scope = WORKSPACE_SCOPE } = {}) {
+  if (!runId) return getOfficialBaselines();
+  const key = String(scope ?? "").trim() || WORKSPACE_SCOPE;
+  return save({
+    ...getOfficialBaselines(),
+    [key]: { runId: String(runId), name: name.trim() || "Official baseline", pinnedAt: new Date().toISOString() },
+  });
+}
+
+export function unpinOfficialBaseline(scope = WORKSPACE_SCOPE) {
+  const next = { ...getOfficialBaselines() };
+  delete next[scope];
+  return save(next);
+}
+
+export function pinnedRunIds(baselines = getOfficialBaselines()) {
+  return new Set(Object.values(baselines || {}).map((pin) => pin?.runId).filter(Boolean).map(String));
+}
+
+// Scopes a run is pinned for ([] when it isn't an official baseline)
+export function pinnedScopesForRun(baselines, runId) {
+  return Object.entries(baselines || {})
+    .filter(([, pin]) => pin?.runId === String(runId))
+    .map(([scope]) => scope);
+}
+
+/**
+ * The pin that applies to the given SKUs: a family pin when every SKU is in
+ * that one family, otherwise the workspace pin. Returns { scope, ...pin } | null.
+ */
+export function resolveOfficialBaseline(baselines, skus = [], skuFamilies = {}) {
+  const families = [...new Set((Array.isArray(skus) ? skus : [skus]).map((sku) => skuFamily(sku, skuFamilies)))];
+  if (families.length === 1 && families[0] && baselines?.[families[0]]) {
+    return { scope: families[0], ...baselines[families[0]] };
+  }
+  return baselines?.[WORKSPACE_SCOPE] ? { scope: WORKSPACE_SCOPE, ...baselines[WORKSPACE_SCOPE] } : null;
+}
+
+export function subscribeOfficialBaselines(listener) {
+  const handler = (e) => listener(e.detail || getOfficialBaselines());
+  const onStorage = (e) => {
+    if (e.key === KEY) listener(getOfficialBaselines());
+  };
+  window.addEventListener(OFFICIAL_BASELINES_EVENT, handler);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(OFFICIAL_BASELINES_EVENT, handler);
+    window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,161 @@
+// lib/runInputSnapshots.js
+//
+// IndexedDB copy of the exact inputs each run was made from (CSV text after
+// scenario transforms + the scenario JSON), keyed by run id. Used for the
+// run-to-run input diff and to re-score a run under another analysis window;
+// the fingerprints on the stored run are enough to say whether two runs
+// differ at all.
+//
+// File bodies live in their own store keyed by content hash, so runs made
+// from the same inputs (a replication set, reruns) share one copy. The store
+// is capped at SNAPSHOT_LIMIT_BYTES; least-recently-used runs go first.
+
+import { contentHash } from "../utils/contentHash";
+import { createDatabase, promisify } from "./indexedDb";
+
+const DB_NAME = "forc_run_inputs";
+const DB_VERSION = 2;
+const STORE = "snapshots";
+const BODIES = "bodies";
+
+// Larger inputs keep their fingerprint but not their text
+export const MAX_SNAPSHOT_FILE_BYTES = 10 * 1024 * 1024;
+export const SNAPSHOT_LIMIT_BYTES = 100 * 1024 * 1024;
+
+function byteSize(text) {
+  return new Blob([text]).size;
+}
+
+// Writes the body once per hash; returns the snapshot's reference to it
+function putBody(bodies, text) {
+  const body = { hash: contentHash(text), text: String(text), bytes: byteSize(text) };
+  bodies.put(body);
+  return { hash: body.hash, bytes: body.bytes };
+}
+
+const db = createDatabase({
+  name: DB_NAME,
+  version: DB_VERSION,
+  label: "InputSnapshots",
+  upgrade: (database, oldVersion, tx) => {
+    if (oldVersion < 1) database.createObjectStore(STORE, { keyPath: "runId" });
+    if (oldVersion < 2) {
+      const bodies = database.createObjectStore(BODIES, { keyPath: "hash" });
+      // v1 kept each file's text inline on the snapshot
+      if (oldVersion >= 1) {
+        tx.objectStore(STORE).openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const record = cursor.value;
+          const files = Object.fromEntries(
+            Object.entries(record.files || {}).map(([key, text]) => [key, putBody(bodies, text)])
+          );
+          cursor.update({ ...record, files, lastUsedAt: Date.parse(record.savedAt) || Date.now() });
+          cursor.continue();
+        };
+      }
+    }
+  },
+});
+
+// fn({ snapshots, bodies }) inside one transaction over both stores
+const withStores = (mode, fn) => db.transaction([STORE, BODIES], mode, fn);
+
+// Bytes of the distinct bodies the records point at
+function totalBytes(records) {
+  const sizes = new Map();
+  records.forEach((r) => Object.values(r.files || {}).forEach((ref) => sizes.set(ref.hash, ref.bytes || 0)));
+  return [...sizes.values()].reduce((sum, n) => sum + n, 0);
+}
+
+// Deletes bodies no snapshot points at any more
+async function collectBodies(snapshots, bodies) {
+  const records = await promisify(snapshots.getAll());
+  const used = new Set(records.flatMap((r) => Object.values(r.files || {}).map((ref) => ref.hash)));
+  const hashes = await promisify(bodies.getAllKeys());
+  hashes.filter((hash) => !used.has(hash)).forEach((hash) => bodies.delete(hash));
+}
+
+/**
+ * files = { key: csvText }, scenario = object | null (from utils/runInputs.captureRunInputs).
+ * Stored as { runId, files: { key: { hash, bytes } }, skipped, scenario, savedAt, lastUsedAt }.
+ */
+export async function saveRunInputSnapshot(runId, { files = {}, scenario = null } = {}) {
+  if (!runId) return null;
+  const now = Date.now();
+  const record = await withStores("readwrite", async ({ snapshots, bodies }) => {
+    const refs = {};
+    const skipped = [];
+    for (const [key, text] of Object.entries(files)) {
+      if (String(text).length > MAX_SNAPSHOT_FILE_BYTES) {
+        skipped.push(key);
+        continue;
+      }
+      const hash = contentHash(text);
+      const stored = await promisify(bodies.getKey(hash));
+      refs[key] = stored === undefined ? putBody(bodies, text) : { hash, bytes: byteSize(text) };
+    }
+    const next = { runId: String(runId), files: refs, skipped, scenario, savedAt: new Date(now).toISOString(), lastUsedAt: now };
+    await promisify(snapshots.put(next));
+    return next;
+  });
+  if (!record) return null;
+  console.log("🧾 [InputSnapshots] Saved inputs for", runId, Object.keys(record.files));
+  await enforceSnapshotLimit(SNAPSHOT_LIMIT_BYTES, record.runId);
+  return record;
+}
+
+// { runId, files: { key: csvText }, skipped, scenario, savedAt } | null
+export async function getRunInputSnapshot(runId) {
+  if (!runId) return null;
+  try {
+    const record = await withStores("readwrite", async ({ snapshots, bodies }) => {
+      const found = await promisify(snapshots.get(String(runId)));
+      if (!found) return null;
+      snapshots.put({ ...found, lastUsedAt: Date.now() });
+      const files = {};
+      for (const [key, ref] of Object.entries(found.files || {})) {
+        const body = await promisify(bodies.get(ref.hash));
+        if (body) files[key] = body.text;
+      }
+      return { ...found, files };
+    });
+    return record || null;
+  } catch (e) {
+    console.warn("⚠️ [InputSnapshots] Lookup failed:", e);
+    return null;
+  }
+}
+
+// Drops snapshots of runs that are no longer in history
+export async function pruneRunInputSnapshots(keepRunIds = []) {
+  const keep = new Set(keepRunIds.map(String));
+  return withStores("readwrite", async ({ snapshots, bodies }) => {
+    const ids = await promisify(snapshots.getAllKeys());
+    const stale = ids.filter((id) => !keep.has(String(id)));
+    stale.forEach((id) => snapshots.delete(id));
+    await collectBodies(snapshots, bodies);
+    return stale.length;
+  });
+}
+
+// Least-recently-used runs go first; `keepRunId` is only dropped if nothing else is left
+export async function enforceSnapshotLimit(limitBytes = SNAPSHOT_LIMIT_BYTES, keepRunId = null) {
+  return withStores("readwrite", async ({ snapshots, bodies }) => {
+    let remaining = await promisify(snapshots.getAll());
+    const candidates = [...remaining]
+      .sort((a, b) => (a.lastUsedAt || 0) - (b.lastUsedAt || 0))
+      .sort((a, b) => (a.runId === keepRunId) - (b.runId === keepRunId));
+    const evicted = [];
+    for (const record of candidates) {
+      if (totalBytes(remaining) <= limitBytes) break;
+      remaining = remaining.filter((r) => r.runId !== record.runId);
+      snapshots.delete(record.runId);
+      evicted.push(record.runId);
+    }
+    if (!evicted.length) return 0;
+    await collectBodies(snapshots, bodies);
+    console.log(`🧹 [InputSnapshots] Evicted inputs of ${evicted.length} run(s) to stay under ${Math.round(limitBytes / 1024 / 1024)} MB`);
+    return evicted.length;
+  });
+}
@@ -0,0 +1,184 @@
+// lib/runOutputCache.js
+//
+// IndexedDB copy of each run's output CSVs, keyed by run id, so history
+// entries survive expired S3 links and work offline. Readers go through
+// fetchOutputText(), which serves the cached text before touching the
+// network and stores what it downloads for a known run, so each file is
+// fetched once. Safe to import from the KPI worker (IndexedDB only; limits
+// and eviction stay on the main thread).
+
+import { createDatabase, promisify } from "./indexedDb";
+
+const DB_NAME = "forc_run_outputs";
+const DB_VERSION = 1;
+const STORE = "files";
+const LIMIT_KEY = "forc_output_cache_limit_mb";
+export const OUTPUT_CACHE_EVENT = "forc:output_cache_updated";
+
+export const DEFAULT_CACHE_LIMIT_MB = 200;
+// Single files above this are never cached
+export const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// Output URL keys worth keeping offline
+export const CACHED_OUTPUT_KEYS = [
+  "inventory_output_file_url",
+  "flow_output_file_url",
+  "production_output_file_url",
+  "occurrence_output_file_url",
+  "projected_impact_output_file_url",
+  "disruption_impact_output_file_url",
+];
+
+const db = createDatabase({
+  name: DB_NAME,
+  version: DB_VERSION,
+  label: "OutputCache",
+  upgrade: (database) => {
+    const store = database.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("url", "url", { unique: false });
+    store.createIndex("runId", "runId", { unique: false });
+  },
+});
+
+const withStore = (mode, fn) => db.transaction(STORE, mode, fn);
+
+function notify() {
+  if (typeof window === "undefined") return;
+  window.dispatchEvent(new CustomEvent(OUTPUT_CACHE_EVENT));
+}
+
+// ---------------------------------------------
+// Limits (main thread only)
+// ---------------------------------------------
+export function getOutputCacheLimitMb() {
+  try {
+    const n = Number(localStorage.getItem(LIMIT_KEY));
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_CACHE_LIMIT_MB;
+  } catch {
+    return DEFAULT_CACHE_LIMIT_MB;
+  }
+}
+
+export function setOutputCacheLimitMb(mb) {
+  const n = Math.max(1, Math.round(Number(mb) || DEFAULT_CACHE_LIMIT_MB));
+  try {
+    localStorage.setItem(LIMIT_KEY, String(n));
+  } catch (e) {
+    console.warn("⚠️ [OutputCache] Failed to persist limit:", e);
+  }
+  return enforceOutputCacheLimit(n * 1024 * 1024).then(() => n);
+}
+
+// ---------------------------------------------
+// Reads
+// ---------------------------------------------
+export async function getCachedOutput(url) {
+  if (!url) return null;
+  try {
+    const record = await withStore("readonly", (store) => promisify(store.index("url").get(url)));
+    return record || null;
+  } catch (e) {
+    console.warn("⚠️ [OutputCache] Lookup failed:", e);
+    return null;
+  }
+}
+
+// Cached text if we have it, otherwise the network. `owner` ({ runId, key })
+// marks the URL as one of a run's outputs: the download is written through.
+export async function fetchOutputText(url, fetchImpl = (...args) => fetch(...args), owner = null) {
+  const cached = await getCachedOutput(url);
+  if (cached) return cached.text;
+  const res = await fetchImpl(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const text = await res.text();
+  if (owner?.runId) await storeOutputText(owner.runId, owner.key, url, text);
+  return text;
+}
+
+// One entry per run: { runId, files, bytes, savedAt, lastUsedAt }
+export async function listCachedRuns() {
+  try {
+    const records = (await withStore("readonly", (store) => promisify(store.getAll()))) || [];
+    const byRun = new Map();
+    records.forEach((r) => {
+      const run = byRun.get(r.runId) || { runId: r.runId, files: [], bytes: 0, savedAt: r.savedAt, lastUsedAt: 0 };
+      run.files.push(r.key);
+      run.bytes += r.bytes;
+      run.savedAt = Math.min(run.savedAt, r.savedAt);
+      run.lastUsedAt = Math.max(run.lastUsedAt, r.lastUsedAt || r.savedAt);
+      byRun.set(r.runId, run);
+    });
+    return [...byRun.values()].sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  } catch (e) {
+    console.warn("⚠️ [OutputCache] Failed to list runs:", e);
+    return [];
+  }
+}
+
+// ---------------------------------------------
+// Writes
+// ---------------------------------------------
+export async function touchCachedRun(runId) {
+  if (!runId) return;
+  const now = Date.now();
+  await withStore("readwrite", async (store) => {
+    const records = await promisify(store.index("runId").getAll(String(runId)));
+    records.forEach((r) => store.put({ ...r, lastUsedAt: now }));
+  });
+}
+
+async function storeOutputText(runId, key, url, text) {
+  const id = String(runId);
+  try {
+    const bytes = new Blob([text]).size;
+    if (bytes > MAX_FILE_BYTES) {
+      console.log(`💾 [OutputCache] ${key} for run ${id} is too large to cache (${Math.round(bytes / 1024)} KB)`);
+      return;
+    }
+    const now = Date.now();
+    await withStore("readwrite", (store) =>
+      store.put({ id: `${id}::${key}`, runId: id, key, url, text, bytes, savedAt: now, lastUsedAt: now })
+    );
+  } catch (e) {
+    console.warn(`⚠️ [OutputCache] Could not cache ${key} for run ${id}:`, e?.message || e);
+  }
+}
+
+// After a run's outputs were loaded: evict least-recently-used runs until the
+// cache fits its limit (keeping `keepRunId`) and tell the cache panel.
+export async function trimOutputCache(keepRunId = null) {
+  if (!(await db.open())) return;
+  await enforceOutputCacheLimit(getOutputCacheLimitMb() * 1024 * 1024, keepRunId ? String(keepRunId) : null);
+  notify();
+}
+
+export async function evictCachedRun(runId) {
+  await withStore("readwrite", async (store) => {
+    const keys = await promisify(store.index("runId").getAllKeys(String(runId)));
+    keys.forEach((k) => store.delete(k));
+  });
+  notify();
+}
+
+export async function clearOutputCache() {
+  await withStore("readwrite", (store) => store.clear());
+  notify();
+}
+
+// Oldest-used runs go first; `keepRunId` is only dropped if nothing else is left
+export async function enforceOutputCacheLimit(limitBytes, keepRunId = null) {
+  const runs = await listCachedRuns();
+  let total = runs.reduce((sum, r) => sum + r.bytes, 0);
+  const candidates = [...runs].reverse().sort((a, b) => (a.runId === keepRunId) - (b.runId === keepRunId));
+  for (const run of candidates) {
+    if (total <= limitBytes) break;
+    await evictCachedRun(run.runId);
+    total -= run.bytes;
+    console.log(`🧹 [OutputCache] Evicted run ${run.runId} (${Math.round(run.bytes / 1024)} KB)`);
+  }
+}
+
+export function subscribeOutputCache(listener) {
+  window.addEventListener(OUTPUT_CACHE_EVENT, listener);
+  return () => window.removeEventListener(OUTPUT_CACHE_EVENT, listener);
+}
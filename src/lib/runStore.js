@@ -0,0 +1,435 @@
+// lib/runStore.js
+//
+// Single source of truth for simulation run history. Replaces the three
+// legacy localStorage keys (forc_local_runs_v1, simulation_runs,
+// forc_latest_run), which are migrated into one versioned record on first read.
+//
+// Records are stored in the canonical shape below; getRuns() hands out views
+// that also carry the legacy aliases (urls, output_urls, raw.kpis, _source, …)
+// so older readers keep working while they migrate.
+//
+// History keeps the newest MAX_STORED_RUNS runs, counting a replication set
+// as one run so a set never pushes out the history around it or loses its
+// oldest members. Runs pinned as official baselines (lib/officialBaselines)
+// always keep their slot, however old, and are never dropped to fit the
+// storage quota.
+
+import { storedTrend } from "../utils/kpiEngine";
+import { pinnedRunIds } from "./officialBaselines";
+
+export const RUN_STORE_KEY = "forc_runs_v2";
+export const RUN_SCHEMA_VERSION = 7;
+export const RUN_STORE_EVENT = "forc:run_store_updated";
+export const MAX_STORED_RUNS = 50;
+
+const LEGACY_KEYS = {
+  localRuns: "forc_local_runs_v1",
+  resultsStore: "simulation_runs",
+  latestRun: "forc_latest_run",
+};
+// { status: "partial", attempts } while legacy runs are still waiting to fit
+const LEGACY_IMPORT_KEY = "forc_runs_legacy_import";
+const MAX_LEGACY_IMPORT_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} StoredRun
+ * @property {string} id
+ * @property {string|null} run_id      backend run id, when the backend issued one
+ * @property {string} created_at       ISO timestamp
+ * @property {string} updated_at       ISO timestamp of the last local edit (name, kpis, report)
+ * @property {string|null} timestamp   backend run stamp as issued (e.g. 20260306_123314)
+ * @property {string|null} name
+ * @property {string[]} tags
+ * @property {string} notes
+ * @property {{id: string|null, name: string|null}|null} scenario  scenario the run was made with
+ * @property {Object<string,{name: string, size: number, rows?: number, hash?: string}>} inputs  fingerprints of the uploads + scenario sent with the run (utils/runInputs)
+ * @property {{setId: string, index: number, count: number, seed: number|null, stoppedAfter: number|null, kpisMissing: boolean}|null} replication
+ *           membership in a replication set (same scenario, different seeds);
+ *           stoppedAfter = replications finished when the set failed part-way;
+ *           kpisMissing = the run finished but its KPIs couldn't be computed
+ * @property {"local"|"remote"} source
+ * @property {Object<string,string>} outputUrls  *_output_file_url → URL
+ * @property {Object} kpis             trend is weekly or monthly only (utils/kpiEngine storedTrend)
+ * @property {Object|null} report      executive report attached after the run
+ * @property {Object} raw              backend payload, minus fields lifted above
+ * @property {RunSync} sync
+ */
+
+/**
+ * @typedef {Object} RunSync
+ * @property {"local"|"pending"|"synced"|"conflict"|"error"|"removed"} status
+ * @property {string|null} remoteId
+ * @property {string|null} baseHash   hash of name, tags, notes + kpis at the last successful sync
+ * @property {string|null} syncedAt
+ * @property {Object|null} conflict   { field, local, remote, kept } when both sides diverged
+ * @property {string|null} error
+ */
+
+export const SYNC_STATUSES = ["local", "pending", "synced", "conflict", "error", "removed"];
+
+// ---------------------------------------------
+// Normalization
+// ---------------------------------------------
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function pickUrls(input) {
+  const nested = input.outputUrls || input.output_urls || input.urls;
+  if (isObject(nested)) return { ...nested };
+  // Oldest entries spread the URLs onto the run itself
+  return Object.fromEntries(
+    Object.entries(input).filter(([k, v]) => /_url$/.test(k) && typeof v === "string")
+  );
+}
+
+const RUN_STAMP_RE = /^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+
+function toIso(value) {
+  if (!value) return null;
+  const stamp = String(value).match(RUN_STAMP_RE);
+  const d = stamp
+    ? new Date(`${stamp[1]}-${stamp[2]}-${stamp[3]}T${stamp[4]}:${stamp[5]}:${stamp[6]}`)
+    : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function normalizeSync(sync, source) {
+  const s = isObject(sync) ? sync : {};
+  return {
+    status: SYNC_STATUSES.includes(s.status) ? s.status : source === "remote" ? "synced" : "local",
+    remoteId: s.remoteId ?? null,
+    baseHash: s.baseHash ?? null,
+    syncedAt: s.syncedAt ?? null,
+    conflict: s.conflict ?? null,
+    error: s.error ?? null,
+  };
+}
+
+// Trimmed, de-duplicated case-insensitively, first spelling wins
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+  const seen = new Set();
+  return list
+    .map((t) => String(t ?? "").trim())
+    .filter((t) => {
+      const key = t.toLowerCase();
+      if (!t || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function normalizeScenario(input, raw) {
+  const s = isObject(input.scenario) ? input.scenario : {};
+  const id = s.id ?? input.scenario_id ?? input.scenarioId ?? raw.scenario_id ?? null;
+  const name = s.name ?? input.scenario_name ?? input.scenarioName ?? raw.scenario_name ?? null;
+  return id === null && !name ? null : { id: id === null ? null : String(id), name: name || null };
+}
+
+function normalizeReplication(r) {
+  if (!isObject(r) || !r.setId) return null;
+  const seed = Number(r.seed);
+  return {
+    setId: String(r.setId),
+    index: Number(r.index) || 1,
+    count: Number(r.count) || 1,
+    seed: Number.isFinite(seed) ? seed : null,
+    stoppedAfter: r.stoppedAfter === null || r.stoppedAfter === undefined ? null : Number(r.stoppedAfter) || 0,
+    kpisMissing: Boolean(r.kpisMissing),
+  };
+}
+
+/** Any historical run shape → StoredRun (null if it has no usable id). */
+export function normalizeRun(input, defaults = {}) {
+  if (!isObject(input)) return null;
+  const id = input.id ?? input.run_id ?? input.runId ?? input.timestamp ?? input.created_at;
+  if (id === undefined || id === null || id === "") return null;
+
+  const raw = isObject(input.raw) ? { ...input.raw } : {};
+  const kpis = { ...(isObject(raw.kpis) ? raw.kpis : {}), ...(isObject(input.kpis) ? input.kpis : {}) };
+  if (kpis.trend) kpis.trend = storedTrend(kpis.trend);
+  delete raw.kpis;
+
+  const createdAt =
+    toIso(input.created_at || input.createdAt) ||
+    toIso(input.timestamp) ||
+    (RUN_STAMP_RE.test(String(id)) ? toIso(id) : null) ||
+    defaults.created_at ||
+    new Date().toISOString();
+  const source = (input.source || input._source || defaults.source) === "remote" ? "remote" : "local";
+
+  return {
+    id: String(id),
+    run_id: input.run_id ?? input.runId ?? null,
+    created_at: createdAt,
+    updated_at: toIso(input.updated_at || input.updatedAt) || createdAt,
+    timestamp: input.timestamp ?? null,
+    name: input.name || input.scenario_name || input.scenarioName || null,
+    tags: normalizeTags(input.tags),
+    notes: typeof input.notes === "string" ? input.notes : "",
+    scenario: normalizeScenario(input, raw),
+    inputs: isObject(input.inputs) ? input.inputs : {},
+    replication: normalizeReplication(input.replication),
+    source,
+    outputUrls: pickUrls(input),
+    kpis,
+    report: input.report || input.executiveReport || input.executive_report || null,
+    raw,
+    sync: normalizeSync(input.sync, source),
+  };
+}
+
+/** StoredRun → object with the legacy aliases older components read. */
+export function toRunView(run) {
+  return {
+    ...run.outputUrls,
+    ...run,
+    urls: run.outputUrls,
+    output_urls: run.outputUrls,
+    _source: run.source,
+    executiveReport: run.report,
+    raw: { ...run.raw, kpis: run.kpis },
+  };
+}
+
+function dedupe(runs) {
+  const seen = new Set();
+  return runs.filter((r) => {
+    if (!r || seen.has(r.id)) return false;
+    seen.add(r.id);
+    return true;
+  });
+}
+
+// ---------------------------------------------
+// Migrations
+// ---------------------------------------------
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every schema bump so far (sync metadata, tags / notes / scenario, inputs,
+// replication, then v7 daily KPI trends rolled up to weekly) is handled by
+// normalizeRun, so one normalize pass brings any older store (or the legacy
+// keys) up to date.
+function migrate(data) {
+  const { version = 1, runs = [] } = data;
+  if (version >= RUN_SCHEMA_VERSION) return { version, runs: dedupe(runs) };
+  return { version: RUN_SCHEMA_VERSION, runs: dedupe(runs.map((r) => normalizeRun(r)).filter(Boolean)) };
+}
+
+function importLegacyRuns() {
+  const localRuns = readJson(LEGACY_KEYS.localRuns);
+  const latest = readJson(LEGACY_KEYS.latestRun);
+  const resultsStore = readJson(LEGACY_KEYS.resultsStore);
+  const found = [
+    ...(Array.isArray(localRuns) ? localRuns : []),
+    ...(isObject(latest) ? [latest] : []),
+    ...(Array.isArray(resultsStore) ? resultsStore : []),
+  ];
+  if (found.length) console.log(`📦 [RunStore] Migrating ${found.length} legacy run record(s)`);
+  return migrate({ version: 1, runs: found });
+}
+
+// ---------------------------------------------
+// Persistence
+// ---------------------------------------------
+let cache = null;
+
+function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.code === 22 || e?.code === 1014;
+}
+
+// Newest `limit` runs plus every run in `keep`, order preserved. A
+// replication set takes one slot and is kept or dropped whole.
+function capRuns(runs, limit, keep) {
+  const unitOf = (r) => r.replication?.setId || r.id;
+  const admitted = new Set(runs.filter((r) => keep.has(r.id)).map(unitOf));
+  let room = limit - admitted.size;
+  return runs.filter((r) => {
+    const unit = unitOf(r);
+    if (admitted.has(unit)) return true;
+    if (room <= 0) return false;
+    room--;
+    admitted.add(unit);
+    return true;
+  });
+}
+
+// Drops the bulky backend payloads first, then the oldest runs not in `keep`,
+// until a write succeeds. Returns { runs, saved }: the runs to keep in memory,
+// and whether they reached localStorage.
+function writeWithQuotaFallback(runs, keep = pinnedRunIds()) {
+  let attempt = runs;
+  for (;;) {
+    try {
+      localStorage.setItem(RUN_STORE_KEY, JSON.stringify({ version: RUN_SCHEMA_VERSION, runs: attempt }));
+      return { runs: attempt, saved: true };
+    } catch (e) {
+      if (!isQuotaError(e)) {
+        console.warn("⚠️ [RunStore] Failed to persist runs:", e);
+        return { runs: attempt, saved: false };
+      }
+      const withRaw = attempt.map((r, i) => [r, i]).filter(([r]) => Object.keys(r.raw || {}).length);
+      const droppable = attempt.map((r) => keep.has(r.id)).lastIndexOf(false);
+      if (withRaw.length) {
+        const [, idx] = withRaw[withRaw.length - 1];
+        attempt = attempt.map((r, i) => (i === idx ? { ...r, raw: {} } : r));
+      } else if (droppable !== -1) {
+        attempt = attempt.filter((_, i) => i !== droppable);
+      } else {
+        console.warn("⚠️ [RunStore] Storage quota exceeded; history kept in memory only.");
+        return { runs, saved: false };
+      }
+      console.warn(`⚠️ [RunStore] Storage quota exceeded — trimmed history to ${attempt.length} run(s)`);
+    }
+  }
+}
+
+const byNewest = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0);
+
+function removeKeys(keys) {
+  keys.forEach((key) => {
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // ignore
+    }
+  });
+}
+
+// Merges the legacy keys into `runs` (the stored history; [] on first read).
+// The keys stay the only full copy until every legacy run that makes the
+// history cap is on disk. A quota that only fits part of them is retried on
+// the next MAX_LEGACY_IMPORT_ATTEMPTS loads, then the rest is discarded.
+function importLegacy(runs) {
+  const keep = pinnedRunIds();
+  const merged = dedupe([...runs, ...importLegacyRuns().runs]).sort(byNewest);
+  const wanted = capRuns(merged, MAX_STORED_RUNS, keep);
+  const written = writeWithQuotaFallback(wanted, keep);
+  if (!written.saved) return written.runs;
+
+  const attempts = (Number(readJson(LEGACY_IMPORT_KEY)?.attempts) || 0) + 1;
+  const missing = wanted.length - written.runs.length;
+  if (missing > 0 && attempts < MAX_LEGACY_IMPORT_ATTEMPTS) {
+    try {
+      localStorage.setItem(LEGACY_IMPORT_KEY, JSON.stringify({ status: "partial", attempts }));
+    } catch {
+      // ignore
+    }
+    console.warn(`⚠️ [RunStore] ${missing} legacy run(s) didn't fit yet; keeping the legacy keys to retry`);
+    return written.runs;
+  }
+  if (missing > 0) console.warn(`⚠️ [RunStore] Discarding ${missing} legacy run(s) that never fit the storage quota`);
+  if (merged.length > wanted.length) {
+    console.log(`📦 [RunStore] Discarded ${merged.length - wanted.length} legacy run(s) beyond the ${MAX_STORED_RUNS}-run history`);
+  }
+  removeKeys([...Object.values(LEGACY_KEYS), LEGACY_IMPORT_KEY]);
+  return written.runs;
+}
+
+function load() {
+  if (cache) return cache;
+  const stored = readJson(RUN_STORE_KEY);
+  if (isObject(stored) && Array.isArray(stored.runs)) {
+    const migrated = migrate(stored);
+    cache = migrated.runs;
+    if (readJson(LEGACY_IMPORT_KEY)?.status === "partial") cache = importLegacy(cache);
+    else if (stored.version !== migrated.version) cache = writeWithQuotaFallback(cache).runs;
+    return cache;
+  }
+
+  cache = importLegacy([]);
+  return cache;
+}
+
+function commit(runs) {
+  const sorted = dedupe(runs).sort(byNewest);
+  const keep = pinnedRunIds();
+  cache = writeWithQuotaFallback(capRuns(sorted, MAX_STORED_RUNS, keep), keep).runs;
+  const views = cache.map(toRunView);
+  window.dispatchEvent(new CustomEvent(RUN_STORE_EVENT, { detail: views }));
+  return views;
+}
+
+// ---------------------------------------------
+// Public API
+// ---------------------------------------------
+/** All runs, newest first, as views. */
+export function getRuns() {
+  return load().map(toRunView);
+}
+
+export function getRun(id) {
+  const run = load().find((r) => r.id === String(id) || String(r.run_id) === String(id));
+  return run ? toRunView(run) : null;
+}
+
+export function getLatestRun() {
+  const run = load()[0];
+  return run ? toRunView(run) : null;
+}
+
+/** Insert or replace a run. Returns the new list of views, newest first. */
+export function upsertRun(input) {
+  const run = normalizeRun(input);
+  if (!run) return getRuns();
+  return commit([run, ...load().filter((r) => r.id !== run.id)]);
+}
+
+/**
+ * Patch a run in place. `patch` is an object or fn(view) → object; `kpis` and
+ * `raw` are merged, everything else replaced. User-facing edits (touch) bump
+ * updated_at and mark a synced run as pending; the sync engine passes
+ * touch: false when writing back what it fetched or pushed.
+ */
+export function updateRun(id, patch, { touch = true } = {}) {
+  const runs = load();
+  const idx = runs.findIndex((r) => r.id === String(id) || String(r.run_id) === String(id));
+  if (idx === -1) return getRuns();
+  const current = runs[idx];
+  const p = typeof patch === "function" ? patch(toRunView(current)) : patch || {};
+  const next = normalizeRun({
+    ...current,
+    ...p,
+    kpis: { ...current.kpis, ...(p.kpis || {}) },
+    raw: { ...current.raw, ...(p.raw || {}) },
+  });
+  if (touch) {
+    next.updated_at = new Date().toISOString();
+    if (next.sync.status === "synced" || next.sync.status === "conflict") {
+      next.sync = { ...next.sync, status: "pending" };
+    }
+  }
+  return commit(runs.map((r, i) => (i === idx ? next : r)));
+}
+
+export function deleteRun(id) {
+  return commit(load().filter((r) => r.id !== String(id) && String(r.run_id) !== String(id)));
+}
+
+export function clearRuns() {
+  return commit([]);
+}
+
+/** listener(views) on every change, including writes from other tabs. */
+export function subscribeRuns(listener) {
+  const handler = (e) => listener(e.detail || getRuns());
+  const onStorage = (e) => {
+    if (e.key !== RUN_STORE_KEY) return;
+    cache = null;
+    listener(getRuns());
+  };
+  window.addEventListener(RUN_STORE_EVENT, handler);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(RUN_STORE_EVENT, handler);
+    window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// localStorage that throws QuotaExceededError past `quota` characters in total
+function memoryStorage(quota = Infinity) {
+  const data = new Map();
+  const used = (skip) => [...data].reduce((sum, [k, v]) => (k === skip ? sum : sum + k.length + v.length), 0);
+  return {
+    data,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => {
+      if (used(k) + k.length + String(v).length > quota) {
+        throw Object.assign(new Error("quota"), { name: "QuotaExceededError" });
+      }
+      data.set(k, String(v));
+    },
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+let storage;
+
+async function loadStore(quota) {
+  storage = memoryStorage(quota);
+  vi.stubGlobal("localStorage", storage);
+  vi.stubGlobal("window", { dispatchEvent: () => true, addEventListener() {}, removeEventListener() {} });
+  vi.stubGlobal("CustomEvent", class {
+    constructor(type, init) {
+      this.type = type;
+      this.detail = init?.detail;
+    }
+  });
+  vi.resetModules();
+  return import("./runStore");
+}
+
+const at = (minute) => new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString();
+
+beforeEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("legacy migration", () => {
+  it("imports the legacy keys newest first, then removes them", async () => {
+    const store = await loadStore();
+    storage.setItem("forc_local_runs_v1", JSON.stringify([{ id: "old", created_at: at(1), urls: { inventory_output_file_url: "u1" } }]));
+    storage.setItem("simulation_runs", JSON.stringify([{ run_id: "20240101_000500", kpis: { fillRate: 90 } }]));
+    storage.setItem("forc_latest_run", JSON.stringify({ id: "latest", created_at: at(3), inventory_output_file_url: "u3" }));
+
+    const runs = store.getRuns();
+    expect(runs.map((r) => r.id)).toEqual(["20240101_000500", "latest", "old"]);
+    expect(runs[2].outputUrls).toEqual({ inventory_output_file_url: "u1" });
+    expect(runs[1].outputUrls).toEqual({ inventory_output_file_url: "u3" });
+    expect(runs[0].kpis).toEqual({ fillRate: 90 });
+    expect(storage.getItem("forc_local_runs_v1")).toBeNull();
+    expect(storage.getItem("forc_latest_run")).toBeNull();
+    expect(JSON.parse(storage.getItem(store.RUN_STORE_KEY)).version).toBe(store.RUN_SCHEMA_VERSION);
+  });
+
+  it("brings an older stored schema up to date", async () => {
+    const store = await loadStore();
+    storage.setItem(store.RUN_STORE_KEY, JSON.stringify({ version: 1, runs: [{ id: "a", created_at: at(1), tags: "x, X ,y" }] }));
+    expect(store.getRun("a")).toMatchObject({ tags: ["x", "y"], notes: "", replication: null, sync: { status: "local" } });
+    expect(JSON.parse(storage.getItem(store.RUN_STORE_KEY)).version).toBe(store.RUN_SCHEMA_VERSION);
+  });
+
+  it("stores daily KPI trends as weekly buckets", async () => {
+    const store = await loadStore();
+    const day = (date) => ({ label: date, start: date, end: date, demand: 10, shipped: 10, onTime: 10, late: 0, endingBacklog: 0 });
+    const buckets = ["2024-01-01", "2024-01-02", "2024-01-08"].map(day);
+    store.upsertRun({ id: "a", created_at: at(1), kpis: { trend: { granularity: "daily", buckets } } });
+
+    const { trend } = store.getRun("a").kpis;
+    expect(trend.granularity).toBe("weekly");
+    expect(trend.buckets.map((b) => [b.label, b.demand])).toEqual([
+      ["Week 1", 20],
+      ["Week 2", 10],
+    ]);
+  });
+});
+
+describe("history trimming", () => {
+  it("keeps the newest MAX_STORED_RUNS runs, always including pinned baselines", async () => {
+    const store = await loadStore();
+    storage.setItem("forc_official_baselines_v1", JSON.stringify({ "*": { runId: "r0" } }));
+    for (let i = 0; i < store.MAX_STORED_RUNS + 5; i++) store.upsertRun({ id: `r${i}`, created_at: at(i) });
+
+    const ids = store.getRuns().map((r) => r.id);
+    expect(ids).toHaveLength(store.MAX_STORED_RUNS);
+    expect(ids[0]).toBe(`r${store.MAX_STORED_RUNS + 4}`);
+    expect(ids.at(-1)).toBe("r0");
+    expect(ids).not.toContain("r5");
+  });
+
+  it("counts a replication set as one run", async () => {
+    const store = await loadStore();
+    for (let i = 0; i < store.MAX_STORED_RUNS; i++) store.upsertRun({ id: `r${i}`, created_at: at(i) });
+    for (let i = 0; i < 5; i++) {
+      store.upsertRun({ id: `s${i}`, created_at: at(100 + i), replication: { setId: "set", index: i + 1, count: 5 } });
+    }
+
+    const runs = store.getRuns();
+    expect(runs.filter((r) => r.replication)).toHaveLength(5);
+    expect(runs).toHaveLength(store.MAX_STORED_RUNS - 1 + 5);
+    expect(runs.at(-1).id).toBe("r1");
+  });
+});
+
+describe("quota fallback", () => {
+  it("drops backend payloads before whole runs", async () => {
+    const store = await loadStore(1400);
+    store.upsertRun({ id: "a", created_at: at(1), raw: { blob: "x".repeat(500) } });
+    store.upsertRun({ id: "b", created_at: at(2), raw: { blob: "x".repeat(500) } });
+
+    const saved = JSON.parse(storage.getItem(store.RUN_STORE_KEY)).runs;
+    expect(saved.map((r) => r.id)).toEqual(["b", "a"]);
+    expect(saved.find((r) => r.id === "a").raw).toEqual({});
+  });
+
+  it("then drops the oldest runs, but never a pinned one", async () => {
+    const store = await loadStore(1400);
+    storage.setItem("forc_official_baselines_v1", JSON.stringify({ "*": { runId: "a" } }));
+    ["a", "b", "c"].forEach((id, i) => store.upsertRun({ id, created_at: at(i), notes: "n".repeat(250) }));
+
+    const saved = JSON.parse(storage.getItem(store.RUN_STORE_KEY)).runs.map((r) => r.id);
+    expect(saved).toContain("a");
+    expect(saved).toContain("c");
+    expect(saved).not.toContain("b");
+  });
+});
@@ -0,0 +1,249 @@
+// lib/runSync.js
+//
+// Two-way sync between lib/runStore and /api/simulations (Pro+ only).
+// Each run remembers a hash of its name, tags, notes + kpis at the last sync
+// (baseHash), which tells us which side moved:
+//   - only remote changed  → take remote
+//   - only local changed   → push local (renames, tags/notes, persistRunKpis
+//                            recomputes)
+//   - both changed         → KPIs: local wins; tags: union; name and notes:
+//                            most recent edit wins, a differing name is
+//                            recorded as a conflict on the run
+// Local runs that were never uploaded are pushed; runs that were synced but
+// have disappeared from the backend are kept locally and flagged "removed" —
+// only when every page of the remote list was read, since a run missing from
+// a partial list may just be on a page we didn't get.
+
+import { createSimulation, listSimulations, updateSimulation } from "../apiClient/simulations";
+import { contentHash, stableStringify } from "../utils/contentHash";
+import { getRuns, normalizeRun, normalizeTags, updateRun, upsertRun } from "./runStore";
+
+export function runSyncHash({ name = null, tags = [], notes = "", kpis = {} } = {}) {
+  return contentHash(stableStringify({ name, tags, notes, kpis }));
+}
+
+// Base hashes stored before runSyncHash moved to contentHash are its djb2 half, unpadded
+function matchesBase(hash, base) {
+  return hash === base || (base.length < 16 && Number.parseInt(hash.slice(0, 8), 16).toString(16) === base);
+}
+
+/** Fields to keep when local and remote both changed since the last sync. */
+export function resolveRunConflict(local, remote) {
+  const kpis = { ...remote.kpis, ...local.kpis };
+  const keepLocal = local.updated_at >= remote.updated_at;
+  let name = local.name ?? remote.name;
+  let conflict = null;
+  if (local.name && remote.name && local.name !== remote.name) {
+    name = keepLocal ? local.name : remote.name;
+    conflict = { field: "name", local: local.name, remote: remote.name, kept: keepLocal ? "local" : "remote" };
+  }
+  return {
+    name,
+    tags: normalizeTags([...local.tags, ...remote.tags]),
+    notes: keepLocal ? local.notes || remote.notes : remote.notes || local.notes,
+    kpis,
+    report: local.report || remote.report,
+    conflict,
+  };
+}
+
+function toPayload(run) {
+  return {
+    id: run.id,
+    run_id: run.run_id,
+    created_at: run.created_at,
+    updated_at: run.updated_at,
+    name: run.name,
+    tags: run.tags,
+    notes: run.notes,
+    scenario: run.scenario,
+    inputs: run.inputs,
+    replication: run.replication,
+    output_urls: run.outputUrls,
+    kpis: run.kpis,
+    report: run.report,
+  };
+}
+
+function syncedState(remoteId, fields, conflict = null) {
+  return {
+    status: conflict ? "conflict" : "synced",
+    remoteId: String(remoteId),
+    baseHash: runSyncHash(fields),
+    syncedAt: new Date().toISOString(),
+    conflict,
+    error: null,
+  };
+}
+
+function findRemote(remoteRuns, run) {
+  return remoteRuns.find(
+    (r) =>
+      r.id === run.id ||
+      (run.sync.remoteId && r.id === run.sync.remoteId) ||
+      (run.run_id && String(r.run_id) === String(run.run_id))
+  );
+}
+
+async function reconcile(local, remote, summary) {
+  const localHash = runSyncHash(local);
+  const remoteHash = runSyncHash(remote);
+  const base = local.sync.baseHash;
+
+  if (localHash === remoteHash) {
+    updateRun(local.id, { source: "remote", sync: syncedState(remote.id, local) }, { touch: false });
+    return;
+  }
+
+  // Never synced before → treat both sides as changed
+  const localChanged = !base || !matchesBase(localHash, base);
+  const remoteChanged = !base || !matchesBase(remoteHash, base);
+
+  if (!localChanged) {
+    const pulled = { name: remote.name, tags: remote.tags, notes: remote.notes, kpis: { ...local.kpis, ...remote.kpis } };
+    updateRun(
+      local.id,
+      {
+        ...pulled,
+        report: remote.report || local.report,
+        source: "remote",
+        sync: syncedState(remote.id, pulled),
+      },
+      { touch: false }
+    );
+    summary.pulled += 1;
+    return;
+  }
+
+  const merged = remoteChanged
+    ? resolveRunConflict(local, remote)
+    : { name: local.name, tags: local.tags, notes: local.notes, kpis: local.kpis, report: local.report, conflict: null };
+  const { conflict, ...fields } = merged;
+
+  try {
+    await updateSimulation(remote.id, fields);
+    updateRun(
+      local.id,
+      {
+        ...fields,
+        source: "remote",
+        sync: syncedState(remote.id, fields, conflict),
+      },
+      { touch: false }
+    );
+    summary.pushed += 1;
+    if (conflict) summary.conflicts += 1;
+  } catch (err) {
+    console.warn(`⚠️ [RunSync] Failed to update run ${local.id}:`, err?.message || err);
+    updateRun(local.id, { sync: { ...local.sync, status: "error", error: err?.message || "Update failed" } }, { touch: false });
+    summary.failed += 1;
+  }
+}
+
+async function push(run, summary) {
+  try {
+    const res = await createSimulation(toPayload(run));
+    const remoteId = res?.data?.id ?? res?.data?.run_id ?? run.id;
+    updateRun(run.id, { source: "remote", sync: syncedState(remoteId, run) }, { touch: false });
+    summary.pushed += 1;
+  } catch (err) {
+    console.warn(`⚠️ [RunSync] Failed to upload run ${run.id}:`, err?.message || err);
+    updateRun(run.id, { sync: { ...run.sync, status: "error", error: err?.message || "Upload failed" } }, { touch: false });
+    summary.failed += 1;
+  }
+}
+
+const MAX_REMOTE_PAGES = 50;
+const ITEM_KEYS = ["items", "runs", "simulations", "results", "data"];
+
+function nextLink(header) {
+  const m = /<([^>]+)>\s*;\s*rel="?next"?/i.exec(String(header || ""));
+  return m ? m[1] : null;
+}
+
+// Where the response says the next page is, or null when it says there's none
+function nextPage(body, headers) {
+  const link = nextLink(headers?.link);
+  if (link) return { url: link };
+  if (Array.isArray(body)) return null;
+  const next = body.next ?? body.next_page_url ?? body.nextPageUrl;
+  if (typeof next === "string" && next) return { url: next };
+  const cursor = body.next_cursor ?? body.nextCursor;
+  if (cursor) return { params: { cursor } };
+  const page = Number(body.page);
+  const pages = Number(body.total_pages ?? body.totalPages ?? body.pages);
+  if (Number.isFinite(page) && Number.isFinite(pages) && page < pages) return { params: { page: page + 1 } };
+  return null;
+}
+
+/**
+ * Every page of /api/simulations as { runs, complete }. `complete` is only
+ * true when the last page says nothing follows and any reported total was
+ * reached; an unrecognised response shape or hitting MAX_REMOTE_PAGES
+ * leaves it false.
+ */
+async function listRemoteRuns() {
+  const runs = [];
+  let page = {};
+  for (let i = 0; i < MAX_REMOTE_PAGES; i++) {
+    const res = await listSimulations(page);
+    const body = res?.data;
+    const items = Array.isArray(body) ? body : ITEM_KEYS.map((k) => body?.[k]).find(Array.isArray);
+    if (!items) return { runs, complete: false };
+    runs.push(...items);
+
+    const next = nextPage(body, res?.headers);
+    if (next) {
+      page = next;
+      continue;
+    }
+    const total = Number(res?.headers?.["x-total-count"] ?? (Array.isArray(body) ? NaN : body.total ?? body.count));
+    const hasMore = !Array.isArray(body) && (body.has_more ?? body.hasMore);
+    return { runs, complete: !hasMore && (!Number.isFinite(total) || runs.length >= total) };
+  }
+  console.warn(`⚠️ [RunSync] Stopped after ${MAX_REMOTE_PAGES} pages of remote history`);
+  return { runs, complete: false };
+}
+
+async function runSync() {
+  const listed = await listRemoteRuns();
+  const remoteRuns = listed.runs.map((r) => normalizeRun(r, { source: "remote" })).filter(Boolean);
+  const summary = { pulled: 0, pushed: 0, conflicts: 0, failed: 0, removed: 0, partialList: !listed.complete };
+  const matched = new Set();
+
+  for (const run of getRuns()) {
+    const remote = findRemote(remoteRuns, run);
+    if (remote) {
+      matched.add(remote.id);
+      await reconcile(run, remote, summary);
+    } else if (run.sync.remoteId) {
+      if (listed.complete && run.sync.status !== "removed") {
+        updateRun(run.id, { sync: { ...run.sync, status: "removed" } }, { touch: false });
+        summary.removed += 1;
+      }
+    } else {
+      await push(run, summary);
+    }
+  }
+
+  remoteRuns
+    .filter((r) => !matched.has(r.id))
+    .forEach((r) => {
+      upsertRun({ ...r, source: "remote", sync: syncedState(r.id, r) });
+      summary.pulled += 1;
+    });
+
+  return summary;
+}
+
+let inflight = null;
+
+/** Pull + push in one pass; concurrent callers share the same run. */
+export function syncRunHistory() {
+  if (!inflight) {
+    inflight = runSync().finally(() => {
+      inflight = null;
+    });
+  }
+  return inflight;
+}
@@ -0,0 +1,130 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { stableStringify } from "../utils/contentHash";
+
+vi.mock("../apiClient/simulations", () => ({
+  listSimulations: vi.fn(),
+  createSimulation: vi.fn(),
+  updateSimulation: vi.fn(),
+}));
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+let api;
+let store;
+let sync;
+
+beforeEach(async () => {
+  vi.stubGlobal("localStorage", memoryStorage());
+  vi.stubGlobal("window", { dispatchEvent: () => true, addEventListener() {}, removeEventListener() {} });
+  vi.stubGlobal("CustomEvent", class {
+    constructor(type, init) {
+      this.detail = init?.detail;
+    }
+  });
+  vi.resetModules();
+  api = await import("../apiClient/simulations");
+  store = await import("./runStore");
+  sync = await import("./runSync");
+  Object.values(api).forEach((fn) => fn.mockReset());
+  api.updateSimulation.mockResolvedValue({ data: {} });
+  api.createSimulation.mockResolvedValue({ data: {} });
+});
+
+const base = { id: "r1", created_at: "2024-01-01T00:00:00.000Z", name: "Base", tags: ["a"], notes: "", kpis: { fillRate: 90 } };
+
+// A run synced at `base`, then edited locally with `local`
+function syncedRun(local = {}) {
+  const fields = { name: base.name, tags: base.tags, notes: base.notes, kpis: base.kpis };
+  store.upsertRun({
+    ...base,
+    ...local,
+    updated_at: local.updated_at || "2024-01-02T00:00:00.000Z",
+    source: "remote",
+    sync: { status: "pending", remoteId: "r1", baseHash: sync.runSyncHash(fields) },
+  });
+}
+
+const remote = (patch = {}) => ({ data: [{ ...base, updated_at: "2024-01-02T00:00:00.000Z", ...patch }] });
+
+describe("syncRunHistory", () => {
+  it("takes the remote side when only it moved", async () => {
+    syncedRun();
+    api.listSimulations.mockResolvedValue(remote({ name: "Renamed remotely", kpis: { fillRate: 80 } }));
+
+    const summary = await sync.syncRunHistory();
+    expect(summary).toMatchObject({ pulled: 1, pushed: 0, conflicts: 0 });
+    expect(api.updateSimulation).not.toHaveBeenCalled();
+    expect(store.getRun("r1")).toMatchObject({ name: "Renamed remotely", kpis: { fillRate: 80 }, sync: { status: "synced" } });
+  });
+
+  it("pushes the local side when only it moved", async () => {
+    syncedRun({ notes: "checked" });
+    api.listSimulations.mockResolvedValue(remote());
+
+    const summary = await sync.syncRunHistory();
+    expect(summary).toMatchObject({ pulled: 0, pushed: 1, conflicts: 0 });
+    expect(api.updateSimulation).toHaveBeenCalledWith("r1", expect.objectContaining({ notes: "checked" }));
+    expect(store.getRun("r1").sync.status).toBe("synced");
+  });
+
+  it("merges when both moved: local KPIs, union of tags, newest name kept as a conflict", async () => {
+    syncedRun({ name: "Local name", tags: ["a", "local"], kpis: { fillRate: 95 }, updated_at: "2024-01-03T00:00:00.000Z" });
+    api.listSimulations.mockResolvedValue(remote({ name: "Remote name", tags: ["remote"], kpis: { fillRate: 70, otif: 88 } }));
+
+    const summary = await sync.syncRunHistory();
+    expect(summary).toMatchObject({ pushed: 1, conflicts: 1 });
+    expect(store.getRun("r1")).toMatchObject({
+      name: "Local name",
+      tags: ["a", "local", "remote"],
+      kpis: { fillRate: 95, otif: 88 },
+      sync: { status: "conflict", conflict: { field: "name", local: "Local name", remote: "Remote name", kept: "local" } },
+    });
+  });
+
+  it("still recognises base hashes stored in the older djb2-only form", async () => {
+    const text = stableStringify({ name: base.name, tags: base.tags, notes: base.notes, kpis: base.kpis });
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    const legacy = hash.toString(16);
+    store.upsertRun({ ...base, source: "remote", sync: { status: "synced", remoteId: "r1", baseHash: legacy } });
+    api.listSimulations.mockResolvedValue(remote({ notes: "remote edit" }));
+
+    expect(await sync.syncRunHistory()).toMatchObject({ pulled: 1, pushed: 0, conflicts: 0 });
+    expect(store.getRun("r1").notes).toBe("remote edit");
+  });
+
+  it("flags a synced run missing from the backend as removed and keeps it", async () => {
+    syncedRun();
+    api.listSimulations.mockResolvedValue({ data: [] });
+
+    expect(await sync.syncRunHistory()).toMatchObject({ removed: 1 });
+    expect(store.getRun("r1").sync.status).toBe("removed");
+  });
+
+  it("follows cursor pages before deciding a run was removed", async () => {
+    syncedRun();
+    api.listSimulations
+      .mockResolvedValueOnce({ data: { items: [{ id: "other", created_at: base.created_at }], next_cursor: "p2" } })
+      .mockResolvedValueOnce({ data: { items: remote().data, next_cursor: null } });
+
+    expect(await sync.syncRunHistory()).toMatchObject({ removed: 0, partialList: false });
+    expect(api.listSimulations).toHaveBeenLastCalledWith({ params: { cursor: "p2" } });
+    expect(store.getRun("r1").sync.status).toBe("synced");
+    expect(store.getRun("other")).not.toBeNull();
+  });
+
+  it("doesn't flag runs removed when the list reports more than it returned", async () => {
+    syncedRun();
+    api.listSimulations.mockResolvedValue({ data: { items: [], total: 120 } });
+
+    expect(await sync.syncRunHistory()).toMatchObject({ removed: 0, partialList: true });
+    expect(store.getRun("r1").sync.status).toBe("pending");
+  });
+});
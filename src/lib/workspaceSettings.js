@@ -0,0 +1,39 @@
+// lib/workspaceSettings.js
+const KEY = "forc_workspace_settings_v1";
+export const WORKSPACE_SETTINGS_EVENT = "forc:workspace_settings_updated";
+
+const DEFAULTS = {
+  reportingCurrency: "USD",
+  // Currency assumed for output rows that carry no currency column
+  sourceCurrency: "USD",
+  fxRates: [],
+  // KPI analysis window; null dates = from first customer shipment / to end of run
+  analysisWindow: { start: null, end: null, warmupDays: 0 },
+  trendGranularity: "weekly",
+};
+
+export function getWorkspaceSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(KEY) || "{}");
+    return { ...DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+export function updateWorkspaceSettings(patch) {
+  const next = { ...getWorkspaceSettings(), ...(patch || {}) };
+  try {
+    localStorage.setItem(KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("⚠️ [workspaceSettings] Failed to persist settings:", e);
+  }
+  window.dispatchEvent(new CustomEvent(WORKSPACE_SETTINGS_EVENT, { detail: next }));
+  return next;
+}
+
+export function subscribeWorkspaceSettings(listener) {
+  const handler = (e) => listener(e.detail || getWorkspaceSettings());
+  window.addEventListener(WORKSPACE_SETTINGS_EVENT, handler);
+  return () => window.removeEventListener(WORKSPACE_SETTINGS_EVENT, handler);
+}
@@ -8,6 +8,9 @@ import "./index.css";
 // ✅ REQUIRED: Mapbox GL JS styles
 import "mapbox-gl/dist/mapbox-gl.css";
 
+// Custom KPI registrations (must load before App computes anything)
+import "./config/customKpis.js";
+
 import App from "./App.jsx";
 import AboutUs from "./pages/AboutUs.jsx";
 import AuthPage from "./pages/AuthPage.jsx";
@@ -0,0 +1,51 @@
+// src/utils/bomChain.js
+//
+// Parent → component edges from an uploaded bom.csv, and the chain of SKUs
+// below a finished good (the good itself, its components, their components…).
+
+import Papa from "papaparse";
+import { norm, pickColumn } from "./csvColumns";
+
+const PARENT_COLUMNS = ["parent_sku", "parent", "fg_sku", "finished_good", "assembly", "product", "output_sku", "sku"];
+const CHILD_COLUMNS = ["component_sku", "child_sku", "component", "child", "input_sku", "material", "part", "material_id"];
+
+/**
+ * Returns { parentColumn, childColumn, edges } with edges as
+ * Map<PARENT_SKU, Set<COMPONENT_SKU>> (upper-cased), or null when the file
+ * has no recognisable parent/component columns.
+ */
+export function parseBomEdges(csvText) {
+  if (!csvText) return null;
+  const parsed = Papa.parse(String(csvText), { header: true, skipEmptyLines: true });
+  const columns = parsed.meta?.fields || [];
+  const childColumn = pickColumn(columns, CHILD_COLUMNS);
+  const parentColumn = pickColumn(columns, PARENT_COLUMNS, [childColumn]);
+  if (!parentColumn || !childColumn) return null;
+
+  const edges = new Map();
+  (parsed.data || []).forEach((row) => {
+    const parent = norm(row[parentColumn]);
+    const child = norm(row[childColumn]);
+    if (!parent || !child || parent === child) return;
+    if (!edges.has(parent)) edges.set(parent, new Set());
+    edges.get(parent).add(child);
+  });
+
+  return { parentColumn, childColumn, edges };
+}
+
+// Roots first, then components breadth-first; cycles in the BOM are ignored
+export function expandBomChain(bom, roots = []) {
+  const start = (Array.isArray(roots) ? roots : [roots]).map(norm).filter(Boolean);
+  const seen = new Set(start);
+  const queue = [...start];
+  while (queue.length) {
+    const sku = queue.shift();
+    (bom?.edges?.get(sku) || []).forEach((child) => {
+      if (seen.has(child)) return;
+      seen.add(child);
+      queue.push(child);
+    });
+  }
+  return [...seen];
+}
@@ -0,0 +1,111 @@
+// src/utils/chartSeries.js
+//
+// Output CSV rows → per-SKU line series for the dashboard trend chart.
+// Pure so it can run inside the KPI worker next to the cached rows.
+
+import { pickFirstKey, isCustomerShip } from "./kpiEngine";
+
+function toNum(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+}
+function str(v) {
+  return (v ?? "").toString();
+}
+function upper(v) {
+  return str(v).trim().toUpperCase();
+}
+function lower(v) {
+  return str(v).trim().toLowerCase();
+}
+
+const VALUE_KEYS = {
+  inventory: ["ending_inventory", "inventory", "on_hand", "level", "initial_inventory"],
+  production: ["produced", "production", "qty"],
+  flow: ["flow"],
+};
+
+// filter = { skus: string[], facility: string|null }
+export function buildChartSeries(rows = [], outputType = "inventory", filter = {}) {
+  const skuFilter = (Array.isArray(filter.skus) ? filter.skus : filter.skus ? [filter.skus] : [])
+    .filter(Boolean)
+    .map(lower);
+  const facility = filter.facility || null;
+
+  const sample = rows[0] || {};
+
+  const dateKey =
+    pickFirstKey(sample, ["date", "day", "period", "time", "timestamp", "period_start", "period_end"]) ||
+    Object.keys(sample)[0];
+
+  const skuKey =
+    pickFirstKey(sample, ["sku", "item", "part", "product", "id"]) ||
+    Object.keys(sample)[1];
+
+  const valueKey =
+    pickFirstKey(sample, VALUE_KEYS[outputType] || ["unfulfilled", "event", "value", "amount"]) ||
+    Object.keys(sample)[2];
+
+  const filtered = rows.filter((row) => {
+    const skuVal = lower(row[skuKey]);
+    const facilityVal =
+      row.facility ||
+      row.Facility ||
+      row.facility_id ||
+      row.Location ||
+      row.location ||
+      row.from ||
+      row.from_facility ||
+      "";
+
+    const skuMatch = skuFilter.length === 0 || skuFilter.includes(skuVal);
+    const facilityMatch = !facility || upper(facilityVal) === upper(facility);
+
+    if (outputType === "flow") return skuMatch && facilityMatch && isCustomerShip(row);
+    return skuMatch && facilityMatch;
+  });
+
+  const labels = [...new Set(filtered.map((r) => r[dateKey]))].filter(Boolean).sort();
+
+  const skuGroups = {};
+  filtered.forEach((row) => {
+    const skuVal = str(row[skuKey] || "Unknown").trim();
+    const dateVal = row[dateKey];
+    if (!skuGroups[skuVal]) skuGroups[skuVal] = {};
+    // sum if multiple rows collide on same date
+    skuGroups[skuVal][dateVal] = (skuGroups[skuVal][dateVal] || 0) + toNum(row[valueKey]);
+  });
+
+  const datasets = Object.entries(skuGroups).map(([skuName, dateMap]) => ({
+    label: skuName,
+    data: labels.map((d) => dateMap[d] ?? null),
+    fill: false,
+    borderWidth: 2,
+    tension: 0.25,
+  }));
+
+  const total = filtered.reduce((sum, r) => sum + toNum(r[valueKey]), 0);
+  const summaryStats = {
+    total,
+    avg: (total / Math.max(filtered.length || 1, 1)).toFixed(2),
+    uniqueDates: new Set(filtered.map((r) => r[dateKey])).size,
+    uniqueFacilities: new Set(
+      filtered.map((r) => r.facility || r.Facility || r.Location || r.location).map((x) => upper(x))
+    ).size,
+  };
+
+  return {
+    labels,
+    datasets,
+    summaryStats,
+    debug: {
+      rowCount: rows.length,
+      filteredCount: filtered.length,
+      dateKey,
+      skuKey,
+      valueKey,
+      sampleRow: rows[0],
+      firstFilteredRow: filtered[0],
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// src/utils/contentHash.js
+//
+// Content identity for run inputs, snapshot bodies and sync state: a
+// key-order-independent JSON form plus a short non-cryptographic hash.
+
+// JSON with object keys sorted, so equal values always give the same text
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Two 32-bit hashes (djb2 + FNV-1a) → 16 hex chars; content identity, not security
+export function contentHash(text) {
+  const s = String(text ?? "");
+  let a = 5381;
+  let b = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    a = ((a << 5) + a + c) >>> 0;
+    b = Math.imul(b ^ c, 0x01000193) >>> 0;
+  }
+  return a.toString(16).padStart(8, "0") + b.toString(16).padStart(8, "0");
+}
@@ -0,0 +1,23 @@
+// src/utils/csvColumns.js
+//
+// Column lookup shared by the CSV readers (sku values, FX rates, scenario
+// levers, lane events, demand shocks). Headers match candidates trimmed and
+// case-insensitively; the earliest candidate in the list wins.
+
+// How ids (SKUs, facilities, currencies) compare across files
+export const norm = (v) => String(v ?? "").trim().toUpperCase();
+
+// The header in `columns` for the first matching candidate, never one in `exclude`
+export function pickColumn(columns, candidates, exclude = []) {
+  const lower = new Map();
+  (columns || []).forEach((c) => {
+    const key = String(c).trim().toLowerCase();
+    if (!lower.has(key)) lower.set(key, c);
+  });
+  return candidates.map((c) => lower.get(c)).find((c) => c && !exclude.includes(c)) || null;
+}
+
+// Same lookup over the keys of a parsed row (Papa.parse with header: true)
+export function pickKey(sample, candidates, exclude = []) {
+  return pickColumn(Object.keys(sample || {}), candidates, exclude);
+}
@@ -0,0 +1,104 @@
+// src/utils/currency.js
+//
+// FX conversion + money formatting for the reporting currency.
+// fxRates = [{ from, to, rate }] meaning 1 `from` = rate `to`.
+
+import { pickKey } from "./csvColumns";
+
+export const SUPPORTED_CURRENCIES = ["USD", "EUR", "JPY", "VND", "GBP", "CNY", "KRW", "MXN", "INR"];
+
+const CODE_RE = /^[A-Z]{3}$/;
+
+function code(v) {
+  return (v ?? "").toString().trim().toUpperCase();
+}
+
+export function isCurrencyCode(v) {
+  return CODE_RE.test(code(v));
+}
+
+// Accepts either
+//   from,to,rate            (EUR,USD,1.08)
+//   currency,rate[,base]    (EUR,1.08[,USD]) — base defaults to USD
+export function parseFxRows(rows) {
+  const list = Array.isArray(rows) ? rows.filter((r) => r && typeof r === "object") : [];
+  const sample = list[0] || {};
+
+  const fromKey = pickKey(sample, ["from", "from_currency", "source_currency", "currency"]);
+  const toKey = pickKey(sample, ["to", "to_currency", "target_currency", "base", "base_currency"]);
+  const rateKey = pickKey(sample, ["rate", "fx_rate", "exchange_rate", "rate_to_usd", "usd_rate"]);
+  if (!fromKey || !rateKey) return [];
+
+  return list
+    .map((r) => ({
+      from: code(r[fromKey]),
+      to: toKey ? code(r[toKey]) || "USD" : "USD",
+      rate: parseFloat(r[rateKey]),
+    }))
+    .filter((r) => isCurrencyCode(r.from) && isCurrencyCode(r.to) && r.rate > 0);
+}
+
+function directRate(fxRates, from, to) {
+  for (const r of fxRates) {
+    if (r.from === from && r.to === to) return r.rate;
+    if (r.from === to && r.to === from) return 1 / r.rate;
+  }
+  return null;
+}
+
+// Direct, inverse, or one hop through any currency both sides are quoted against.
+export function getFxRate(from, to, fxRates = []) {
+  const a = code(from);
+  const b = code(to);
+  if (!a || !b) return null;
+  if (a === b) return 1;
+
+  const rates = Array.isArray(fxRates) ? fxRates : [];
+  const direct = directRate(rates, a, b);
+  if (direct !== null) return direct;
+
+  const pivots = new Set(rates.flatMap((r) => [r.from, r.to]));
+  for (const pivot of pivots) {
+    if (pivot === a || pivot === b) continue;
+    const first = directRate(rates, a, pivot);
+    const second = first !== null ? directRate(rates, pivot, b) : null;
+    if (second !== null) return first * second;
+  }
+  return null;
+}
+
+// null when no rate path exists — callers decide how to surface that.
+export function convertAmount(amount, from, to, fxRates = []) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return null;
+  const rate = getFxRate(from, to, fxRates);
+  return rate === null ? null : n * rate;
+}
+
+export function formatMoney(value, currency = "USD", opts = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "--";
+
+  const ccy = code(currency);
+  const numberOpts = {
+    ...(opts.compact ? { notation: "compact", maximumFractionDigits: 1 } : {}),
+    ...(Number.isFinite(opts.digits)
+      ? { minimumFractionDigits: opts.digits, maximumFractionDigits: opts.digits }
+      : {}),
+  };
+
+  if (!isCurrencyCode(ccy)) {
+    return n.toLocaleString(undefined, { maximumFractionDigits: 0, ...numberOpts });
+  }
+
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: ccy,
+      ...(Number.isFinite(opts.digits) || opts.compact ? {} : { maximumFractionDigits: 0 }),
+      ...numberOpts,
+    }).format(n);
+  } catch {
+    return `${ccy} ${n.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  }
+}
@@ -1,3 +1,7 @@
+import { convertAmount, formatMoney } from "./currency";
+import { getCustomKpiMeta } from "./kpiRegistry";
+import { sameAnalysisWindow } from "./kpiEngine";
+
 export const KPI_META = {
   serviceLevel: {
     label: "Service Level",
@@ -5,6 +9,7 @@ export const KPI_META = {
     format: "percent",
     higherIsBetter: true,
     criticalDirection: "down",
+    thresholds: { mode: "absolute", warning: 8, critical: 20 },
   },
   demandAtRisk: {
     label: "Demand at Risk",
@@ -12,6 +17,7 @@ export const KPI_META = {
     format: "number",
     higherIsBetter: false,
     criticalDirection: "up",
+    thresholds: { mode: "absolute", warning: 150, critical: 500 },
   },
   peakBacklog: {
     label: "Peak Backlog",
@@ -19,25 +25,34 @@ export const KPI_META = {
     format: "number",
     higherIsBetter: false,
     criticalDirection: "up",
+    thresholds: { mode: "absolute", warning: 150, critical: 500 },
   },
   ttr: {
     label: "Time to Recover",
     key: "timeToRecoverDays",
-    fallbackKeys: ["ttrDays", "TTR"],
     format: "days",
     higherIsBetter: false,
     criticalDirection: "up",
+    thresholds: { mode: "absolute", warning: 2, critical: 5 },
   },
   revenueExposure: {
     label: "Revenue Exposure",
     key: "estimatedRevenueExposure",
-    fallbackKeys: ["revenueExposure"],
     format: "currency",
     higherIsBetter: false,
     criticalDirection: "up",
+    thresholds: { mode: "absolute", warning: 50000, critical: 250000 },
   },
 };
 
+// Built-ins first, then registered custom KPIs. Built-in ids can't be shadowed.
+export function getKpiMeta() {
+  const custom = Object.fromEntries(
+    Object.entries(getCustomKpiMeta()).filter(([metricId]) => !KPI_META[metricId])
+  );
+  return { ...KPI_META, ...custom };
+}
+
 function toNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -45,26 +60,17 @@ function toNumber(value) {
 
 function getValue(obj, meta) {
   if (!obj || typeof obj !== "object") return 0;
-  if (obj[meta.key] != null) return toNumber(obj[meta.key]);
-  for (const fallbackKey of meta.fallbackKeys || []) {
-    if (obj[fallbackKey] != null) return toNumber(obj[fallbackKey]);
-  }
-  return 0;
+  const raw = meta.custom ? obj.custom?.[meta.id] : obj[meta.key];
+  return raw != null ? toNumber(raw) : 0;
 }
 
-export function formatMetric(value, format) {
+export function formatMetric(value, format, currency = "USD") {
   const n = toNumber(value);
 
   if (format === "percent") return `${n.toFixed(1)}%`;
   if (format === "days") return `${Math.round(n)}d`;
-  if (format === "currency") {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-      maximumFractionDigits: 0,
-    }).format(n);
-  }
-  return new Intl.NumberFormat("en-US", {
+  if (format === "currency") return formatMoney(n, currency);
+  return new Intl.NumberFormat(undefined, {
     maximumFractionDigits: 0,
   }).format(n);
 }
@@ -92,9 +98,43 @@ function buildDelta(current, baseline, higherIsBetter) {
   };
 }
 
-function severityFromDelta(metricId, deltaInfo) {
-  const magnitude = deltaInfo.absDelta;
+// Threshold profile: { [metricId]: { mode: "absolute" | "percent", warning, critical } }
+// "absolute" compares the raw delta in the metric's own units; "percent" compares
+// the delta as a share of the baseline value.
+export const THRESHOLD_MODES = ["absolute", "percent"];
 
+export function getDefaultThresholdProfile() {
+  return Object.fromEntries(
+    Object.entries(getKpiMeta()).map(([metricId, meta]) => [metricId, { ...meta.thresholds }])
+  );
+}
+
+function sanitizeThreshold(entry, fallback) {
+  if (!entry || typeof entry !== "object") return fallback;
+  const warning = Number(entry.warning);
+  const critical = Number(entry.critical);
+  return {
+    mode: THRESHOLD_MODES.includes(entry.mode) ? entry.mode : fallback.mode,
+    warning: Number.isFinite(warning) && warning >= 0 ? warning : fallback.warning,
+    critical: Number.isFinite(critical) && critical >= 0 ? critical : fallback.critical,
+  };
+}
+
+// Later profiles win: resolveThresholdProfile(workspaceProfile, scenarioProfile)
+export function resolveThresholdProfile(...profiles) {
+  const resolved = getDefaultThresholdProfile();
+  profiles.forEach((profile) => {
+    if (!profile || typeof profile !== "object") return;
+    Object.keys(resolved).forEach((metricId) => {
+      if (profile[metricId]) {
+        resolved[metricId] = sanitizeThreshold(profile[metricId], resolved[metricId]);
+      }
+    });
+  });
+  return resolved;
+}
+
+function severityFromDelta(deltaInfo, threshold) {
   if (!deltaInfo.isWorse) {
     return {
       level: "positive",
@@ -104,31 +144,17 @@ function severityFromDelta(metricId, deltaInfo) {
     };
   }
 
-  switch (metricId) {
-    case "serviceLevel":
-      if (magnitude >= 20) return { level: "critical", icon: "🔴", tone: "red", label: "Critical" };
-      if (magnitude >= 8) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
-      return { level: "mild", icon: "🟡", tone: "yellow", label: "Shift" };
-
-    case "demandAtRisk":
-    case "peakBacklog":
-      if (magnitude >= 500) return { level: "critical", icon: "🔴", tone: "red", label: "Critical" };
-      if (magnitude >= 150) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
-      return { level: "mild", icon: "🟡", tone: "yellow", label: "Shift" };
-
-    case "ttr":
-      if (magnitude >= 5) return { level: "critical", icon: "🔴", tone: "red", label: "Critical" };
-      if (magnitude >= 2) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
-      return { level: "mild", icon: "🟡", tone: "yellow", label: "Shift" };
-
-    case "revenueExposure":
-      if (magnitude >= 250000) return { level: "critical", icon: "🔴", tone: "red", label: "Critical" };
-      if (magnitude >= 50000) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
-      return { level: "mild", icon: "🟡", tone: "yellow", label: "Shift" };
-
-    default:
-      return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
+  if (!threshold) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
+
+  let magnitude = deltaInfo.absDelta;
+  if (threshold.mode === "percent") {
+    const base = Math.abs(deltaInfo.baseline);
+    magnitude = base > 0 ? (deltaInfo.absDelta / base) * 100 : Infinity;
   }
+
+  if (magnitude >= threshold.critical) return { level: "critical", icon: "🔴", tone: "red", label: "Critical" };
+  if (magnitude >= threshold.warning) return { level: "warning", icon: "🟠", tone: "amber", label: "Watch" };
+  return { level: "mild", icon: "🟡", tone: "yellow", label: "Shift" };
 }
 
 function deltaArrow(deltaInfo) {
@@ -136,21 +162,45 @@ function deltaArrow(deltaInfo) {
   return deltaInfo.direction === "up" ? "↑" : "↓";
 }
 
-export function buildBaselineComparison(currentKpis = {}, baselineKpis = null) {
+// options = { fxRates, thresholds } — thresholds is a (partial) threshold profile
+export function buildBaselineComparison(currentKpis = {}, baselineKpis = null, options = {}) {
   const hasBaseline = !!baselineKpis;
+  const thresholds = resolveThresholdProfile(options.thresholds);
+  const currency = currentKpis?.currency || "USD";
+  const baselineCurrency = baselineKpis?.currency || "USD";
+
+  // A baseline reported in another currency is restated before taking deltas;
+  // null when there's no FX path, and the card is then not comparable
+  const restate = (value, meta) => {
+    if (meta.format !== "currency" || baselineCurrency === currency) return value;
+    return convertAmount(value, baselineCurrency, currency, options.fxRates);
+  };
 
-  const cards = Object.entries(KPI_META).map(([metricId, meta]) => {
+  const cards = Object.entries(getKpiMeta()).map(([metricId, meta]) => {
+    // Runs saved before a custom KPI was registered have nothing to compare against
+    const cardHasBaseline =
+      hasBaseline && (!meta.custom || baselineKpis.custom?.[metricId] != null);
     const current = getValue(currentKpis, meta);
-    const baseline = hasBaseline ? getValue(baselineKpis, meta) : 0;
-    const deltaInfo = buildDelta(current, baseline, meta.higherIsBetter);
-    const severity = hasBaseline
-      ? severityFromDelta(metricId, deltaInfo)
-      : { level: "neutral", icon: "ℹ️", tone: "slate", label: "No baseline" };
+    const restated = cardHasBaseline ? restate(getValue(baselineKpis, meta), meta) : 0;
+    const comparable = restated !== null;
+    const baseline = comparable ? restated : getValue(baselineKpis, meta);
+    const deltaInfo = buildDelta(current, comparable ? baseline : current, meta.higherIsBetter);
+    const severity = !cardHasBaseline
+      ? { level: "neutral", icon: "ℹ️", tone: "slate", label: "No baseline" }
+      : !comparable
+        ? {
+            level: "neutral",
+            icon: "ℹ️",
+            tone: "slate",
+            label: `Not comparable (no FX rate ${baselineCurrency}→${currency})`,
+          }
+        : severityFromDelta(deltaInfo, thresholds[metricId]);
 
     return {
       metricId,
       label: meta.label,
       format: meta.format,
+      custom: !!meta.custom,
       current,
       baseline,
       delta: deltaInfo.rawDelta,
@@ -159,19 +209,30 @@ export function buildBaselineComparison(currentKpis = {}, baselineKpis = null) {
       deltaArrow: deltaArrow(deltaInfo),
       isWorse: deltaInfo.isWorse,
       isBetter: deltaInfo.isBetter,
+      comparable,
       severity,
-      currentDisplay: formatMetric(current, meta.format),
-      baselineDisplay: hasBaseline ? formatMetric(baseline, meta.format) : "—",
-      deltaDisplay:
-        meta.format === "percent"
+      threshold: thresholds[metricId],
+      currentDisplay:
+        meta.custom && currentKpis?.custom?.[metricId] == null
+          ? "—"
+          : formatMetric(current, meta.format, currency),
+      baselineDisplay: cardHasBaseline
+        ? formatMetric(baseline, meta.format, comparable ? currency : baselineCurrency)
+        : "—",
+      deltaDisplay: !comparable
+        ? "not comparable"
+        : meta.format === "percent"
           ? `${deltaInfo.rawDelta > 0 ? "+" : ""}${deltaInfo.rawDelta.toFixed(1)} pts`
-          : `${deltaInfo.rawDelta > 0 ? "+" : ""}${formatMetric(deltaInfo.rawDelta, meta.format)}`,
+          : `${deltaInfo.rawDelta > 0 ? "+" : ""}${formatMetric(deltaInfo.rawDelta, meta.format, currency)}`,
     };
   });
 
   return {
     hasBaseline,
     cards,
+    // Deltas across different analysis windows compare different periods
+    windowMismatch:
+      hasBaseline && !sameAnalysisWindow(currentKpis?.analysisWindow, baselineKpis?.analysisWindow),
     worstCard:
       cards.find((c) => c.severity.level === "critical" && c.isWorse) ||
       cards.find((c) => c.severity.level === "warning" && c.isWorse) ||
@@ -201,10 +262,8 @@ function topMaterialRisk(materialRiskData = []) {
 function actionFromRisk(materialRiskData = [], currentKpis = {}, baselineKpis = null) {
   const topRisk = topMaterialRisk(materialRiskData);
   const atRisk = toNumber(currentKpis?.demandAtRisk);
-  const currentTtr =
-    toNumber(currentKpis?.timeToRecoverDays) || toNumber(currentKpis?.ttrDays);
-  const baselineTtr =
-    toNumber(baselineKpis?.timeToRecoverDays) || toNumber(baselineKpis?.ttrDays);
+  const currentTtr = toNumber(currentKpis?.timeToRecoverDays);
+  const baselineTtr = toNumber(baselineKpis?.timeToRecoverDays);
 
   const daysRecoverable =
     baselineTtr > 0 && currentTtr > baselineTtr
@@ -237,11 +296,8 @@ export function buildDecisionNarrative({
   const serviceLevel = toNumber(currentKpis?.onTimeFulfillment);
   const atRisk = toNumber(currentKpis?.demandAtRisk);
   const peakBacklog = toNumber(currentKpis?.peakBacklog);
-  const ttr =
-    toNumber(currentKpis?.timeToRecoverDays) || toNumber(currentKpis?.ttrDays);
-  const revenueExposure =
-    toNumber(currentKpis?.estimatedRevenueExposure) ||
-    toNumber(currentKpis?.revenueExposure);
+  const ttr = toNumber(currentKpis?.timeToRecoverDays);
+  const revenueExposure = toNumber(currentKpis?.estimatedRevenueExposure);
 
   const baselineService = toNumber(baselineKpis?.onTimeFulfillment);
   const serviceDrop = baselineKpis ? baselineService - serviceLevel : 0;
@@ -295,7 +351,8 @@ export function buildDecisionNarrative({
     revenueExposure > 0
       ? `with approximately ${formatMetric(
           revenueExposure,
-          "currency"
+          "currency",
+          currentKpis?.currency || "USD"
         )} in revenue exposure`
       : `with customer service risk escalating quickly`;
 
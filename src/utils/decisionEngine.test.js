@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { buildBaselineComparison } from "./decisionEngine";
+
+const current = { onTimeFulfillment: 90, estimatedRevenueExposure: 300000, currency: "USD" };
+const baseline = { onTimeFulfillment: 95, estimatedRevenueExposure: 100000, currency: "EUR" };
+const card = (comparison, metricId) => comparison.cards.find((c) => c.metricId === metricId);
+
+describe("buildBaselineComparison", () => {
+  it("restates a baseline in another currency before taking the delta", () => {
+    const comparison = buildBaselineComparison(current, baseline, { fxRates: [{ from: "EUR", to: "USD", rate: 2 }] });
+    expect(card(comparison, "revenueExposure")).toMatchObject({ comparable: true, baseline: 200000, delta: 100000 });
+    expect(card(comparison, "revenueExposure").severity.level).toBe("warning");
+  });
+
+  it("marks money cards without an FX path as not comparable and gives no severity", () => {
+    const comparison = buildBaselineComparison(current, baseline, { fxRates: [] });
+    const revenue = card(comparison, "revenueExposure");
+    expect(revenue).toMatchObject({ comparable: false, isWorse: false, deltaDisplay: "not comparable" });
+    expect(revenue.severity).toMatchObject({ level: "neutral", label: "Not comparable (no FX rate EUR→USD)" });
+    // Non-money KPIs still compare
+    expect(card(comparison, "serviceLevel")).toMatchObject({ comparable: true, isWorse: true });
+    expect(comparison.worstCard?.metricId).not.toBe("revenueExposure");
+  });
+});
@@ -0,0 +1,172 @@
+// src/utils/demandShocks.js
+//
+// Demand adjustments for a scenario: each shock targets SKUs, facilities
+// and/or customer regions over a date window with a shape (step, spike,
+// promo curve) and is applied row by row to demand.csv by date. Legacy
+// adjustments ({ sku, facility, changeType, value } with no dates) still
+// apply to every date.
+
+import Papa from "papaparse";
+import { daysBetween } from "./scenarioEvents";
+import { norm, pickColumn } from "./csvColumns";
+
+const COLUMNS = {
+  date: ["date", "day", "period", "ds", "demand_date", "week"],
+  sku: ["sku", "material", "product", "material_id"],
+  facility: ["facility", "location", "plant", "customer", "facility_id", "site"],
+  region: ["region", "customer_region", "market", "country"],
+  demand: ["demand", "qty", "quantity", "forecast", "units"],
+  locationFacility: ["facility", "location", "site", "node", "facility_id"],
+  locationRegion: ["region", "country", "nation"],
+};
+
+export const DEMAND_SHOCK_SHAPES = [
+  { value: "step", label: "Step", description: "Same change on every day of the window." },
+  { value: "spike", label: "Spike", description: "Full change on the first day, fading to nothing by the end." },
+  { value: "promo", label: "Promo curve", description: "Ramps up, holds, then a post-promo dip as buyers pulled demand forward." },
+];
+
+function toIsoDay(v) {
+  const s = String(v ?? "").trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  const d = new Date(s);
+  return s && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+}
+
+// "A, b;C" → ["A", "B", "C"]; arrays pass through
+export function parseTargetList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[,;\n]+/);
+  return list.map(norm).filter(Boolean);
+}
+
+let seq = 0;
+
+export function createDemandShock(overrides = {}) {
+  seq += 1;
+  return {
+    id: `dem_${Date.now().toString(36)}_${seq}`,
+    name: "",
+    skus: "",
+    facilities: "",
+    regions: "",
+    startDate: "",
+    endDate: "",
+    shape: "step",
+    changeType: "percent",
+    value: 25,
+    dipPct: 30,
+    dipDays: 7,
+    ...overrides,
+  };
+}
+
+/**
+ * Fraction of the shock's value applied on `date`. The end date is
+ * exclusive, like disruption events: a shock from the 1st to the 8th covers
+ * 7 days.
+ * Undated shocks apply in full everywhere. The promo dip is negative: it
+ * removes dipPct% of the lift for dipDays after the window.
+ */
+export function shockMultiplierAt(shock, date) {
+  if (!shock?.startDate) return 1;
+  const d = daysBetween(shock.startDate, date);
+  if (d === null || d < 0) return 0;
+  const len = shock.endDate ? daysBetween(shock.startDate, shock.endDate) ?? 0 : Infinity;
+  if (len < 1) return 0;
+
+  if (d >= len) {
+    const dipDays = Number(shock.dipDays) || 0;
+    return shock.shape === "promo" && d < len + dipDays ? -(Number(shock.dipPct) || 0) / 100 : 0;
+  }
+  if (shock.shape === "spike") return Number.isFinite(len) ? 1 - d / len : 1;
+  if (shock.shape === "promo") {
+    const ramp = Number.isFinite(len) ? Math.max(1, Math.round(len * 0.2)) : 1;
+    return d < ramp ? (d + 1) / ramp : 1;
+  }
+  return 1;
+}
+
+// Old single-entry format → a shock; new-format entries pass through
+function normalizeShock(adj) {
+  return {
+    ...adj,
+    skus: parseTargetList(adj.skus ?? adj.sku),
+    facilities: parseTargetList(adj.facilities ?? adj.facility),
+    regions: parseTargetList(adj.regions),
+  };
+}
+
+/**
+ * Returns { text, summary, notes }: text is the rewritten demand.csv (null
+ * when nothing changed), summary is one { id, name, rows, delta } per shock
+ * (rows touched, net units added), notes explain shocks the file can't take.
+ */
+export function applyDemandShocks(demandText, shocks = [], { locationsText = "" } = {}) {
+  const list = (shocks || []).filter((s) => s && Number(s.value)).map(normalizeShock);
+  if (!demandText || !list.length) return { text: null, summary: [], notes: [] };
+
+  const parsed = Papa.parse(String(demandText), { header: true, skipEmptyLines: true });
+  const columns = parsed.meta?.fields || [];
+  const rows = parsed.data || [];
+  const cols = {
+    date: pickColumn(columns, COLUMNS.date),
+    sku: pickColumn(columns, COLUMNS.sku),
+    facility: pickColumn(columns, COLUMNS.facility),
+    region: pickColumn(columns, COLUMNS.region),
+    demand: pickColumn(columns, COLUMNS.demand),
+  };
+  const notes = new Set();
+  if (!cols.demand) return { text: null, summary: [], notes: ["demand.csv has no demand/quantity column."] };
+
+  // Facility → region from locations.csv, for files without a region column
+  const regionOf = new Map();
+  if (!cols.region && locationsText) {
+    const loc = Papa.parse(String(locationsText), { header: true, skipEmptyLines: true });
+    const f = pickColumn(loc.meta?.fields || [], COLUMNS.locationFacility);
+    const r = pickColumn(loc.meta?.fields || [], COLUMNS.locationRegion);
+    if (f && r) (loc.data || []).forEach((row) => regionOf.set(norm(row[f]), norm(row[r])));
+  }
+  const rowRegion = (row) => (cols.region ? norm(row[cols.region]) : regionOf.get(norm(row[cols.facility])));
+
+  const integer = rows.every((r) => /^-?\d*$/.test(String(r[cols.demand] ?? "").trim()));
+  const round = (v) => (integer ? Math.round(v) : Math.round(v * 100) / 100);
+
+  const summary = list.map((shock) => {
+    if (shock.skus.length && !cols.sku) notes.add("demand.csv has no SKU column — SKU targets can't match.");
+    if (shock.facilities.length && !cols.facility) notes.add("demand.csv has no facility column — facility targets can't match.");
+    if (shock.regions.length && !cols.region && !regionOf.size) {
+      notes.add("Region targets need a region column in demand.csv or a country/region column in locations.csv.");
+    }
+    if (shock.startDate && !cols.date) notes.add("demand.csv has no date column — dated shocks apply to every row.");
+
+    const skus = new Set(shock.skus);
+    const facilities = new Set(shock.facilities);
+    const regions = new Set(shock.regions);
+    let touched = 0;
+    let delta = 0;
+
+    rows.forEach((row) => {
+      if (skus.size && !skus.has(norm(row[cols.sku]))) return;
+      if (facilities.size && !facilities.has(norm(row[cols.facility]))) return;
+      if (regions.size && !regions.has(rowRegion(row))) return;
+
+      const m = cols.date ? shockMultiplierAt(shock, toIsoDay(row[cols.date])) : 1;
+      if (!m) return;
+      const before = Number(row[cols.demand]) || 0;
+      const change = shock.changeType === "absolute" ? Number(shock.value) * m : before * (Number(shock.value) / 100) * m;
+      const after = Math.max(0, round(before + change));
+      if (after === before) return;
+      row[cols.demand] = after;
+      touched += 1;
+      delta += after - before;
+    });
+
+    return { id: shock.id, name: shock.name, rows: touched, delta };
+  });
+
+  return {
+    text: summary.some((s) => s.rows) ? Papa.unparse(rows, { columns }) : null,
+    summary,
+    notes: [...notes],
+  };
+}
@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { shockMultiplierAt } from "./demandShocks";
+
+describe("shockMultiplierAt", () => {
+  it("treats the end date as exclusive, like disruption events", () => {
+    const shock = { startDate: "2024-03-01", endDate: "2024-03-05", shape: "step" };
+    expect(shockMultiplierAt(shock, "2024-02-29")).toBe(0);
+    expect(shockMultiplierAt(shock, "2024-03-01")).toBe(1);
+    expect(shockMultiplierAt(shock, "2024-03-04")).toBe(1);
+    expect(shockMultiplierAt(shock, "2024-03-05")).toBe(0);
+  });
+
+  it("fades a spike to nothing by the end date", () => {
+    const shock = { startDate: "2024-03-01", endDate: "2024-03-05", shape: "spike" };
+    expect(["2024-03-01", "2024-03-02", "2024-03-03", "2024-03-04"].map((d) => shockMultiplierAt(shock, d))).toEqual([
+      1, 0.75, 0.5, 0.25,
+    ]);
+  });
+
+  it("dips for dipDays from the end date after a promo", () => {
+    const shock = { startDate: "2024-03-01", endDate: "2024-03-05", shape: "promo", dipPct: 30, dipDays: 2 };
+    expect(shockMultiplierAt(shock, "2024-03-05")).toBe(-0.3);
+    expect(shockMultiplierAt(shock, "2024-03-06")).toBe(-0.3);
+    expect(shockMultiplierAt(shock, "2024-03-07")).toBe(0);
+  });
+});
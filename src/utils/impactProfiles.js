@@ -0,0 +1,127 @@
+// src/utils/impactProfiles.js
+//
+// Impact profiles for a disruption window: how much of the event's peak
+// production/shipping impact applies on each day between start and end.
+// A profiled disruption row expands into day-level rows (consecutive days
+// with the same impact merged) so the simulator sees onset and recovery
+// instead of a flat block that ends in a cliff.
+
+import { addDays, daysBetween } from "./scenarioEvents";
+
+export const IMPACT_PROFILES = [
+  { value: "step", label: "Step", description: "Full impact for the whole window." },
+  { value: "linear", label: "Linear ramp", description: "Ramp in over N days, hold, ramp out over M days." },
+  { value: "exponential", label: "Exponential recovery", description: "Hold at peak, then recover with a half-life." },
+  { value: "piecewise", label: "Custom piecewise", description: "day:% points, linearly interpolated." },
+];
+
+export const DEFAULT_IMPACT_PROFILE = {
+  type: "step",
+  rampDownDays: 2,
+  rampUpDays: 7,
+  holdDays: 3,
+  halfLifeDays: 4,
+  points: "0:100, 5:60, 14:20",
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// "0:100, 5:60, 14:0" → [[0, 1], [5, 0.6], [14, 0]] sorted by day; junk pairs are dropped
+export function parsePiecewisePoints(text) {
+  return String(text || "")
+    .split(/[,;\n]+/)
+    .map((pair) => pair.split(":").map((x) => Number(String(x).replace("%", "").trim())))
+    .filter(([day, pct]) => Number.isFinite(day) && Number.isFinite(pct) && day >= 0)
+    .map(([day, pct]) => [day, clamp01(pct / 100)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Fraction (0–1) of peak impact on day `day` (0-based) of a `totalDays`
+ * window. Unknown profile types behave as a step.
+ */
+export function impactMultiplierAt(profile, day, totalDays) {
+  const p = { ...DEFAULT_IMPACT_PROFILE, ...(profile || {}) };
+  // Evaluate at the middle of the day so 1-day ramps aren't all-or-nothing
+  const t = day + 0.5;
+
+  if (p.type === "linear") {
+    const down = Math.max(0, Number(p.rampDownDays) || 0);
+    const up = Math.max(0, Number(p.rampUpDays) || 0);
+    const rampIn = down ? t / down : 1;
+    const rampOut = up ? (totalDays - t) / up : 1;
+    return clamp01(Math.min(rampIn, rampOut, 1));
+  }
+
+  if (p.type === "exponential") {
+    const hold = Math.max(0, Number(p.holdDays) || 0);
+    const halfLife = Math.max(0.1, Number(p.halfLifeDays) || 1);
+    return t <= hold ? 1 : 0.5 ** ((t - hold) / halfLife);
+  }
+
+  if (p.type === "piecewise") {
+    const pts = parsePiecewisePoints(p.points);
+    if (!pts.length) return 1;
+    if (t <= pts[0][0]) return pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+      const [d1, v1] = pts[i];
+      if (t <= d1) {
+        const [d0, v0] = pts[i - 1];
+        return d1 === d0 ? v1 : v0 + ((v1 - v0) * (t - d0)) / (d1 - d0);
+      }
+    }
+    return pts[pts.length - 1][1];
+  }
+
+  return 1;
+}
+
+// One multiplier per day of the window, for previews
+export function impactCurve(profile, totalDays) {
+  return Array.from({ length: Math.max(0, totalDays) }, (_, d) => impactMultiplierAt(profile, d, totalDays));
+}
+
+const round3 = (v) => Math.round(Number(v) * 1000) / 1000;
+
+/**
+ * row: a disruptions.csv row ({ start_date, end_date, severity,
+ * production_impact, shipping_impact, ... }). Returns the row unchanged for
+ * step profiles (or undated rows), otherwise day-level rows with the impacts
+ * scaled per day. Days that round to no impact are dropped.
+ *
+ * end_date is exclusive (see eventEndDate), so each row ends on the day the
+ * next one starts and no day is covered twice.
+ */
+export function expandDisruptionRow(row, profile) {
+  const totalDays = daysBetween(row?.start_date, row?.end_date);
+  if (!profile || profile.type === "step" || !totalDays || totalDays < 1) return [row];
+
+  const scaled = impactCurve(profile, totalDays).map((m) => ({
+    severity: round3(Number(row.severity || 0) * m),
+    production_impact: round3(Number(row.production_impact || 0) * m),
+    shipping_impact: round3(Number(row.shipping_impact || 0) * m),
+  }));
+
+  const out = [];
+  scaled.forEach((impact, day) => {
+    const last = out[out.length - 1];
+    const same =
+      last &&
+      last._end === day &&
+      last.severity === impact.severity &&
+      last.production_impact === impact.production_impact &&
+      last.shipping_impact === impact.shipping_impact;
+    if (same) {
+      last._end = day + 1;
+      return;
+    }
+    if (!impact.production_impact && !impact.shipping_impact) return;
+    out.push({ ...row, ...impact, _start: day, _end: day + 1 });
+  });
+
+  return out.map(({ _start, _end, ...r }) => ({
+    ...r,
+    start_date: addDays(row.start_date, _start),
+    end_date: addDays(row.start_date, _end),
+  }));
+}
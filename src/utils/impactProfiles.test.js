@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { expandDisruptionRow } from "./impactProfiles";
+import { daysBetween } from "./scenarioEvents";
+
+// 4-day window (end exclusive): full impact on days 0–1, half on days 2–3
+const row = {
+  start_date: "2024-03-01",
+  end_date: "2024-03-05",
+  facility: "DC1",
+  severity: 1,
+  production_impact: 80,
+  shipping_impact: 40,
+};
+const profile = { type: "piecewise", points: "0:100, 2:100, 2:50, 4:50" };
+
+describe("expandDisruptionRow", () => {
+  it("leaves step profiles as a single row", () => {
+    expect(expandDisruptionRow(row, { type: "step" })).toEqual([row]);
+  });
+
+  it("merges equal days into rows with exclusive end dates", () => {
+    expect(expandDisruptionRow(row, profile)).toEqual([
+      { ...row, start_date: "2024-03-01", end_date: "2024-03-03" },
+      { ...row, start_date: "2024-03-03", end_date: "2024-03-05", severity: 0.5, production_impact: 40, shipping_impact: 20 },
+    ]);
+  });
+
+  it("covers every day of the window exactly once", () => {
+    const rows = expandDisruptionRow(row, { type: "linear", rampDownDays: 2, rampUpDays: 2 });
+    rows.slice(1).forEach((r, i) => expect(r.start_date).toBe(rows[i].end_date));
+    expect(rows[0].start_date).toBe(row.start_date);
+    expect(rows.at(-1).end_date).toBe(row.end_date);
+    expect(rows.reduce((sum, r) => sum + daysBetween(r.start_date, r.end_date), 0)).toBe(4);
+  });
+});
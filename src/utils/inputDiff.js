@@ -0,0 +1,117 @@
+// src/utils/inputDiff.js
+//
+// Row-level diff of two versions of an input CSV, and a structured diff of
+// two scenario objects, for the run-to-run input diff viewer.
+
+import Papa from "papaparse";
+
+// Columns that identify a row, per input; first header match wins per group
+export const ROW_KEY_COLUMNS = {
+  demand: [["sku", "material"], ["facility", "facility_id", "location", "plant"], ["date", "day"]],
+  disruptions: [["facility", "location", "plant"], ["sku", "material"], ["start_date", "start"], ["end_date", "end"]],
+  location_materials: [["location", "facility", "plant"], ["material", "sku", "material_id"]],
+};
+
+export const ROW_DIFF_INPUTS = Object.keys(ROW_KEY_COLUMNS);
+
+function parse(text) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: true });
+  return { rows: parsed.data || [], columns: parsed.meta?.fields || [] };
+}
+
+function pickKeyColumns(columns, groups = []) {
+  const lower = new Map(columns.map((c) => [String(c).trim().toLowerCase(), c]));
+  return groups.map((group) => group.map((g) => lower.get(g)).find(Boolean)).filter(Boolean);
+}
+
+function cell(v) {
+  return String(v ?? "").trim();
+}
+
+// Rows keyed by their key columns; repeated keys get #2, #3 … in file order
+function indexRows(rows, keyColumns, columns) {
+  const cols = keyColumns.length ? keyColumns : columns;
+  const seen = new Map();
+  const out = new Map();
+  rows.forEach((row) => {
+    const base = cols.map((c) => cell(row[c])).join(" · ");
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    out.set(n > 1 ? `${base} #${n}` : base, row);
+  });
+  return out;
+}
+
+/**
+ * Returns { keyColumns, columns, added, removed, changed, unchanged } where
+ * added/removed are [{ key, row }] and changed is
+ * [{ key, before, after, fields: [{ column, before, after }] }].
+ * Without recognisable key columns whole rows are the key, so edits show up
+ * as a removed + added pair.
+ */
+export function diffCsvText(beforeText, afterText, input) {
+  const before = parse(beforeText);
+  const after = parse(afterText);
+  const columns = [...new Set([...before.columns, ...after.columns])];
+  const keyGroups = ROW_KEY_COLUMNS[input] || [];
+  const keyColumns = pickKeyColumns(before.columns, keyGroups);
+  const afterKeys = pickKeyColumns(after.columns, keyGroups);
+  // Both files must key the same way, else fall back to whole rows
+  const usable = keyColumns.length > 0 && keyColumns.join("|") === afterKeys.join("|") ? keyColumns : [];
+
+  const a = indexRows(before.rows, usable, columns);
+  const b = indexRows(after.rows, usable, columns);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  a.forEach((row, key) => {
+    if (!b.has(key)) {
+      removed.push({ key, row });
+      return;
+    }
+    const next = b.get(key);
+    const fields = columns
+      .filter((c) => cell(row[c]) !== cell(next[c]))
+      .map((column) => ({ column, before: row[column] ?? "", after: next[column] ?? "" }));
+    if (fields.length) changed.push({ key, before: row, after: next, fields });
+    else unchanged += 1;
+  });
+  b.forEach((row, key) => {
+    if (!a.has(key)) added.push({ key, row });
+  });
+
+  return { keyColumns: usable, columns, added, removed, changed, unchanged };
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Structured diff of two scenario objects: [{ path, change, before, after }]
+ * with change = "added" | "removed" | "changed". Arrays are compared by index
+ * (scenario lists are ordered by the builder), objects by key.
+ */
+export function diffScenario(before, after, path = "") {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if (before == null) return [{ path: path || "(scenario)", change: "added", before, after }];
+  if (after == null) return [{ path: path || "(scenario)", change: "removed", before, after }];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const len = Math.max(before.length, after.length);
+    const out = [];
+    for (let i = 0; i < len; i++) out.push(...diffScenario(before[i], after[i], `${path}[${i}]`));
+    return out;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap((k) => diffScenario(before[k], after[k], path ? `${path}.${k}` : k));
+  }
+
+  return [{ path: path || "(scenario)", change: "changed", before, after }];
+}
@@ -0,0 +1,912 @@
+// src/utils/kpiEngine.js
+//
+// Pure KPI pipeline: parsed output rows + scope in, one canonical KPI object out.
+// No React, no fetching — App.jsx loads the CSVs and hands the rows over.
+
+import { buildSkuValueBook, resolveUnitValue, DEFAULT_CURRENCY } from "./skuValues";
+import { convertAmount } from "./currency";
+import { evaluateCustomKpis } from "./kpiRegistry";
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Canonical KPI keys. Every consumer (dashboard, Reports, run history,
+// decision engine) reads these and nothing else. The object also carries:
+//   currency               reporting currency of every money KPI
+//   unconvertedCurrencies  source currencies dropped for lack of an FX rate
+//   unitValueSource        where unit values came from (see skuValues)
+//   unpricedAtRiskUnits    at-risk units left out of the exposure: no unit value
+//   custom                 { [id]: number|null } from the KPI registry
+//   analysisWindow         start / end / warmupDays plus the dates applied
+//   trend                  { granularity, buckets } — see bucketLedger; stored runs keep storedTrend()
+export const CANONICAL_KPI_KEYS = [
+  "totalDemand",
+  "shippedUnits",
+  "onTimeUnits",
+  "lateUnits",
+  "demandAtRisk",
+  "onTimeFulfillment",
+  "fillRate",
+  "peakBacklog",
+  "endingBacklog",
+  "missedServiceDays",
+  "timeToSurviveDays",
+  "timeToRecoverDays",
+  "estimatedRevenueExposure",
+  "endingBacklogExposure",
+  "avgInventory",
+  "inventoryTurns",
+  "daysOfCoverage",
+  "totalProduction",
+  "impactedFacilities",
+  "avgProductionRecoveryDays",
+  "costToServe",
+  "expediteRatio",
+  "occurrenceCount",
+];
+
+// -----------------------------
+// Row helpers
+// -----------------------------
+function toNum(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function str(v) {
+  return (v ?? "").toString();
+}
+
+function upper(v) {
+  return str(v).trim().toUpperCase();
+}
+
+function lower(v) {
+  return str(v).trim().toLowerCase();
+}
+
+export function normalizeSku(sku) {
+  return upper(sku);
+}
+
+export function pickFirstKey(obj, candidates) {
+  const keys = Object.keys(obj || {});
+  for (const c of candidates) {
+    const found = keys.find((k) => k.toLowerCase() === c.toLowerCase());
+    if (found) return found;
+  }
+  return null;
+}
+
+export function isCustomerShip(row) {
+  const ft = lower(row?.flow_type || row?.FlowType || row?.type || "");
+  return ft === "customer_ship" || ft === "customer ship" || ft === "customership";
+}
+
+function toDay(v) {
+  return str(v).trim().slice(0, 10);
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function addDays(day, n) {
+  if (!day || !n) return day;
+  const d = new Date(`${day}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return day;
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function asRows(rows) {
+  return Array.isArray(rows) ? rows.filter((r) => r && typeof r === "object") : [];
+}
+
+const CURRENCY_COLUMN_KEYS = ["currency", "ccy", "currency_code"];
+
+// Converts source amounts into the reporting currency. Amounts without an FX
+// path are left out of the totals and their currency is remembered instead.
+export function createMoneyContext(options = {}) {
+  const reportingCurrency = upper(options.reportingCurrency) || DEFAULT_CURRENCY;
+  const sourceCurrency = upper(options.sourceCurrency) || DEFAULT_CURRENCY;
+  const fxRates = Array.isArray(options.fxRates) ? options.fxRates : [];
+  const unconverted = new Set();
+
+  return {
+    reportingCurrency,
+    sourceCurrency,
+    unconverted,
+    rowCurrency(row) {
+      const key = pickFirstKey(row, CURRENCY_COLUMN_KEYS);
+      return (key && upper(row[key])) || sourceCurrency;
+    },
+    toReporting(amount, currency) {
+      const from = upper(currency) || sourceCurrency;
+      const converted = convertAmount(amount, from, reportingCurrency, fxRates);
+      if (converted === null) {
+        if (Number(amount)) unconverted.add(from);
+        return 0;
+      }
+      return converted;
+    },
+  };
+}
+
+// Analysis window = { start, end, warmupDays }. Without a start the window opens
+// at the simulator's first customer shipment; warmup days are skipped after it.
+export function normalizeAnalysisWindow(input = {}) {
+  const w = input && typeof input === "object" ? input : {};
+  const day = (v) => (DAY_RE.test(toDay(v)) ? toDay(v) : null);
+  const warmupDays = parseInt(w.warmupDays, 10);
+  return {
+    start: day(w.start),
+    end: day(w.end),
+    warmupDays: Number.isFinite(warmupDays) && warmupDays > 0 ? warmupDays : 0,
+  };
+}
+
+export function sameAnalysisWindow(a, b) {
+  const x = normalizeAnalysisWindow(a);
+  const y = normalizeAnalysisWindow(b);
+  return x.start === y.start && x.end === y.end && x.warmupDays === y.warmupDays;
+}
+
+// Scope = { skus: string[], facility: string|null, window }. Empty skus means "all".
+// `start` / `end` are the resolved window dates, set once the service stats know them.
+export function normalizeScope(scope = {}) {
+  const skus = (Array.isArray(scope.skus) ? scope.skus : scope.skus ? [scope.skus] : [])
+    .filter(Boolean)
+    .map(normalizeSku);
+  const facility = scope.facility ? upper(scope.facility) : null;
+  return { skus, facility, window: normalizeAnalysisWindow(scope.window), start: null, end: null };
+}
+
+// Rows without a usable date are kept — the window can only trim what it can place
+function inWindow(scope, date) {
+  const day = toDay(date);
+  if (!day) return true;
+  if (scope.start && day < scope.start) return false;
+  if (scope.end && day > scope.end) return false;
+  return true;
+}
+
+function matchesScope(scope, sku, facility) {
+  const skuMatch = scope.skus.length === 0 || scope.skus.includes(normalizeSku(sku));
+  const facMatch = !scope.facility || upper(facility) === scope.facility;
+  return skuMatch && facMatch;
+}
+
+// -----------------------------
+// Inventory
+// -----------------------------
+export function computeInventoryStats(inventoryRows, scope) {
+  const rows = asRows(inventoryRows);
+  const sample = rows[0] || {};
+  const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
+  const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
+  const dateKey = pickFirstKey(sample, ["date", "day"]) || "date";
+  const invKey =
+    pickFirstKey(sample, ["ending_inventory", "inventory", "on_hand", "level", "initial_inventory"]) ||
+    "ending_inventory";
+
+  const scoped = rows.filter(
+    (r) => matchesScope(scope, r[skuKey], r[facKey]) && inWindow(scope, r[dateKey])
+  );
+  const values = scoped.map((r) => toNum(r[invKey]));
+  const avgInventory = values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  const inventoryDays = new Set(scoped.map((r) => toDay(r[dateKey])).filter(Boolean)).size;
+
+  return { avgInventory, inventoryDays };
+}
+
+// -----------------------------
+// Production
+// -----------------------------
+export function computeProductionStats(productionRows, scope) {
+  const rows = asRows(productionRows);
+  const sample = rows[0] || {};
+  const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
+  const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
+  const prodKey = pickFirstKey(sample, ["produced", "production", "qty"]) || "produced";
+  const recKey = pickFirstKey(sample, ["recovery_days", "ttr", "recovery"]) || "recovery_days";
+  const dateKey = pickFirstKey(sample, ["date", "day"]);
+
+  let totalProduction = 0;
+  const facilityRecovery = {};
+
+  rows.forEach((row) => {
+    if (!matchesScope(scope, row[skuKey], row[facKey])) return;
+    if (dateKey && !inWindow(scope, row[dateKey])) return;
+
+    const produced = toNum(row[prodKey]);
+    totalProduction += produced;
+
+    const fac = upper(row[facKey]);
+    const recovery = parseInt(row[recKey] || 0, 10) || 0;
+    if (produced > 0 && fac) {
+      facilityRecovery[fac] = Math.max(facilityRecovery[fac] || 0, recovery);
+    }
+  });
+
+  const impactedFacilities = Object.keys(facilityRecovery).length;
+  const avgProductionRecoveryDays =
+    impactedFacilities > 0
+      ? Math.round(Object.values(facilityRecovery).reduce((a, b) => a + b, 0) / impactedFacilities)
+      : 0;
+
+  return { totalProduction, impactedFacilities, avgProductionRecoveryDays };
+}
+
+// -----------------------------
+// Service (demand.csv + CUSTOMER_SHIP flow rows)
+// -----------------------------
+// - Demand = qty in demand.csv for the scope inside the analysis window
+// - Fulfillment = CUSTOMER_SHIP flow rows only (replenishment is not service)
+// - On-time = per-day min(shipped, demand); anything shipped above that day's
+//   demand is late and pays down the running backlog
+export function computeServiceStats(flowRows, demandRows, scope) {
+  const flow = asRows(flowRows);
+  const demand = asRows(demandRows);
+
+  const demandSample = demand[0] || {};
+  const demandSkuKey = pickFirstKey(demandSample, ["sku"]) || "sku";
+  const demandFacilityKey =
+    pickFirstKey(demandSample, ["facility", "facility_id", "location"]) || "facility";
+  const demandQtyKey = pickFirstKey(demandSample, ["demand", "qty", "quantity"]) || "demand";
+  const demandDateKey = pickFirstKey(demandSample, ["date", "day"]) || "date";
+
+  const flowSample = flow[0] || {};
+  const flowSkuKey = pickFirstKey(flowSample, ["sku"]) || "sku";
+  const flowFromKey =
+    pickFirstKey(flowSample, ["from", "from_facility", "facility", "facility_id", "location"]) || "from";
+  const flowQtyKey = pickFirstKey(flowSample, ["flow", "quantity", "shipped"]) || "flow";
+  const backlogOutKey =
+    pickFirstKey(flowSample, ["backlog_out", "backorder", "unfulfilled"]) || "backlog_out";
+  const flowDateKey = pickFirstKey(flowSample, ["date", "day", "timestamp", "time"]) || "date";
+
+  const allShipRows = flow
+    .filter((r) => isCustomerShip(r) && matchesScope(scope, r[flowSkuKey], r[flowFromKey]))
+    .map((r) => ({
+      date: toDay(r[flowDateKey]),
+      sku: normalizeSku(r[flowSkuKey]),
+      facility: upper(r[flowFromKey]),
+      flow: toNum(r[flowQtyKey]),
+      backlogOut: toNum(r[backlogOutKey]),
+    }))
+    .filter((r) => r.date)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  // Window opens at the explicit start, else the simulator's first customer
+  // shipment, then skips warmup days; demand and shipments outside are trimmed
+  const windowStart = scope.window.start || (allShipRows.length > 0 ? allShipRows[0].date : null);
+  const analysisStartDate = addDays(windowStart, scope.window.warmupDays);
+  const analysisEndDate = scope.window.end;
+  const windowScope = { ...scope, start: analysisStartDate, end: analysisEndDate };
+  const customerShipRows = allShipRows.filter((r) => inWindow(windowScope, r.date));
+
+  const inScopeDemandRows = demand
+    .filter((r) => matchesScope(scope, r[demandSkuKey], r[demandFacilityKey]))
+    .map((r) => ({
+      date: toDay(r[demandDateKey]),
+      sku: normalizeSku(r[demandSkuKey]),
+      facility: upper(r[demandFacilityKey]),
+      qty: toNum(r[demandQtyKey]),
+    }));
+  const scopedDemandRows = inScopeDemandRows.filter((r) => inWindow(windowScope, r.date));
+  const warmupDemandRows = inScopeDemandRows.filter(
+    (r) => analysisStartDate && r.date && r.date < analysisStartDate
+  );
+
+  const totalDemand = scopedDemandRows.reduce((sum, r) => sum + r.qty, 0);
+  const shippedUnits = customerShipRows.reduce((sum, r) => sum + r.flow, 0);
+
+  // Demand mix by SKU × facility, used to price aggregate unit KPIs
+  const demandMix = Object.values(
+    scopedDemandRows.reduce((acc, r) => {
+      if (!r.sku) return acc;
+      const key = `${r.sku}|${r.facility}`;
+      if (!acc[key]) acc[key] = { sku: r.sku, facility: r.facility, qty: 0 };
+      acc[key].qty += r.qty;
+      return acc;
+    }, {})
+  );
+
+  const demandByDate = {};
+  scopedDemandRows.forEach((r) => {
+    if (r.date) demandByDate[r.date] = (demandByDate[r.date] || 0) + r.qty;
+  });
+
+  const shipByDate = {};
+  customerShipRows.forEach((r) => {
+    shipByDate[r.date] = (shipByDate[r.date] || 0) + r.flow;
+  });
+
+  const ledger = [];
+  let onTimeUnits = 0;
+  let lateUnits = 0;
+  let runningBacklog = 0;
+  let peakBacklog = 0;
+  let missedServiceDays = 0;
+
+  const ledgerDates = [...new Set([...Object.keys(demandByDate), ...Object.keys(shipByDate)])].sort();
+
+  ledgerDates.forEach((date) => {
+    const dayDemand = demandByDate[date] || 0;
+    const shipped = shipByDate[date] || 0;
+
+    const onTime = Math.min(shipped, dayDemand);
+    const late = Math.max(0, shipped - dayDemand);
+
+    onTimeUnits += onTime;
+    lateUnits += late;
+
+    runningBacklog += dayDemand - onTime;
+    if (runningBacklog > peakBacklog) peakBacklog = runningBacklog;
+    if (dayDemand > onTime) missedServiceDays += 1;
+    if (late > 0) runningBacklog = Math.max(0, runningBacklog - late);
+
+    ledger.push({ date, demand: dayDemand, shipped, onTime, late, backlog: runningBacklog });
+  });
+
+  const endingBacklog =
+    customerShipRows.length > 0
+      ? Math.max(0, customerShipRows[customerShipRows.length - 1].backlogOut)
+      : Math.max(0, totalDemand - shippedUnits);
+
+  // Time to survive / recover from the simulator's own backlog_out signal
+  const impacted = customerShipRows.filter((r) => r.backlogOut > 0);
+  const firstObserved = customerShipRows.length ? new Date(customerShipRows[0].date) : null;
+  const lastObserved = customerShipRows.length
+    ? new Date(customerShipRows[customerShipRows.length - 1].date)
+    : null;
+  const firstImpact = impacted.length ? new Date(impacted[0].date) : null;
+  const recoveryRow = firstImpact
+    ? customerShipRows.find((r) => new Date(r.date) >= firstImpact && r.backlogOut <= 0)
+    : null;
+  const recoveryDate = recoveryRow ? new Date(recoveryRow.date) : lastObserved;
+
+  const timeToSurviveDays =
+    firstObserved && firstImpact
+      ? Math.max(0, Math.round((firstImpact - firstObserved) / MS_PER_DAY))
+      : 0;
+  const backlogRecoveryDays =
+    firstImpact && recoveryDate
+      ? Math.max(0, Math.round((recoveryDate - firstImpact) / MS_PER_DAY))
+      : 0;
+
+  return {
+    analysisStartDate,
+    analysisEndDate,
+    totalDemand,
+    shippedUnits,
+    onTimeUnits,
+    lateUnits,
+    peakBacklog,
+    endingBacklog,
+    missedServiceDays,
+    timeToSurviveDays,
+    backlogRecoveryDays,
+    demandMix,
+    ledger,
+    // Row-level trail for drill-downs (see explainKpis)
+    filters: {
+      demandRowsTotal: demand.length,
+      demandRowsInScope: inScopeDemandRows.length,
+      warmupRows: warmupDemandRows.length,
+      warmupUnits: warmupDemandRows.reduce((sum, r) => sum + r.qty, 0),
+      afterWindowRows: inScopeDemandRows.filter(
+        (r) => analysisEndDate && r.date && r.date > analysisEndDate
+      ).length,
+      flowRowsTotal: flow.length,
+    },
+    demandRows: scopedDemandRows,
+    shipRows: customerShipRows,
+  };
+}
+
+// -----------------------------
+// Cost to serve + expedite ratio (all flow types)
+// -----------------------------
+export function computeCostStats(flowRows, scope, money = createMoneyContext()) {
+  const rows = asRows(flowRows);
+  const sample = rows[0] || {};
+  const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
+  const facKey = pickFirstKey(sample, ["facility", "facility_id", "to", "from", "location"]) || "facility";
+  const qtyKey = pickFirstKey(sample, ["quantity", "flow", "shipped"]) || "quantity";
+  const cpuKey = pickFirstKey(sample, ["cost_per_unit", "cpu", "unit_cost"]) || "cost_per_unit";
+  const expKey = pickFirstKey(sample, ["expedited", "expedite", "is_expedited"]) || "expedited";
+  const dateKey = pickFirstKey(sample, ["date", "day", "timestamp", "time"]);
+
+  const scoped = rows.filter(
+    (r) => matchesScope(scope, r[skuKey], r[facKey]) && (!dateKey || inWindow(scope, r[dateKey]))
+  );
+
+  const totalCost = scoped.reduce(
+    (sum, r) => sum + money.toReporting(toNum(r[qtyKey]) * toNum(r[cpuKey] ?? 10), money.rowCurrency(r)),
+    0
+  );
+  const shippedUnits = scoped
+    .filter(isCustomerShip)
+    .reduce((sum, r) => sum + toNum(r[qtyKey]), 0);
+
+  const expediteCount = scoped.filter((r) => {
+    const v = lower(r[expKey]);
+    return v === "true" || v === "1" || v === "yes";
+  }).length;
+
+  return {
+    costToServe: shippedUnits > 0 ? totalCost / shippedUnits : null,
+    expediteRatio: scoped.length ? (100 * expediteCount) / scoped.length : 0,
+  };
+}
+
+// -----------------------------
+// Occurrences (count + disruption span)
+// -----------------------------
+export function computeOccurrenceStats(occurrenceRows, scope) {
+  const rows = asRows(occurrenceRows);
+  const sample = rows[0] || {};
+  const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
+  const facKey = pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
+  const dateKey = pickFirstKey(sample, ["date", "day"]) || "date";
+
+  const scoped = rows.filter(
+    (r) => matchesScope(scope, r[skuKey], r[facKey]) && inWindow(scope, r[dateKey])
+  );
+  const times = scoped
+    .map((r) => new Date(r[dateKey]).getTime())
+    .filter((t) => Number.isFinite(t));
+
+  return {
+    occurrenceCount: scoped.length,
+    disruptionSpanDays: times.length
+      ? Math.round((Math.max(...times) - Math.min(...times)) / MS_PER_DAY)
+      : null,
+  };
+}
+
+// -----------------------------
+// Revenue
+// -----------------------------
+const IMPACT_REVENUE_KEYS = [
+  "revenue_at_risk",
+  "revenueAtRisk",
+  "estimated_revenue_exposure",
+  "estimatedRevenueExposure",
+  "revenue_exposure",
+  "revenueExposure",
+  "financial_impact",
+  "financialImpact",
+  "estimated_loss",
+  "estimatedLoss",
+  "revenue_at_risk_usd",
+  "revenueAtRiskUsd",
+  "value_at_risk",
+  "valueAtRisk",
+];
+
+export function sumImpactRevenue(rows, money = createMoneyContext()) {
+  return asRows(rows).reduce((sum, row) => {
+    const key = IMPACT_REVENUE_KEYS.find((k) => row[k] != null && row[k] !== "");
+    return sum + (key ? money.toReporting(toNum(row[key]), money.rowCurrency(row)) : 0);
+  }, 0);
+}
+
+// Spreads `units` across the demand mix and prices each slice at its SKU/facility
+// value, converted from the value's own currency into the reporting currency.
+// Returns { value, unpricedUnits }: slices with no unit value are counted, not priced.
+export function priceUnitsByMix(units, demandMix, totalDemand, book, money = createMoneyContext()) {
+  if (!(units > 0) || !(totalDemand > 0)) return { value: 0, unpricedUnits: 0 };
+  return demandMix.reduce(
+    (acc, { sku, facility, qty }) => {
+      const slice = units * (qty / totalDemand);
+      const price = resolveUnitValue(book, sku, facility);
+      if (!price) return { ...acc, unpricedUnits: acc.unpricedUnits + slice };
+      return { ...acc, value: acc.value + money.toReporting(slice * price.unitValue, price.currency) };
+    },
+    { value: 0, unpricedUnits: 0 }
+  );
+}
+
+// -----------------------------
+// Canonical KPI object
+// -----------------------------
+// rows  = { inventory, production, flow, occurrence, demand, projectedImpact, disruptionImpact,
+//           skuValues?, locationMaterials? }
+// scope = { skus, facility, window? }
+// options = { reportingCurrency, sourceCurrency, fxRates, trendGranularity } (workspace settings)
+export function computeKpis(rows = {}, scopeInput = {}, options = {}) {
+  const money = createMoneyContext(options);
+
+  // Service stats resolve the analysis window; everything else reuses it
+  const service = computeServiceStats(rows.flow, rows.demand, normalizeScope(scopeInput));
+  const scope = {
+    ...normalizeScope(scopeInput),
+    start: service.analysisStartDate,
+    end: service.analysisEndDate,
+  };
+
+  const inventory = computeInventoryStats(rows.inventory, scope);
+  const production = computeProductionStats(rows.production, scope);
+  const cost = computeCostStats(rows.flow, scope, money);
+  const occurrence = computeOccurrenceStats(rows.occurrence, scope);
+
+  const { totalDemand, onTimeUnits, shippedUnits } = service;
+  const demandAtRisk = Math.max(0, totalDemand - onTimeUnits);
+
+  const valueBook = buildSkuValueBook({
+    skuValueRows: rows.skuValues,
+    demandRows: rows.demand,
+    locationMaterialRows: rows.locationMaterials,
+  });
+  const atRisk = priceUnitsByMix(demandAtRisk, service.demandMix, totalDemand, valueBook, money);
+  const backlog = priceUnitsByMix(
+    service.endingBacklog,
+    service.demandMix,
+    totalDemand,
+    valueBook,
+    money
+  );
+
+  // Backend impact rows carry real revenue figures; price our own units only when absent
+  const impactRevenue =
+    sumImpactRevenue(rows.projectedImpact, money) || sumImpactRevenue(rows.disruptionImpact, money);
+  const estimatedRevenueExposure = impactRevenue || atRisk.value;
+
+  const inventoryTurns =
+    inventory.avgInventory > 0 && inventory.inventoryDays > 0
+      ? (shippedUnits * (365 / inventory.inventoryDays)) / inventory.avgInventory
+      : null;
+
+  const avgDailyDemand = inventory.inventoryDays > 0 ? totalDemand / inventory.inventoryDays : 0;
+  const daysOfCoverage =
+    inventory.avgInventory > 0 && avgDailyDemand > 0 ? inventory.avgInventory / avgDailyDemand : null;
+
+  // Disruption span from occurrences is the recovery horizon when the run recorded
+  // any; otherwise fall back to the customer backlog recovering to zero.
+  const timeToRecoverDays = occurrence.disruptionSpanDays ?? service.backlogRecoveryDays;
+
+  const kpis = {
+    totalDemand,
+    shippedUnits,
+    onTimeUnits,
+    lateUnits: service.lateUnits,
+    demandAtRisk,
+    onTimeFulfillment: totalDemand > 0 ? round((100 * onTimeUnits) / totalDemand) : 0,
+    fillRate: totalDemand > 0 ? round(Math.min(1, shippedUnits / totalDemand) * 100) : 0,
+    peakBacklog: Math.round(service.peakBacklog),
+    endingBacklog: Math.round(service.endingBacklog),
+    missedServiceDays: service.missedServiceDays,
+    timeToSurviveDays: service.timeToSurviveDays,
+    timeToRecoverDays,
+    estimatedRevenueExposure: round(estimatedRevenueExposure),
+    endingBacklogExposure: round(backlog.value),
+    avgInventory: round(inventory.avgInventory, 1),
+    inventoryTurns: inventoryTurns === null ? null : round(inventoryTurns, 1),
+    daysOfCoverage: daysOfCoverage === null ? null : round(daysOfCoverage, 1),
+    totalProduction: Math.round(production.totalProduction),
+    impactedFacilities: production.impactedFacilities,
+    avgProductionRecoveryDays: production.avgProductionRecoveryDays,
+    costToServe: cost.costToServe === null ? null : round(cost.costToServe),
+    expediteRatio: round(cost.expediteRatio, 1),
+    occurrenceCount: occurrence.occurrenceCount,
+    currency: money.reportingCurrency,
+    unconvertedCurrencies: [...money.unconverted].sort(),
+    unitValueSource: valueBook.source,
+    unpricedAtRiskUnits: impactRevenue ? 0 : Math.round(atRisk.unpricedUnits),
+    analysisWindow: {
+      ...scope.window,
+      appliedStart: service.analysisStartDate,
+      appliedEnd: service.analysisEndDate || service.ledger[service.ledger.length - 1]?.date || null,
+    },
+  };
+
+  const trendGranularity = TREND_GRANULARITIES.includes(options.trendGranularity)
+    ? options.trendGranularity
+    : "weekly";
+  kpis.trend = {
+    granularity: trendGranularity,
+    buckets: bucketLedger(
+      service.ledger,
+      trendGranularity,
+      demandAtRisk > 0 ? kpis.estimatedRevenueExposure / demandAtRisk : 0
+    ),
+  };
+
+  kpis.custom = evaluateCustomKpis({
+    rows,
+    scope,
+    kpis: { ...kpis },
+    ledger: service.ledger,
+    inScope: (sku, facility) => matchesScope(scope, sku, facility),
+  });
+
+  return kpis;
+}
+
+// -----------------------------
+// SKU × facility breakdown
+// -----------------------------
+const BREAKDOWN_ROW_SETS = ["inventory", "production", "flow", "occurrence", "demand"];
+
+// Canonical KPIs for every SKU × facility pair seen in demand or customer
+// shipments. Rows are grouped by SKU in one pass so each pair only scans its
+// own SKU's rows. Backend impact rows are run-level totals that can't be split,
+// so money KPIs here are always priced from SKU unit values. Every pair uses
+// the run's resolved window: a pair's own first shipment must not open it, or
+// demand the pair missed before then would drop out of its row.
+export function computeKpiBreakdown(rows = {}, scopeInput = {}, options = {}) {
+  const run = computeServiceStats(rows.flow, rows.demand, normalizeScope(scopeInput));
+  const window = { start: run.analysisStartDate, end: run.analysisEndDate, warmupDays: 0 };
+  const bySku = {};
+  const pairs = new Map();
+
+  BREAKDOWN_ROW_SETS.forEach((set) => {
+    const list = asRows(rows[set]);
+    const sample = list[0] || {};
+    const skuKey = pickFirstKey(sample, ["sku"]) || "sku";
+    const facKey =
+      set === "flow"
+        ? pickFirstKey(sample, ["from", "from_facility", "facility", "facility_id", "location"]) || "from"
+        : pickFirstKey(sample, ["facility", "facility_id", "location"]) || "facility";
+
+    list.forEach((r) => {
+      const sku = normalizeSku(r[skuKey]);
+      if (!sku) return;
+      if (!bySku[sku]) bySku[sku] = {};
+      if (!bySku[sku][set]) bySku[sku][set] = [];
+      bySku[sku][set].push(r);
+
+      const facility = upper(r[facKey]);
+      if (facility && (set === "demand" || (set === "flow" && isCustomerShip(r)))) {
+        pairs.set(`${sku}|${facility}`, { sku, facility });
+      }
+    });
+  });
+
+  return [...pairs.values()].map(({ sku, facility }) => ({
+    sku,
+    facility,
+    kpis: computeKpis(
+      {
+        ...bySku[sku],
+        skuValues: rows.skuValues,
+        locationMaterials: rows.locationMaterials,
+      },
+      { skus: [sku], facility, window },
+      options
+    ),
+  }));
+}
+
+// -----------------------------
+// Time buckets
+// -----------------------------
+export const TREND_GRANULARITIES = ["daily", "weekly", "monthly"];
+
+function dayOffset(from, day) {
+  return Math.round((new Date(`${day}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+// Rolls the daily ledger into buckets. Weeks count from the analysis start
+// ("Week 1" = its first seven days), months follow the calendar. Revenue
+// exposure is the horizon figure shared out by each bucket's at-risk units.
+export function bucketLedger(ledger = [], granularity = "weekly", revenuePerAtRiskUnit = 0) {
+  const days = Array.isArray(ledger) ? ledger.filter((d) => d?.date) : [];
+  if (days.length === 0) return [];
+  const origin = days[0].date;
+
+  const keyOf = (date) => {
+    if (granularity === "daily") return { key: date, label: date };
+    if (granularity === "monthly") return { key: date.slice(0, 7), label: date.slice(0, 7) };
+    const week = Math.floor(dayOffset(origin, date) / 7) + 1;
+    return { key: String(week).padStart(4, "0"), label: `Week ${week}` };
+  };
+
+  const buckets = new Map();
+  days.forEach((d) => {
+    const { key, label } = keyOf(d.date);
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        label,
+        start: d.date,
+        end: d.date,
+        demand: 0,
+        shipped: 0,
+        onTime: 0,
+        late: 0,
+        peakBacklog: 0,
+        endingBacklog: 0,
+      });
+    }
+    const b = buckets.get(key);
+    b.end = d.date;
+    b.demand += d.demand;
+    b.shipped += d.shipped;
+    b.onTime += d.onTime;
+    b.late += d.late;
+    b.peakBacklog = Math.max(b.peakBacklog, d.backlog);
+    b.endingBacklog = d.backlog;
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, b]) => {
+      const atRisk = Math.max(0, b.demand - b.onTime);
+      return {
+        ...b,
+        demandAtRisk: atRisk,
+        serviceLevel: b.demand > 0 ? round((100 * b.onTime) / b.demand) : null,
+        peakBacklog: Math.round(b.peakBacklog),
+        endingBacklog: Math.round(b.endingBacklog),
+        revenueExposure: round(atRisk * revenuePerAtRiskUnit),
+      };
+    });
+}
+
+// The trend kept on stored runs. Daily buckets are rolled up to weekly ones
+// (recomputing a run's KPIs rebuilds the daily view), so run history doesn't
+// carry a bucket per simulated day for every run.
+export function storedTrend(trend) {
+  if (trend?.granularity !== "daily" || !Array.isArray(trend.buckets)) return trend ?? null;
+  const days = trend.buckets.map((b) => ({
+    date: b.start,
+    demand: b.demand || 0,
+    shipped: b.shipped || 0,
+    onTime: b.onTime || 0,
+    late: b.late || 0,
+    backlog: b.endingBacklog || 0,
+  }));
+  const atRisk = trend.buckets.reduce((sum, b) => sum + (b.demandAtRisk || 0), 0);
+  const exposure = trend.buckets.reduce((sum, b) => sum + (b.revenueExposure || 0), 0);
+  return { granularity: "weekly", buckets: bucketLedger(days, "weekly", atRisk > 0 ? exposure / atRisk : 0) };
+}
+
+// Lowest-service bucket, for "service bottomed out at 71% in Week 3"
+export function findTrendLow(trend) {
+  const buckets = (trend?.buckets || []).filter((b) => b.serviceLevel !== null);
+  if (buckets.length === 0) return null;
+  return buckets.reduce((low, b) => (b.serviceLevel < low.serviceLevel ? b : low));
+}
+
+// -----------------------------
+// Drill-down
+// -----------------------------
+// How each service KPI is derived from the daily ledger, in plain words.
+export const KPI_FORMULAS = {
+  onTimeFulfillment: "Σ min(shipped, demand) per day ÷ Σ demand × 100",
+  fillRate: "min(1, Σ shipped ÷ Σ demand) × 100",
+  demandAtRisk: "Σ demand − Σ on-time units",
+  lateUnits: "Σ max(0, shipped − demand) per day",
+  peakBacklog: "max running backlog (demand − on-time, reduced by late shipments)",
+  endingBacklog: "backlog_out on the last customer shipment day",
+  missedServiceDays: "count of days where on-time units < demand",
+  timeToSurviveDays: "first day with backlog_out > 0 − first customer shipment day",
+  timeToRecoverDays:
+    "disruption span from occurrences when present, otherwise first backlog day → first day backlog_out returns to 0",
+  estimatedRevenueExposure:
+    "backend impact revenue when present, otherwise demand at risk × SKU unit value (by demand mix)",
+};
+
+// Everything a drill-down needs to show why a KPI has its value. Same inputs
+// as computeKpis; kept out of the KPI object so run history stays small.
+export function explainKpis(rows = {}, scopeInput = {}) {
+  const scope = normalizeScope(scopeInput);
+  const service = computeServiceStats(rows.flow, rows.demand, scope);
+  return {
+    scope,
+    analysisStartDate: service.analysisStartDate,
+    analysisEndDate: service.analysisEndDate,
+    filters: service.filters,
+    demandRows: service.demandRows,
+    shipRows: service.shipRows,
+    ledger: service.ledger,
+  };
+}
+
+// -----------------------------
+// Legacy / backend payloads → canonical
+// -----------------------------
+// Run history and backend responses carry older shapes ("95.0%" strings,
+// serviceTruth, ttrDays, unitsAtRisk, ...). Read them once, here.
+function looseNumber(v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = parseFloat(String(v).replace(/[$,%x]/gi, "").replace(/days?/i, "").trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function firstNumber(...values) {
+  for (const v of values) {
+    const n = looseNumber(v);
+    if (n !== null) return n;
+  }
+  return null;
+}
+
+function normalizeCustomKpis(custom) {
+  if (!custom || typeof custom !== "object") return null;
+  const entries = Object.entries(custom).map(([id, v]) => [id, looseNumber(v)]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+export function normalizeKpis(source) {
+  if (!source || typeof source !== "object") return {};
+  const truth = source.serviceTruth || source.service_truth || {};
+
+  const out = {
+    totalDemand: firstNumber(source.totalDemand, truth.totalDemand),
+    shippedUnits: firstNumber(source.shippedUnits, source.fulfilledUnits),
+    onTimeUnits: firstNumber(source.onTimeUnits),
+    lateUnits: firstNumber(source.lateUnits, source.lateFulfilledUnits, truth.lateFulfilledUnits),
+    demandAtRisk: firstNumber(
+      source.demandAtRisk,
+      source.demandAtRiskUnits,
+      source.lateFulfilledUnits,
+      source.unitsAtRisk,
+      truth.lateFulfilledUnits
+    ),
+    onTimeFulfillment: firstNumber(
+      truth.onTimeFillRatePct,
+      source.onTimeFulfillment,
+      source.serviceLevelPct,
+      source.onTimeFill
+    ),
+    fillRate: firstNumber(source.fillRate, source.demandFulfillment),
+    peakBacklog: firstNumber(
+      source.peakBacklog,
+      source.peakBacklogUnits,
+      truth.peakBacklogUnits,
+      source.unfulfilledDemandUnits
+    ),
+    endingBacklog: firstNumber(source.endingBacklog, source.backorderVolume),
+    missedServiceDays: firstNumber(source.missedServiceDays, truth.daysWithMissedService),
+    timeToSurviveDays: firstNumber(source.timeToSurviveDays, source.ttsDays),
+    timeToRecoverDays: firstNumber(
+      source.timeToRecoverDays,
+      source.ttrDays,
+      source.TTR,
+      source.timeToRecovery
+    ),
+    estimatedRevenueExposure: firstNumber(source.estimatedRevenueExposure, source.revenueExposure),
+    endingBacklogExposure: firstNumber(source.endingBacklogExposure),
+    avgInventory: firstNumber(source.avgInventory),
+    inventoryTurns: firstNumber(source.inventoryTurns, source.estimatedInventoryTurns),
+    daysOfCoverage: firstNumber(
+      source.daysOfCoverage,
+      source.inventoryBuffer,
+      source.estimatedDaysCoverage
+    ),
+    totalProduction: firstNumber(source.totalProduction),
+    impactedFacilities: firstNumber(source.impactedFacilities),
+    avgProductionRecoveryDays: firstNumber(
+      source.avgProductionRecoveryDays,
+      source.avgTimeToRecovery
+    ),
+    costToServe: firstNumber(source.costToServe),
+    expediteRatio: firstNumber(source.expediteRatio),
+    occurrenceCount: firstNumber(source.occurrenceCount),
+    currency: typeof source.currency === "string" ? source.currency : null,
+    unconvertedCurrencies: Array.isArray(source.unconvertedCurrencies) ? source.unconvertedCurrencies : null,
+    unitValueSource: typeof source.unitValueSource === "string" ? source.unitValueSource : null,
+    unpricedAtRiskUnits: firstNumber(source.unpricedAtRiskUnits),
+    custom: normalizeCustomKpis(source.custom),
+    trend:
+      source.trend && Array.isArray(source.trend.buckets)
+        ? { granularity: source.trend.granularity || "weekly", buckets: source.trend.buckets }
+        : null,
+    analysisWindow:
+      source.analysisWindow && typeof source.analysisWindow === "object"
+        ? {
+            ...normalizeAnalysisWindow(source.analysisWindow),
+            appliedStart: source.analysisWindow.appliedStart || null,
+            appliedEnd: source.analysisWindow.appliedEnd || null,
+          }
+        : null,
+  };
+
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v !== null));
+}
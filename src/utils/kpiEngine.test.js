@@ -0,0 +1,149 @@
+import { readFileSync } from "node:fs";
+import Papa from "papaparse";
+import { describe, expect, it } from "vitest";
+import { CANONICAL_KPI_KEYS, bucketLedger, computeKpiBreakdown, computeKpis, storedTrend } from "./kpiEngine";
+
+// Fixture run: 2 SKUs at DC1 over 3 days. Day 2 ships 6 short (backlog 6),
+// day 3 ships the 6 late and clears it.
+function loadFixture(name) {
+  const text = readFileSync(new URL(`./__fixtures__/kpi/${name}.csv`, import.meta.url), "utf8");
+  return Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+}
+
+const rows = {
+  demand: loadFixture("demand"),
+  flow: loadFixture("flow"),
+  inventory: loadFixture("inventory"),
+  production: loadFixture("production"),
+  occurrence: loadFixture("occurrence"),
+  skuValues: loadFixture("sku_values"),
+};
+
+describe("computeKpis", () => {
+  it("returns every canonical key", () => {
+    const kpis = computeKpis(rows, {});
+    CANONICAL_KPI_KEYS.forEach((key) => expect(kpis).toHaveProperty(key));
+  });
+
+  it("computes the full-run KPIs", () => {
+    expect(computeKpis(rows, {})).toMatchObject({
+      totalDemand: 45,
+      shippedUnits: 45,
+      onTimeUnits: 39,
+      lateUnits: 6,
+      demandAtRisk: 6,
+      onTimeFulfillment: 86.67,
+      fillRate: 100,
+      peakBacklog: 6,
+      endingBacklog: 0,
+      missedServiceDays: 1,
+      timeToSurviveDays: 1,
+      timeToRecoverDays: 2,
+      // 4 units of A at 20 + 2 units of B at 40
+      estimatedRevenueExposure: 160,
+      endingBacklogExposure: 0,
+      avgInventory: 17.5,
+      inventoryTurns: 312.9,
+      daysOfCoverage: 1.2,
+      totalProduction: 30,
+      impactedFacilities: 2,
+      avgProductionRecoveryDays: 4,
+      costToServe: 2.8,
+      expediteRatio: 14.3,
+      occurrenceCount: 2,
+      currency: "USD",
+      unitValueSource: "sku_values",
+    });
+  });
+
+  it("limits every KPI to the SKU scope", () => {
+    expect(computeKpis(rows, { skus: ["a"] })).toMatchObject({
+      totalDemand: 30,
+      onTimeUnits: 24,
+      demandAtRisk: 6,
+      onTimeFulfillment: 80,
+      estimatedRevenueExposure: 120,
+    });
+  });
+
+  it("trims demand and shipments to the analysis window", () => {
+    const kpis = computeKpis(rows, { window: { start: "2024-01-02" } });
+    expect(kpis).toMatchObject({
+      totalDemand: 30,
+      shippedUnits: 30,
+      onTimeUnits: 24,
+      onTimeFulfillment: 80,
+      occurrenceCount: 1,
+    });
+    expect(kpis.analysisWindow).toMatchObject({ start: "2024-01-02", appliedStart: "2024-01-02", appliedEnd: "2024-01-03" });
+  });
+});
+
+describe("computeKpiBreakdown", () => {
+  // B misses its day-1 demand at DC1 and only ships from day 2, after A has
+  // already opened the run's window on day 1
+  const breakdownRows = {
+    demand: [
+      { date: "2024-01-01", sku: "A", facility: "DC1", demand: 10 },
+      { date: "2024-01-01", sku: "B", facility: "DC1", demand: 10 },
+      { date: "2024-01-02", sku: "B", facility: "DC1", demand: 10 },
+    ],
+    flow: [
+      { date: "2024-01-01", sku: "A", from: "DC1", flow_type: "customer_ship", flow: 10, backlog_out: 0 },
+      { date: "2024-01-02", sku: "B", from: "DC1", flow_type: "customer_ship", flow: 10, backlog_out: 10 },
+    ],
+  };
+
+  it("keeps demand a pair missed before its first shipment", () => {
+    const pairs = computeKpiBreakdown(breakdownRows, {});
+    const b = pairs.find((p) => p.sku === "B" && p.facility === "DC1").kpis;
+    expect(b).toMatchObject({ totalDemand: 20, onTimeUnits: 10, onTimeFulfillment: 50 });
+    expect(b.analysisWindow.appliedStart).toBe("2024-01-01");
+  });
+
+  it("adds up to the run-level totals", () => {
+    const run = computeKpis(breakdownRows, {});
+    const pairs = computeKpiBreakdown(breakdownRows, {});
+    expect(pairs.reduce((sum, p) => sum + p.kpis.totalDemand, 0)).toBe(run.totalDemand);
+    expect(pairs.reduce((sum, p) => sum + p.kpis.onTimeUnits, 0)).toBe(run.onTimeUnits);
+  });
+});
+
+describe("unit values", () => {
+  it("leaves SKUs without a unit value unpriced", () => {
+    const kpis = computeKpis({ ...rows, skuValues: [] }, {});
+    expect(kpis).toMatchObject({
+      demandAtRisk: 6,
+      estimatedRevenueExposure: 0,
+      unpricedAtRiskUnits: 6,
+      unitValueSource: "none",
+    });
+  });
+
+  it("only counts the SKUs missing from sku_values as unpriced", () => {
+    const kpis = computeKpis({ ...rows, skuValues: rows.skuValues.filter((r) => r.sku === "A") }, {});
+    // 4 units of A at 20; B's 2 units have no value
+    expect(kpis).toMatchObject({ estimatedRevenueExposure: 80, unpricedAtRiskUnits: 2 });
+  });
+});
+
+describe("storedTrend", () => {
+  it("rolls a daily trend up to the weekly buckets the ledger would give", () => {
+    const ledger = Array.from({ length: 10 }, (_, i) => ({
+      date: `2024-01-${String(i + 1).padStart(2, "0")}`,
+      demand: 10,
+      shipped: i % 3 ? 10 : 4,
+      onTime: i % 3 ? 10 : 4,
+      late: 0,
+      backlog: i % 3 ? 0 : 6,
+    }));
+    const daily = { granularity: "daily", buckets: bucketLedger(ledger, "daily", 5) };
+    expect(storedTrend(daily)).toEqual({ granularity: "weekly", buckets: bucketLedger(ledger, "weekly", 5) });
+  });
+
+  it("keeps weekly and monthly trends as they are", () => {
+    const weekly = { granularity: "weekly", buckets: [] };
+    expect(storedTrend(weekly)).toBe(weekly);
+    expect(storedTrend(undefined)).toBeNull();
+  });
+});
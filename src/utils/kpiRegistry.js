@@ -0,0 +1,89 @@
+// src/utils/kpiRegistry.js
+//
+// Custom KPIs on top of the built-in KPI_META set. Register from your own
+// module (see src/config/customKpis.js) — the engine evaluates every formula
+// per run into `kpis.custom[id]`, and the comparison / narrative / Reports
+// views pick them up from here.
+//
+// registerKpi({
+//   id: "oemLineDownDays",
+//   label: "OEM Line-Down Days",
+//   format: "days",                 // percent | number | days | currency
+//   higherIsBetter: false,
+//   thresholds: { mode: "absolute", warning: 1, critical: 3 },
+//   formula: ({ rows, scope, kpis, ledger, inScope }) => number | null,
+// });
+//
+// `rows` are the raw output rows handed to computeKpis, `ledger` the daily
+// demand-vs-ship ledger after warmup trimming, `kpis` the canonical values and
+// `inScope(sku, facility)` applies the active SKU / facility filter.
+
+export const KPI_FORMATS = ["percent", "number", "days", "currency"];
+
+const ID_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const registry = new Map();
+
+function fail(message) {
+  throw new Error(`[kpiRegistry] ${message}`);
+}
+
+function validateThresholds(thresholds) {
+  const t = thresholds || {};
+  const warning = Number(t.warning);
+  const critical = Number(t.critical);
+  if (!Number.isFinite(warning) || !Number.isFinite(critical) || warning < 0 || critical < 0) {
+    fail("thresholds need numeric warning and critical values ≥ 0");
+  }
+  return { mode: t.mode === "percent" ? "percent" : "absolute", warning, critical };
+}
+
+export function registerKpi(definition = {}) {
+  const { id, label, formula, format = "number", higherIsBetter, thresholds } = definition;
+
+  if (typeof id !== "string" || !ID_RE.test(id)) fail(`invalid KPI id "${id}"`);
+  if (typeof formula !== "function") fail(`KPI "${id}" needs a formula function`);
+  if (!KPI_FORMATS.includes(format)) fail(`KPI "${id}" has unknown format "${format}"`);
+  if (typeof higherIsBetter !== "boolean") fail(`KPI "${id}" needs higherIsBetter`);
+  if (registry.has(id)) console.warn(`⚠️ [kpiRegistry] Replacing custom KPI "${id}"`);
+
+  registry.set(id, {
+    formula,
+    meta: {
+      id,
+      label: label || id,
+      format,
+      higherIsBetter,
+      criticalDirection: higherIsBetter ? "down" : "up",
+      thresholds: validateThresholds(thresholds),
+      custom: true,
+    },
+  });
+
+  return () => unregisterKpi(id);
+}
+
+export function unregisterKpi(id) {
+  return registry.delete(id);
+}
+
+// Metadata keyed by id, registration order preserved
+export function getCustomKpiMeta() {
+  return Object.fromEntries([...registry.values()].map(({ meta }) => [meta.id, { ...meta }]));
+}
+
+// Formula errors are logged and recorded as null so one bad KPI never sinks a run
+export function evaluateCustomKpis(context) {
+  const out = {};
+  registry.forEach(({ formula }, id) => {
+    try {
+      const raw = formula(context);
+      const value = raw === null || raw === undefined ? NaN : Number(raw);
+      out[id] = Number.isFinite(value) ? value : null;
+    } catch (err) {
+      console.warn(`⚠️ [kpiRegistry] Formula for "${id}" failed:`, err);
+      out[id] = null;
+    }
+  });
+  return out;
+}
@@ -0,0 +1,240 @@
+// src/utils/laneEvents.js
+//
+// Lane / transport disruptions (port closures, canal blockages, carrier
+// failures) applied to the optional lanes.csv upload: added transit days, a
+// capacity cut, a cost multiplier or a full closure on the lanes between an
+// origin and a destination. When lanes.csv carries effective-date columns the
+// affected rows are split so the change only covers the event window;
+// otherwise it applies to the whole run. End dates are read as exclusive
+// unless back-to-back periods of a lane show the file uses inclusive ones.
+
+import Papa from "papaparse";
+import { addDays, daysBetween, parseDay } from "./scenarioEvents";
+import { norm, pickColumn } from "./csvColumns";
+
+const COLUMNS = {
+  origin: ["origin", "origin_facility", "from_facility", "from", "source", "source_location"],
+  destination: ["destination", "destination_facility", "to_facility", "to", "dest"],
+  transit: ["transit_days", "lead_time_days", "lead_time", "transit_time", "transit_time_days", "days"],
+  capacity: ["capacity", "max_capacity", "capacity_per_day", "max_volume", "capacity_units"],
+  cost: ["cost", "cost_per_unit", "unit_cost", "freight_cost", "transport_cost", "rate"],
+  active: ["active", "enabled", "is_active"],
+  start: ["start_date", "effective_from", "valid_from", "from_date"],
+  end: ["end_date", "effective_to", "valid_to", "to_date"],
+};
+
+function laneColumns(columns) {
+  const origin = pickColumn(columns, COLUMNS.origin);
+  return {
+    origin,
+    destination: pickColumn(columns, COLUMNS.destination, [origin]),
+    transit: pickColumn(columns, COLUMNS.transit),
+    capacity: pickColumn(columns, COLUMNS.capacity),
+    cost: pickColumn(columns, COLUMNS.cost),
+    active: pickColumn(columns, COLUMNS.active),
+    start: pickColumn(columns, COLUMNS.start),
+    end: pickColumn(columns, COLUMNS.end),
+  };
+}
+
+let seq = 0;
+
+/**
+ * Blank origin or destination matches any. `bothDirections` also hits the
+ * reverse lane (a closed port blocks traffic both ways). A blank start date
+ * means the whole run.
+ */
+export function createLaneEvent(overrides = {}) {
+  seq += 1;
+  return {
+    id: `lane_${Date.now().toString(36)}_${seq}`,
+    name: "",
+    origin: "",
+    destination: "",
+    bothDirections: false,
+    startDate: "",
+    duration: 7,
+    closed: false,
+    addedTransitDays: 0,
+    capacityCutPct: 0,
+    costMultiplier: 1,
+    ...overrides,
+  };
+}
+
+export function describeLaneEvent(event) {
+  const parts = [];
+  if (event.closed) parts.push("closed");
+  else {
+    if (Number(event.addedTransitDays)) parts.push(`+${event.addedTransitDays}d transit`);
+    if (Number(event.capacityCutPct)) parts.push(`−${event.capacityCutPct}% capacity`);
+    if (Number(event.costMultiplier) !== 1) parts.push(`×${event.costMultiplier} cost`);
+  }
+  return parts.join(", ") || "no effect";
+}
+
+// Distinct origins / destinations in lanes.csv, for pickers
+export function readLaneEndpoints(text) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: true });
+  const cols = laneColumns(parsed.meta?.fields || []);
+  const set = (col) =>
+    col ? [...new Set((parsed.data || []).map((r) => String(r[col] ?? "").trim()).filter(Boolean))].sort() : [];
+  return { origins: set(cols.origin), destinations: set(cols.destination) };
+}
+
+const laneKey = (row, cols) => `${norm(row[cols.origin])}|${norm(cols.destination ? row[cols.destination] : "")}`;
+
+// "exclusive" when a lane's next period starts on the previous end date,
+// "inclusive" when it starts the day after; null when the file has no
+// back-to-back periods to tell from
+function detectEndConvention(rows, cols) {
+  const ends = new Map();
+  rows.forEach((r) => {
+    if (parseDay(r[cols.end]) === null) return;
+    const k = laneKey(r, cols);
+    if (!ends.has(k)) ends.set(k, new Set());
+    ends.get(k).add(addDays(r[cols.end], 0));
+  });
+  let exclusive = 0;
+  let inclusive = 0;
+  rows.forEach((r) => {
+    if (parseDay(r[cols.start]) === null) return;
+    const laneEnds = ends.get(laneKey(r, cols));
+    if (laneEnds?.has(addDays(r[cols.start], 0))) exclusive += 1;
+    else if (laneEnds?.has(addDays(r[cols.start], -1))) inclusive += 1;
+  });
+  if (!exclusive && !inclusive) return null;
+  return inclusive > exclusive ? "inclusive" : "exclusive";
+}
+
+function matches(event, row, cols) {
+  const o = norm(row[cols.origin]);
+  const d = norm(cols.destination ? row[cols.destination] : "");
+  const eo = norm(event.origin);
+  const ed = norm(event.destination);
+  const hit = (a, b) => (!eo || a === eo) && (!ed || b === ed);
+  return hit(o, d) || (event.bothDirections && hit(d, o));
+}
+
+function num(v) {
+  const n = Number(v);
+  return String(v ?? "").trim() !== "" && Number.isFinite(n) ? n : null;
+}
+
+const round2 = (v) => String(Math.round(v * 100) / 100);
+
+// The event's effect on one row, as { column: newValue }
+function effectOn(event, row, cols, notes) {
+  const patch = {};
+  const need = (col, what) => {
+    if (!col) notes.add(`lanes.csv has no ${what} column — "${describeLaneEvent(event)}" can't fully apply.`);
+    return col;
+  };
+  if (event.closed) {
+    if (cols.active) patch[cols.active] = /^(true|false)$/i.test(String(row[cols.active]).trim()) ? "false" : "0";
+    if (cols.capacity) patch[cols.capacity] = "0";
+    if (!cols.active && !cols.capacity) need(null, "active or capacity");
+    return patch;
+  }
+  const days = Number(event.addedTransitDays) || 0;
+  if (days && need(cols.transit, "transit-time") && num(row[cols.transit]) !== null) {
+    patch[cols.transit] = round2(num(row[cols.transit]) + days);
+  }
+  const cut = Number(event.capacityCutPct) || 0;
+  if (cut && need(cols.capacity, "capacity") && num(row[cols.capacity]) !== null) {
+    patch[cols.capacity] = round2(num(row[cols.capacity]) * Math.max(0, 1 - cut / 100));
+  }
+  const mult = Number(event.costMultiplier);
+  if (Number.isFinite(mult) && mult !== 1 && need(cols.cost, "cost") && num(row[cols.cost]) !== null) {
+    patch[cols.cost] = round2(num(row[cols.cost]) * mult);
+  }
+  return patch;
+}
+
+/**
+ * Returns { text, changes, notes }: the rewritten lanes.csv (null when
+ * nothing changed), each edited cell as { file, row, key, column, before,
+ * after } with row the original CSV line, and notes for effects the file
+ * can't express.
+ */
+export function applyLaneDisruptions(lanesText, events = []) {
+  const active = (events || []).filter((e) => e && (e.origin || e.destination));
+  if (!lanesText || !active.length) return { text: null, changes: [], notes: [] };
+
+  const parsed = Papa.parse(String(lanesText), { header: true, skipEmptyLines: true });
+  const columns = parsed.meta?.fields || [];
+  const cols = laneColumns(columns);
+  if (!cols.origin) {
+    return { text: null, changes: [], notes: ["lanes.csv has no origin column to match lane events against."] };
+  }
+
+  const dated = !!(cols.start && cols.end);
+  const notes = new Set();
+  const changes = [];
+  let rows = (parsed.data || []).map((r, i) => ({ ...r, __line: i + 2 }));
+
+  // Windows are worked out with exclusive ends and written back in the file's convention
+  const convention = dated ? detectEndConvention(rows, cols) : null;
+  const readEnd = (v) => (convention === "inclusive" ? addDays(v, 1) : v);
+  const writeEnd = (v) => (convention === "inclusive" ? addDays(v, -1) : v);
+  let splitAssumingExclusive = false;
+
+  active.forEach((event) => {
+    const label = event.name || describeLaneEvent(event);
+    const hasWindow = !!event.startDate && Number(event.duration) > 0;
+    if (hasWindow && parseDay(event.startDate) === null) {
+      notes.add(`Lane event "${label}" has start date "${event.startDate}", which isn't YYYY-MM-DD — it was not applied.`);
+      return;
+    }
+    const ws = hasWindow ? event.startDate : null;
+    const we = hasWindow ? addDays(event.startDate, Number(event.duration)) : null;
+    if (hasWindow && !dated) {
+      notes.add("lanes.csv has no effective-date columns — lane events apply for the whole run, not just their window.");
+    }
+
+    rows = rows.flatMap((row) => {
+      if (!matches(event, row, cols)) return [row];
+      const patch = effectOn(event, row, cols, notes);
+      if (!Object.keys(patch).length) return [row];
+
+      const key = `${row[cols.origin]} → ${cols.destination ? row[cols.destination] : "*"}`;
+      const record = (column, after, window) =>
+        changes.push({ file: "lanes", row: row.__line, key: window ? `${key} (${window})` : key, column, before: row[column], after });
+
+      if (!hasWindow || !dated) {
+        Object.entries(patch).forEach(([c, v]) => record(c, v));
+        return [{ ...row, ...patch }];
+      }
+
+      // Split the row's own validity around the event window
+      const rs = row[cols.start] || null;
+      const rawEnd = row[cols.end] || null;
+      if ((rs && parseDay(rs) === null) || (rawEnd && parseDay(rawEnd) === null)) {
+        notes.add(`lanes.csv line ${row.__line} has an effective date that isn't YYYY-MM-DD — "${label}" was not applied to it.`);
+        return [row];
+      }
+      const re = rawEnd ? readEnd(rawEnd) : null;
+      const from = rs && daysBetween(ws, rs) > 0 ? rs : ws;
+      const to = re && daysBetween(re, we) > 0 ? re : we;
+      if (daysBetween(from, to) <= 0) return [row];
+
+      const out = [];
+      if (!rs || daysBetween(rs, from) > 0) out.push({ ...row, [cols.end]: writeEnd(from) });
+      out.push({ ...row, ...patch, [cols.start]: from, [cols.end]: writeEnd(to) });
+      if (!re || daysBetween(to, re) > 0) out.push({ ...row, [cols.start]: to });
+      if (!convention) splitAssumingExclusive = true;
+      Object.entries(patch).forEach(([c, v]) => record(c, v, `${from} → ${to}`));
+      return out;
+    });
+  });
+
+  if (splitAssumingExclusive) {
+    notes.add("lanes.csv has no back-to-back periods to tell whether end dates are inclusive — they were read as exclusive (a period stops the day before its end date).");
+  }
+
+  return {
+    text: changes.length ? Papa.unparse(rows, { columns }) : null,
+    changes,
+    notes: [...notes],
+  };
+}
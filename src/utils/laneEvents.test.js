@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import Papa from "papaparse";
+import { applyLaneDisruptions, createLaneEvent } from "./laneEvents";
+
+const rowsOf = (text) => Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+const periods = (text) => rowsOf(text).map((r) => [r.origin, r.destination, r.transit_days, r.start_date, r.end_date]);
+
+const HEADER = "origin,destination,transit_days,start_date,end_date\n";
+const delay = (overrides = {}) =>
+  createLaneEvent({ origin: "A", destination: "B", startDate: "2024-01-10", duration: 5, addedTransitDays: 2, ...overrides });
+
+describe("applyLaneDisruptions", () => {
+  it("splits a dated row around the event window", () => {
+    const text = HEADER + "A,B,3,2024-01-01,2024-02-01\nA,B,4,2024-02-01,2025-01-01\nA,C,3,2024-01-01,2025-01-01\n";
+    const out = applyLaneDisruptions(text, [delay()]);
+    expect(periods(out.text)).toEqual([
+      ["A", "B", "3", "2024-01-01", "2024-01-10"],
+      ["A", "B", "5", "2024-01-10", "2024-01-15"],
+      ["A", "B", "3", "2024-01-15", "2024-02-01"],
+      ["A", "B", "4", "2024-02-01", "2025-01-01"],
+      ["A", "C", "3", "2024-01-01", "2025-01-01"],
+    ]);
+    expect(out.changes).toEqual([
+      { file: "lanes", row: 2, key: "A → B (2024-01-10 → 2024-01-15)", column: "transit_days", before: "3", after: "5" },
+    ]);
+    expect(out.notes).toEqual([]);
+  });
+
+  it("clips the window to the row's own validity", () => {
+    const text = HEADER + "A,B,3,2024-01-01,2024-01-12\nA,B,4,2024-01-12,2025-01-01\n";
+    const out = applyLaneDisruptions(text, [delay()]);
+    expect(periods(out.text)).toEqual([
+      ["A", "B", "3", "2024-01-01", "2024-01-10"],
+      ["A", "B", "5", "2024-01-10", "2024-01-12"],
+      ["A", "B", "6", "2024-01-12", "2024-01-15"],
+      ["A", "B", "4", "2024-01-15", "2025-01-01"],
+    ]);
+  });
+
+  it("writes split rows back with inclusive end dates when the file uses them", () => {
+    const text = HEADER + "A,B,3,2024-01-01,2024-01-31\nA,B,4,2024-02-01,2024-12-31\n";
+    const out = applyLaneDisruptions(text, [delay()]);
+    expect(periods(out.text).slice(0, 3)).toEqual([
+      ["A", "B", "3", "2024-01-01", "2024-01-09"],
+      ["A", "B", "5", "2024-01-10", "2024-01-14"],
+      ["A", "B", "3", "2024-01-15", "2024-01-31"],
+    ]);
+  });
+
+  it("hits the reverse lane too when bothDirections is set", () => {
+    const text = HEADER + "B,A,3,,\n";
+    expect(applyLaneDisruptions(text, [delay()]).text).toBeNull();
+    expect(periods(applyLaneDisruptions(text, [delay({ bothDirections: true })]).text)).toEqual([
+      ["B", "A", "3", "", "2024-01-10"],
+      ["B", "A", "5", "2024-01-10", "2024-01-15"],
+      ["B", "A", "3", "2024-01-15", ""],
+    ]);
+  });
+
+  it("notes dates it can't read instead of silently skipping the event", () => {
+    const text = HEADER + "A,B,3,2024-01-01,2024-02-01\n";
+    expect(applyLaneDisruptions(text, [delay({ startDate: "10/01/2024" })])).toMatchObject({
+      text: null,
+      notes: [expect.stringContaining("isn't YYYY-MM-DD")],
+    });
+    const badRow = HEADER + "A,B,3,Jan 1,2024-02-01\n";
+    expect(applyLaneDisruptions(badRow, [delay()]).notes).toEqual([expect.stringContaining("line 2")]);
+  });
+
+  it("applies for the whole run when lanes.csv has no date columns", () => {
+    const out = applyLaneDisruptions("origin,destination,transit_days\nA,B,3\n", [delay()]);
+    expect(rowsOf(out.text)).toEqual([{ origin: "A", destination: "B", transit_days: "5" }]);
+    expect(out.notes[0]).toContain("whole run");
+  });
+});
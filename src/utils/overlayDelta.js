@@ -0,0 +1,68 @@
+// src/utils/overlayDelta.js
+//
+// Compare-minus-reference series for the run overlay: per SKU per date, as
+// units or percent of the reference, plus cumulative delta units per SKU.
+
+// Which direction hurts, per output type
+export const DELTA_WORSE_WHEN = {
+  inventory: "lower",
+  production: "lower",
+  flow: "lower",
+  occurrence: "higher",
+};
+
+/**
+ * runs: [{ id, label, isReference, dates?: Set<date>, bySku: Map<SKU, Map<date, value>> }]
+ * where dates are the days the run's output covers (a SKU with no value on
+ * a covered day counts as 0); without it, a run covers the days it has values.
+ * labels: sorted dates across all runs.
+ * Returns { series, summary } where series is
+ *   [{ runId, runLabel, sku, data: (number|null)[], worse: boolean[] }]
+ * (null on days either run doesn't cover, which stay out of the summary, and
+ * in percent mode where the reference is 0) and summary is
+ *   [{ runId, runLabel, sku, cumulativeDelta, worseDays, referenceTotal }].
+ * SKUs missing from the reference are skipped: there's nothing to subtract.
+ */
+export function buildDeltaSeries(runs = [], labels = [], { mode = "absolute", outputType = "inventory" } = {}) {
+  const reference = runs.find((r) => r.isReference) || runs[0];
+  if (!reference) return { series: [], summary: [] };
+  const worseWhen = DELTA_WORSE_WHEN[outputType] || "lower";
+  const covers = (run, values, date) => (run.dates ? run.dates.has(date) : values.has(date));
+
+  const series = [];
+  const summary = [];
+
+  runs
+    .filter((r) => r !== reference)
+    .forEach((run) => {
+      run.bySku.forEach((dates, sku) => {
+        const refDates = reference.bySku.get(sku);
+        if (!refDates) return;
+
+        let cumulativeDelta = 0;
+        let referenceTotal = 0;
+        let worseDays = 0;
+        const worse = [];
+        const data = labels.map((date) => {
+          if (!covers(run, dates, date) || !covers(reference, refDates, date)) {
+            worse.push(false);
+            return null;
+          }
+          const base = refDates.get(date) ?? 0;
+          const delta = (dates.get(date) ?? 0) - base;
+          const isWorse = worseWhen === "lower" ? delta < 0 : delta > 0;
+          cumulativeDelta += delta;
+          referenceTotal += base;
+          if (isWorse) worseDays += 1;
+          worse.push(isWorse);
+          if (mode === "percent") return base === 0 ? null : (delta / Math.abs(base)) * 100;
+          return delta;
+        });
+
+        series.push({ runId: run.id, runLabel: run.label, sku, data, worse });
+        summary.push({ runId: run.id, runLabel: run.label, sku, cumulativeDelta, worseDays, referenceTotal });
+      });
+    });
+
+  return { series, summary };
+}
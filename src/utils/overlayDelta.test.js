@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { buildDeltaSeries } from "./overlayDelta";
+
+const run = (id, values, extra = {}) => ({
+  id,
+  label: id,
+  bySku: new Map([["A", new Map(Object.entries(values))]]),
+  ...extra,
+});
+
+describe("buildDeltaSeries", () => {
+  it("leaves days a run doesn't cover as gaps and out of the totals", () => {
+    const reference = run("ref", { d1: 10, d2: 10, d3: 10 }, { isReference: true, dates: new Set(["d1", "d2", "d3"]) });
+    const compare = run("cmp", { d1: 4 }, { dates: new Set(["d1", "d2"]) });
+
+    const { series, summary } = buildDeltaSeries([reference, compare], ["d1", "d2", "d3"]);
+    expect(series[0].data).toEqual([-6, -10, null]);
+    expect(series[0].worse).toEqual([true, true, false]);
+    expect(summary[0]).toMatchObject({ cumulativeDelta: -16, worseDays: 2, referenceTotal: 20 });
+  });
+
+  it("treats days without a value as uncovered when runs carry no dates", () => {
+    const { series } = buildDeltaSeries([run("ref", { d1: 5, d2: 5 }, { isReference: true }), run("cmp", { d2: 10 })], ["d1", "d2"], {
+      mode: "percent",
+    });
+    expect(series[0].data).toEqual([null, 100]);
+  });
+});
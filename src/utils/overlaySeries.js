@@ -0,0 +1,95 @@
+// src/utils/overlaySeries.js
+//
+// Output CSV rows → per-SKU daily values for the run overlay. Pure so it runs
+// in the KPI worker next to the cached rows. SKUs come back upper-cased
+// (csvColumns' norm): BOM ids, the selection and output files don't always
+// agree on case, and everything downstream keys on this form.
+
+import { isCustomerShip } from "./kpiEngine";
+import { norm, pickKey } from "./csvColumns";
+
+const COLUMNS = {
+  sku: ["sku", "part", "item"],
+  facility: ["facility", "plant", "site"],
+  date: ["date", "day", "timestamp"],
+  value: [
+    "value",
+    "qty",
+    "quantity",
+    "amount",
+    "inventory",
+    "production",
+    "flow",
+    "occurrence",
+    "on_hand",
+    "onhand",
+    "initial inventory",
+  ],
+};
+
+function normalizeDate(val) {
+  if (!val) return null;
+  const s = String(val).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = typeof v === "string" ? Number(v.replace(/,/g, "")) : Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// First numeric cell among the value columns, else anywhere in the row
+function readValue(row, valueKey) {
+  const direct = valueKey ? toNumber(row[valueKey]) : null;
+  if (direct !== null) return direct;
+  for (const k of Object.keys(row)) {
+    const n = toNumber(row[k]);
+    if (n !== null) return n;
+  }
+  return 0;
+}
+
+/**
+ * filter = { skus: string[] | "ALL" | null, facility: string | null }.
+ * Returns { dates, bySku } where dates are the sorted days the file covers
+ * (before the SKU filter, so a SKU with no row that day reads as 0, not
+ * missing) and bySku is Map<SKU, Map<date, value>> summed per day. Flow
+ * output only counts customer shipments.
+ */
+export function buildOverlaySeries(rows = [], outputType = "inventory", filter = {}) {
+  const sample = rows[0] || {};
+  const skuKey = pickKey(sample, COLUMNS.sku);
+  const facilityKey = pickKey(sample, COLUMNS.facility);
+  const dateKey = pickKey(sample, COLUMNS.date);
+  const valueKey = pickKey(sample, COLUMNS.value, [skuKey, facilityKey, dateKey]);
+
+  const skus = filter.skus;
+  const skuSet = !skus || skus === "ALL" ? null : new Set((Array.isArray(skus) ? skus : [skus]).map(norm));
+  const facility = filter.facility && filter.facility !== "All / None Selected" ? norm(filter.facility) : null;
+
+  const dates = new Set();
+  const bySku = new Map();
+
+  if (!skuKey || !dateKey) return { dates: [], bySku };
+
+  for (const row of rows) {
+    const sku = norm(row[skuKey]);
+    const date = normalizeDate(row[dateKey]);
+    if (!sku || !date) continue;
+    dates.add(date);
+
+    if (skuSet && !skuSet.has(sku)) continue;
+    if (facility && norm(facilityKey ? row[facilityKey] : "") !== facility) continue;
+    if (outputType === "flow" && !isCustomerShip(row)) continue;
+
+    if (!bySku.has(sku)) bySku.set(sku, new Map());
+    const skuDates = bySku.get(sku);
+    skuDates.set(date, (skuDates.get(date) || 0) + readValue(row, valueKey));
+  }
+
+  return { dates: [...dates].sort(), bySku };
+}
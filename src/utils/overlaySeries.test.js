@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { buildOverlaySeries } from "./overlaySeries";
+
+describe("buildOverlaySeries", () => {
+  it("keys SKUs upper-cased and matches the selection case-insensitively", () => {
+    const rows = [
+      { SKU: "widget_a", Date: "2024-01-01", Facility: "P1", Qty: "1,200" },
+      { SKU: "Widget_A", Date: "2024-01-01", Facility: "P1", Qty: "3" },
+      { SKU: "chip", Date: "2024-01-02", Facility: "P1", Qty: "5" },
+    ];
+    const { dates, bySku } = buildOverlaySeries(rows, "inventory", { skus: ["WIDGET_A"], facility: "p1" });
+    expect(dates).toEqual(["2024-01-01", "2024-01-02"]);
+    expect([...bySku.keys()]).toEqual(["WIDGET_A"]);
+    expect(bySku.get("WIDGET_A").get("2024-01-01")).toBe(1203);
+  });
+
+  it("counts only customer shipments for flow output", () => {
+    const rows = [
+      { sku: "A", date: "2024-01-01", flow_type: "CUSTOMER_SHIP", qty: "4" },
+      { sku: "A", date: "2024-01-01", flow_type: "transfer", qty: "9" },
+    ];
+    expect(buildOverlaySeries(rows, "flow", { skus: "ALL" }).bySku.get("A").get("2024-01-01")).toBe(4);
+  });
+});
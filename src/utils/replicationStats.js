@@ -0,0 +1,120 @@
+// src/utils/replicationStats.js
+//
+// Summary statistics across the runs of a replication set (same scenario,
+// different seeds): mean, P10/P50/P90 and a 95% confidence interval for the
+// mean, per KPI and per chart date.
+
+import { getKpiMeta } from "./decisionEngine";
+import { readRunMetric } from "./runSearch";
+
+// Two-sided 95% Student-t critical values by degrees of freedom (1..30)
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+function tCritical(df) {
+  if (df < 1) return null;
+  return df <= T_95.length ? T_95[df - 1] : 1.96;
+}
+
+// Linear interpolation between closest ranks (same as numpy's default)
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** { n, mean, sd, p10, p50, p90, ciLow, ciHigh } — nulls when there are no samples. */
+export function summarizeSamples(values = []) {
+  const xs = values.filter((v) => v !== null && v !== undefined && Number.isFinite(Number(v))).map(Number);
+  const n = xs.length;
+  if (!n) return { n: 0, mean: null, sd: null, p10: null, p50: null, p90: null, ciLow: null, ciHigh: null };
+
+  const mean = xs.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(xs.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)) : 0;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const half = n > 1 ? tCritical(n - 1) * (sd / Math.sqrt(n)) : 0;
+
+  return {
+    n,
+    mean,
+    sd,
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    ciLow: mean - half,
+    ciHigh: mean + half,
+  };
+}
+
+// Per KPI metric id → summarizeSamples over the set's runs, plus `of` (runs in
+// the set). Runs flagged replication.kpisMissing are left out, so n can be
+// lower than `of` for every KPI, not just the ones a run happens to lack.
+export function summarizeReplicationKpis(runs = []) {
+  const scored = runs.filter((run) => !run?.replication?.kpisMissing);
+  return Object.entries(getKpiMeta()).map(([metricId, meta]) => ({
+    metricId,
+    label: meta.label,
+    format: meta.format,
+    of: runs.length,
+    ...summarizeSamples(scored.map((run) => readRunMetric(run, metricId))),
+  }));
+}
+
+/**
+ * seriesList: one { labels, datasets } chart series per replication.
+ * Datasets are summed per date (the chart's SKU scope), then summarised
+ * across replications. Dates a replication doesn't have count as 0.
+ * Returns { labels, mean, p10, p90, ciLow, ciHigh } as parallel arrays.
+ */
+export function buildReplicationBands(seriesList = []) {
+  const totals = seriesList.map((series) => {
+    const byDate = new Map();
+    (series?.labels || []).forEach((label, i) => {
+      const sum = (series.datasets || []).reduce((acc, ds) => acc + (Number(ds.data?.[i]) || 0), 0);
+      byDate.set(label, sum);
+    });
+    return byDate;
+  });
+
+  const labels = [...new Set(totals.flatMap((m) => [...m.keys()]))].sort();
+  const out = { labels, mean: [], p10: [], p90: [], ciLow: [], ciHigh: [] };
+  labels.forEach((label) => {
+    const stats = summarizeSamples(totals.map((m) => m.get(label) ?? 0));
+    out.mean.push(stats.mean);
+    out.p10.push(stats.p10);
+    out.p90.push(stats.p90);
+    out.ciLow.push(stats.ciLow);
+    out.ciHigh.push(stats.ciHigh);
+  });
+  return out;
+}
+
+/**
+ * Collapses replication runs into one history item per set, at the position
+ * of the set's newest run: [{ type: "run", run } | { type: "set", setId, runs }].
+ * Set members are ordered by replication index.
+ */
+export function groupReplicationRuns(runs = []) {
+  const sets = new Map();
+  const items = [];
+  (Array.isArray(runs) ? runs : []).forEach((run) => {
+    const setId = run?.replication?.setId;
+    if (!setId) {
+      items.push({ type: "run", run });
+      return;
+    }
+    if (!sets.has(setId)) {
+      const item = { type: "set", setId, runs: [] };
+      sets.set(setId, item);
+      items.push(item);
+    }
+    sets.get(setId).runs.push(run);
+  });
+  sets.forEach((item) => item.runs.sort((a, b) => a.replication.index - b.replication.index));
+  return items;
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { buildReplicationBands, summarizeReplicationKpis, summarizeSamples } from "./replicationStats";
+
+describe("summarizeSamples", () => {
+  it("uses the Student-t critical value for the mean's 95% CI", () => {
+    const stats = summarizeSamples([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    // sd = 3.0277, t(9) = 2.262 → half-width 2.1657
+    expect(stats.n).toBe(10);
+    expect(stats.mean).toBe(5.5);
+    expect(stats.sd).toBeCloseTo(3.0277, 4);
+    expect(stats.ciLow).toBeCloseTo(3.3343, 4);
+    expect(stats.ciHigh).toBeCloseTo(7.6657, 4);
+  });
+
+  it("interpolates P10 / P50 / P90 between ranks", () => {
+    expect(summarizeSamples([10, 1, 4, 7, 2, 9, 3, 8, 6, 5])).toMatchObject({ p10: 1.9, p50: 5.5, p90: 9.1 });
+    expect(summarizeSamples([0, 100])).toMatchObject({ p10: 10, p50: 50, p90: 90 });
+  });
+
+  it("skips non-numeric samples and collapses the CI for a single run", () => {
+    expect(summarizeSamples([null, undefined, "x", 4])).toMatchObject({ n: 1, mean: 4, sd: 0, ciLow: 4, ciHigh: 4 });
+    expect(summarizeSamples([])).toMatchObject({ n: 0, mean: null, ciLow: null });
+  });
+});
+
+describe("summarizeReplicationKpis", () => {
+  it("leaves out replications whose KPIs failed and reports n of the set", () => {
+    const runs = [
+      { kpis: { onTimeFulfillment: 90 }, replication: { index: 1 } },
+      { kpis: { onTimeFulfillment: 80 }, replication: { index: 2 } },
+      { kpis: { onTimeFulfillment: 0 }, replication: { index: 3, kpisMissing: true } },
+    ];
+    expect(summarizeReplicationKpis(runs).find((s) => s.metricId === "serviceLevel")).toMatchObject({ n: 2, of: 3, mean: 85 });
+  });
+});
+
+describe("buildReplicationBands", () => {
+  it("sums datasets per date, then summarises across replications", () => {
+    const bands = buildReplicationBands([
+      { labels: ["2024-01-02", "2024-01-01"], datasets: [{ data: [4, 1] }, { data: [6, 1] }] },
+      { labels: ["2024-01-01", "2024-01-02"], datasets: [{ data: [4, 20] }] },
+    ]);
+    expect(bands.labels).toEqual(["2024-01-01", "2024-01-02"]);
+    expect(bands.mean).toEqual([3, 15]);
+  });
+});
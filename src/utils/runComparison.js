@@ -0,0 +1,77 @@
+// src/utils/runComparison.js
+//
+// N-run comparison: every selected run against one reference run, plus a
+// ranking by a chosen KPI. Deltas reuse buildBaselineComparison so severity
+// and currency restatement match the two-run panels.
+
+import { normalizeKpis } from "./kpiEngine";
+import { buildBaselineComparison, getKpiMeta } from "./decisionEngine";
+import { readRunMetric } from "./runSearch";
+
+// Best first per the KPI's direction; runs without the KPI go last, unranked
+export function rankRuns(runs = [], metricId) {
+  const meta = getKpiMeta()[metricId];
+  const scored = (Array.isArray(runs) ? runs : []).map((run) => ({
+    run,
+    value: meta ? readRunMetric(run, metricId) : null,
+    rank: null,
+  }));
+  if (!meta) return scored;
+
+  const known = scored
+    .filter((s) => s.value !== null)
+    .sort((a, b) => (meta.higherIsBetter ? b.value - a.value : a.value - b.value));
+
+  // Ties share a rank (1, 2, 2, 4)
+  known.forEach((s, i) => {
+    s.rank = i > 0 && s.value === known[i - 1].value ? known[i - 1].rank : i + 1;
+  });
+
+  return [...known, ...scored.filter((s) => s.value === null)];
+}
+
+/**
+ * runs: StoredRun views. Returns
+ *   { reference, rows: [{ metricId, label, format }],
+ *     columns: [{ run, rank, value, isReference, windowMismatch, cells: { [metricId]: card } }] }
+ * where each card is a buildBaselineComparison card plus `missing` (run has
+ * no value) and `deltaKnown` (both run and reference have a value).
+ * Columns follow the ranking when `rankBy` is set, else the input order.
+ */
+export function buildRunComparison(runs = [], { referenceId, rankBy, fxRates, thresholds } = {}) {
+  const list = (Array.isArray(runs) ? runs : []).filter(Boolean);
+  const reference = list.find((r) => r.id === referenceId) || list[0] || null;
+  const referenceKpis = reference ? normalizeKpis(reference.kpis || {}) : null;
+  const metaById = getKpiMeta();
+
+  const ordered = rankBy ? rankRuns(list, rankBy) : list.map((run) => ({ run, value: null, rank: null }));
+
+  const columns = ordered.map(({ run, value, rank }) => {
+    const isReference = run === reference;
+    const comparison = buildBaselineComparison(
+      normalizeKpis(run.kpis || {}),
+      isReference ? null : referenceKpis,
+      { fxRates, thresholds }
+    );
+
+    const cells = {};
+    comparison.cards.forEach((card) => {
+      const missing = readRunMetric(run, card.metricId) === null;
+      cells[card.metricId] = {
+        ...card,
+        missing,
+        deltaKnown: !isReference && !missing && readRunMetric(reference, card.metricId) !== null,
+      };
+    });
+
+    return { run, rank, value, isReference, windowMismatch: comparison.windowMismatch, cells };
+  });
+
+  const rows = Object.entries(metaById).map(([metricId, meta]) => ({
+    metricId,
+    label: meta.label,
+    format: meta.format,
+  }));
+
+  return { reference, rows, columns };
+}
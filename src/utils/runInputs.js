@@ -0,0 +1,99 @@
+// src/utils/runInputs.js
+//
+// What went into a run: a fingerprint per uploaded input (after scenario
+// transforms) plus the scenario JSON, so two runs can be checked for "same
+// inputs?" without keeping the files. The full text goes to
+// lib/runInputSnapshots for row-level diffs.
+
+import { contentHash, stableStringify } from "./contentHash";
+
+export const RUN_INPUT_KEYS = [
+  "demand",
+  "disruptions",
+  "locations",
+  "bom",
+  "processes",
+  "location_materials",
+  "lanes",
+];
+
+function countRows(text) {
+  const lines = String(text || "").split(/\r?\n/).filter((l) => l.trim());
+  return Math.max(0, lines.length - 1);
+}
+
+function parseScenario(scenario) {
+  if (!scenario) return null;
+  if (typeof scenario === "object") return Object.keys(scenario).length ? scenario : null;
+  try {
+    const parsed = JSON.parse(scenario);
+    return parsed && typeof parsed === "object" && Object.keys(parsed).length ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the uploads off the FormData sent to /api/run.
+ * `scenario` is the scenario object the run was built from (falls back to
+ * the form's "scenario" field). Returns
+ *   { inputs: { key: { name, size, rows, hash } }, files: { key: text }, scenario }
+ * — `inputs` goes on the stored run, `files` + `scenario` into the snapshot.
+ * `kpiFiles` ({ key: File }) are uploads only the KPIs read, such as
+ * sku_values: their text joins the snapshot so the run can be re-scored later.
+ */
+export async function captureRunInputs(formData, scenario = null, kpiFiles = {}) {
+  const inputs = {};
+  const files = {};
+
+  for (const [key, file] of Object.entries(kpiFiles || {})) {
+    if (file && typeof file.text === "function") files[key] = await file.text();
+  }
+
+  if (formData && typeof formData.get === "function") {
+    for (const key of RUN_INPUT_KEYS) {
+      const value = formData.get(key);
+      if (!value || typeof value.text !== "function") continue;
+      const text = await value.text();
+      files[key] = text;
+      inputs[key] = {
+        name: value.name || `${key}.csv`,
+        size: value.size,
+        rows: countRows(text),
+        hash: contentHash(text),
+      };
+    }
+  }
+
+  const scenarioObj = parseScenario(scenario) || parseScenario(formData?.get?.("scenario"));
+  if (scenarioObj) {
+    const json = stableStringify(scenarioObj);
+    inputs.scenario = { name: scenarioObj.name || "scenario.json", size: json.length, hash: contentHash(json) };
+  }
+
+  return { inputs, files, scenario: scenarioObj };
+}
+
+/**
+ * Inputs that differ between two runs: [{ key, change, current, baseline }]
+ * with change = "changed" | "added" | "removed". null when either run has no
+ * recorded inputs (older runs), so callers can say "unknown" instead of "same".
+ * Hashes decide when both sides have one; older entries fall back to name + size.
+ */
+export function diffRunInputs(current, baseline) {
+  const hasCurrent = current && Object.keys(current).length > 0;
+  const hasBaseline = baseline && Object.keys(baseline).length > 0;
+  if (!hasCurrent || !hasBaseline) return null;
+
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(baseline)])].sort();
+  return keys
+    .map((key) => {
+      const a = current[key];
+      const b = baseline[key];
+      if (a && !b) return { key, change: "added", current: a, baseline: null };
+      if (!a && b) return { key, change: "removed", current: null, baseline: b };
+      const differs = a.hash && b.hash ? a.hash !== b.hash : a.size !== b.size || a.name !== b.name;
+      return differs ? { key, change: "changed", current: a, baseline: b } : null;
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,111 @@
+// src/utils/runSearch.js
+//
+// Filtering for the simulation history list: free text, tags, scenario,
+// created-at date range and a KPI threshold ("Service Level < 90").
+
+import { normalizeKpis } from "./kpiEngine";
+import { getKpiMeta } from "./decisionEngine";
+
+export const EMPTY_RUN_FILTER = {
+  text: "",
+  tags: [],
+  scenario: "",
+  from: "",
+  to: "",
+  kpi: { metricId: "", op: "<", value: "" },
+};
+
+export const KPI_FILTER_OPS = ["<", "<=", ">", ">="];
+
+function lower(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+export function runScenarioLabel(run) {
+  return run?.scenario?.name || run?.scenario?.id || "";
+}
+
+// Missing KPIs return null so they never satisfy a threshold
+export function readRunMetric(run, metricId) {
+  const meta = getKpiMeta()[metricId];
+  if (!meta) return null;
+  const kpis = normalizeKpis(run?.kpis || {});
+  const raw = meta.custom ? kpis.custom?.[meta.id] : kpis[meta.key];
+  if (raw === null || raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compare(value, op, target) {
+  if (op === "<") return value < target;
+  if (op === "<=") return value <= target;
+  if (op === ">") return value > target;
+  return value >= target;
+}
+
+export function isRunFilterActive(filter = EMPTY_RUN_FILTER) {
+  return Boolean(
+    lower(filter.text) ||
+      filter.tags?.length ||
+      filter.scenario ||
+      filter.from ||
+      filter.to ||
+      (filter.kpi?.metricId && filter.kpi.value !== "")
+  );
+}
+
+export function filterRuns(runs = [], filter = EMPTY_RUN_FILTER) {
+  const text = lower(filter.text);
+  const tags = (filter.tags || []).map(lower);
+  const scenario = lower(filter.scenario);
+  const { metricId, op, value } = filter.kpi || {};
+  const threshold = metricId && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null;
+
+  return (Array.isArray(runs) ? runs : []).filter((run) => {
+    const runTags = (run.tags || []).map(lower);
+    if (tags.length && !tags.every((t) => runTags.includes(t))) return false;
+
+    if (scenario && lower(runScenarioLabel(run)) !== scenario) return false;
+
+    const day = String(run.created_at || "").slice(0, 10);
+    if (filter.from && (!day || day < filter.from)) return false;
+    if (filter.to && (!day || day > filter.to)) return false;
+
+    if (threshold !== null) {
+      const v = readRunMetric(run, metricId);
+      if (v === null || !compare(v, op, threshold)) return false;
+    }
+
+    if (text) {
+      // Month + year so "typhoon march" finds a March run
+      const created = run.created_at ? new Date(run.created_at) : null;
+      const when =
+        created && !Number.isNaN(created.getTime())
+          ? created.toLocaleString("en-US", { month: "long", year: "numeric" })
+          : "";
+      const haystack = [run.name, run.notes, runScenarioLabel(run), run.id, when, ...(run.tags || [])]
+        .map(lower)
+        .join(" ");
+      if (!text.split(/\s+/).every((word) => haystack.includes(word))) return false;
+    }
+
+    return true;
+  });
+}
+
+// Distinct tags / scenarios across runs, for the filter pickers
+export function collectRunFacets(runs = []) {
+  const tags = new Map();
+  const scenarios = new Set();
+  (Array.isArray(runs) ? runs : []).forEach((run) => {
+    (run.tags || []).forEach((t) => {
+      if (!tags.has(lower(t))) tags.set(lower(t), t);
+    });
+    const s = runScenarioLabel(run);
+    if (s) scenarios.add(s);
+  });
+  return {
+    tags: [...tags.values()].sort((a, b) => a.localeCompare(b)),
+    scenarios: [...scenarios].sort((a, b) => a.localeCompare(b)),
+  };
+}
@@ -0,0 +1,188 @@
+// src/utils/scenarioEvents.js
+//
+// Ordered disruption events for ScenarioBuilder: each event has its own
+// types, facilities (single or a whole region), window and impact levels.
+// Events flatten into the scenario's disruptionScenarios rows and lay out as
+// a Gantt.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC ms of a YYYY-MM-DD date (anything after the day is ignored), or null
+export function parseDay(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(s || ""));
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+function formatDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function addDays(date, days) {
+  const ms = parseDay(date);
+  return ms === null ? "" : formatDay(ms + Number(days || 0) * DAY_MS);
+}
+
+export function daysBetween(from, to) {
+  const a = parseDay(from);
+  const b = parseDay(to);
+  return a === null || b === null ? null : Math.round((b - a) / DAY_MS);
+}
+
+// -----------------------------
+// Events
+// -----------------------------
+
+let seq = 0;
+
+/**
+ * Impacts are whole percents (0–100) as the sliders edit them; they become
+ * 0–1 fractions in disruptionScenarios. `profile` is the impact shape over
+ * the window (see utils/impactProfiles).
+ */
+export function createDisruptionEvent(overrides = {}) {
+  seq += 1;
+  return {
+    id: `evt_${Date.now().toString(36)}_${seq}`,
+    name: "",
+    types: ["natural_disaster"],
+    facility: "VN-Facility-1",
+    regionMode: false,
+    region: "",
+    startDate: "2025-08-01",
+    duration: 14,
+    productionImpact: 100,
+    shippingImpact: 0,
+    profile: { type: "step" },
+    ...overrides,
+  };
+}
+
+// A follow-on event: same site, starting the day after `prev` ends
+export function createFollowOnEvent(prev) {
+  if (!prev) return createDisruptionEvent();
+  return createDisruptionEvent({
+    types: prev.types,
+    facility: prev.facility,
+    regionMode: prev.regionMode,
+    region: prev.region,
+    startDate: eventEndDate(prev) || prev.startDate,
+    duration: 21,
+    productionImpact: 40,
+    shippingImpact: 0,
+  });
+}
+
+// Exclusive: the day after the event's last day. Disruption rows, lane
+// windows and demand shocks all end this way.
+export function eventEndDate(event) {
+  if (!event?.startDate || !Number(event.duration)) return "";
+  return addDays(event.startDate, Number(event.duration));
+}
+
+export function eventFacilities(event, regionFacilities = {}) {
+  if (event?.regionMode) {
+    return event.region && regionFacilities[event.region] ? regionFacilities[event.region] : [];
+  }
+  return event?.facility ? [event.facility] : [];
+}
+
+// By start date; events without a valid start go last, in their original order
+export function sortEvents(events = []) {
+  return events
+    .map((event, i) => ({ event, i, start: parseDay(event.startDate) }))
+    .sort((a, b) => {
+      if (a.start === null || b.start === null) return a.start === null ? (b.start === null ? a.i - b.i : 1) : -1;
+      return a.start - b.start || a.i - b.i;
+    })
+    .map((x) => x.event);
+}
+
+/**
+ * One row per (event, facility) in start order. Multiple types on an event
+ * share its impact sliders, so they collapse to one row (primary type +
+ * combined_types) rather than double-counting the disruption.
+ */
+export function eventsToDisruptionScenarios(events = [], regionFacilities = {}) {
+  return sortEvents(events).flatMap((event, index) => {
+    const endDate = eventEndDate(event);
+    const types = event.types?.length ? event.types : ["natural_disaster"];
+    return eventFacilities(event, regionFacilities).map((facility) => ({
+      event_id: event.id,
+      event_index: index + 1,
+      ...(event.name ? { event_name: event.name } : {}),
+      type: types[0],
+      combined_types: types,
+      facility,
+      startDate: event.startDate,
+      endDate,
+      severity: event.productionImpact / 100,
+      production_impact: event.productionImpact / 100,
+      shipping_impact: event.shippingImpact / 100,
+      ...(event.profile?.type && event.profile.type !== "step" ? { profile: event.profile } : {}),
+    }));
+  });
+}
+
+/**
+ * Facilities hit by two events at once: [{ facility, a, b, from, to }] with
+ * a/b the event ids. The simulator gets both rows, so the overlap usually
+ * means the user meant to hand off rather than stack.
+ */
+export function findEventOverlaps(events = [], regionFacilities = {}) {
+  const windows = sortEvents(events)
+    .map((event) => ({ event, start: parseDay(event.startDate), end: parseDay(eventEndDate(event)) }))
+    .filter((w) => w.start !== null && w.end !== null);
+
+  const out = [];
+  windows.forEach((w1, i) => {
+    const sites1 = new Set(eventFacilities(w1.event, regionFacilities));
+    windows.slice(i + 1).forEach((w2) => {
+      if (w2.start >= w1.end) return;
+      eventFacilities(w2.event, regionFacilities)
+        .filter((f) => sites1.has(f))
+        .forEach((facility) => {
+          out.push({
+            facility,
+            a: w1.event.id,
+            b: w2.event.id,
+            from: formatDay(w2.start),
+            to: formatDay(Math.min(w1.end, w2.end)),
+          });
+        });
+    });
+  });
+  return out;
+}
+
+// -----------------------------
+// Gantt layout
+// -----------------------------
+
+/**
+ * { start, end, totalDays, ticks, bars } where bars are in start order as
+ * { event, leftPct, widthPct } across the span of all events and ticks are
+ * { date, leftPct } on week boundaries (or months for long timelines).
+ */
+export function buildEventGantt(events = []) {
+  const dated = sortEvents(events).filter((e) => parseDay(e.startDate) !== null && eventEndDate(e));
+  if (!dated.length) return { start: "", end: "", totalDays: 0, ticks: [], bars: [] };
+
+  const start = Math.min(...dated.map((e) => parseDay(e.startDate)));
+  const end = Math.max(...dated.map((e) => parseDay(eventEndDate(e))));
+  const totalDays = Math.max(1, Math.round((end - start) / DAY_MS));
+  const pct = (ms) => ((ms - start) / DAY_MS / totalDays) * 100;
+
+  const bars = dated.map((event) => {
+    const s = parseDay(event.startDate);
+    const e = parseDay(eventEndDate(event));
+    return { event, leftPct: pct(s), widthPct: Math.max(pct(e) - pct(s), 0.5) };
+  });
+
+  const step = totalDays > 120 ? 30 : 7;
+  const ticks = [];
+  for (let d = 0; d <= totalDays; d += step) {
+    ticks.push({ date: formatDay(start + d * DAY_MS), leftPct: (d / totalDays) * 100 });
+  }
+
+  return { start: formatDay(start), end: formatDay(end), totalDays, ticks, bars };
+}
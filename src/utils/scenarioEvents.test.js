@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { buildEventGantt, createDisruptionEvent, eventsToDisruptionScenarios, findEventOverlaps } from "./scenarioEvents";
+
+const regions = { APAC: ["VN-1", "TH-1"] };
+
+describe("eventsToDisruptionScenarios", () => {
+  it("emits one row per facility in start order, with exclusive end dates and fractional impacts", () => {
+    const later = createDisruptionEvent({ id: "later", facility: "MX-1", startDate: "2024-03-10", duration: 5 });
+    const first = createDisruptionEvent({
+      id: "first",
+      regionMode: true,
+      region: "APAC",
+      types: ["flood", "port_closure"],
+      startDate: "2024-03-01",
+      duration: 3,
+      productionImpact: 60,
+      shippingImpact: 20,
+    });
+    const rows = eventsToDisruptionScenarios([later, first], regions);
+
+    expect(rows.map((r) => [r.event_id, r.facility])).toEqual([
+      ["first", "VN-1"],
+      ["first", "TH-1"],
+      ["later", "MX-1"],
+    ]);
+    expect(rows[0]).toMatchObject({
+      event_index: 1,
+      type: "flood",
+      combined_types: ["flood", "port_closure"],
+      startDate: "2024-03-01",
+      endDate: "2024-03-04",
+      production_impact: 0.6,
+      shipping_impact: 0.2,
+    });
+    expect(rows[2]).toMatchObject({ event_index: 2, endDate: "2024-03-15" });
+  });
+
+  it("only carries a profile when it isn't a plain step", () => {
+    const step = createDisruptionEvent({ id: "s", profile: { type: "step" } });
+    const ramp = createDisruptionEvent({ id: "r", profile: { type: "ramp", rampDays: 3 } });
+    const [a, b] = eventsToDisruptionScenarios([step, ramp]);
+    expect(a.profile).toBeUndefined();
+    expect(b.profile).toEqual({ type: "ramp", rampDays: 3 });
+  });
+});
+
+describe("findEventOverlaps", () => {
+  it("reports shared facilities while both events are active", () => {
+    const a = createDisruptionEvent({ id: "a", regionMode: true, region: "APAC", startDate: "2024-03-01", duration: 10 });
+    const b = createDisruptionEvent({ id: "b", facility: "TH-1", startDate: "2024-03-08", duration: 10 });
+    expect(findEventOverlaps([a, b], regions)).toEqual([{ facility: "TH-1", a: "a", b: "b", from: "2024-03-08", to: "2024-03-11" }]);
+  });
+
+  it("treats an event starting on the previous end date as a hand-off", () => {
+    const a = createDisruptionEvent({ id: "a", facility: "VN-1", startDate: "2024-03-01", duration: 7 });
+    const b = createDisruptionEvent({ id: "b", facility: "VN-1", startDate: "2024-03-08", duration: 7 });
+    const elsewhere = createDisruptionEvent({ id: "c", facility: "MX-1", startDate: "2024-03-02", duration: 7 });
+    expect(findEventOverlaps([a, b, elsewhere], regions)).toEqual([]);
+  });
+});
+
+describe("buildEventGantt", () => {
+  it("lays bars across the span of all events with weekly ticks", () => {
+    const a = createDisruptionEvent({ id: "a", startDate: "2024-03-01", duration: 7 });
+    const b = createDisruptionEvent({ id: "b", startDate: "2024-03-08", duration: 7 });
+    const undated = createDisruptionEvent({ id: "c", startDate: "" });
+    const gantt = buildEventGantt([b, undated, a]);
+
+    expect(gantt).toMatchObject({ start: "2024-03-01", end: "2024-03-15", totalDays: 14 });
+    expect(gantt.bars.map((bar) => [bar.event.id, bar.leftPct, bar.widthPct])).toEqual([
+      ["a", 0, 50],
+      ["b", 50, 50],
+    ]);
+    expect(gantt.ticks.map((t) => t.date)).toEqual(["2024-03-01", "2024-03-08", "2024-03-15"]);
+  });
+
+  it("is empty when no event has a start date", () => {
+    expect(buildEventGantt([createDisruptionEvent({ startDate: "" })])).toMatchObject({ totalDays: 0, bars: [] });
+  });
+});
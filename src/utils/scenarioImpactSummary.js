@@ -0,0 +1,138 @@
+// src/utils/scenarioImpactSummary.js
+//
+// Headline / narrative / countermeasures for the scenario impact card, from
+// the run's output rows plus the canonical KPIs.
+
+function upper(v) {
+  return (v ?? "").toString().trim().toUpperCase();
+}
+
+// kpis = canonical object from computeKpis()
+export function buildScenarioImpactSummary(flowRows = [], occurrenceRows = [], productionRows = [], kpis = {}) {
+  const custRows = (flowRows || []).filter((r) => {
+    const ft = String(r.flow_type || r.FlowType || r.type || "").trim().toLowerCase();
+    return ft === "customer_ship" || ft === "customer ship" || ft === "customership";
+  });
+
+  const demand = custRows.reduce((sum, r) => {
+    const v = Number(r.demand ?? r.Demand ?? 0);
+    return sum + (Number.isFinite(v) ? v : 0);
+  }, 0);
+
+  const shipped = custRows.reduce((sum, r) => {
+    const v = Number(r.flow ?? r.Flow ?? 0);
+    return sum + (Number.isFinite(v) ? v : 0);
+  }, 0);
+
+  const byReason = (occurrenceRows || []).reduce((acc, r) => {
+    const reason = String(r.reason || r.Reason || "UNKNOWN").trim();
+    const qty = Number(r.unfulfilled ?? r.Unfulfilled ?? 0);
+    acc[reason] = (acc[reason] || 0) + (Number.isFinite(qty) ? qty : 0);
+    return acc;
+  }, {});
+
+  const missingComponents = byReason["MISSING_COMPONENTS"] || 0;
+
+  const serviceLevel = Number(kpis?.onTimeFulfillment ?? 0);
+  const lateDemand = Number(kpis?.demandAtRisk ?? 0);
+  const peakBacklog = Number(kpis?.peakBacklog ?? 0);
+  const missedServiceDays = Number(kpis?.missedServiceDays ?? 0);
+  const ttrDays = Number(kpis?.timeToRecoverDays ?? 0);
+
+  const totalProduction = (productionRows || []).reduce((sum, r) => {
+    const v = Number(r.produced ?? r.Produced ?? 0);
+    return sum + (Number.isFinite(v) ? v : 0);
+  }, 0);
+
+  let headline = "Simulation completed.";
+  let narrative = "Review KPI and chart outputs for scenario impact.";
+  let countermeasures = [];
+
+  const impactedFacilities = new Set(
+    (occurrenceRows || [])
+      .map((r) => upper(r.facility || r.Facility || r.location || r.Location || ""))
+      .filter(Boolean)
+  ).size;
+
+  if (serviceLevel >= 99 && lateDemand === 0) {
+    headline =
+      missingComponents > 0
+        ? "Supply chain remained stable despite upstream material constraints."
+        : "Supply chain remained stable under current conditions.";
+    narrative =
+      missingComponents > 0
+        ? `The network fulfilled ${shipped.toLocaleString()} units against ${demand.toLocaleString()} units of demand with no meaningful service degradation. Although ${missingComponents.toLocaleString()} missing component events were recorded across ${impactedFacilities || 0} impacted facilities, mitigation actions were sufficient to preserve downstream service and maintain production continuity.`
+        : `The network fulfilled ${shipped.toLocaleString()} units against ${demand.toLocaleString()} units of demand with no meaningful service degradation. Production flow remained stable, backlog did not accumulate materially, and no major component constraints were detected across the selected scope.`;
+    countermeasures = missingComponents > 0
+      ? [
+          "Maintain current mitigation measures that are preserving service performance.",
+          "Continue monitoring constrained materials for any further escalation in supply risk.",
+          "Review whether targeted safety stock increases could reduce future exposure to the same component constraint.",
+        ]
+      : [
+          "Maintain current sourcing and replenishment policies.",
+          "Monitor live incident feeds for early-warning changes in supply conditions.",
+          "Preserve baseline safety stock settings and continue routine network surveillance.",
+        ];
+  } else if (lateDemand > 0 || serviceLevel < 95) {
+    headline = missingComponents > 0
+      ? "Component shortages constrained production and reduced service."
+      : "Customer service degradation increased backlog across the network.";
+    narrative =
+      missingComponents > 0
+        ? `Upstream material shortages prevented full production execution, contributing to ${missingComponents.toLocaleString()} missing component events and ${lateDemand.toLocaleString()} units of late demand. As the disruption propagated across ${impactedFacilities || 0} impacted facilities, service level fell to ${serviceLevel.toFixed(1)}%, indicating that mitigation actions were not sufficient to fully protect downstream service.`
+        : `The model indicates that shipment performance fell below demand requirements, with ${lateDemand.toLocaleString()} units pushed late and on-time service level reduced to ${serviceLevel.toFixed(1)}%. While production continued, the network was unable to fully convert available supply into on-time fulfillment, signaling downstream service pressure and recovery risk.`;
+    countermeasures = missingComponents > 0
+      ? [
+          "Expedite constrained components from alternate or backup suppliers.",
+          "Temporarily prioritize high-value or customer-critical demand to protect service levels.",
+          "Increase safety stock buffers for the affected material at impacted facilities.",
+          "Evaluate production reallocation across available plants to reduce downstream backlog.",
+        ]
+      : [
+          "Re-prioritize customer allocation to stabilize on-time delivery performance.",
+          "Increase short-term replenishment frequency for constrained downstream nodes.",
+          "Review fulfillment sequencing rules to reduce avoidable backlog accumulation.",
+        ];
+  } else {
+    headline = "Network performance weakened but remained partially resilient.";
+    narrative =
+      `Demand was not fully met at target service levels, but the network maintained partial continuity through available production and shipment flows. Performance degradation was measurable, though not severe enough to represent a full operational breakdown in the selected scenario.`;
+    countermeasures = [
+      "Tighten monitoring on the affected lanes and facilities.",
+      "Review inventory positioning to improve resilience against additional variability.",
+      "Prepare targeted mitigation actions in case service conditions deteriorate further.",
+    ];
+  }
+
+  let networkHealth = "healthy";
+  let networkHealthLabel = "🟢 Healthy Network";
+
+  if (serviceLevel >= 99 && lateDemand === 0) {
+    networkHealth = "healthy";
+    networkHealthLabel = "🟢 Healthy Network";
+  } else if (serviceLevel < 90) {
+    networkHealth = "critical";
+    networkHealthLabel = "🔴 Critical Supply Disruption";
+  } else {
+    networkHealth = "stress";
+    networkHealthLabel = "🟠 Network Under Stress";
+  }
+
+  return {
+    demand,
+    shipped,
+    serviceLevel,
+    lateDemand,
+    peakBacklog,
+    missedServiceDays,
+    ttrDays,
+    missingComponents,
+    totalProduction,
+    headline,
+    narrative,
+    networkHealth,
+    networkHealthLabel,
+    countermeasures,
+  };
+}
@@ -0,0 +1,243 @@
+// src/utils/scenarioLevers.js
+//
+// Turns ScenarioBuilder's capacity and sourcing levers (scenario.meta) into
+// edits of the uploaded inputs: a capacity cap on processes.csv for the
+// targeted facilities, and alternate-source activation in
+// location_materials.csv / lanes.csv, followed by the scenario's lane
+// disruptions (utils/laneEvents). Every edited cell is reported so the
+// builder can preview exactly which rows change before a run.
+
+import Papa from "papaparse";
+import { applyLaneDisruptions } from "./laneEvents";
+import { norm, pickColumn } from "./csvColumns";
+
+const COLUMNS = {
+  facility: ["facility", "location", "plant", "site", "facility_id", "location_id", "node"],
+  capacity: ["capacity", "daily_capacity", "capacity_per_day", "max_capacity", "capacity_units", "throughput", "rate"],
+  material: ["material", "sku", "material_id", "product"],
+  source: ["source", "source_location", "source_facility", "supplier", "origin", "origin_facility", "from_facility", "from"],
+  destination: ["destination", "destination_facility", "dest", "to_facility", "to", "location", "facility", "plant"],
+  active: ["active", "enabled", "is_active"],
+  alternate: ["is_alternate", "alternate", "is_backup", "backup", "source_type", "sourcing_type", "role"],
+  share: ["share", "allocation", "allocation_pct", "sourcing_share", "split", "weight"],
+  country: ["country", "region", "nation"],
+};
+
+export const SOURCING_STRATEGIES = {
+  none: "No change (baseline sourcing)",
+  alternate: "Shift volume to alternate sources",
+  localize: "Localize to NA / regional plants",
+  dual_source: "Dual-source key SKUs",
+};
+
+function parse(text) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: true });
+  return { rows: parsed.data || [], columns: parsed.meta?.fields || [] };
+}
+
+const FALSY = new Set(["0", "false", "no", "n", "inactive", "disabled"]);
+const ALTERNATE_VALUES = new Set(["1", "true", "yes", "y", "alternate", "backup", "secondary"]);
+
+function isActive(row, col) {
+  return !col || !FALSY.has(String(row[col] ?? "").trim().toLowerCase());
+}
+
+function isAlternate(row, col) {
+  return !!col && ALTERNATE_VALUES.has(String(row[col] ?? "").trim().toLowerCase());
+}
+
+// Keep the file's own boolean spelling
+function flag(sample, on) {
+  return /^(true|false)$/i.test(String(sample ?? "").trim()) ? String(on) : on ? "1" : "0";
+}
+
+function roundLike(original, value) {
+  return /^-?\d+$/.test(String(original).trim()) ? String(Math.round(value)) : String(Math.round(value * 100) / 100);
+}
+
+// -----------------------------
+// Capacity
+// -----------------------------
+
+/**
+ * Scales the capacity column of processes rows at `facilities` (all rows
+ * when `facilities` is null) to pct% of their value.
+ */
+function capProcesses(text, { pct, facilities }) {
+  const { rows, columns } = parse(text);
+  const facilityCol = pickColumn(columns, COLUMNS.facility);
+  const capacityCol = pickColumn(columns, COLUMNS.capacity);
+  if (!capacityCol || (facilities && !facilityCol)) {
+    return { rows, columns, changes: [], note: "processes.csv has no recognisable capacity/facility columns." };
+  }
+
+  const changes = [];
+  rows.forEach((row, i) => {
+    if (facilities && !facilities.has(norm(row[facilityCol]))) return;
+    const before = row[capacityCol];
+    const n = Number(before);
+    if (before === "" || !Number.isFinite(n)) return;
+    const after = roundLike(before, (n * pct) / 100);
+    if (after === String(before)) return;
+    row[capacityCol] = after;
+    changes.push({ file: "processes", row: i + 2, key: facilityCol ? row[facilityCol] : `row ${i + 2}`, column: capacityCol, before, after });
+  });
+  return { rows, columns, changes };
+}
+
+// -----------------------------
+// Sourcing
+// -----------------------------
+
+/**
+ * Groups source rows by destination (+ material) and activates / deactivates
+ * / re-shares them per strategy:
+ *  - alternate:   sources at disrupted facilities hand their volume to the
+ *                 group's alternates
+ *  - dual_source: single-sourced groups gain their first alternate, volume split evenly
+ *  - localize:    same-country sources take all volume where one exists
+ */
+function reSource(text, file, { strategy, disrupted, countryOf }) {
+  const { rows, columns } = parse(text);
+  const sourceCol = pickColumn(columns, COLUMNS.source);
+  const destCol = pickColumn(columns, COLUMNS.destination, [sourceCol]);
+  const materialCol = pickColumn(columns, COLUMNS.material);
+  const activeCol = pickColumn(columns, COLUMNS.active);
+  const shareCol = pickColumn(columns, COLUMNS.share);
+  const alternateCol = pickColumn(columns, COLUMNS.alternate);
+
+  if (!destCol || (!activeCol && !shareCol)) {
+    return { rows, columns, changes: [], note: `${file}.csv has no destination and active/share columns to re-source.` };
+  }
+  if (strategy !== "localize" && !alternateCol && !activeCol) {
+    return { rows, columns, changes: [], note: `${file}.csv doesn't mark alternate or inactive sources.` };
+  }
+  if (!sourceCol && strategy !== "dual_source") {
+    return { rows, columns, changes: [], note: `${file}.csv has no source/origin column.` };
+  }
+
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const key = `${norm(row[destCol])}|${materialCol ? norm(row[materialCol]) : ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+
+  const changes = [];
+  const set = (i, column, value) => {
+    const before = rows[i][column];
+    if (String(before ?? "") === String(value)) return;
+    rows[i][column] = value;
+    const row = rows[i];
+    const key = [sourceCol && row[sourceCol], row[destCol], materialCol && row[materialCol]].filter(Boolean).join(" → ");
+    changes.push({ file, row: i + 2, key, column, before, after: value });
+  };
+  // Turn rows on/off and spread the group's total share evenly over the ones left on
+  const apply = (idxs, on) => {
+    const total = shareCol ? idxs.reduce((a, i) => a + (Number(rows[i][shareCol]) || 0), 0) : 0;
+    const onCount = idxs.filter((i) => on.has(i)).length;
+    idxs.forEach((i) => {
+      if (activeCol) set(i, activeCol, flag(rows[i][activeCol], on.has(i)));
+      if (shareCol && total > 0 && onCount) set(i, shareCol, on.has(i) ? String(Math.round((total / onCount) * 1000) / 1000) : "0");
+    });
+  };
+
+  groups.forEach((idxs) => {
+    const primaries = idxs.filter((i) => !isAlternate(rows[i], alternateCol) && isActive(rows[i], activeCol));
+    const alternates = idxs.filter((i) => !primaries.includes(i));
+    if (strategy === "alternate") {
+      const hit = primaries.filter((i) => disrupted.has(norm(rows[i][sourceCol])));
+      const backups = alternates.filter((i) => !disrupted.has(norm(rows[i][sourceCol])));
+      if (!hit.length || !backups.length) return;
+      apply(idxs, new Set([...primaries.filter((i) => !hit.includes(i)), ...backups]));
+    } else if (strategy === "dual_source") {
+      if (primaries.length !== 1 || !alternates.length) return;
+      apply(idxs, new Set([primaries[0], alternates[0]]));
+    } else if (strategy === "localize") {
+      const local = idxs.filter((i) => {
+        const a = countryOf.get(norm(rows[i][sourceCol]));
+        return a && a === countryOf.get(norm(rows[i][destCol]));
+      });
+      if (!local.length || local.length === idxs.length) return;
+      apply(idxs, new Set(local));
+    }
+  });
+
+  return { rows, columns, changes };
+}
+
+function countryMap(locationsText) {
+  const { rows, columns } = parse(locationsText);
+  const facilityCol = pickColumn(columns, COLUMNS.facility);
+  const countryCol = pickColumn(columns, COLUMNS.country);
+  const map = new Map();
+  if (facilityCol && countryCol) rows.forEach((r) => map.set(norm(r[facilityCol]), norm(r[countryCol])));
+  return map;
+}
+
+// -----------------------------
+// Entry point
+// -----------------------------
+
+/**
+ * texts: { processes, location_materials, lanes, locations } CSV strings
+ * (missing files skipped). Returns { texts, changes, notes } where texts
+ * only holds the files that changed, changes lists every edited cell as
+ * { file, row, key, column, before, after } (row is the 1-based CSV line),
+ * and notes explains levers that couldn't be applied, or that reach further
+ * than the builder shows (the capacity cap covers the whole run).
+ */
+export function applyScenarioLevers(scenario, texts = {}) {
+  const meta = scenario?.meta || {};
+  const pct = Number(meta.supplyCapPct ?? 100);
+  const strategy = meta.sourcing || "none";
+  const disrupted = new Set((scenario?.disruptionScenarios || []).map((d) => norm(d.facility)).filter(Boolean));
+
+  const out = { texts: {}, changes: [], notes: [] };
+  const commit = (key, result) => {
+    if (result.note) out.notes.push(result.note);
+    if (!result.changes.length) return;
+    out.changes.push(...result.changes);
+    out.texts[key] = Papa.unparse(result.rows, { columns: result.columns });
+  };
+
+  if (Number.isFinite(pct) && pct !== 100) {
+    // Scenarios saved before the cap was applied carry the old slider default
+    // with no target; it was display-only when they were made
+    if (!meta.capacityTarget) {
+      out.notes.push(`Capacity cap of ${pct}% ignored: the scenario was saved before the cap applied to processes.csv. Re-apply it to use the cap.`);
+    } else if (!texts.processes) {
+      out.notes.push("Upload processes.csv to apply the capacity cap.");
+    } else if (meta.capacityTarget !== "all" && !disrupted.size) {
+      out.notes.push("Capacity cap targets disrupted facilities, but the scenario has none.");
+    } else {
+      commit("processes", capProcesses(texts.processes, { pct, facilities: meta.capacityTarget === "all" ? null : disrupted }));
+      out.notes.push(
+        `Capacity cap of ${pct}% applies to ${meta.capacityTarget === "all" ? "every facility" : "the disrupted facilities"} ` +
+          "in processes.csv for the whole run, not just the disruption window, on top of their production impact."
+      );
+    }
+  }
+
+  if (strategy !== "none") {
+    if (strategy === "alternate" && !disrupted.size) {
+      out.notes.push("Shifting to alternate sources needs at least one disrupted facility.");
+    } else {
+      const countryOf = countryMap(texts.locations);
+      if (strategy === "localize" && !countryOf.size) out.notes.push("Localizing needs locations.csv with a country column.");
+      ["location_materials", "lanes"].forEach((key) => {
+        if (texts[key]) commit(key, reSource(texts[key], key, { strategy, disrupted, countryOf }));
+      });
+    }
+  }
+
+  if (scenario?.laneDisruptions?.length) {
+    if (!texts.lanes) out.notes.push("Upload lanes.csv to apply lane disruptions.");
+    const lanes = applyLaneDisruptions(out.texts.lanes || texts.lanes, scenario.laneDisruptions);
+    out.notes.push(...lanes.notes);
+    out.changes.push(...lanes.changes);
+    if (lanes.text) out.texts.lanes = lanes.text;
+  }
+
+  return out;
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import Papa from "papaparse";
+import { applyScenarioLevers } from "./scenarioLevers";
+
+const rowsOf = (text) => Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+
+const disruptedAt = (facility, meta) => ({
+  meta,
+  disruptionScenarios: [{ facility, startDate: "2024-03-01", endDate: "2024-03-15" }],
+});
+
+describe("capacity cap", () => {
+  const processes = "facility,capacity\nVN-1,100\nMX-1,80\n";
+
+  it("scales only the disrupted facilities and says it covers the whole run", () => {
+    const out = applyScenarioLevers(disruptedAt("VN-1", { supplyCapPct: 50, capacityTarget: "disrupted" }), { processes });
+    expect(rowsOf(out.texts.processes)).toEqual([
+      { facility: "VN-1", capacity: "50" },
+      { facility: "MX-1", capacity: "80" },
+    ]);
+    expect(out.changes).toEqual([{ file: "processes", row: 2, key: "VN-1", column: "capacity", before: "100", after: "50" }]);
+    expect(out.notes.join(" ")).toContain("for the whole run");
+  });
+
+  it("scales every facility when targeted at all", () => {
+    const out = applyScenarioLevers(disruptedAt("VN-1", { supplyCapPct: 50, capacityTarget: "all" }), { processes });
+    expect(rowsOf(out.texts.processes).map((r) => r.capacity)).toEqual(["50", "40"]);
+  });
+
+  it("ignores a cap from a scenario saved without a target", () => {
+    const out = applyScenarioLevers(disruptedAt("VN-1", { supplyCapPct: 70 }), { processes });
+    expect(out.texts.processes).toBeUndefined();
+    expect(out.notes[0]).toContain("ignored");
+  });
+});
+
+describe("sourcing strategies", () => {
+  it("alternate: hands a disrupted primary's share to the group's backups", () => {
+    const location_materials =
+      "source,destination,material,active,is_alternate,share\n" +
+      "VN-1,DC-1,A,1,0,1\n" +
+      "MX-1,DC-1,A,0,1,0\n" +
+      "VN-1,DC-1,B,1,0,1\n";
+    const out = applyScenarioLevers(disruptedAt("VN-1", { sourcing: "alternate" }), { location_materials });
+    expect(rowsOf(out.texts.location_materials).map((r) => [r.source, r.material, r.active, r.share])).toEqual([
+      ["VN-1", "A", "0", "0"],
+      ["MX-1", "A", "1", "1"],
+      ["VN-1", "B", "1", "1"],
+    ]);
+  });
+
+  it("dual_source: splits a single-sourced group evenly with its first alternate", () => {
+    const location_materials =
+      "source,destination,material,active,is_alternate,share\n" +
+      "VN-1,DC-1,A,true,false,1\n" +
+      "MX-1,DC-1,A,false,true,0\n" +
+      "TH-1,DC-1,A,false,true,0\n";
+    const out = applyScenarioLevers({ meta: { sourcing: "dual_source" } }, { location_materials });
+    expect(rowsOf(out.texts.location_materials).map((r) => [r.source, r.active, r.share])).toEqual([
+      ["VN-1", "true", "0.5"],
+      ["MX-1", "true", "0.5"],
+      ["TH-1", "false", "0"],
+    ]);
+  });
+
+  it("localize: moves the group's share onto same-country sources", () => {
+    const locations = "facility,country\nUS-1,US\nUS-DC,US\nVN-1,VN\nMX-1,MX\n";
+    const location_materials =
+      "source,destination,material,share\n" +
+      "VN-1,US-DC,A,0.6\n" +
+      "MX-1,US-DC,A,0.3\n" +
+      "US-1,US-DC,A,0.1\n";
+    const out = applyScenarioLevers({ meta: { sourcing: "localize" } }, { location_materials, locations });
+    expect(rowsOf(out.texts.location_materials).map((r) => [r.source, r.share])).toEqual([
+      ["VN-1", "0"],
+      ["MX-1", "0"],
+      ["US-1", "1"],
+    ]);
+  });
+
+  it("localize: leaves groups with no local source alone and notes a missing country column", () => {
+    const location_materials = "source,destination,material,share\nVN-1,US-DC,A,1\n";
+    const out = applyScenarioLevers({ meta: { sourcing: "localize" } }, { location_materials, locations: "facility\nVN-1\n" });
+    expect(out.changes).toEqual([]);
+    expect(out.notes).toContain("Localizing needs locations.csv with a country column.");
+  });
+});
@@ -0,0 +1,108 @@
+// src/utils/skuValues.js
+//
+// Unit values used to price at-risk and backlogged demand.
+// Sources, most specific first:
+//   1) optional sku_values.csv upload (sku, facility, unit_value, currency)
+//   2) a price column on demand.csv or location_materials.csv
+//   3) a "*" row in that source, as the value for every other SKU
+// SKUs none of these price stay unpriced; nothing is made up for them.
+
+import { norm, pickKey } from "./csvColumns";
+
+export const DEFAULT_CURRENCY = "USD";
+
+const SOURCE_LABELS = {
+  sku_values: "sku_values.csv",
+  demand: "demand.csv prices",
+  location_materials: "location_materials.csv prices",
+};
+
+const SKU_KEYS = ["sku", "material", "material_id", "item", "product"];
+const FACILITY_KEYS = ["facility", "facility_id", "location", "plant"];
+const VALUE_KEYS = ["unit_value", "unit_price", "price", "selling_price", "unit_revenue", "value"];
+const CURRENCY_KEYS = ["currency", "ccy", "currency_code"];
+const FAMILY_KEYS = ["family", "sku_family", "product_family", "material_family"];
+
+function entryKey(sku, facility) {
+  return `${norm(sku)}|${norm(facility)}`;
+}
+
+// Returns [] when the rows carry no usable price column.
+export function readPriceRows(rows) {
+  const list = Array.isArray(rows) ? rows.filter((r) => r && typeof r === "object") : [];
+  const sample = list[0] || {};
+  const skuKey = pickKey(sample, SKU_KEYS);
+  const valueKey = pickKey(sample, VALUE_KEYS);
+  if (!skuKey || !valueKey) return [];
+
+  const facilityKey = pickKey(sample, FACILITY_KEYS);
+  const currencyKey = pickKey(sample, CURRENCY_KEYS);
+
+  return list
+    .map((r) => ({
+      sku: norm(r[skuKey]),
+      facility: facilityKey ? norm(r[facilityKey]) : "",
+      unitValue: parseFloat(r[valueKey]),
+      currency: (currencyKey && norm(r[currencyKey])) || DEFAULT_CURRENCY,
+    }))
+    .filter((e) => e.sku && Number.isFinite(e.unitValue));
+}
+
+export function buildSkuValueBook({ skuValueRows, demandRows, locationMaterialRows } = {}) {
+  const candidates = [
+    ["sku_values", readPriceRows(skuValueRows)],
+    ["demand", readPriceRows(demandRows)],
+    ["location_materials", readPriceRows(locationMaterialRows)],
+  ];
+  const [source, priceRows] = candidates.find(([, list]) => list.length > 0) || ["none", []];
+
+  const entries = {};
+  let defaultEntry = null;
+
+  priceRows.forEach((e) => {
+    if (e.sku === "*") {
+      defaultEntry = { unitValue: e.unitValue, currency: e.currency };
+      return;
+    }
+    // demand.csv repeats a SKU on every date; last row wins
+    entries[entryKey(e.sku, e.facility)] = { unitValue: e.unitValue, currency: e.currency };
+  });
+
+  return { source, entries, defaultEntry };
+}
+
+// SKU → family from a family column, first row set first (sku_values.csv
+// before demand.csv). SKUs without one belong to no family.
+export function readSkuFamilies(...rowSets) {
+  const families = {};
+  rowSets.forEach((rows) => {
+    const list = Array.isArray(rows) ? rows.filter((r) => r && typeof r === "object") : [];
+    const skuKey = pickKey(list[0], SKU_KEYS);
+    const familyKey = pickKey(list[0], FAMILY_KEYS);
+    if (!skuKey || !familyKey) return;
+    list.forEach((r) => {
+      const sku = norm(r[skuKey]);
+      const family = (r[familyKey] ?? "").toString().trim();
+      if (sku && family && !families[sku]) families[sku] = family;
+    });
+  });
+  return families;
+}
+
+// Facility-specific value → SKU-wide value → the "*" row; null when unpriced.
+export function resolveUnitValue(book, sku, facility) {
+  const entries = book?.entries || {};
+  const hit = entries[entryKey(sku, facility)] || entries[entryKey(sku, "")];
+  if (hit) return { ...hit, matched: true };
+  return book?.defaultEntry ? { ...book.defaultEntry, matched: false } : null;
+}
+
+// "Priced from sku_values.csv · 6 at-risk units unpriced", for the exposure cards
+export function describeUnitValues({ unitValueSource, unpricedAtRiskUnits } = {}) {
+  const unpriced = Number(unpricedAtRiskUnits) || 0;
+  const parts = [];
+  if (SOURCE_LABELS[unitValueSource]) parts.push(`Priced from ${SOURCE_LABELS[unitValueSource]}`);
+  else if (unitValueSource === "none") parts.push("No unit values uploaded");
+  if (unpriced > 0) parts.push(`${unpriced.toLocaleString()} at-risk unit${unpriced === 1 ? "" : "s"} unpriced`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,19 @@
+// src/workers/kpiWorker.js
+//
+// Web Worker entry: { id, type, payload } in, { id, ok, result | error } out.
+
+// Workers get their own module graph — load custom KPI registrations here too
+import "../config/customKpis.js";
+import { createKpiWorkerCore } from "./kpiWorkerCore";
+
+const core = createKpiWorkerCore();
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data || {};
+  try {
+    const result = await core.handle(type, payload);
+    self.postMessage({ id, ok: true, result });
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,209 @@
+// src/workers/kpiWorkerCore.js
+//
+// Everything the KPI worker does, minus the postMessage plumbing, so the
+// client can run the same code inline when Web Workers are unavailable.
+//
+// Output CSVs are read from the IndexedDB output cache (or downloaded, and
+// then written to it for the active run) and parsed once per URL, then kept
+// until the active run changes; uploaded input files are cached by
+// name/size/mtime, input snapshot text by content hash.
+
+import Papa from "papaparse";
+import { computeKpis, computeKpiBreakdown, explainKpis } from "../utils/kpiEngine";
+import { buildChartSeries } from "../utils/chartSeries";
+import { buildOverlaySeries } from "../utils/overlaySeries";
+import { buildScenarioImpactSummary } from "../utils/scenarioImpactSummary";
+import { readSkuFamilies } from "../utils/skuValues";
+import { CACHED_OUTPUT_KEYS, fetchOutputText } from "../lib/runOutputCache";
+import { contentHash } from "../utils/contentHash";
+
+const PARSE_CHUNK_SIZE = 1024 * 1024;
+
+// Which output URL feeds which row set of computeKpis
+const OUTPUT_URL_KEYS = {
+  inventory: "inventory_output_file_url",
+  production: "production_output_file_url",
+  flow: "flow_output_file_url",
+  occurrence: "occurrence_output_file_url",
+  projectedImpact: "projected_impact_output_file_url",
+  disruptionImpact: "disruption_impact_output_file_url",
+};
+
+function parseCsvText(text) {
+  const rows = [];
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: PARSE_CHUNK_SIZE,
+    chunk: (res) => {
+      for (const r of res.data) {
+        if (r && typeof r === "object") rows.push(r);
+      }
+    },
+  });
+  return rows;
+}
+
+function uploadKey(file) {
+  return `upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+export function createKpiWorkerCore({ fetchImpl = (...args) => fetch(...args) } = {}) {
+  // url | upload key → Promise<rows>; promises so concurrent callers share one download
+  const cache = new Map();
+  // url → { runId, key } for the active run's outputs, so downloads get cached
+  const owners = new Map();
+  let activeUrls = new Set();
+
+  const loadUrl = (url) => {
+    if (!url) return Promise.resolve([]);
+    if (!cache.has(url)) {
+      const pending = fetchOutputText(url, fetchImpl, owners.get(url) || null)
+        .then(parseCsvText)
+        .catch((err) => {
+          cache.delete(url);
+          throw err;
+        });
+      cache.set(url, pending);
+    }
+    return cache.get(url);
+  };
+
+  const loadUpload = (file) => {
+    if (typeof file === "string") {
+      const key = `text:${contentHash(file)}`;
+      if (!cache.has(key)) cache.set(key, Promise.resolve(parseCsvText(file)));
+      return cache.get(key);
+    }
+    if (!file || typeof file.text !== "function") return Promise.resolve([]);
+    const key = uploadKey(file);
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        file
+          .text()
+          .then(parseCsvText)
+          .catch((err) => {
+            console.warn(`⚠️ [KPI Worker] Failed to parse uploaded ${file.name}:`, err);
+            return [];
+          })
+      );
+    }
+    return cache.get(key);
+  };
+
+  // uploads = { demand, skuValues, locationMaterials } as File | CSV text | null
+  const loadKpiRows = async (urls = {}, uploads = {}) => {
+    const [outputs, demand, skuValues, locationMaterials] = await Promise.all([
+      Promise.all(
+        Object.entries(OUTPUT_URL_KEYS).map(async ([set, key]) => [set, await loadUrl(urls[key])])
+      ),
+      loadUpload(uploads.demand),
+      loadUpload(uploads.skuValues),
+      loadUpload(uploads.locationMaterials),
+    ]);
+    return { ...Object.fromEntries(outputs), demand, skuValues, locationMaterials };
+  };
+
+  const handlers = {
+    // Drop cached outputs that don't belong to the run now on screen
+    setActiveRun({ urls = {}, runId = null }) {
+      activeUrls = new Set(Object.values(urls).filter(Boolean));
+      [...cache.keys()].forEach((key) => {
+        if (!key.startsWith("upload:") && !activeUrls.has(key)) cache.delete(key);
+      });
+      owners.clear();
+      if (runId) {
+        CACHED_OUTPUT_KEYS.forEach((key) => {
+          if (urls[key]) owners.set(urls[key], { runId: String(runId), key });
+        });
+      }
+      return { cached: cache.size };
+    },
+
+    clearCache() {
+      cache.clear();
+      return { cached: 0 };
+    },
+
+    loadRows({ url }) {
+      return loadUrl(url);
+    },
+
+    async computeRun({ urls, uploads, scope, options }) {
+      const rows = await loadKpiRows(urls, uploads);
+      const kpis = computeKpis(rows, scope, options);
+      let scenarioImpactSummary = null;
+      try {
+        scenarioImpactSummary = buildScenarioImpactSummary(
+          rows.flow,
+          rows.occurrence,
+          rows.production,
+          kpis
+        );
+      } catch (e) {
+        console.warn("⚠️ [KPI Worker] Failed to build scenario impact summary:", e);
+      }
+      return { kpis, scenarioImpactSummary, hasDemand: rows.demand.length > 0 };
+    },
+
+    // Another run's KPIs, leaving the active run alone: whatever this parsed
+    // for the other run is dropped again once it's done
+    async computeDetached(inputs) {
+      try {
+        const { kpis } = await handlers.computeRun(inputs);
+        return kpis;
+      } finally {
+        [...cache.keys()].forEach((key) => {
+          if (key.startsWith("text:") || (!key.startsWith("upload:") && !activeUrls.has(key))) cache.delete(key);
+        });
+      }
+    },
+
+    async explain({ urls, uploads, scope }) {
+      const rows = await loadKpiRows(urls, uploads);
+      return explainKpis(rows, scope);
+    },
+
+    async breakdown({ urls, uploads, scope, options }) {
+      const rows = await loadKpiRows(urls, uploads);
+      return computeKpiBreakdown(rows, scope, options);
+    },
+
+    async skuFamilies({ uploads = {} }) {
+      const [skuValues, demand] = await Promise.all([loadUpload(uploads.skuValues), loadUpload(uploads.demand)]);
+      return readSkuFamilies(skuValues, demand);
+    },
+
+    async chartSeries({ url, outputType, filter }) {
+      const rows = await loadUrl(url);
+      return buildChartSeries(rows, outputType, filter);
+    },
+
+    // Runs in the overlay are usually not the active one: their rows are
+    // dropped again once the series is built
+    async overlaySeries({ url, outputType, filter }) {
+      try {
+        return buildOverlaySeries(await loadUrl(url), outputType, filter);
+      } finally {
+        if (!activeUrls.has(url)) cache.delete(url);
+      }
+    },
+
+    async distinctValues({ url, keys }) {
+      const rows = await loadUrl(url);
+      const sample = rows[0] || {};
+      const key = (keys || []).find((k) => k in sample);
+      if (!key) return [];
+      return [...new Set(rows.map((r) => r[key]).filter((v) => v !== undefined && v !== ""))];
+    },
+  };
+
+  return {
+    async handle(type, payload = {}) {
+      const handler = handlers[type];
+      if (!handler) throw new Error(`[KPI Worker] Unknown request "${type}"`);
+      return handler(payload);
+    },
+  };
+}